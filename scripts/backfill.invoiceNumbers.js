@@ -0,0 +1,143 @@
+// scripts/backfill.invoiceNumbers.js
+//
+// One-off migration to per-provider sequential invoice numbers.
+//
+//   node scripts/backfill.invoiceNumbers.js [--dry-run]
+//
+// Per provider, oldest invoice first:
+//  - the first invoice holding a number keeps it; later
+//    duplicates (and empty strings) lose theirs
+//  - numbers already in the provider's format are adopted into
+//    the sequence and the counter is seeded past the highest
+//  - issued invoices without a number get the next one
+// Then builds the unique (provider, invoiceNumber) index.
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../src/config/db.js";
+import Provider from "../src/models/Provider.js";
+import Invoice from "../src/models/Invoice.js";
+import {
+  assignInvoiceNumber,
+  numberingPeriod,
+  parseInvoiceNumber,
+  seedInvoiceCounter,
+} from "../src/utils/invoiceNumbering.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const stats = { providers: 0, adopted: 0, cleared: 0, assigned: 0 };
+
+async function backfillProvider(providerId) {
+  const provider = await Provider.findById(providerId).select("invoiceNumbering").lean();
+  const numbering = provider?.invoiceNumbering;
+
+  const invoices = await Invoice.find({ provider: providerId })
+    .select("provider invoiceNumber sequenceNumber status createdAt")
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  const seen = new Set();
+  const maxByPeriod = new Map();
+  const adopt = [];
+  const clear = [];
+
+  for (const invoice of invoices) {
+    const number = (invoice.invoiceNumber || "").trim();
+
+    if (!number || seen.has(number)) {
+      if (typeof invoice.invoiceNumber === "string") {
+        clear.push(invoice._id);
+        invoice.invoiceNumber = undefined;
+        invoice.sequenceNumber = null;
+      }
+      continue;
+    }
+    seen.add(number);
+
+    const parsed = parseInvoiceNumber(numbering, number);
+    if (!parsed) continue; // legacy free text — kept, outside the sequence
+
+    const period = numberingPeriod(
+      numbering,
+      parsed.year ? new Date(Date.UTC(parsed.year, 0, 1)) : invoice.createdAt
+    );
+    maxByPeriod.set(period, Math.max(maxByPeriod.get(period) || 0, parsed.seq));
+
+    if (invoice.sequenceNumber !== parsed.seq) {
+      adopt.push({ _id: invoice._id, seq: parsed.seq, period });
+    }
+  }
+
+  stats.adopted += adopt.length;
+  stats.cleared += clear.length;
+
+  const missing = invoices.filter((i) => !i.invoiceNumber && i.status !== "DRAFT");
+  stats.assigned += missing.length;
+
+  if (DRY_RUN) return;
+
+  if (clear.length) {
+    await Invoice.updateMany(
+      { _id: { $in: clear } },
+      { $unset: { invoiceNumber: 1 }, $set: { sequenceNumber: null, sequencePeriod: null } },
+      { timestamps: false }
+    );
+  }
+
+  for (const { _id, seq, period } of adopt) {
+    await Invoice.updateOne(
+      { _id },
+      { $set: { sequenceNumber: seq, sequencePeriod: period } },
+      { timestamps: false }
+    );
+  }
+
+  for (const [period, seq] of maxByPeriod) {
+    await seedInvoiceCounter(providerId, period, seq);
+  }
+
+  // Numbered in the period they were created in
+  for (const invoice of missing) {
+    await assignInvoiceNumber(invoice, { date: invoice.createdAt });
+  }
+}
+
+async function backfillInvoiceNumbers() {
+  await connectDB();
+  console.log(`🔢 Backfilling invoice numbers${DRY_RUN ? " (dry run)" : ""}...`);
+
+  // Replaced by the per-provider unique index
+  if (!DRY_RUN) {
+    try {
+      await Invoice.collection.dropIndex("invoiceNumber_1");
+      console.log("🧹 Dropped global invoiceNumber_1 index");
+    } catch (err) {
+      if (err?.codeName !== "IndexNotFound" && err?.code !== 26) throw err;
+    }
+  }
+
+  const providerIds = await Invoice.distinct("provider");
+
+  for (const providerId of providerIds) {
+    await backfillProvider(providerId);
+    stats.providers += 1;
+
+    if (stats.providers % 100 === 0) {
+      console.log(`✅ ${stats.providers}/${providerIds.length} providers`);
+    }
+  }
+
+  if (!DRY_RUN) await Invoice.createIndexes();
+
+  console.log(
+    `🎉 Done: providers=${stats.providers}, adopted=${stats.adopted}, ` +
+      `cleared=${stats.cleared}, assigned=${stats.assigned}`
+  );
+  await mongoose.connection.close();
+  process.exit(0);
+}
+
+backfillInvoiceNumbers().catch((err) => {
+  console.error("❌ Invoice number backfill error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+// scripts/backfill.privateInvoicePdfs.js
+//
+// Deletes the public `helpio/invoices/invoice_<id>.pdf` copies
+// stored before invoice PDFs moved to private Cloudinary assets,
+// and clears their pdfUrl so the next request re-renders them
+// privately. Safe to re-run.
+//
+//   node scripts/backfill.privateInvoicePdfs.js [--dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../src/config/db.js";
+import { deleteFromCloudinary } from "../src/config/cloudinary.js";
+import Invoice from "../src/models/Invoice.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function privatizeInvoicePdfs() {
+  await connectDB();
+  console.log(`🔒 Removing public invoice PDFs${DRY_RUN ? " (dry run)" : ""}...`);
+
+  let scanned = 0;
+  let failed = 0;
+
+  const cursor = Invoice.find({ pdfUrl: { $nin: [null, ""] }, pdfPublicId: null })
+    .select("_id")
+    .lean()
+    .cursor();
+
+  for await (const invoice of cursor) {
+    scanned += 1;
+    if (DRY_RUN) continue;
+
+    try {
+      await deleteFromCloudinary(`helpio/invoices/invoice_${invoice._id}.pdf`, {
+        resource_type: "raw",
+        invalidate: true,
+      });
+    } catch {
+      failed += 1;
+      continue;
+    }
+
+    await Invoice.updateOne(
+      { _id: invoice._id, pdfPublicId: null },
+      { $unset: { pdfUrl: 1, pdfGeneratedAt: 1 } },
+      { timestamps: false }
+    );
+
+    if (scanned % 100 === 0) console.log(`✅ ${scanned} invoices done`);
+  }
+
+  console.log(`🎉 Done: ${scanned} invoices, ${failed} failed deletes`);
+  await mongoose.connection.close();
+  process.exit(0);
+}
+
+privatizeInvoicePdfs().catch((err) => {
+  console.error("❌ Invoice PDF backfill error:", err);
+  process.exit(1);
+});
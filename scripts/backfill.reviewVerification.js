@@ -0,0 +1,92 @@
+// scripts/backfill.reviewVerification.js
+//
+// One-off migration for verified-purchase reviews.
+//
+//   node scripts/backfill.reviewVerification.js [--dry-run]
+//
+//  - replaces the old unique conversation_1 index with the
+//    partial one (reviews from request links have no
+//    conversation)
+//  - marks existing reviews verified when the reviewer has a
+//    paid invoice, captured terminal payment or completed
+//    booking with the provider (oldest review first, one job
+//    per review)
+//  - rebuilds listing / provider rating aggregates
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../src/config/db.js";
+import Review from "../src/models/Review.js";
+import User from "../src/models/User.js";
+import { findVerifiedJob } from "../src/utils/verifiedJobs.js";
+import { rebuildAllRatingAggregates } from "../src/utils/reviewRatings.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const stats = { reviews: 0, verified: 0 };
+
+async function backfillReviewVerification() {
+  await connectDB();
+  console.log(`✅ Backfilling review verification${DRY_RUN ? " (dry run)" : ""}...`);
+
+  if (!DRY_RUN) {
+    try {
+      await Review.collection.dropIndex("conversation_1");
+      console.log("🧹 Dropped unique conversation_1 index");
+    } catch (err) {
+      if (err?.codeName !== "IndexNotFound" && err?.code !== 26) throw err;
+    }
+    await Review.createIndexes();
+  }
+
+  const cursor = Review.find({ verified: { $ne: true } })
+    .select("provider user")
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor({ batchSize: 200 });
+
+  // Dry runs can't record claims, so track them here
+  const claimed = new Set();
+
+  for await (const review of cursor) {
+    stats.reviews += 1;
+
+    const user = await User.findById(review.user).select("email").lean();
+    const job = await findVerifiedJob({
+      providerId: review.provider,
+      userId: review.user,
+      email: user?.email,
+    });
+
+    if (job && !claimed.has(String(job.ref))) {
+      claimed.add(String(job.ref));
+      stats.verified += 1;
+
+      if (!DRY_RUN) {
+        await Review.updateOne(
+          { _id: review._id },
+          { $set: { verified: true, verification: { kind: job.kind, ref: job.ref, at: new Date() } } }
+        );
+      }
+    }
+
+    if (stats.reviews % 500 === 0) {
+      console.log(`✅ ${stats.reviews} reviews checked`);
+    }
+  }
+
+  if (!DRY_RUN) {
+    const aggregates = await rebuildAllRatingAggregates();
+    console.log(
+      `⭐ Ratings rebuilt: listings=${aggregates.listings}, providers=${aggregates.providers}, reset=${aggregates.reset}`
+    );
+  }
+
+  console.log(`🎉 Done: reviews=${stats.reviews}, verified=${stats.verified}`);
+  await mongoose.connection.close();
+  process.exit(0);
+}
+
+backfillReviewVerification().catch((err) => {
+  console.error("❌ Review verification backfill error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+// scripts/backfill.searchTerms.js
+//
+// Fills Listing / Provider `searchTerms` (the indexed word
+// arrays /api/search fetches candidates through) for
+// documents saved before the field existed, and builds the
+// indexes. Safe to re-run.
+//
+//   node scripts/backfill.searchTerms.js [--dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../src/config/db.js";
+import Listing, { LISTING_SEARCH_FIELDS } from "../src/models/Listing.js";
+import Provider, { PROVIDER_SEARCH_FIELDS } from "../src/models/Provider.js";
+import { searchKeywords } from "../src/utils/searchExpand.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const BATCH_SIZE = 500;
+
+const SOURCES = [
+  { name: "listings", Model: Listing, fields: LISTING_SEARCH_FIELDS },
+  { name: "providers", Model: Provider, fields: PROVIDER_SEARCH_FIELDS },
+];
+
+async function backfillSource({ name, Model, fields }) {
+  let scanned = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (!ops.length) return;
+    if (!DRY_RUN) await Model.bulkWrite(ops, { ordered: false, timestamps: false });
+    ops = [];
+  };
+
+  const cursor = Model.find().select(fields.join(" ")).lean().cursor();
+  for await (const doc of cursor) {
+    scanned += 1;
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { searchTerms: searchKeywords(fields.map((f) => doc[f] || "")) } },
+        timestamps: false,
+      },
+    });
+
+    if (ops.length >= BATCH_SIZE) {
+      await flush();
+      console.log(`✅ ${scanned} ${name} done`);
+    }
+  }
+  await flush();
+
+  if (!DRY_RUN) await Model.createIndexes();
+  return scanned;
+}
+
+async function backfillSearchTerms() {
+  await connectDB();
+  console.log(`🔎 Backfilling search terms${DRY_RUN ? " (dry run)" : ""}...`);
+
+  const counts = {};
+  for (const source of SOURCES) {
+    counts[source.name] = await backfillSource(source);
+  }
+
+  console.log(`🎉 Done: listings=${counts.listings}, providers=${counts.providers}`);
+  await mongoose.connection.close();
+  process.exit(0);
+}
+
+backfillSearchTerms().catch((err) => {
+  console.error("❌ Search terms backfill error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+// scripts/seed.searchSynonyms.js
+//
+// Seeds the search dictionary with the intents that used to
+// be hard-coded in utils/searchExpand.js (PHRASE_MAP).
+//
+//   node scripts/seed.searchSynonyms.js
+//
+//  - inserts missing global entries only; entries admins have
+//    already edited are left alone
+//  - categoryBoost keeps only slugs that exist as Categories
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../src/config/db.js";
+import Category from "../src/models/Category.js";
+import SearchSynonym from "../src/models/SearchSynonym.js";
+import { invalidateSearchDictionary } from "../src/utils/searchDictionary.js";
+import { normalize } from "../src/utils/searchExpand.js";
+
+const ENTRIES = [
+  {
+    key: "car_detailing",
+    label: "Car wash / detailing",
+    triggers: [
+      "car wash",
+      "carwashing",
+      "auto wash",
+      "vehicle wash",
+      "wash car",
+      "wash my car",
+      "car cleaning",
+      "auto cleaning",
+      "detail",
+      "detailing",
+      "car detail",
+      "interior detail",
+      "exterior detail",
+      "ceramic",
+      "ceramic coating",
+      "wax",
+      "waxing",
+      "polish",
+      "buff",
+      "shampoo seats",
+      "seat shampoo",
+      "interior cleaning",
+      "exterior cleaning",
+    ],
+    expand: [
+      "detailing",
+      "car detailing",
+      "auto detailing",
+      "mobile detailing",
+      "car wash",
+      "auto wash",
+      "vehicle wash",
+      "interior",
+      "exterior",
+      "ceramic coating",
+      "waxing",
+      "polishing",
+    ],
+    categoryBoost: ["detailing", "car_detailing", "car-detailing", "carwash", "auto_detailing", "auto-detailing"],
+  },
+];
+
+async function seedSearchSynonyms() {
+  await connectDB();
+  console.log("✅ Seeding search dictionary...");
+
+  const slugs = new Set(await Category.distinct("slug"));
+  let inserted = 0;
+
+  for (const entry of ENTRIES) {
+    const categoryBoost = entry.categoryBoost.filter((slug) => slugs.has(slug));
+
+    const result = await SearchSynonym.updateOne(
+      { key: entry.key, city: null },
+      {
+        $setOnInsert: {
+          key: entry.key,
+          label: entry.label,
+          city: null,
+          triggers: [...new Set(entry.triggers.map(normalize))],
+          expand: [...new Set(entry.expand.map(normalize))],
+          categoryBoost,
+          isActive: true,
+        },
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount) {
+      inserted += 1;
+      console.log(`➕ ${entry.key} (boosts: ${categoryBoost.join(", ") || "none"})`);
+    } else {
+      console.log(`⏭️  ${entry.key} already exists`);
+    }
+  }
+
+  await invalidateSearchDictionary();
+
+  console.log(`🎉 Done: inserted=${inserted}, skipped=${ENTRIES.length - inserted}`);
+  await mongoose.connection.close();
+  process.exit(0);
+}
+
+seedSearchSynonyms().catch((err) => {
+  console.error("❌ Search dictionary seed error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,169 @@
+// scripts/sim.socketCluster.js
+// Two Socket.IO nodes in one process, wired through the cluster
+// adapter, with a client on each. Checks that emits fan out
+// across nodes and that a dead bus degrades to local delivery.
+//
+//   node scripts/sim.socketCluster.js              in-memory bus
+//   REDIS_URL=redis://... node scripts/sim.socketCluster.js   real Redis
+import "dotenv/config";
+import http from "http";
+import mongoose from "mongoose";
+import { io as connectClient } from "socket.io-client";
+
+import { createSocketServer } from "../src/socket.js";
+import {
+  createBusAdapter,
+  createMemoryBus,
+  createRedisSocketAdapter,
+} from "../src/sockets/clusterAdapter.js";
+
+// SAFETY
+if (process.env.NODE_ENV === "production") {
+  throw new Error("❌ Refusing to run the socket cluster harness in production");
+}
+
+const WAIT_MS = 2000;
+const useRedis = Boolean(process.env.REDIS_URL);
+
+// Harness sockets skip JWT auth: the user id comes from the handshake
+const authenticate = async (socket) => {
+  const userId = socket.handshake.auth?.userId;
+  if (!mongoose.Types.ObjectId.isValid(userId)) throw new Error("userId required");
+  socket.data.user = { _id: userId, providerId: null };
+};
+
+// HELPERS
+let failures = 0;
+
+function check(label, ok) {
+  console.log(`${ok ? "✅" : "❌"} ${label}`);
+  if (!ok) failures++;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolves with the payload, or null if nothing arrives in time
+function nextEvent(client, event, ms = WAIT_MS) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      client.off(event, onEvent);
+      resolve(null);
+    }, ms);
+    function onEvent(payload) {
+      clearTimeout(timer);
+      resolve(payload);
+    }
+    client.once(event, onEvent);
+  });
+}
+
+async function startNode(name, adapter) {
+  const server = http.createServer();
+  const io = createSocketServer(server, { adapter, authenticate });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  console.log(`🟢 Node ${name} on ${url}`);
+  return { name, io, server, url };
+}
+
+async function connect(node, userId) {
+  const client = connectClient(node.url, {
+    auth: { userId },
+    transports: ["websocket"],
+    reconnection: false,
+  });
+  await new Promise((resolve, reject) => {
+    client.once("connect", resolve);
+    client.once("connect_error", reject);
+  });
+  return client;
+}
+
+// MAIN
+async function simulateSocketCluster() {
+  console.log(`🔀 Socket cluster harness (${useRedis ? "Redis" : "in-memory"} bus)`);
+
+  // A memory bus that can be "unplugged" to simulate a Redis outage
+  const memoryBus = createMemoryBus();
+  let busDown = false;
+  const bus = {
+    ...memoryBus,
+    publish: (channel, message) =>
+      busDown
+        ? Promise.reject(new Error("bus unavailable"))
+        : memoryBus.publish(channel, message),
+  };
+
+  const makeAdapter = async () =>
+    useRedis ? createRedisSocketAdapter() : createBusAdapter(bus);
+
+  const nodeA = await startNode("A", await makeAdapter());
+  const nodeB = await startNode("B", await makeAdapter());
+
+  const aliceId = new mongoose.Types.ObjectId().toString();
+  const bobId = new mongoose.Types.ObjectId().toString();
+  const alice = await connect(nodeA, aliceId);
+  const bob = await connect(nodeB, bobId);
+
+  // Room joins propagate asynchronously
+  await sleep(200);
+
+  // 1) Emit on A reaches a socket on B (the controller path: getIO().to(userId))
+  let received = nextEvent(bob, "notification");
+  nodeA.io.to(bobId).emit("notification", { title: "from A" });
+  check("A → bob on B", (await received)?.title === "from A");
+
+  // 2) And the other way round
+  received = nextEvent(alice, "notification");
+  nodeB.io.to(aliceId).emit("notification", { title: "from B" });
+  check("B → alice on A", (await received)?.title === "from B");
+
+  // 3) Multi-room emit reaches both nodes
+  const both = [nextEvent(alice, "presence"), nextEvent(bob, "presence")];
+  nodeA.io.to([aliceId, bobId]).emit("presence", { online: true });
+  const [toAlice, toBob] = await Promise.all(both);
+  check("A → [alice, bob] across nodes", toAlice?.online === true && toBob?.online === true);
+
+  // 4) Cluster-wide request/response
+  const sockets = await nodeA.io.fetchSockets();
+  check(`fetchSockets sees both nodes (${sockets.length}/2)`, sockets.length === 2);
+
+  // 5) Bus outage: local sockets still served, remote ones just miss out
+  if (!useRedis) {
+    busDown = true;
+    const local = nextEvent(alice, "notification");
+    const remote = nextEvent(bob, "notification", 500);
+    nodeA.io.to([aliceId, bobId]).emit("notification", { title: "bus down" });
+    check("bus down → local delivery still works", (await local)?.title === "bus down");
+    check("bus down → remote node not reached", (await remote) === null);
+
+    busDown = false;
+    received = nextEvent(bob, "notification");
+    nodeA.io.to(bobId).emit("notification", { title: "bus back" });
+    check("bus back → fan-out resumes", (await received)?.title === "bus back");
+  }
+
+  // 6) Without an adapter a node is single-node, as before
+  const solo = await startNode("solo", null);
+  const carol = await connect(solo, new mongoose.Types.ObjectId().toString());
+  check("no adapter → server still starts and accepts sockets", carol.connected);
+
+  alice.close();
+  bob.close();
+  carol.close();
+  await Promise.all([nodeA, nodeB, solo].map(node => node.io.close()));
+
+  if (failures) {
+    console.error(`❌ Socket cluster harness: ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log("🎉 Socket cluster harness passed");
+  process.exit(0);
+}
+
+simulateSocketCluster().catch(err => {
+  console.error("❌ Socket cluster harness error:", err);
+  process.exit(1);
+});
@@ -45,9 +45,46 @@ export const uploadToCloudinary = async (filePath, folder = "helpio") => {
   }
 };
 
-export const deleteFromCloudinary = async (publicId) => {
+// Generated documents (PDFs) go up as "raw" so Cloudinary serves them untouched.
+// Raw public IDs keep their extension, e.g. "invoice_123.pdf".
+// Pass type: "authenticated" for files that must not be publicly fetchable.
+export const uploadBufferToCloudinary = (
+  buffer,
+  { folder = "helpio", publicId, type = "upload" } = {}
+) =>
+  new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      {
+        folder,
+        public_id: publicId,
+        resource_type: "raw",
+        type,
+        overwrite: true,
+      },
+      (error, result) => {
+        if (error) {
+          console.error("🔥 Cloudinary Upload Error:", error.message);
+          return reject(new Error("Cloudinary upload failed"));
+        }
+        resolve(result);
+      }
+    );
+    stream.end(buffer);
+  });
+
+// Signed delivery URL for an authenticated raw file. Server-side use only:
+// the signature doesn't expire, so never hand this URL to a client.
+export const signedRawUrl = (publicId) =>
+  cloudinary.url(publicId, {
+    resource_type: "raw",
+    type: "authenticated",
+    sign_url: true,
+    secure: true,
+  });
+
+export const deleteFromCloudinary = async (publicId, options = {}) => {
   try {
-    return await cloudinary.uploader.destroy(publicId);
+    return await cloudinary.uploader.destroy(publicId, options);
   } catch (err) {
     console.error("🔥 Cloudinary Delete Error:", err.message);
     throw new Error("Cloudinary delete failed");
@@ -0,0 +1,589 @@
+// src/controllers/adminModerationController.js
+import ConversationReport, {
+  REPORT_ACTIONS,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+} from "../models/ConversationReport.js";
+import MessageFilterRule, {
+  FILTER_RULE_ACTIONS,
+  FILTER_RULE_KINDS,
+} from "../models/MessageFilterRule.js";
+import Review, { REVIEW_DECISIONS, REVIEW_FRAUD_SIGNALS } from "../models/Review.js";
+import ReviewFlag from "../models/ReviewFlag.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import Provider from "../models/Provider.js";
+import User from "../models/User.js";
+import { logAuditEvent } from "../utils/auditLogger.js";
+import {
+  compileFilterRule,
+  detectContactInfo,
+  invalidateFilterRuleCache,
+  matchFilterRules,
+} from "../utils/messageModeration.js";
+import { messagePreviewText } from "../utils/messageContent.js";
+import { refreshRatingAggregates } from "../utils/reviewRatings.js";
+import {
+  notifyProvider,
+  notifyUser,
+} from "../services/notifications/notificationService.js";
+import { getIO } from "../socket.js";
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const MAX_SUSPEND_DAYS = 365;
+const THREAD_CONTEXT_MESSAGES = 50;
+
+const audit = (req, type, metadata) =>
+  logAuditEvent({
+    actorId: req.user?._id || null,
+    type,
+    metadata,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"] || "",
+  });
+
+/* -------------------------------------------------------
+   REPORT QUEUE
+   GET /api/admin/moderation/reports
+   Query: status (default open), source, reason, page, limit
+------------------------------------------------------- */
+export const listReports = async (req, res) => {
+  try {
+    const { status = "open", source, reason, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (status !== "all") {
+      if (!REPORT_STATUSES.includes(status)) return sendError(res, 400, "Invalid status.");
+      filter.status = status;
+    }
+    if (source) filter.source = source;
+    if (reason) {
+      if (!REPORT_REASONS.includes(reason)) return sendError(res, 400, "Invalid reason.");
+      filter.reason = reason;
+    }
+
+    const numericLimit = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const numericPage = Math.max(Number(page) || 1, 1);
+
+    const [reports, total] = await Promise.all([
+      ConversationReport.find(filter)
+        .sort({ createdAt: status === "open" ? 1 : -1 }) // open: oldest first
+        .skip((numericPage - 1) * numericLimit)
+        .limit(numericLimit)
+        .populate("providerId", "businessName")
+        .populate("customerId", "name email")
+        .populate("reporterUserId", "name email")
+        .lean(),
+      ConversationReport.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      reports,
+      pagination: {
+        page: numericPage,
+        limit: numericLimit,
+        total,
+        pages: Math.ceil(total / numericLimit),
+      },
+    });
+  } catch (err) {
+    console.error("❌ listReports error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   REPORT DETAIL
+   GET /api/admin/moderation/reports/:id
+   The report, the reported messages and the latest
+   messages of the thread for context.
+------------------------------------------------------- */
+export const getReport = async (req, res) => {
+  try {
+    const report = await ConversationReport.findById(req.params.id)
+      .populate("providerId", "businessName user")
+      .populate("customerId", "name email messagingSuspendedUntil")
+      .populate("reporterUserId", "name email")
+      .lean();
+    if (!report) return sendError(res, 404, "Report not found.");
+
+    const conversationId = report.conversationId;
+    const [reportedMessages, thread, previousReports] = await Promise.all([
+      Message.find({ _id: { $in: report.messageIds } }).sort({ createdAt: 1 }).lean(),
+      Message.find({ conversationId })
+        .sort({ createdAt: -1 })
+        .limit(THREAD_CONTEXT_MESSAGES)
+        .lean(),
+      ConversationReport.countDocuments({
+        reportedId: report.reportedId,
+        _id: { $ne: report._id },
+      }),
+    ]);
+
+    return res.json({
+      success: true,
+      report,
+      reportedMessages,
+      thread: thread.reverse(),
+      previousReports,
+    });
+  } catch (err) {
+    console.error("❌ getReport error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/**
+ * User account behind a chat identity.
+ */
+const reportedUserId = async (report) => {
+  if (report.reportedRole === "customer") return report.reportedId;
+  const provider = await Provider.findById(report.reportedId).select("user").lean();
+  return provider?.user || null;
+};
+
+const notifyReported = (report, payload) =>
+  report.reportedRole === "provider"
+    ? notifyProvider(report.reportedId, payload)
+    : notifyUser(report.reportedId, payload);
+
+/**
+ * Tombstone the reported messages, same as delete-for-everyone.
+ */
+const removeReportedMessages = async (report) => {
+  const now = new Date();
+  const result = await Message.updateMany(
+    { _id: { $in: report.messageIds }, deletedAt: null },
+    {
+      $set: { deletedAt: now, text: "", imageUrls: [] },
+      $unset: { attachments: 1, location: 1, card: 1, editHistory: 1 },
+    }
+  );
+
+  const convo = await Conversation.findById(report.conversationId);
+  if (!convo) return result.modifiedCount;
+
+  const latest = await Message.findOne({ conversationId: convo._id }).sort({ createdAt: -1 }).lean();
+  if (latest && report.messageIds.some((id) => String(id) === String(latest._id))) {
+    convo.lastMessageText = messagePreviewText(latest);
+    await convo.save();
+  }
+
+  try {
+    const io = getIO();
+    report.messageIds.forEach((messageId) => {
+      io.to([String(convo._id), String(convo.providerId), String(convo.customerId)]).emit(
+        "messageDeleted",
+        { conversationId: String(convo._id), messageId: String(messageId), deletedAt: now }
+      );
+    });
+  } catch (err) {
+    console.log("Socket messageDeleted emit failed:", err.message);
+  }
+
+  return result.modifiedCount;
+};
+
+/* -------------------------------------------------------
+   RESOLVE REPORT
+   PATCH /api/admin/moderation/reports/:id
+   Body: { status: "actioned" | "dismissed",
+           action?: "none" | "warn" | "suspend_messaging" | "remove_messages",
+           suspendDays?: 1-365, note? }
+------------------------------------------------------- */
+export const resolveReport = async (req, res) => {
+  try {
+    const { status, action = "none", suspendDays, note = "" } = req.body || {};
+
+    if (!["actioned", "dismissed"].includes(status)) {
+      return sendError(res, 400, "status must be actioned or dismissed.");
+    }
+    if (!REPORT_ACTIONS.includes(action)) {
+      return sendError(res, 400, `action must be one of: ${REPORT_ACTIONS.join(", ")}.`);
+    }
+    if (status === "dismissed" && action !== "none") {
+      return sendError(res, 400, "Dismissed reports can't take an action.");
+    }
+    if (typeof note !== "string" || note.length > 2000) {
+      return sendError(res, 400, "note must be text up to 2000 characters.");
+    }
+
+    const days = Number(suspendDays);
+    if (action === "suspend_messaging" && (!Number.isFinite(days) || days < 1 || days > MAX_SUSPEND_DAYS)) {
+      return sendError(res, 400, `suspendDays must be between 1 and ${MAX_SUSPEND_DAYS}.`);
+    }
+
+    const report = await ConversationReport.findById(req.params.id);
+    if (!report) return sendError(res, 404, "Report not found.");
+    if (report.status !== "open") return sendError(res, 409, "Report is already resolved.");
+
+    const outcome = {};
+
+    if (action === "warn") {
+      await notifyReported(report, {
+        category: "system",
+        type: "moderation_warning",
+        title: "Messaging warning",
+        body: "A conversation you took part in was reported and reviewed. Please keep messages respectful and payments on Helpio.",
+        data: { type: "moderation", conversationId: String(report.conversationId) },
+      });
+    }
+
+    if (action === "suspend_messaging") {
+      const userId = await reportedUserId(report);
+      if (!userId) return sendError(res, 404, "Reported account not found.");
+
+      const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+      await User.updateOne({ _id: userId }, { $set: { messagingSuspendedUntil: until } });
+      outcome.messagingSuspendedUntil = until;
+    }
+
+    if (action === "remove_messages") {
+      outcome.removedMessages = await removeReportedMessages(report);
+    }
+
+    report.status = status;
+    report.resolution = { action, note: note.trim(), by: req.user._id, at: new Date() };
+    await report.save();
+
+    audit(req, "moderation.report_resolved", {
+      reportId: String(report._id),
+      conversationId: String(report.conversationId),
+      reportedId: String(report.reportedId),
+      status,
+      action,
+      ...outcome,
+    });
+
+    return res.json({ success: true, report, ...outcome });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ resolveReport error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   REVIEW QUEUE
+   GET /api/admin/moderation/reviews
+   Query: status (published | held), signal, page, limit
+   Riskiest first, then most flagged.
+------------------------------------------------------- */
+export const listReviewQueue = async (req, res) => {
+  try {
+    const { status, signal, page = 1, limit = 50 } = req.query;
+
+    const filter = { "moderation.queued": true };
+    if (status) {
+      if (!["published", "held"].includes(status)) return sendError(res, 400, "Invalid status.");
+      filter.status = status;
+    } else {
+      filter.status = { $ne: "removed" };
+    }
+    if (signal) {
+      if (!REVIEW_FRAUD_SIGNALS.includes(signal)) return sendError(res, 400, "Invalid signal.");
+      filter["moderation.signals.code"] = signal;
+    }
+
+    const numericLimit = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const numericPage = Math.max(Number(page) || 1, 1);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .select("-editHistory")
+        .sort({ "moderation.riskScore": -1, "moderation.flagCount": -1, "moderation.queuedAt": 1 })
+        .skip((numericPage - 1) * numericLimit)
+        .limit(numericLimit)
+        .populate("user", "name email createdAt")
+        .populate("provider", "businessName")
+        .populate("service", "title")
+        .lean(),
+      Review.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      reviews,
+      pagination: {
+        page: numericPage,
+        limit: numericLimit,
+        total,
+        pages: Math.ceil(total / numericLimit),
+      },
+    });
+  } catch (err) {
+    console.error("❌ listReviewQueue error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   REVIEW CASE
+   GET /api/admin/moderation/reviews/:id
+   The review (incl. IP / device), its flags, edits and the
+   reviewer's other reviews.
+------------------------------------------------------- */
+export const getReviewCase = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id)
+      .select("+ip +fingerprintId")
+      .populate("user", "name email createdAt")
+      .populate("provider", "businessName user")
+      .populate("service", "title")
+      .populate("moderation.resolution.by", "name email")
+      .lean();
+    if (!review) return sendError(res, 404, "Review not found.");
+
+    const [flags, otherReviews, sameDeviceReviews] = await Promise.all([
+      ReviewFlag.find({ review: review._id })
+        .sort({ createdAt: 1 })
+        .populate("user", "name email")
+        .lean(),
+      Review.find({ user: review.user?._id, _id: { $ne: review._id } })
+        .select("provider service rating status createdAt")
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .populate("provider", "businessName")
+        .lean(),
+      review.fingerprintId
+        ? Review.countDocuments({ fingerprintId: review.fingerprintId, _id: { $ne: review._id } })
+        : 0,
+    ]);
+
+    return res.json({ success: true, review, flags, otherReviews, sameDeviceReviews });
+  } catch (err) {
+    console.error("❌ getReviewCase error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   RESOLVE REVIEW
+   PATCH /api/admin/moderation/reviews/:id
+   Body: { decision: "approve" | "remove", note? }
+   approve publishes a held review; both take it out of
+   the queue and refresh the ratings.
+------------------------------------------------------- */
+export const resolveReview = async (req, res) => {
+  try {
+    const { decision, note = "" } = req.body || {};
+
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      return sendError(res, 400, `decision must be one of: ${REVIEW_DECISIONS.join(", ")}.`);
+    }
+    if (typeof note !== "string" || note.length > 2000) {
+      return sendError(res, 400, "note must be text up to 2000 characters.");
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) return sendError(res, 404, "Review not found.");
+    if (review.status === "removed") return sendError(res, 409, "Review is already removed.");
+
+    const previousStatus = review.status;
+    review.status = decision === "approve" ? "published" : "removed";
+    review.moderation.queued = false;
+    review.moderation.resolution = { decision, note: note.trim(), by: req.user._id, at: new Date() };
+    await review.save();
+
+    await refreshRatingAggregates({ listingId: review.service, providerId: review.provider });
+
+    if (decision === "remove") {
+      notifyUser(review.user, {
+        category: "system",
+        type: "review_removed",
+        title: "Review removed",
+        body: "A review you posted was removed because it didn't meet our review guidelines.",
+        data: { type: "review", reviewId: String(review._id) },
+      }).catch((err) => console.error("❌ Review removal notification failed:", err.message));
+    }
+
+    audit(req, "moderation.review_resolved", {
+      reviewId: String(review._id),
+      providerId: String(review.provider),
+      reviewerId: String(review.user),
+      decision,
+      previousStatus,
+      riskScore: review.moderation.riskScore,
+      signals: (review.moderation.signals || []).map((s) => s.code),
+      flagCount: review.moderation.flagCount,
+    });
+
+    return res.json({ success: true, review });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ resolveReview error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   FILTER RULES (blocklist)
+------------------------------------------------------- */
+
+/**
+ * Validate a rule body; `existing` fills in unchanged
+ * fields on update so the pattern is always re-checked.
+ * @returns {{ update, error }}
+ */
+const readRuleBody = (body = {}, existing = null) => {
+  const update = {};
+
+  if (body.kind !== undefined) {
+    if (!FILTER_RULE_KINDS.includes(body.kind)) return { error: "kind must be keyword or regex." };
+    update.kind = body.kind;
+  }
+  if (body.action !== undefined) {
+    if (!FILTER_RULE_ACTIONS.includes(body.action)) return { error: "action must be block or flag." };
+    update.action = body.action;
+  }
+  if (body.pattern !== undefined) {
+    if (typeof body.pattern !== "string" || !body.pattern.trim()) {
+      return { error: "pattern is required." };
+    }
+    update.pattern = body.pattern.trim();
+  }
+  if (body.label !== undefined) {
+    if (typeof body.label !== "string") return { error: "label must be text." };
+    update.label = body.label;
+  }
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== "boolean") return { error: "isActive must be true or false." };
+    update.isActive = body.isActive;
+  }
+
+  const kind = update.kind || existing?.kind || "keyword";
+  const pattern = update.pattern ?? existing?.pattern;
+  if (!pattern) return { error: "pattern is required." };
+  try {
+    compileFilterRule({ kind, pattern });
+  } catch (err) {
+    return { error: `Invalid regex: ${err.message}` };
+  }
+
+  return { update };
+};
+
+/* -------------------------------------------------------
+   GET /api/admin/moderation/rules
+------------------------------------------------------- */
+export const listFilterRules = async (req, res) => {
+  try {
+    const rules = await MessageFilterRule.find().sort({ createdAt: -1 }).lean();
+    return res.json({ success: true, rules });
+  } catch (err) {
+    console.error("❌ listFilterRules error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   POST /api/admin/moderation/rules
+   Body: { pattern, kind?, action?, label?, isActive? }
+------------------------------------------------------- */
+export const createFilterRule = async (req, res) => {
+  try {
+    const { update, error } = readRuleBody(req.body);
+    if (error) return sendError(res, 400, error);
+
+    const rule = await MessageFilterRule.create({ ...update, createdBy: req.user._id });
+    invalidateFilterRuleCache();
+
+    audit(req, "moderation.rule_created", { ruleId: String(rule._id), ...update });
+
+    return res.status(201).json({ success: true, rule });
+  } catch (err) {
+    if (err?.code === 11000) return sendError(res, 409, "That rule already exists.");
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ createFilterRule error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   PUT /api/admin/moderation/rules/:id
+------------------------------------------------------- */
+export const updateFilterRule = async (req, res) => {
+  try {
+    const existing = await MessageFilterRule.findById(req.params.id).lean();
+    if (!existing) return sendError(res, 404, "Rule not found.");
+
+    const { update, error } = readRuleBody(req.body, existing);
+    if (error) return sendError(res, 400, error);
+
+    const rule = await MessageFilterRule.findByIdAndUpdate(
+      existing._id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).lean();
+    invalidateFilterRuleCache();
+
+    audit(req, "moderation.rule_updated", { ruleId: String(rule._id), ...update });
+
+    return res.json({ success: true, rule });
+  } catch (err) {
+    if (err?.code === 11000) return sendError(res, 409, "That rule already exists.");
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ updateFilterRule error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   DELETE /api/admin/moderation/rules/:id
+------------------------------------------------------- */
+export const deleteFilterRule = async (req, res) => {
+  try {
+    const rule = await MessageFilterRule.findByIdAndDelete(req.params.id).lean();
+    if (!rule) return sendError(res, 404, "Rule not found.");
+    invalidateFilterRuleCache();
+
+    audit(req, "moderation.rule_deleted", {
+      ruleId: String(rule._id),
+      kind: rule.kind,
+      pattern: rule.pattern,
+    });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("❌ deleteFilterRule error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   TRY RULES AGAINST A SAMPLE
+   POST /api/admin/moderation/rules/test
+   Body: { text, pattern?, kind? } — pattern tests an
+   unsaved rule alongside the live ones
+------------------------------------------------------- */
+export const testFilterRules = async (req, res) => {
+  try {
+    const { text, pattern, kind = "keyword" } = req.body || {};
+    if (typeof text !== "string" || !text.trim()) return sendError(res, 400, "text is required.");
+
+    const matches = (await matchFilterRules(text)).map(({ id, action, label }) => ({ id, action, label }));
+
+    let candidate = null;
+    if (pattern !== undefined) {
+      if (!FILTER_RULE_KINDS.includes(kind)) return sendError(res, 400, "kind must be keyword or regex.");
+      try {
+        candidate = compileFilterRule({ kind, pattern: String(pattern) }).test(text);
+      } catch (err) {
+        return sendError(res, 400, `Invalid regex: ${err.message}`);
+      }
+    }
+
+    return res.json({
+      success: true,
+      matches,
+      candidateMatches: candidate,
+      contactInfo: detectContactInfo(text),
+    });
+  } catch (err) {
+    console.error("❌ testFilterRules error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
@@ -0,0 +1,293 @@
+// src/controllers/adminSearchController.js
+import SearchSynonym from "../models/SearchSynonym.js";
+import Category from "../models/Category.js";
+import { logAuditEvent } from "../utils/auditLogger.js";
+import { invalidateSearchDictionary } from "../utils/searchDictionary.js";
+import { normalize } from "../utils/searchExpand.js";
+import {
+  expandMarketplaceQuery,
+  invalidateSearchIndex,
+  parseSearchParams,
+  searchMarketplace,
+} from "../utils/marketplaceSearch.js";
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const PREVIEW_RESULTS = 5;
+
+const audit = (req, type, metadata) =>
+  logAuditEvent({
+    actorId: req.user?._id || null,
+    type,
+    metadata,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"] || "",
+  });
+
+const escapeRegex = (text = "") => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Normalized, de-duplicated term list, or null if invalid.
+ */
+const readTerms = (value) => {
+  if (!Array.isArray(value) || !value.every((t) => typeof t === "string")) return null;
+  return [...new Set(value.map(normalize).filter(Boolean))];
+};
+
+/**
+ * Validate a dictionary entry body; `existing` fills in
+ * unchanged fields on update so the entry stays usable.
+ * @returns {Promise<{ update, error }>}
+ */
+const readSynonymBody = async (body = {}, existing = null) => {
+  const update = {};
+
+  if (body.key !== undefined) {
+    if (typeof body.key !== "string" || !/^[a-z0-9_-]{2,60}$/.test(body.key.trim().toLowerCase())) {
+      return { error: "key must be 2-60 of a-z, 0-9, _ or -." };
+    }
+    update.key = body.key.trim().toLowerCase();
+  }
+  if (body.label !== undefined) {
+    if (typeof body.label !== "string") return { error: "label must be text." };
+    update.label = body.label.trim();
+  }
+  if (body.city !== undefined) {
+    if (body.city !== null && typeof body.city !== "string") return { error: "city must be text or null." };
+    update.city = body.city ? normalize(body.city) || null : null;
+  }
+
+  for (const field of ["triggers", "expand"]) {
+    if (body[field] === undefined) continue;
+    const terms = readTerms(body[field]);
+    if (!terms) return { error: `${field} must be a list of text terms.` };
+    update[field] = terms;
+  }
+
+  // Boosts are Category slugs
+  if (body.categoryBoost !== undefined) {
+    if (!Array.isArray(body.categoryBoost) || !body.categoryBoost.every((t) => typeof t === "string")) {
+      return { error: "categoryBoost must be a list of category slugs." };
+    }
+    update.categoryBoost = [...new Set(body.categoryBoost.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+    const found = await Category.find({ slug: { $in: update.categoryBoost } }).distinct("slug");
+    const unknown = update.categoryBoost.filter((slug) => !found.includes(slug));
+    if (unknown.length) return { error: `Unknown category slug(s): ${unknown.join(", ")}.` };
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== "boolean") return { error: "isActive must be true or false." };
+    update.isActive = body.isActive;
+  }
+
+  const key = update.key ?? existing?.key;
+  const triggers = update.triggers ?? existing?.triggers ?? [];
+  const isActive = update.isActive ?? existing?.isActive ?? true;
+
+  if (!key) return { error: "key is required." };
+  // Inactive city entries only switch the global intent off
+  if (isActive && !triggers.length) return { error: "triggers needs at least one term." };
+
+  return { update };
+};
+
+/* -------------------------------------------------------
+   LIST DICTIONARY
+   GET /api/admin/search/synonyms
+   Query: city ("global" for entries without one),
+          active (true | false), q (key / label / term)
+------------------------------------------------------- */
+export const listSynonyms = async (req, res) => {
+  try {
+    const { city, active, q } = req.query;
+
+    const filter = {};
+    if (city) filter.city = city === "global" ? null : normalize(city);
+    if (active === "true" || active === "false") filter.isActive = active === "true";
+    if (q) {
+      const re = new RegExp(escapeRegex(String(q).trim().slice(0, 100)), "i");
+      filter.$or = [{ key: re }, { label: re }, { triggers: re }, { expand: re }];
+    }
+
+    const synonyms = await SearchSynonym.find(filter).sort({ key: 1, city: 1 }).lean();
+    return res.json({ success: true, synonyms });
+  } catch (err) {
+    console.error("❌ listSynonyms error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   POST /api/admin/search/synonyms
+   Body: { key, triggers, expand?, categoryBoost?, city?,
+           label?, isActive? }
+------------------------------------------------------- */
+export const createSynonym = async (req, res) => {
+  try {
+    const { update, error } = await readSynonymBody(req.body);
+    if (error) return sendError(res, 400, error);
+
+    const synonym = await SearchSynonym.create({
+      ...update,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await invalidateSearchDictionary();
+
+    audit(req, "search.synonym_created", { synonymId: String(synonym._id), ...update });
+
+    return res.status(201).json({ success: true, synonym });
+  } catch (err) {
+    if (err?.code === 11000) return sendError(res, 409, "An entry with that key already exists for this city.");
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ createSynonym error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   PUT /api/admin/search/synonyms/:id
+------------------------------------------------------- */
+export const updateSynonym = async (req, res) => {
+  try {
+    const existing = await SearchSynonym.findById(req.params.id).lean();
+    if (!existing) return sendError(res, 404, "Entry not found.");
+
+    const { update, error } = await readSynonymBody(req.body, existing);
+    if (error) return sendError(res, 400, error);
+
+    const synonym = await SearchSynonym.findByIdAndUpdate(
+      existing._id,
+      { $set: { ...update, updatedBy: req.user._id } },
+      { new: true, runValidators: true }
+    ).lean();
+    await invalidateSearchDictionary();
+
+    audit(req, "search.synonym_updated", {
+      synonymId: String(synonym._id),
+      before: {
+        key: existing.key,
+        city: existing.city,
+        triggers: existing.triggers,
+        expand: existing.expand,
+        categoryBoost: existing.categoryBoost,
+        isActive: existing.isActive,
+      },
+      ...update,
+    });
+
+    return res.json({ success: true, synonym });
+  } catch (err) {
+    if (err?.code === 11000) return sendError(res, 409, "An entry with that key already exists for this city.");
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ updateSynonym error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   DELETE /api/admin/search/synonyms/:id
+------------------------------------------------------- */
+export const deleteSynonym = async (req, res) => {
+  try {
+    const synonym = await SearchSynonym.findByIdAndDelete(req.params.id).lean();
+    if (!synonym) return sendError(res, 404, "Entry not found.");
+    await invalidateSearchDictionary();
+
+    audit(req, "search.synonym_deleted", {
+      synonymId: String(synonym._id),
+      key: synonym.key,
+      city: synonym.city,
+      triggers: synonym.triggers,
+    });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("❌ deleteSynonym error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   TRY A QUERY
+   POST /api/admin/search/test
+   Body: { q, city?, rule?: { triggers, expand?,
+           categoryBoost? }, preview?: true }
+   Shows how search expands `q` — corrections, terms,
+   matched intents, boosted categories. `rule` tries an
+   unsaved entry first; `preview` adds the top listings.
+------------------------------------------------------- */
+export const testSearchQuery = async (req, res) => {
+  try {
+    const { q, city = null, rule, preview = false } = req.body || {};
+    if (typeof q !== "string" || !q.trim()) return sendError(res, 400, "q is required.");
+    if (city !== null && typeof city !== "string") return sendError(res, 400, "city must be text.");
+
+    const extraRules = [];
+    if (rule !== undefined) {
+      const triggers = readTerms(rule?.triggers);
+      const expand = rule?.expand === undefined ? [] : readTerms(rule.expand);
+      const categoryBoost = rule?.categoryBoost === undefined ? [] : readTerms(rule.categoryBoost);
+      if (!triggers?.length || !expand || !categoryBoost) {
+        return sendError(res, 400, "rule needs triggers (and optional expand / categoryBoost) as text lists.");
+      }
+      extraRules.push({ key: "candidate", triggers, expand, categoryBoost });
+    }
+
+    const { expansion } = await expandMarketplaceQuery(q, { city, extraRules });
+
+    const dictionaryKeys = expansion.matchedRules
+      .filter((key) => key.startsWith("dictionary:"))
+      .map((key) => key.slice("dictionary:".length));
+    const matchedEntries = dictionaryKeys.length
+      ? await SearchSynonym.find({
+          key: { $in: dictionaryKeys },
+          city: { $in: [null, city ? normalize(city) : null] },
+        })
+          .select("key label city")
+          .lean()
+      : [];
+
+    let results = null;
+    if (preview === true) {
+      if (extraRules.length) {
+        return sendError(res, 400, "preview can't be combined with an unsaved rule.");
+      }
+      const params = parseSearchParams({ q, city, type: "listings", limit: PREVIEW_RESULTS });
+      const { listings } = await searchMarketplace(params);
+      results = listings.results.map(({ _id, title, category, score }) => ({ _id, title, category, score }));
+    }
+
+    return res.json({
+      success: true,
+      expansion,
+      matchedEntries,
+      candidateMatches: extraRules.length ? expansion.matchedRules.includes("candidate") : null,
+      results,
+    });
+  } catch (err) {
+    if (err?.statusCode) return sendError(res, err.statusCode, err.message);
+    console.error("❌ testSearchQuery error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   POST /api/admin/search/cache/invalidate
+   Reload the dictionary everywhere and the category /
+   vocabulary index on this instance.
+------------------------------------------------------- */
+export const invalidateSearchCaches = async (req, res) => {
+  try {
+    await invalidateSearchDictionary();
+    invalidateSearchIndex();
+
+    audit(req, "search.cache_invalidated", {});
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("❌ invalidateSearchCaches error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
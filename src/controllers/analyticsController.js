@@ -4,6 +4,7 @@ import Provider from "../models/Provider.js";
 import Invoice from "../models/Invoice.js";
 import Customer from "../models/Customer.js";
 import LedgerEntry from "../models/LedgerEntry.js";
+import { getProviderMetrics } from "../utils/providerMetrics.js";
 
 
 
@@ -224,6 +225,14 @@ const [
   }),
 ]);
 
+
+
+/* ---------------------------
+   LEADS — response time + conversion (30 days, nightly rollup)
+--------------------------- */
+
+const responseMetrics = await getProviderMetrics(provider._id);
+
     return res.json({
       success: true,
       analytics: {
@@ -239,6 +248,7 @@ const [
         totalInvoices,
         totalTransactions,
         totalClients,
+        responseMetrics,
       }
       });
 
@@ -0,0 +1,109 @@
+// src/controllers/autoReplyController.js
+import Provider from "../models/Provider.js";
+import { unknownReplyVariables } from "../utils/replyTemplates.js";
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const BOOLEAN_FIELDS = ["enabled", "away"];
+const MESSAGE_FIELDS = ["afterHoursMessage", "awayMessage"];
+
+/* -------------------------------------------------------
+   GET AUTO-REPLY SETTINGS
+   GET /api/messages/auto-reply/me
+   Includes responseStats (first-response time).
+------------------------------------------------------- */
+export const getMyAutoReply = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const provider = await Provider.findById(req.user.providerId)
+      .select("autoReply responseStats")
+      .lean();
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    return res.json({
+      success: true,
+      autoReply: provider.autoReply || {},
+      responseStats: provider.responseStats || {},
+    });
+  } catch (err) {
+    console.error("❌ getMyAutoReply error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   UPDATE AUTO-REPLY SETTINGS
+   PUT /api/messages/auto-reply/me
+   Body (all optional): { enabled, afterHoursMessage,
+     away, awayUntil: ISO date | null, awayMessage }
+------------------------------------------------------- */
+export const updateMyAutoReply = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const body = req.body || {};
+    const update = {};
+
+    for (const field of BOOLEAN_FIELDS) {
+      if (body[field] === undefined) continue;
+      if (typeof body[field] !== "boolean") {
+        return sendError(res, 400, `${field} must be true or false`);
+      }
+      update[`autoReply.${field}`] = body[field];
+    }
+
+    for (const field of MESSAGE_FIELDS) {
+      if (body[field] === undefined) continue;
+      if (typeof body[field] !== "string" || !body[field].trim()) {
+        return sendError(res, 400, `${field} must be non-empty text`);
+      }
+      const unknown = unknownReplyVariables(body[field]);
+      if (unknown.length) {
+        return sendError(
+          res,
+          400,
+          `Unknown variable(s) in ${field}: ${unknown.map((v) => `{${v}}`).join(", ")}`
+        );
+      }
+      update[`autoReply.${field}`] = body[field];
+    }
+
+    if (body.awayUntil !== undefined) {
+      if (body.awayUntil === null) {
+        update["autoReply.awayUntil"] = null;
+      } else {
+        const until = new Date(body.awayUntil);
+        if (Number.isNaN(until.getTime())) {
+          return sendError(res, 400, "awayUntil must be a date or null");
+        }
+        update["autoReply.awayUntil"] = until;
+      }
+    }
+
+    const provider = await Provider.findByIdAndUpdate(
+      req.user.providerId,
+      { $set: update },
+      { new: true, runValidators: true }
+    )
+      .select("autoReply responseStats")
+      .lean();
+
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    return res.json({
+      success: true,
+      autoReply: provider.autoReply,
+      responseStats: provider.responseStats || {},
+    });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ updateMyAutoReply error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
@@ -0,0 +1,278 @@
+// src/controllers/availabilityController.js
+import mongoose from "mongoose";
+import ProviderAvailability from "../models/ProviderAvailability.js";
+import Listing from "../models/Listing.js";
+import Booking from "../models/Booking.js";
+import {
+  MAX_SLOT_RANGE_DAYS,
+  computeOpenSlots,
+  isValidTimeZone,
+  parseLocalDate,
+  resolveSlotSettings,
+  toLocalDateString,
+} from "../utils/availabilitySlots.js";
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const NUMERIC_FIELDS = [
+  "defaultDurationMinutes",
+  "defaultBufferMinutes",
+  "slotIntervalMinutes",
+  "minNoticeMinutes",
+  "maxAdvanceDays",
+];
+
+const requireProvider = (req, res) => {
+  if (!req.user?.providerId) {
+    sendError(res, 403, "Provider access required.");
+    return null;
+  }
+  return req.user.providerId;
+};
+
+const normalizeWeeklyHours = (input) => {
+  if (!Array.isArray(input)) return null;
+
+  const windows = [];
+  for (const w of input) {
+    const dayOfWeek = Number(w?.dayOfWeek);
+    const start = String(w?.start || "");
+    const end = String(w?.end || "");
+
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) return null;
+    if (!HHMM.test(start) || !HHMM.test(end) || start >= end) return null;
+
+    windows.push({ dayOfWeek, start, end });
+  }
+  return windows;
+};
+
+/* -------------------------------------------------------
+   GET MY AVAILABILITY (provider)
+   GET /api/availability/me
+   Returns unsaved defaults when nothing is configured yet.
+------------------------------------------------------- */
+export const getMyAvailability = async (req, res) => {
+  try {
+    const providerId = requireProvider(req, res);
+    if (!providerId) return;
+
+    const availability =
+      (await ProviderAvailability.findOne({ provider: providerId })) ||
+      new ProviderAvailability({ provider: providerId });
+
+    return res.json({
+      success: true,
+      availability,
+      configured: !availability.isNew,
+    });
+  } catch (err) {
+    console.error("❌ getMyAvailability error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   UPDATE MY AVAILABILITY (provider)
+   PUT /api/availability/me
+------------------------------------------------------- */
+export const updateMyAvailability = async (req, res) => {
+  try {
+    const providerId = requireProvider(req, res);
+    if (!providerId) return;
+
+    const body = req.body || {};
+    const update = {};
+
+    if (body.timezone !== undefined) {
+      if (!isValidTimeZone(body.timezone)) {
+        return sendError(res, 400, "Invalid timezone");
+      }
+      update.timezone = body.timezone;
+    }
+
+    if (body.weeklyHours !== undefined) {
+      const weeklyHours = normalizeWeeklyHours(body.weeklyHours);
+      if (!weeklyHours) {
+        return sendError(
+          res,
+          400,
+          "weeklyHours must be [{ dayOfWeek: 0-6, start: 'HH:MM', end: 'HH:MM' }]"
+        );
+      }
+      update.weeklyHours = weeklyHours;
+    }
+
+    NUMERIC_FIELDS.forEach((field) => {
+      if (body[field] === undefined) return;
+      const n = Number(body[field]);
+      if (Number.isFinite(n)) update[field] = Math.round(n);
+    });
+
+    if (body.acceptingBookings !== undefined) {
+      update.acceptingBookings = !!body.acceptingBookings;
+    }
+
+    const availability = await ProviderAvailability.findOneAndUpdate(
+      { provider: providerId },
+      { $set: update, $setOnInsert: { provider: providerId } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    return res.json({ success: true, availability });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ updateMyAvailability error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   ADD TIME OFF (provider)
+   POST /api/availability/me/time-off
+------------------------------------------------------- */
+export const addTimeOff = async (req, res) => {
+  try {
+    const providerId = requireProvider(req, res);
+    if (!providerId) return;
+
+    const start = new Date(req.body?.start);
+    const end = new Date(req.body?.end);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return sendError(res, 400, "Valid start and end are required");
+    }
+    if (end <= start) return sendError(res, 400, "end must be after start");
+
+    const availability = await ProviderAvailability.findOneAndUpdate(
+      { provider: providerId },
+      {
+        $push: {
+          timeOff: {
+            start,
+            end,
+            reason: String(req.body?.reason || "").slice(0, 200),
+          },
+        },
+        $setOnInsert: { provider: providerId },
+      },
+      { new: true, upsert: true }
+    );
+
+    return res.status(201).json({ success: true, availability });
+  } catch (err) {
+    console.error("❌ addTimeOff error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   REMOVE TIME OFF (provider)
+   DELETE /api/availability/me/time-off/:timeOffId
+------------------------------------------------------- */
+export const removeTimeOff = async (req, res) => {
+  try {
+    const providerId = requireProvider(req, res);
+    if (!providerId) return;
+
+    const availability = await ProviderAvailability.findOneAndUpdate(
+      { provider: providerId, "timeOff._id": req.params.timeOffId },
+      { $pull: { timeOff: { _id: req.params.timeOffId } } },
+      { new: true }
+    );
+
+    if (!availability) return sendError(res, 404, "Time off not found");
+
+    return res.json({ success: true, availability });
+  } catch (err) {
+    console.error("❌ removeTimeOff error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   OPEN SLOTS FOR A LISTING (public)
+   GET /api/availability/listings/:listingId/slots?from=YYYY-MM-DD&to=YYYY-MM-DD
+   Dates are interpreted in the provider's timezone.
+------------------------------------------------------- */
+export const getListingSlots = async (req, res) => {
+  try {
+    const { listingId } = req.params;
+    if (!isValidId(listingId)) return sendError(res, 400, "Invalid listing ID");
+
+    const listing = await Listing.findById(listingId)
+      .select("_id provider isActive durationMinutes bufferMinutes")
+      .lean();
+
+    if (!listing || listing.isActive === false) {
+      return sendError(res, 404, "Listing not found");
+    }
+
+    const availability = await ProviderAvailability.findOne({
+      provider: listing.provider,
+    }).lean();
+
+    if (!availability) {
+      return res.json({
+        success: true,
+        configured: false,
+        timezone: null,
+        slots: [],
+      });
+    }
+
+    const timeZone = isValidTimeZone(availability.timezone)
+      ? availability.timezone
+      : "UTC";
+
+    const today = parseLocalDate(toLocalDateString(new Date(), timeZone));
+    const from = req.query.from ? parseLocalDate(req.query.from) : today;
+    if (!from) return sendError(res, 400, "from must be YYYY-MM-DD");
+
+    const fromMs = Date.UTC(from.year, from.month - 1, from.day);
+    let to;
+    if (req.query.to) {
+      to = parseLocalDate(req.query.to);
+      if (!to) return sendError(res, 400, "to must be YYYY-MM-DD");
+    } else {
+      const d = new Date(fromMs + 6 * 24 * 60 * 60 * 1000);
+      to = { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+    }
+
+    const toMs = Date.UTC(to.year, to.month - 1, to.day);
+    const rangeDays = Math.round((toMs - fromMs) / (24 * 60 * 60 * 1000)) + 1;
+
+    if (rangeDays < 1) return sendError(res, 400, "to must not be before from");
+    if (rangeDays > MAX_SLOT_RANGE_DAYS) {
+      return sendError(res, 400, `Range cannot exceed ${MAX_SLOT_RANGE_DAYS} days`);
+    }
+
+    // Pad by a day on each side to cover any timezone offset
+    const busy = await Booking.find({
+      provider: listing.provider,
+      status: { $in: ["confirmed", "in_progress"] },
+      scheduledStart: { $lt: new Date(toMs + 2 * 24 * 60 * 60 * 1000) },
+      scheduledEnd: { $gt: new Date(fromMs - 24 * 60 * 60 * 1000) },
+    })
+      .select("scheduledStart scheduledEnd")
+      .lean();
+
+    const slots = computeOpenSlots({ availability, listing, from, to, busy });
+
+    return res.json({
+      success: true,
+      configured: true,
+      timezone: timeZone,
+      ...resolveSlotSettings(availability, listing),
+      slots,
+    });
+  } catch (err) {
+    console.error("❌ getListingSlots error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
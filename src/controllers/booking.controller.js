@@ -1,25 +1,852 @@
 // src/controllers/booking.controller.js
-const Booking = require('../models/Booking');
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import BookingCalendarLock from "../models/BookingCalendarLock.js";
+import Listing from "../models/Listing.js";
+import Provider from "../models/Provider.js";
+import Conversation from "../models/Conversation.js";
+import ProviderAvailability from "../models/ProviderAvailability.js";
+import { getIO } from "../socket.js";
+import { emitMessageCardUpdate } from "../utils/messageContent.js";
+import {
+  assertTransition,
+  getAllowedTransitions,
+} from "../utils/bookingStateMachine.js";
+import { isSlotOpen, resolveSlotSettings } from "../utils/availabilitySlots.js";
+import {
+  computeDepositCents,
+  authorizeBookingDeposit,
+  confirmBookingDepositAuthorization,
+  settleBookingDeposit,
+} from "../services/helpioPay/bookingDepositService.js";
 
-exports.createBooking = async (req, res, next) => {
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const parsePositiveInt = (value, defaultValue, max) => {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n) || n <= 0) return defaultValue;
+  if (max && n > max) return max;
+  return n;
+};
+
+const conflictError = (message) => {
+  const err = new Error(message);
+  err.statusCode = 409;
+  return err;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+/**
+ * Which side of THIS booking the caller is on.
+ * Provider side wins so a provider booking another provider
+ * is still treated as a customer on that booking.
+ */
+const getActor = (req, booking) => {
+  if (
+    req.user?.providerId &&
+    String(booking.provider) === String(req.user.providerId)
+  ) {
+    return "provider";
+  }
+  if (req.user?._id && String(booking.customer) === String(req.user._id)) {
+    return "customer";
+  }
+  return null;
+};
+
+/**
+ * Any active booking on the provider's calendar overlapping [start, end)
+ */
+const findOverlappingBooking = ({ providerId, start, end, excludeId, session = null }) =>
+  Booking.findOne({
+    provider: providerId,
+    status: { $in: ["confirmed", "in_progress"] },
+    scheduledStart: { $lt: end },
+    scheduledEnd: { $gt: start },
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  })
+    .select("_id scheduledStart scheduledEnd")
+    .session(session)
+    .lean();
+
+/**
+ * Runs fn(session) in a transaction that first bumps the provider's
+ * calendar lock. Two of these for the same provider write-conflict,
+ * so one retries and sees the other's booking — an overlap check and
+ * the write after it can't interleave with another one.
+ */
+const withProviderCalendar = async (providerId, fn) => {
+  // Created outside the transaction — a duplicate-key race would abort it
+  try {
+    await BookingCalendarLock.updateOne(
+      { provider: providerId },
+      { $setOnInsert: { version: 0 } },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    // withTransaction may run this more than once
+    await session.withTransaction(async () => {
+      await BookingCalendarLock.updateOne(
+        { provider: providerId },
+        { $inc: { version: 1 } },
+        { session }
+      );
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+const emitBookingUpdate = (booking) => {
+  try {
+    const io = getIO();
+    const payload = {
+      bookingId: booking._id,
+      status: booking.status,
+      scheduledStart: booking.scheduledStart,
+      scheduledEnd: booking.scheduledEnd,
+    };
+    io.to(String(booking.provider)).emit("bookingUpdated", payload);
+    io.to(String(booking.customer)).emit("bookingUpdated", payload);
+  } catch (err) {
+    console.log("Socket booking emit failed:", err.message);
+  }
+  emitMessageCardUpdate("booking", booking._id);
+};
+
+/**
+ * Atomically moves a booking from its current status to `to`.
+ * The status guard in the filter means two concurrent requests
+ * can never both apply the same transition.
+ * Inside a transaction (session) the caller emits after commit.
+ */
+const transitionBooking = async ({
+  booking,
+  to,
+  actor,
+  reason = "",
+  set = {},
+  session = null,
+}) => {
+  assertTransition(booking.status, to, actor);
+
+  const now = new Date();
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: booking.status },
+    {
+      $set: { status: to, ...set },
+      $push: {
+        statusHistory: { from: booking.status, to, by: actor, reason, at: now },
+      },
+    },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw conflictError("Booking was updated by someone else. Refresh and try again.");
+  }
+
+  if (!session) emitBookingUpdate(updated);
+  return updated;
+};
+
+const loadBookingForActor = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    sendError(res, 400, "Invalid booking ID");
+    return {};
+  }
+
+  const booking = await Booking.findById(id);
+  if (!booking) {
+    sendError(res, 404, "Booking not found");
+    return {};
+  }
+
+  const actor = getActor(req, booking);
+  if (!actor) {
+    sendError(res, 404, "Booking not found");
+    return {};
+  }
+
+  return { booking, actor };
+};
+
+const getBookingPolicy = async (providerId) => {
+  const provider = await Provider.findById(providerId).select("bookingPolicy").lean();
+  return provider?.bookingPolicy || {};
+};
+
+/**
+ * Deposit capture / forfeit / release after a final transition.
+ * Never fails the transition itself — errors land on deposit.lastError.
+ */
+const settleDepositAfterTransition = async (booking, actor) => {
+  if (!booking.deposit?.required) return booking;
+  try {
+    const policy = await getBookingPolicy(booking.provider);
+    await settleBookingDeposit({ booking, policy, actor });
+  } catch (err) {
+    console.error("❌ settleDepositAfterTransition error:", err);
+  }
+  return booking;
+};
+
+const handleTransitionError = (res, err, label) => {
+  if (err.statusCode) return sendError(res, err.statusCode, err.message);
+  console.error(`❌ ${label} error:`, err);
+  return sendError(res, 500, "Server error.");
+};
+
+/* -------------------------------------------------------
+   CREATE BOOKING REQUEST (customer)
+   POST /api/bookings
+------------------------------------------------------- */
+export const createBooking = async (req, res) => {
+  try {
+    const { listingId, scheduledStart, scheduledEnd, notes, address, conversationId } =
+      req.body || {};
+
+    if (!listingId || !isValidId(listingId)) {
+      return sendError(res, 400, "Valid listingId is required");
+    }
+
+    const start = parseDate(scheduledStart);
+    if (!start) return sendError(res, 400, "Valid scheduledStart is required");
+    if (start <= new Date()) {
+      return sendError(res, 400, "Bookings must be in the future");
+    }
+
+    const listing = await Listing.findById(listingId)
+      .select(
+        "_id provider title businessName category price isActive durationMinutes bufferMinutes"
+      )
+      .lean();
+
+    if (!listing || listing.isActive === false) {
+      return sendError(res, 404, "Listing not found");
+    }
+
+    const availability = await ProviderAvailability.findOne({
+      provider: listing.provider,
+    }).lean();
+
+    const { durationMinutes } = resolveSlotSettings(availability, listing);
+    const end =
+      parseDate(scheduledEnd) ||
+      new Date(start.getTime() + durationMinutes * 60 * 1000);
+    if (end <= start) {
+      return sendError(res, 400, "scheduledEnd must be after scheduledStart");
+    }
+
+    if (String(listing.provider) === String(req.user?.providerId)) {
+      return sendError(res, 403, "You cannot book your own listing");
+    }
+
+    const provider = await Provider.findById(listing.provider)
+      .select("_id isSuspended bookingPolicy")
+      .lean();
+    if (!provider || provider.isSuspended) {
+      return sendError(res, 404, "Provider is not accepting bookings");
+    }
+
+    let conversation = null;
+    if (conversationId) {
+      if (!isValidId(conversationId)) {
+        return sendError(res, 400, "Invalid conversation ID");
+      }
+      conversation = await Conversation.exists({
+        _id: conversationId,
+        providerId: listing.provider,
+        customerId: req.user._id,
+      });
+      if (!conversation) return sendError(res, 404, "Conversation not found");
+    }
+
+    const depositCents = computeDepositCents(provider.bookingPolicy, listing.price);
+
+    const booking = await withProviderCalendar(listing.provider, async (session) => {
+      const clash = await findOverlappingBooking({
+        providerId: listing.provider,
+        start,
+        end,
+        session,
+      });
+      if (clash) throw conflictError("That time is no longer available");
+
+      // Providers with a calendar only take requests for open slots
+      if (availability) {
+        const busy = await Booking.find({
+          provider: listing.provider,
+          status: { $in: ["confirmed", "in_progress"] },
+          scheduledStart: { $lt: new Date(end.getTime() + 24 * 60 * 60 * 1000) },
+          scheduledEnd: { $gt: new Date(start.getTime() - 24 * 60 * 60 * 1000) },
+        })
+          .select("scheduledStart scheduledEnd")
+          .session(session)
+          .lean();
+
+        if (!isSlotOpen({ availability, listing, start, end, busy })) {
+          throw conflictError("That time is outside the provider's availability");
+        }
+      }
+
+      const [created] = await Booking.create(
+        [
+          {
+            listing: listing._id,
+            provider: listing.provider,
+            customer: req.user._id,
+            conversation: conversation?._id || null,
+            scheduledStart: start,
+            scheduledEnd: end,
+            status: "requested",
+            listingSnapshot: {
+              title: listing.title,
+              businessName: listing.businessName,
+              category: listing.category,
+            },
+            priceAtBooking: Number(listing.price) || 0,
+            deposit: {
+              required: depositCents > 0,
+              amountCents: depositCents,
+              currency: "usd",
+              status: depositCents > 0 ? "pending" : "none",
+            },
+            address: typeof address === "string" ? address : "",
+            notes: typeof notes === "string" ? notes : "",
+            statusHistory: [{ from: null, to: "requested", by: "customer" }],
+          },
+        ],
+        { session }
+      );
+      return created;
+    });
+
+    emitBookingUpdate(booking);
+
+    return res.status(201).json({ success: true, booking });
+  } catch (err) {
+    if (err?.statusCode) return sendError(res, err.statusCode, err.message);
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ createBooking error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   LIST MY BOOKINGS (customer)
+   GET /api/bookings/me
+------------------------------------------------------- */
+export const listMine = async (req, res) => {
+  try {
+    const limitNum = parsePositiveInt(req.query.limit, 20, 100);
+    const pageNum = parsePositiveInt(req.query.page, 1);
+
+    const filter = { customer: req.user._id };
+    if (req.query.status && typeof req.query.status === "string") {
+      filter.status = req.query.status;
+    }
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(filter)
+        .populate("provider", "businessName logoUrl phone")
+        .sort({ scheduledStart: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Booking.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      bookings,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum) || 1,
+      },
+    });
+  } catch (err) {
+    console.error("❌ listMine bookings error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   LIST PROVIDER BOOKINGS (calendar)
+   GET /api/bookings/provider/me?from=&to=&status=
+------------------------------------------------------- */
+export const listForProvider = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const filter = { provider: req.user.providerId };
+
+    if (req.query.status && typeof req.query.status === "string") {
+      filter.status = req.query.status;
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from || to) {
+      filter.scheduledStart = {};
+      if (from) filter.scheduledStart.$gte = from;
+      if (to) filter.scheduledStart.$lt = to;
+    }
+
+    const limitNum = parsePositiveInt(req.query.limit, 100, 500);
+
+    const bookings = await Booking.find(filter)
+      .populate("customer", "name avatar")
+      .sort({ scheduledStart: 1 })
+      .limit(limitNum)
+      .lean();
+
+    return res.json({ success: true, bookings });
+  } catch (err) {
+    console.error("❌ listForProvider bookings error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   GET BOOKING BY ID (either side)
+   GET /api/bookings/:id
+------------------------------------------------------- */
+export const getBookingById = async (req, res) => {
+  try {
+    const { booking, actor } = await loadBookingForActor(req, res);
+    if (!booking) return;
+
+    await booking.populate([
+      { path: "provider", select: "businessName logoUrl phone" },
+      { path: "customer", select: "name avatar" },
+    ]);
+
+    return res.json({
+      success: true,
+      booking,
+      viewerRole: actor,
+      allowedTransitions: getAllowedTransitions(booking.status, actor),
+    });
+  } catch (err) {
+    console.error("❌ getBookingById error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   ACCEPT (provider) — requested → confirmed
+   POST /api/bookings/:id/accept
+------------------------------------------------------- */
+export const acceptBooking = async (req, res) => {
+  try {
+    const { booking, actor } = await loadBookingForActor(req, res);
+    if (!booking) return;
+
+    if (booking.deposit?.required && booking.deposit.status !== "authorized") {
+      return sendError(res, 409, "Waiting for the customer's deposit.");
+    }
+
+    const updated = await withProviderCalendar(booking.provider, async (session) => {
+      const clash = await findOverlappingBooking({
+        providerId: booking.provider,
+        start: booking.scheduledStart,
+        end: booking.scheduledEnd,
+        excludeId: booking._id,
+        session,
+      });
+      if (clash) {
+        throw conflictError("You already have a booking at this time. Reschedule instead.");
+      }
+
+      return transitionBooking({
+        booking,
+        to: "confirmed",
+        actor,
+        set: { confirmedAt: new Date() },
+        session,
+      });
+    });
+
+    emitBookingUpdate(updated);
+
+    return res.json({ success: true, booking: updated });
+  } catch (err) {
+    return handleTransitionError(res, err, "acceptBooking");
+  }
+};
+
+/* -------------------------------------------------------
+   DECLINE (provider) — requested → cancelled
+   POST /api/bookings/:id/decline
+------------------------------------------------------- */
+export const declineBooking = async (req, res) => {
+  try {
+    const { booking, actor } = await loadBookingForActor(req, res);
+    if (!booking) return;
+
+    if (actor !== "provider" || booking.status !== "requested") {
+      return sendError(res, 409, "Only pending requests can be declined by the provider.");
+    }
+
+    const reason = String(req.body?.reason || "Declined by provider").slice(0, 500);
+
+    const updated = await transitionBooking({
+      booking,
+      to: "cancelled",
+      actor,
+      reason,
+      set: {
+        cancelledAt: new Date(),
+        cancelledBy: "provider",
+        cancellationReason: reason,
+      },
+    });
+
+    await settleDepositAfterTransition(updated, actor);
+
+    return res.json({ success: true, booking: updated });
+  } catch (err) {
+    return handleTransitionError(res, err, "declineBooking");
+  }
+};
+
+/* -------------------------------------------------------
+   RESCHEDULE (provider) — keeps requested/confirmed status,
+   a provider rescheduling a request also confirms it
+   (unless a required deposit isn't authorized yet — then
+   only the times move).
+   POST /api/bookings/:id/reschedule
+------------------------------------------------------- */
+export const rescheduleBooking = async (req, res) => {
+  try {
+    const { booking, actor } = await loadBookingForActor(req, res);
+    if (!booking) return;
+
+    if (actor !== "provider") {
+      return sendError(res, 403, "Only the provider can reschedule a booking.");
+    }
+
+    if (!["requested", "confirmed"].includes(booking.status)) {
+      return sendError(res, 409, `Cannot reschedule a ${booking.status} booking.`);
+    }
+
+    const start = parseDate(req.body?.scheduledStart);
+    if (!start) return sendError(res, 400, "Valid scheduledStart is required");
+    if (start <= new Date()) {
+      return sendError(res, 400, "Bookings must be in the future");
+    }
+
+    const durationMs = booking.scheduledEnd - booking.scheduledStart;
+    const end = parseDate(req.body?.scheduledEnd) || new Date(start.getTime() + durationMs);
+    if (end <= start) {
+      return sendError(res, 400, "scheduledEnd must be after scheduledStart");
+    }
+
+    const reason = String(req.body?.reason || "").slice(0, 500);
+    const now = new Date();
+
+    const set = { scheduledStart: start, scheduledEnd: end };
+    const push = {
+      rescheduleHistory: {
+        previousStart: booking.scheduledStart,
+        previousEnd: booking.scheduledEnd,
+        newStart: start,
+        newEnd: end,
+        by: actor,
+        reason,
+        at: now,
+      },
+    };
+
+    const depositPending = booking.deposit?.required && booking.deposit.status !== "authorized";
+
+    if (booking.status === "requested" && !depositPending) {
+      set.status = "confirmed";
+      set.confirmedAt = now;
+      push.statusHistory = {
+        from: "requested",
+        to: "confirmed",
+        by: actor,
+        reason: reason || "Rescheduled by provider",
+        at: now,
+      };
+    }
+
+    const updated = await withProviderCalendar(booking.provider, async (session) => {
+      const clash = await findOverlappingBooking({
+        providerId: booking.provider,
+        start,
+        end,
+        excludeId: booking._id,
+        session,
+      });
+      if (clash) throw conflictError("You already have a booking at this time.");
+
+      const moved = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: booking.status },
+        { $set: set, $push: push },
+        { new: true, session }
+      );
+      if (!moved) {
+        throw conflictError("Booking was updated by someone else. Refresh and try again.");
+      }
+      return moved;
+    });
+
+    emitBookingUpdate(updated);
+
+    return res.json({ success: true, booking: updated });
+  } catch (err) {
+    return handleTransitionError(res, err, "rescheduleBooking");
+  }
+};
+
+/* -------------------------------------------------------
+   START JOB (provider) — confirmed → in_progress
+   POST /api/bookings/:id/start
+------------------------------------------------------- */
+export const startBooking = async (req, res) => {
   try {
-    const { service, date, notes, priceAtBooking } = req.body;
-    const doc = await Booking.create({
-      service,
-      date,
-      notes,
-      priceAtBooking,
-      user: req.user.id,
+    const { booking, actor } = await loadBookingForActor(req, res);
+    if (!booking) return;
+
+    const updated = await transitionBooking({
+      booking,
+      to: "in_progress",
+      actor,
+      set: { startedAt: new Date() },
     });
-    res.status(201).json(doc);
-  } catch (e) { next(e); }
+
+    return res.json({ success: true, booking: updated });
+  } catch (err) {
+    return handleTransitionError(res, err, "startBooking");
+  }
 };
 
-exports.listMine = async (req, res, next) => {
+/* -------------------------------------------------------
+   COMPLETE JOB (provider) — in_progress → completed
+   Increments Provider.completedJobs exactly once.
+   POST /api/bookings/:id/complete
+------------------------------------------------------- */
+export const completeBooking = async (req, res) => {
   try {
-    const items = await Booking.find({ user: req.user.id })
-      .sort({ createdAt: -1 })
+    const { booking, actor } = await loadBookingForActor(req, res);
+    if (!booking) return;
+
+    const updated = await transitionBooking({
+      booking,
+      to: "completed",
+      actor,
+      set: { completedAt: new Date() },
+    });
+
+    await Provider.updateOne(
+      { _id: updated.provider },
+      { $inc: { completedJobs: 1 } }
+    );
+
+    await settleDepositAfterTransition(updated, actor);
+
+    return res.json({ success: true, booking: updated });
+  } catch (err) {
+    return handleTransitionError(res, err, "completeBooking");
+  }
+};
+
+/* -------------------------------------------------------
+   NO-SHOW (provider) — confirmed → no_show
+   Only once the appointment start time has passed.
+   POST /api/bookings/:id/no-show
+------------------------------------------------------- */
+export const markNoShow = async (req, res) => {
+  try {
+    const { booking, actor } = await loadBookingForActor(req, res);
+    if (!booking) return;
+
+    if (booking.scheduledStart > new Date()) {
+      return sendError(res, 409, "Cannot mark a no-show before the appointment starts.");
+    }
+
+    const updated = await transitionBooking({
+      booking,
+      to: "no_show",
+      actor,
+      reason: String(req.body?.reason || "").slice(0, 500),
+      set: { noShowAt: new Date() },
+    });
+
+    await settleDepositAfterTransition(updated, actor);
+
+    return res.json({ success: true, booking: updated });
+  } catch (err) {
+    return handleTransitionError(res, err, "markNoShow");
+  }
+};
+
+/* -------------------------------------------------------
+   CANCEL (either side) — requested | confirmed → cancelled
+   POST /api/bookings/:id/cancel
+------------------------------------------------------- */
+export const cancelBooking = async (req, res) => {
+  try {
+    const { booking, actor } = await loadBookingForActor(req, res);
+    if (!booking) return;
+
+    const reason = String(req.body?.reason || "").slice(0, 500);
+
+    const updated = await transitionBooking({
+      booking,
+      to: "cancelled",
+      actor,
+      reason,
+      set: {
+        cancelledAt: new Date(),
+        cancelledBy: actor,
+        cancellationReason: reason,
+      },
+    });
+
+    await settleDepositAfterTransition(updated, actor);
+
+    return res.json({ success: true, booking: updated });
+  } catch (err) {
+    return handleTransitionError(res, err, "cancelBooking");
+  }
+};
+
+/* -------------------------------------------------------
+   AUTHORIZE DEPOSIT (customer)
+   POST /api/bookings/:id/deposit
+   Live: returns client_secret for the app to confirm.
+   Simulated: authorized immediately.
+------------------------------------------------------- */
+export const authorizeDeposit = async (req, res) => {
+  try {
+    const { booking, actor } = await loadBookingForActor(req, res);
+    if (!booking) return;
+
+    if (actor !== "customer") {
+      return sendError(res, 403, "Only the customer can pay the deposit.");
+    }
+
+    const result = await authorizeBookingDeposit({
+      booking,
+      idempotencyKey: req.body?.idempotencyKey,
+    });
+
+    return res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    return handleTransitionError(res, err, "authorizeDeposit");
+  }
+};
+
+/* -------------------------------------------------------
+   CONFIRM DEPOSIT AUTHORIZATION (customer, live mode)
+   POST /api/bookings/:id/deposit/confirm
+------------------------------------------------------- */
+export const confirmDeposit = async (req, res) => {
+  try {
+    const { booking, actor } = await loadBookingForActor(req, res);
+    if (!booking) return;
+
+    if (actor !== "customer") {
+      return sendError(res, 403, "Only the customer can confirm the deposit.");
+    }
+
+    const result = await confirmBookingDepositAuthorization({ booking });
+
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return handleTransitionError(res, err, "confirmDeposit");
+  }
+};
+
+/* -------------------------------------------------------
+   BOOKING POLICY (provider) — deposit + cancellation rules
+   GET/PUT /api/bookings/policy/me
+------------------------------------------------------- */
+const POLICY_NUMERIC_FIELDS = [
+  "depositValue",
+  "cancellationWindowHours",
+  "lateCancelForfeitPct",
+  "noShowForfeitPct",
+];
+
+export const getMyBookingPolicy = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const policy = await getBookingPolicy(req.user.providerId);
+    return res.json({ success: true, policy });
+  } catch (err) {
+    console.error("❌ getMyBookingPolicy error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+export const updateMyBookingPolicy = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const body = req.body || {};
+    const update = {};
+
+    if (body.depositType !== undefined) {
+      if (!["none", "fixed", "percent", "full"].includes(body.depositType)) {
+        return sendError(res, 400, "depositType must be none, fixed, percent or full");
+      }
+      update["bookingPolicy.depositType"] = body.depositType;
+    }
+
+    for (const field of POLICY_NUMERIC_FIELDS) {
+      if (body[field] === undefined) continue;
+      const n = Number(body[field]);
+      if (!Number.isFinite(n) || n < 0) {
+        return sendError(res, 400, `${field} must be a non-negative number`);
+      }
+      update[`bookingPolicy.${field}`] = n;
+    }
+
+    const provider = await Provider.findByIdAndUpdate(
+      req.user.providerId,
+      { $set: update },
+      { new: true, runValidators: true }
+    )
+      .select("bookingPolicy")
       .lean();
-    res.json(items);
-  } catch (e) { next(e); }
+
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    return res.json({ success: true, policy: provider.bookingPolicy });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ updateMyBookingPolicy error:", err);
+    return sendError(res, 500, "Server error.");
+  }
 };
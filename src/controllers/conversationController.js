@@ -1,11 +1,20 @@
 
 // src/controllers/conversationController.js
-import Conversation from "../models/Conversation.js";
+import Conversation, { isConversationMuted } from "../models/Conversation.js";
 import Message from "../models/Message.js";
 import Listing from "../models/Listing.js";
 import ProviderDailyStat from "../models/ProviderDailyStat.js";
+import ChatBlock from "../models/ChatBlock.js";
+import ConversationReport, { REPORT_REASONS } from "../models/ConversationReport.js";
 import mongoose from "mongoose";
 import { getIO } from "../socket.js";
+import { messagePreviewText } from "../utils/messageContent.js";
+import { recordConversationMessage } from "../utils/responseTime.js";
+import { maybeSendAutoReply } from "../utils/autoReply.js";
+import {
+  moderateOutgoingMessage,
+  reportFlaggedMessage,
+} from "../utils/messageModeration.js";
 
 const toObjectId = (id) => {
   if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -63,6 +72,41 @@ const recordLeadIfNewConversation = async ({ providerId }) => {
   );
 };
 
+/**
+ * Fetch the conversation, creating it if needed. Over the
+ * conversation-start limit only existing ones open (sends
+ * the 429 and returns null). Flags inserts for the limiter.
+ */
+const openConversation = async (req, res, filter) => {
+  if (req.conversationStartLimit) {
+    const existing = await Conversation.findOne(filter);
+    if (!existing) {
+      sendError(res, 429, req.conversationStartLimit);
+      return null;
+    }
+    return existing;
+  }
+
+  const result = await Conversation.findOneAndUpdate(
+    filter,
+    {
+      $setOnInsert: {
+        providerLastReadAt: null,
+        customerLastReadAt: null,
+        createdAt: new Date(),
+      },
+    },
+    {
+      new: true,
+      upsert: true,
+      includeResultMetadata: true,
+    }
+  );
+
+  res.locals.conversationCreated = !result.lastErrorObject?.updatedExisting;
+  return result.value;
+};
+
 /* =========================================================
    CREATE OR FETCH CONVERSATION
    ========================================================= */
@@ -144,24 +188,12 @@ if (serviceId) {
     return sendError(res, 400, "Invalid provider.");
   }
 
-  convo = await Conversation.findOneAndUpdate(
-    {
-      providerId: toObjectId(providerId),
-      customerId: toObjectId(customerId),
-      serviceId: toObjectId(serviceId),
-    },
-    {
-      $setOnInsert: {
-        providerLastReadAt: null,
-        customerLastReadAt: null,
-        createdAt: new Date(),
-      },
-    },
-    {
-      new: true,
-      upsert: true,
-    }
-  );
+  convo = await openConversation(req, res, {
+    providerId: toObjectId(providerId),
+    customerId: toObjectId(customerId),
+    serviceId: toObjectId(serviceId),
+  });
+  if (!convo) return;
 
 } else {
 
@@ -177,24 +209,12 @@ if (serviceId) {
     return sendError(res, 400, "Invalid provider.");
   }
 
-  convo = await Conversation.findOneAndUpdate(
-    {
-      providerId: toObjectId(providerId),
-      customerId: toObjectId(customerId),
-      serviceId: null,
-    },
-    {
-      $setOnInsert: {
-        providerLastReadAt: null,
-        customerLastReadAt: null,
-        createdAt: new Date(),
-      },
-    },
-    {
-      new: true,
-      upsert: true,
-    }
-  );
+  convo = await openConversation(req, res, {
+    providerId: toObjectId(providerId),
+    customerId: toObjectId(customerId),
+    serviceId: null,
+  });
+  if (!convo) return;
 }
       // Lead tracking only if CUSTOMER started and convo was new
       // (Mongoose doesn't return rawResult here; if you want exact insert detection,
@@ -220,6 +240,22 @@ console.log("====== MESSAGE DEBUG ======");
 
       const senderProviderId = req.user?.providerId ? String(req.user.providerId) : null;
 
+let moderated;
+try {
+  moderated = await moderateOutgoingMessage({
+    convo,
+    sender: {
+      role: isProvider ? "provider" : "customer",
+      senderId: isProvider ? senderProviderId : customerId,
+    },
+    userId: req.user?._id,
+    text: text.trim(),
+  });
+} catch (err) {
+  if (err?.statusCode) return sendError(res, err.statusCode, err.message);
+  throw err;
+}
+
 const message = await Message.create({
   conversationId: convo._id,
 
@@ -229,8 +265,10 @@ const message = await Message.create({
   providerId: toObjectId(providerId),    // ✅ convo recipient provider
   customerId: toObjectId(customerId),    // ✅ convo customer (user._id)
   senderRole: isProvider ? "provider" : "customer",
-  text: text.trim(),
+  text: moderated.text,
+  moderation: moderated.moderation,
 });
+await reportFlaggedMessage(convo, message);
 const createdAt = message.createdAt;
 
 // 🔥 Determine which side of THIS conversation the sender belongs to
@@ -249,17 +287,33 @@ convo.lastMessageSenderId = message.senderId;
 
 // update conversation preview
 convo.lastMessageText = message.text;
+convo.lastMessageType = "text";
 convo.lastMessageAt = createdAt;
 convo.lastMessageSenderRole = message.senderRole;
 
       await convo.save();
+
+      try {
+        await recordConversationMessage(convo, { role: message.senderRole, at: createdAt });
+      } catch (err) {
+        console.log("Response time tracking failed:", err.message);
+      }
     }
 
+    // 🌙 After-hours / away auto-reply when a customer opens the chat
+    let autoReply = null;
+    if (String(convo.providerId) !== String(req.user?.providerId)) {
+      try {
+        autoReply = await maybeSendAutoReply(convo);
+      } catch (err) {
+        console.log("Auto-reply failed:", err.message);
+      }
+    }
 
-    
     return res.json({
       success: true,
       conversation: convo,
+      autoReply,
     });
   } catch (err) {
     console.log("❌ getOrCreateConversationWithCustomer ERROR");
@@ -295,20 +349,23 @@ export const listMyConversations = async (req, res) => {
 
     const limit = Math.min(parseInt(req.query.limit || "50", 10), 100);
     const includeArchived = req.query.includeArchived === "true";
+    // ?archived=true → the Archived folder only
+    const archivedOnly = req.query.archived === "true";
+    const archiveFilter = archivedOnly ? { $ne: null } : null;
 
     const or = [];
 
     // Provider-side conversations
     if (req.user?.providerId) {
       const providerBranch = { providerId: req.user.providerId };
-      if (!includeArchived) providerBranch.providerArchivedAt = null;
+      if (!includeArchived || archivedOnly) providerBranch.providerArchivedAt = archiveFilter;
       or.push(providerBranch);
     }
 
     // Customer-side conversations
     if (req.user?._id) {
       const customerBranch = { customerId: req.user._id };
-      if (!includeArchived) customerBranch.customerArchivedAt = null;
+      if (!includeArchived || archivedOnly) customerBranch.customerArchivedAt = archiveFilter;
       or.push(customerBranch);
     }
 
@@ -335,6 +392,13 @@ export const listMyConversations = async (req, res) => {
       .limit(limit)
       .lean();
 
+    // Parties I've blocked (chat identities)
+    const myBlockerIds = [req.user?._id, req.user?.providerId].filter(Boolean);
+    const blockedIds = new Set(
+      (await ChatBlock.find({ blockerId: { $in: myBlockerIds } }).select("blockedId").lean())
+        .map((b) => String(b.blockedId))
+    );
+
     const mapped = conversations.map((c) => {
       const isProviderView =
         !!req.user?.providerId &&
@@ -402,7 +466,16 @@ const unread = !!last && last > read && !mine;
   customer,
   provider,
 
-  lastMessageText: c.lastMessageText || "",
+  // Older rows may have no stored preview for non-text types
+  lastMessageText:
+    c.lastMessageText || messagePreviewText({ type: c.lastMessageType || "text" }),
+  lastMessageType: c.lastMessageType || "text",
+
+  archived: !!(isProviderView ? c.providerArchivedAt : c.customerArchivedAt),
+  muted: isConversationMuted(c, isProviderView ? "provider" : "customer"),
+  blocked: blockedIds.has(
+    String(isProviderView ? c.customerId?._id || c.customerId : c.providerId?._id || c.providerId)
+  ),
   lastMessageSenderId: c.lastMessageSenderId || null, // 🔥 ADD THIS
 
   unread,
@@ -536,4 +609,259 @@ io.to(String(conversationId)).emit("messagesRead", {
     console.log("❌ markConversationRead:", err);
     return sendError(res, 500, "Server error.");
   }
-};
\ No newline at end of file
+};
+
+/* =========================================================
+   ARCHIVE / MUTE (per side)
+   Each side of a conversation archives and mutes on its own;
+   the other side never sees it.
+   ========================================================= */
+const MAX_MUTE_HOURS = 24 * 365;
+
+/**
+ * Conversation + which side the caller is on. A provider
+ * chatting as a customer elsewhere is the customer side there.
+ */
+const loadConversationSide = async (req) => {
+  const or = [];
+  if (req.user?.providerId) or.push({ providerId: req.user.providerId });
+  if (req.user?._id) or.push({ customerId: req.user._id });
+  if (!or.length) return null;
+
+  const convo = await Conversation.findOne({ _id: req.params.conversationId, $or: or });
+  if (!convo) return null;
+
+  const side =
+    req.user?.providerId && String(convo.providerId) === String(req.user.providerId)
+      ? "provider"
+      : "customer";
+
+  return { convo, side };
+};
+
+const conversationState = (convo, side) => ({
+  conversationId: convo._id,
+  archived: !!convo[`${side}ArchivedAt`],
+  archivedAt: convo[`${side}ArchivedAt`],
+  muted: isConversationMuted(convo, side),
+  mutedUntil: convo[`${side}MutedUntil`],
+});
+
+/* =========================================================
+   ARCHIVE
+   POST /api/conversations/:conversationId/archive
+   ========================================================= */
+export const archiveConversation = async (req, res) => {
+  try {
+    const loaded = await loadConversationSide(req);
+    if (!loaded) return sendError(res, 404, "Conversation not found.");
+    const { convo, side } = loaded;
+
+    if (!convo[`${side}ArchivedAt`]) {
+      convo[`${side}ArchivedAt`] = new Date();
+      await convo.save();
+    }
+
+    return res.json({ success: true, ...conversationState(convo, side) });
+  } catch (err) {
+    console.log("❌ archiveConversation:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* =========================================================
+   UNARCHIVE
+   POST /api/conversations/:conversationId/unarchive
+   ========================================================= */
+export const unarchiveConversation = async (req, res) => {
+  try {
+    const loaded = await loadConversationSide(req);
+    if (!loaded) return sendError(res, 404, "Conversation not found.");
+    const { convo, side } = loaded;
+
+    if (convo[`${side}ArchivedAt`]) {
+      convo[`${side}ArchivedAt`] = null;
+      await convo.save();
+    }
+
+    return res.json({ success: true, ...conversationState(convo, side) });
+  } catch (err) {
+    console.log("❌ unarchiveConversation:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* =========================================================
+   MUTE
+   POST /api/conversations/:conversationId/mute
+   Body: { hours? } — omitted → until unmuted
+   ========================================================= */
+export const muteConversation = async (req, res) => {
+  try {
+    const { hours } = req.body || {};
+    let mutedUntil = null;
+
+    if (hours !== undefined && hours !== null) {
+      const h = Number(hours);
+      if (!Number.isFinite(h) || h <= 0 || h > MAX_MUTE_HOURS) {
+        return sendError(res, 400, `hours must be between 0 and ${MAX_MUTE_HOURS}.`);
+      }
+      mutedUntil = new Date(Date.now() + h * 60 * 60 * 1000);
+    }
+
+    const loaded = await loadConversationSide(req);
+    if (!loaded) return sendError(res, 404, "Conversation not found.");
+    const { convo, side } = loaded;
+
+    convo[`${side}MutedAt`] = new Date();
+    convo[`${side}MutedUntil`] = mutedUntil;
+    await convo.save();
+
+    return res.json({ success: true, ...conversationState(convo, side) });
+  } catch (err) {
+    console.log("❌ muteConversation:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* =========================================================
+   UNMUTE
+   POST /api/conversations/:conversationId/unmute
+   ========================================================= */
+export const unmuteConversation = async (req, res) => {
+  try {
+    const loaded = await loadConversationSide(req);
+    if (!loaded) return sendError(res, 404, "Conversation not found.");
+    const { convo, side } = loaded;
+
+    convo[`${side}MutedAt`] = null;
+    convo[`${side}MutedUntil`] = null;
+    await convo.save();
+
+    return res.json({ success: true, ...conversationState(convo, side) });
+  } catch (err) {
+    console.log("❌ unmuteConversation:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* =========================================================
+   BLOCK / REPORT
+   Blocks cover every conversation between the two parties
+   and stop messages both ways (utils/messageModeration.js)
+   ========================================================= */
+const partiesFor = (convo, side) => ({
+  meId: side === "provider" ? convo.providerId : convo.customerId,
+  otherId: side === "provider" ? convo.customerId : convo.providerId,
+  otherRole: side === "provider" ? "customer" : "provider",
+});
+
+/* =========================================================
+   BLOCK
+   POST /api/conversations/:conversationId/block
+   ========================================================= */
+export const blockConversation = async (req, res) => {
+  try {
+    const loaded = await loadConversationSide(req);
+    if (!loaded) return sendError(res, 404, "Conversation not found.");
+    const { convo, side } = loaded;
+    const { meId, otherId } = partiesFor(convo, side);
+
+    await ChatBlock.updateOne(
+      { blockerId: meId, blockedId: otherId },
+      { $setOnInsert: { blockerRole: side, conversationId: convo._id } },
+      { upsert: true }
+    );
+
+    return res.json({ success: true, conversationId: convo._id, blocked: true });
+  } catch (err) {
+    console.log("❌ blockConversation:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* =========================================================
+   UNBLOCK
+   POST /api/conversations/:conversationId/unblock
+   ========================================================= */
+export const unblockConversation = async (req, res) => {
+  try {
+    const loaded = await loadConversationSide(req);
+    if (!loaded) return sendError(res, 404, "Conversation not found.");
+    const { convo, side } = loaded;
+    const { meId, otherId } = partiesFor(convo, side);
+
+    await ChatBlock.deleteOne({ blockerId: meId, blockedId: otherId });
+
+    return res.json({ success: true, conversationId: convo._id, blocked: false });
+  } catch (err) {
+    console.log("❌ unblockConversation:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* =========================================================
+   REPORT
+   POST /api/conversations/:conversationId/report
+   Body: { reason, details?, messageIds?, block? }
+   Goes to the admin moderation queue
+   ========================================================= */
+export const reportConversation = async (req, res) => {
+  try {
+    const { reason, details = "", messageIds = [], block = false } = req.body || {};
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return sendError(res, 400, `reason must be one of: ${REPORT_REASONS.join(", ")}.`);
+    }
+    if (typeof details !== "string" || details.length > 2000) {
+      return sendError(res, 400, "details must be text up to 2000 characters.");
+    }
+    if (!Array.isArray(messageIds) || messageIds.length > 50 || !messageIds.every(mongoose.Types.ObjectId.isValid)) {
+      return sendError(res, 400, "messageIds must be up to 50 message ids.");
+    }
+
+    const loaded = await loadConversationSide(req);
+    if (!loaded) return sendError(res, 404, "Conversation not found.");
+    const { convo, side } = loaded;
+    const { meId, otherId, otherRole } = partiesFor(convo, side);
+
+    // Only messages from the other party in this thread
+    const reportedMessages = messageIds.length
+      ? await Message.find({ _id: { $in: messageIds }, conversationId: convo._id, senderId: otherId })
+          .select("_id")
+          .lean()
+      : [];
+
+    const report = await ConversationReport.create({
+      conversationId: convo._id,
+      providerId: convo.providerId,
+      customerId: convo.customerId,
+      source: "user",
+      reporterUserId: req.user._id,
+      reporterRole: side,
+      reportedId: otherId,
+      reportedRole: otherRole,
+      reason,
+      details: details.trim(),
+      messageIds: reportedMessages.map((m) => m._id),
+    });
+
+    if (block === true) {
+      await ChatBlock.updateOne(
+        { blockerId: meId, blockedId: otherId },
+        { $setOnInsert: { blockerRole: side, conversationId: convo._id } },
+        { upsert: true }
+      );
+    }
+
+    return res.status(201).json({
+      success: true,
+      reportId: report._id,
+      blocked: block === true,
+    });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.log("❌ reportConversation:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
@@ -9,6 +9,7 @@ import {
   recordDisputeLostLedger,
 } from "../utils/ledger.js";
 import { logPaymentEvent } from "../utils/logger.js";
+import { notifyProvider } from "../services/notifications/notificationService.js";
 
 /* -------------------------------------------------------
    HELPERS
@@ -28,6 +29,34 @@ const parsePagination = (req) => {
 const sendError = (res, status, message) =>
   res.status(status).json({ success: false, message });
 
+/* -------------------------------------------------------
+   INTERNAL: NOTIFY PROVIDER (used by webhook + openDispute)
+   Never throws — the dispute is recorded either way.
+-------------------------------------------------------- */
+export const notifyDisputeUpdate = async (dispute) => {
+  try {
+    const amount = `$${(Number(dispute.amount || 0) / 100).toFixed(2)}`;
+    const opened = !["won", "lost"].includes(dispute.status) && !dispute.closedAt;
+
+    await notifyProvider(dispute.provider, {
+      category: "payments",
+      type: opened ? "dispute_opened" : "dispute_closed",
+      title: opened ? "Payment disputed" : `Dispute ${dispute.status}`,
+      body: opened
+        ? `A customer disputed a ${amount} payment. The amount is held until it is resolved.`
+        : dispute.status === "won"
+        ? `The ${amount} dispute was resolved in your favor.`
+        : `The ${amount} dispute was closed (${dispute.status}).`,
+      data: {
+        disputeId: String(dispute._id),
+        ...(dispute.invoice && { invoiceId: String(dispute.invoice) }),
+      },
+    });
+  } catch (err) {
+    console.warn("⚠️ Dispute notification skipped:", err.message);
+  }
+};
+
 /* -------------------------------------------------------
    INTERNAL: OPEN DISPUTE (used by webhook + admin manual)
 -------------------------------------------------------- */
@@ -98,6 +127,8 @@ export const openDispute = async ({
     amountCents,
   });
 
+  await notifyDisputeUpdate(dispute);
+
   return dispute;
 };
 
@@ -0,0 +1,660 @@
+// src/controllers/estimateController.js
+import mongoose from "mongoose";
+import Estimate from "../models/Estimate.js";
+import Invoice from "../models/Invoice.js";
+import Provider from "../models/Provider.js";
+import Customer from "../models/Customer.js";
+import { logCustomerTimelineEvent } from "../utils/timelineLogger.js";
+import {
+  generatePublicToken,
+  isWellFormedPublicToken,
+  publicEstimateUrl,
+} from "../utils/publicLinks.js";
+import { assignInvoiceNumber } from "../utils/invoiceNumbering.js";
+import { emitMessageCardUpdate } from "../utils/messageContent.js";
+import { getIO } from "../socket.js";
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const safeNum = (n) => {
+  const v = parseFloat(n);
+  return Number.isNaN(v) ? 0 : v;
+};
+
+const parsePositiveInt = (value, defaultValue, max) => {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n) || n <= 0) return defaultValue;
+  if (max && n > max) return max;
+  return n;
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const EDITABLE_STATUSES = ["DRAFT", "SENT"];
+const CONVERTIBLE_STATUSES = ["DRAFT", "SENT", "ACCEPTED"];
+
+const getProviderForUser = async (userId) => {
+  if (!userId) return null;
+  return Provider.findOne({ user: userId }).select("_id businessName").lean();
+};
+
+/* -------------------------------------------------------
+   ITEMS + TOTALS
+   Same normalization as invoices; totals are always
+   recomputed server-side from the items.
+------------------------------------------------------- */
+const normalizeItems = (items) =>
+  Array.isArray(items)
+    ? items.map((i) => {
+        const qty = Number.isFinite(Number(i?.qty)) ? Number(i.qty) : 1;
+        const rate = Number.isFinite(Number(i?.rate)) ? Number(i.rate) : 0;
+        return {
+          title: (i?.title ?? i?.name ?? "").toString().trim(),
+          description: (i?.description ?? "").toString().trim(),
+          qty,
+          rate,
+          amount: Number.isFinite(Number(i?.amount))
+            ? Number(i.amount)
+            : round2(qty * rate),
+        };
+      })
+    : [];
+
+const computeTotals = (items, { tax, taxPct }) => {
+  const subtotal = round2(items.reduce((sum, i) => sum + safeNum(i.amount), 0));
+  const pct = safeNum(taxPct);
+  const taxAmount = pct > 0 ? round2((subtotal * pct) / 100) : round2(safeNum(tax));
+  return { subtotal, tax: taxAmount, taxPct: pct, total: round2(subtotal + taxAmount) };
+};
+
+const parseExpiresAt = (value) => {
+  if (value === null || value === "") return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+/* -------------------------------------------------------
+   LAZY EXPIRY — flips SENT estimates past expiresAt
+------------------------------------------------------- */
+const expireIfNeeded = async (estimate) => {
+  if (!estimate.isExpired()) return estimate;
+
+  await Estimate.updateOne(
+    { _id: estimate._id, status: estimate.status },
+    { $set: { status: "EXPIRED" } }
+  );
+  estimate.status = "EXPIRED";
+  return estimate;
+};
+
+const emitEstimateUpdate = (estimate) => {
+  try {
+    const io = getIO();
+    io.to(String(estimate.provider)).emit("estimateUpdated", {
+      estimateId: estimate._id,
+      status: estimate.status,
+      invoiceId: estimate.invoice || null,
+    });
+  } catch (err) {
+    console.warn("⚠️ Socket emit skipped (estimateUpdated):", err.message);
+  }
+  emitMessageCardUpdate("estimate", estimate._id);
+};
+
+const logEstimateEvent = async (estimate, title, description = "") => {
+  try {
+    await logCustomerTimelineEvent({
+      providerId: estimate.provider,
+      customerId: estimate.customer,
+      type: "estimate",
+      title,
+      description,
+      amount: estimate.total,
+    });
+  } catch {}
+};
+
+const estimateLabel = (estimate) => estimate.estimateNumber || estimate._id;
+
+// What the customer sees on the public link
+const toPublicEstimate = (estimate, provider) => ({
+  id: estimate._id,
+  estimateNumber: estimate.estimateNumber || null,
+  status: estimate.status,
+  provider: provider
+    ? { businessName: provider.businessName || "", phone: provider.phone || "" }
+    : null,
+  customerName: estimate.customerSnapshot?.name || "",
+  items: estimate.items,
+  subtotal: estimate.subtotal,
+  tax: estimate.tax,
+  taxPct: estimate.taxPct,
+  total: estimate.total,
+  currency: estimate.currency,
+  notes: estimate.notes,
+  expiresAt: estimate.expiresAt,
+  acceptedAt: estimate.acceptedAt,
+  declinedAt: estimate.declinedAt,
+  signatureName: estimate.signature?.name || null,
+  createdAt: estimate.createdAt,
+});
+
+/* -------------------------------------------------------
+   CREATE ESTIMATE (provider)
+   POST /api/estimates
+------------------------------------------------------- */
+export const createEstimate = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const { customer, customerId, items, tax, taxPct, currency, notes } =
+      req.body || {};
+
+    const customerRef = customer || customerId;
+    if (!customerRef || !isValidId(customerRef)) {
+      return sendError(res, 400, "Valid customer ID is required");
+    }
+
+    const client = await Customer.findOne({
+      _id: customerRef,
+      provider: provider._id,
+    }).lean();
+    if (!client) return sendError(res, 404, "Customer not found");
+
+    const expiresAt = parseExpiresAt(req.body?.expiresAt ?? null);
+    if (expiresAt === undefined) return sendError(res, 400, "Invalid expiresAt");
+
+    const normalizedItems = normalizeItems(items);
+
+    const estimate = await Estimate.create({
+      provider: provider._id,
+      customer: client._id,
+      customerSnapshot: {
+        name: client.name,
+        email: client.email,
+        phone: client.phone,
+        company: client.company || "",
+        address: client.address || "",
+      },
+      estimateNumber: req.body?.estimateNumber,
+      items: normalizedItems,
+      ...computeTotals(normalizedItems, { tax, taxPct }),
+      currency: currency || "USD",
+      notes: notes || "",
+      expiresAt,
+      publicToken: generatePublicToken(),
+    });
+
+    await logEstimateEvent(
+      estimate,
+      `Estimate ${estimateLabel(estimate)} created`,
+      `Estimate created for $${estimate.total}`
+    );
+
+    return res.status(201).json({
+      success: true,
+      estimate,
+      publicUrl: publicEstimateUrl(estimate),
+    });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ createEstimate error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   LIST MY ESTIMATES (provider)
+   GET /api/estimates/provider/me?status=&customer=
+------------------------------------------------------- */
+export const getEstimatesForProvider = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = parsePositiveInt(req.query.limit, 20, 100);
+
+    const filter = { provider: provider._id };
+
+    if (req.query.status) {
+      filter.status = String(req.query.status).toUpperCase();
+    }
+    if (req.query.customer) {
+      if (!isValidId(req.query.customer)) {
+        return sendError(res, 400, "Invalid customer ID");
+      }
+      filter.customer = req.query.customer;
+    }
+
+    const [estimates, total] = await Promise.all([
+      Estimate.find(filter)
+        .select(
+          "estimateNumber total status customerSnapshot expiresAt invoice createdAt"
+        )
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Estimate.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      estimates,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error("❌ getEstimatesForProvider error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   GET ESTIMATE BY ID (provider)
+   GET /api/estimates/:id
+------------------------------------------------------- */
+export const getEstimateById = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const estimate = await Estimate.findOne({
+      _id: req.params.id,
+      provider: provider._id,
+    });
+    if (!estimate) return sendError(res, 404, "Estimate not found");
+
+    await expireIfNeeded(estimate);
+
+    return res.json({
+      success: true,
+      estimate,
+      publicUrl: publicEstimateUrl(estimate),
+    });
+  } catch (err) {
+    console.error("❌ getEstimateById error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   UPDATE ESTIMATE (provider, DRAFT/SENT only)
+   PUT /api/estimates/:id
+------------------------------------------------------- */
+export const updateEstimate = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const estimate = await Estimate.findOne({
+      _id: req.params.id,
+      provider: provider._id,
+    });
+    if (!estimate) return sendError(res, 404, "Estimate not found");
+
+    if (!EDITABLE_STATUSES.includes(estimate.status)) {
+      return sendError(res, 409, `Cannot edit a ${estimate.status} estimate.`);
+    }
+
+    const body = req.body || {};
+
+    if (body.estimateNumber !== undefined) estimate.estimateNumber = body.estimateNumber;
+    if (body.notes !== undefined) estimate.notes = body.notes || "";
+    if (body.currency !== undefined) estimate.currency = body.currency || "USD";
+
+    if (body.expiresAt !== undefined) {
+      const expiresAt = parseExpiresAt(body.expiresAt);
+      if (expiresAt === undefined) return sendError(res, 400, "Invalid expiresAt");
+      estimate.expiresAt = expiresAt;
+    }
+
+    if (body.items !== undefined || body.tax !== undefined || body.taxPct !== undefined) {
+      const items =
+        body.items !== undefined ? normalizeItems(body.items) : estimate.items;
+      const totals = computeTotals(items, {
+        tax: body.tax ?? estimate.tax,
+        taxPct: body.taxPct ?? estimate.taxPct,
+      });
+      estimate.items = items;
+      Object.assign(estimate, totals);
+    }
+
+    await estimate.save();
+
+    await logEstimateEvent(estimate, `Estimate ${estimateLabel(estimate)} updated`);
+
+    return res.json({ success: true, estimate });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ updateEstimate error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   DELETE ESTIMATE (provider, not once converted)
+   DELETE /api/estimates/:id
+------------------------------------------------------- */
+export const deleteEstimate = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const estimate = await Estimate.findOneAndDelete({
+      _id: req.params.id,
+      provider: provider._id,
+      status: { $ne: "CONVERTED" },
+    });
+
+    if (!estimate) {
+      return sendError(res, 404, "Estimate not found or already converted");
+    }
+
+    await logEstimateEvent(estimate, `Estimate ${estimateLabel(estimate)} deleted`);
+
+    return res.json({ success: true, message: "Estimate deleted" });
+  } catch (err) {
+    console.error("❌ deleteEstimate error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   SEND ESTIMATE (provider)
+   POST /api/estimates/:id/send
+   Marks it SENT and returns the public link to share.
+------------------------------------------------------- */
+export const sendEstimate = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const estimate = await Estimate.findOne({
+      _id: req.params.id,
+      provider: provider._id,
+    });
+    if (!estimate) return sendError(res, 404, "Estimate not found");
+
+    if (!EDITABLE_STATUSES.includes(estimate.status)) {
+      return sendError(res, 409, `Cannot send a ${estimate.status} estimate.`);
+    }
+    if (!estimate.items.length) {
+      return sendError(res, 400, "Add at least one line item before sending.");
+    }
+    if (estimate.expiresAt && estimate.expiresAt <= new Date()) {
+      return sendError(res, 400, "Expiry date is in the past.");
+    }
+
+    estimate.status = "SENT";
+    estimate.sentAt = new Date();
+    await estimate.save();
+
+    await logEstimateEvent(
+      estimate,
+      `Estimate ${estimateLabel(estimate)} sent`,
+      `Estimate for $${estimate.total} sent to customer`
+    );
+
+    return res.json({
+      success: true,
+      estimate,
+      publicUrl: publicEstimateUrl(estimate),
+    });
+  } catch (err) {
+    console.error("❌ sendEstimate error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   CONVERT TO INVOICE (provider, one click)
+   POST /api/estimates/:id/convert
+------------------------------------------------------- */
+export const convertEstimateToInvoice = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const now = new Date();
+
+    // Claim the estimate first so a double-tap can't create two invoices
+    const estimate = await Estimate.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        provider: provider._id,
+        status: { $in: CONVERTIBLE_STATUSES },
+        invoice: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }, { status: "ACCEPTED" }],
+      },
+      { $set: { status: "CONVERTED", convertedAt: now } },
+      { new: false }
+    );
+
+    if (!estimate) {
+      const existing = await Estimate.findOne({
+        _id: req.params.id,
+        provider: provider._id,
+      });
+      if (!existing) return sendError(res, 404, "Estimate not found");
+      if (existing.invoice) {
+        return sendError(res, 409, "Estimate already converted to an invoice.");
+      }
+      await expireIfNeeded(existing);
+      return sendError(res, 409, `Cannot convert a ${existing.status} estimate.`);
+    }
+
+    let invoice;
+    try {
+      invoice = await Invoice.create({
+        provider: estimate.provider,
+        customer: estimate.customer,
+        customerSnapshot: estimate.customerSnapshot,
+        items: estimate.items,
+        subtotal: estimate.subtotal,
+        tax: estimate.tax,
+        taxPct: estimate.taxPct,
+        total: estimate.total,
+        paid: 0,
+        balance: estimate.total,
+        currency: estimate.currency,
+        issueDate: req.body?.issueDate || now.toISOString().slice(0, 10),
+        dueDate: req.body?.dueDate,
+        status: "DUE",
+        notes: estimate.notes,
+        estimate: estimate._id,
+      });
+    } catch (createErr) {
+      // Give the estimate back so the provider can retry
+      await Estimate.updateOne(
+        { _id: estimate._id },
+        { $set: { status: estimate.status, convertedAt: null } }
+      );
+      throw createErr;
+    }
+
+    estimate.status = "CONVERTED";
+    estimate.convertedAt = now;
+    estimate.invoice = invoice._id;
+    await Estimate.updateOne({ _id: estimate._id }, { $set: { invoice: invoice._id } });
+
+    await assignInvoiceNumber(invoice);
+
+    try {
+      await logCustomerTimelineEvent({
+        providerId: estimate.provider,
+        customerId: estimate.customer,
+        type: "invoice",
+        title: `Invoice ${invoice.invoiceNumber || invoice._id} created`,
+        description: `Converted from estimate ${estimateLabel(estimate)}`,
+        amount: invoice.total,
+        invoice: invoice._id,
+      });
+    } catch {}
+
+    emitEstimateUpdate(estimate);
+
+    return res.status(201).json({ success: true, estimate, invoice });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ convertEstimateToInvoice error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   PUBLIC — VIEW ESTIMATE BY TOKEN (no login)
+   GET /api/estimates/public/:token
+------------------------------------------------------- */
+export const getPublicEstimate = async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!isWellFormedPublicToken(token)) return sendError(res, 404, "Estimate not found");
+
+    const estimate = await Estimate.findOne({
+      publicToken: token,
+      status: { $ne: "DRAFT" },
+    });
+    if (!estimate) return sendError(res, 404, "Estimate not found");
+
+    await expireIfNeeded(estimate);
+
+    if (!estimate.viewedAt) {
+      estimate.viewedAt = new Date();
+      await Estimate.updateOne(
+        { _id: estimate._id, viewedAt: null },
+        { $set: { viewedAt: estimate.viewedAt } }
+      );
+    }
+
+    const provider = await Provider.findById(estimate.provider)
+      .select("businessName phone")
+      .lean();
+
+    return res.json({
+      success: true,
+      estimate: toPublicEstimate(estimate, provider),
+      canRespond: estimate.status === "SENT",
+    });
+  } catch (err) {
+    console.error("❌ getPublicEstimate error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   PUBLIC — shared accept/decline path. Atomic on status
+   so the customer can only respond once, and only before
+   expiry.
+------------------------------------------------------- */
+const respondToEstimate = async (token, update) => {
+  const now = new Date();
+
+  const estimate = await Estimate.findOneAndUpdate(
+    {
+      publicToken: token,
+      status: "SENT",
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+    },
+    { $set: update },
+    { new: true }
+  );
+  if (estimate) return { estimate };
+
+  const existing = await Estimate.findOne({
+    publicToken: token,
+    status: { $ne: "DRAFT" },
+  });
+  if (!existing) return { status: 404, message: "Estimate not found" };
+
+  await expireIfNeeded(existing);
+  return {
+    status: 409,
+    message:
+      existing.status === "EXPIRED"
+        ? "This estimate has expired."
+        : `This estimate is already ${existing.status.toLowerCase()}.`,
+  };
+};
+
+/* -------------------------------------------------------
+   PUBLIC — ACCEPT (optional typed-name signature)
+   POST /api/estimates/public/:token/accept
+------------------------------------------------------- */
+export const acceptPublicEstimate = async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!isWellFormedPublicToken(token)) return sendError(res, 404, "Estimate not found");
+
+    const now = new Date();
+    const signatureName = String(req.body?.signatureName || "").trim().slice(0, 200);
+
+    const update = { status: "ACCEPTED", acceptedAt: now };
+    if (signatureName) {
+      update.signature = {
+        name: signatureName,
+        signedAt: now,
+        ip: req.ip || null,
+        userAgent: String(req.headers["user-agent"] || "").slice(0, 300) || null,
+      };
+    }
+
+    const result = await respondToEstimate(token, update);
+    if (!result.estimate) return sendError(res, result.status, result.message);
+
+    const { estimate } = result;
+
+    await logEstimateEvent(
+      estimate,
+      `Estimate ${estimateLabel(estimate)} accepted`,
+      signatureName ? `Signed by ${signatureName}` : ""
+    );
+    emitEstimateUpdate(estimate);
+
+    return res.json({ success: true, estimate: toPublicEstimate(estimate) });
+  } catch (err) {
+    console.error("❌ acceptPublicEstimate error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   PUBLIC — DECLINE
+   POST /api/estimates/public/:token/decline
+------------------------------------------------------- */
+export const declinePublicEstimate = async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!isWellFormedPublicToken(token)) return sendError(res, 404, "Estimate not found");
+
+    const reason = String(req.body?.reason || "").trim().slice(0, 1000);
+
+    const result = await respondToEstimate(token, {
+      status: "DECLINED",
+      declinedAt: new Date(),
+      declineReason: reason,
+    });
+    if (!result.estimate) return sendError(res, result.status, result.message);
+
+    const { estimate } = result;
+
+    await logEstimateEvent(
+      estimate,
+      `Estimate ${estimateLabel(estimate)} declined`,
+      reason
+    );
+    emitEstimateUpdate(estimate);
+
+    return res.json({ success: true, estimate: toPublicEstimate(estimate) });
+  } catch (err) {
+    console.error("❌ declinePublicEstimate error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
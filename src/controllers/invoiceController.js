@@ -21,7 +21,29 @@ import {
 } from "../utils/idempotency.js";
 
 // LEDGER ENGINE
-import { recordInvoicePaymentLedger } from "../utils/ledger.js";
+import {
+  recordInvoicePaymentLedger,
+  recordOfflinePaymentLedger,
+} from "../utils/ledger.js";
+import {
+  parseOfflinePaymentInput,
+  describeOfflinePayment,
+} from "../utils/offlinePayments.js";
+
+// PAYMENTS + INSTALLMENTS
+import {
+  applyInvoicePayment,
+  linkInvoicePaymentLedgerEntry,
+  buildInstallmentSchedule,
+  rescaleInstallments,
+  refreshInvoicePaymentState,
+  allocateInstallments,
+  getNextInstallment,
+} from "../utils/invoicePayments.js";
+
+// SEQUENTIAL NUMBERING
+import { assignInvoiceNumber } from "../utils/invoiceNumbering.js";
+import { emitMessageCardUpdate } from "../utils/messageContent.js";
 
 const safeNum = (n) => {
   const v = parseFloat(n);
@@ -70,11 +92,11 @@ export const createInvoice = async (req, res, next) => {
       total,
       paid,
       balance,
-      invoiceNumber,
       issueDate,
       dueDate,
       status,
       notes,
+      installments,
     } = req.body;
 
     // ✅ resolve customer id
@@ -100,8 +122,16 @@ export const createInvoice = async (req, res, next) => {
         ? safeNum(balance)
         : totalSafe - paidSafe;
 
-    // ✅ SINGLE invoice creation
-    const invoice = await Invoice.create({
+    // Optional payment schedule, e.g. 50% now / 50% on completion
+    let schedule = [];
+    try {
+      schedule = buildInstallmentSchedule(totalSafe, installments);
+    } catch (err) {
+      return sendError(res, err.statusCode || 400, err.message);
+    }
+
+    // ✅ SINGLE invoice creation — inserted with its number below
+    const invoice = new Invoice({
       provider: provider._id,
       customer: client._id,
 
@@ -132,13 +162,21 @@ export const createInvoice = async (req, res, next) => {
       total: totalSafe,
       paid: paidSafe,
       balance: computedBalance < 0 ? 0 : computedBalance,
-      invoiceNumber,
       issueDate,
       dueDate,
       status: status || "DUE",
       notes: notes || "",
+      installments: schedule,
     });
 
+    if (schedule.length && paidSafe > 0) {
+      allocateInstallments(invoice);
+    }
+
+    // Numbers are server-issued so the books have no gaps/duplicates;
+    // the insert and the number land together or not at all
+    await assignInvoiceNumber(invoice);
+
     console.log(
       "🧾 SAVED INVOICE SNAPSHOT CHECK:",
       JSON.stringify(
@@ -309,7 +347,6 @@ const ALLOWED_UPDATE_FIELDS = [
   "total",
   "paid",
   "balance",
-  "invoiceNumber",
   "issueDate",
   "dueDate",
   "status",
@@ -353,9 +390,26 @@ export const updateInvoice = async (req, res, next) => {
       updateData.balance = safeNum(total - paid);
     }
 
+    const previousTotal = invoice.total;
     Object.assign(invoice, updateData);
+
+    // Keep the payment schedule in step with the new total
+    if (invoice.installments?.length) {
+      if (safeNum(previousTotal) !== safeNum(invoice.total)) {
+        try {
+          rescaleInstallments(invoice, previousTotal);
+        } catch (err) {
+          return sendError(res, err.statusCode || 400, err.message);
+        }
+      }
+      allocateInstallments(invoice);
+    }
+
     await invoice.save();
 
+    // Leaving DRAFT issues the number
+    await assignInvoiceNumber(invoice);
+
    try {
   await logCustomerTimelineEvent({
     providerId: provider._id,
@@ -379,6 +433,8 @@ export const updateInvoice = async (req, res, next) => {
 
 /* -------------------------------------------------------
    DELETE INVOICE
+   Drafts and legacy invoices are deleted; invoices with a
+   sequential number are voided.
 ------------------------------------------------------- */
 export const deleteInvoice = async (req, res, next) => {
   try {
@@ -397,6 +453,29 @@ export const deleteInvoice = async (req, res, next) => {
 
     const customerId = invoice.customer;
 
+    // Issued numbers must stay accounted for — void instead of delete
+    if (invoice.sequenceNumber) {
+      invoice.status = "VOID";
+      await invoice.save();
+      await emitMessageCardUpdate("invoice", invoice._id);
+
+      try {
+        await logCustomerTimelineEvent({
+          providerId: provider._id,
+          customerId,
+          type: "invoice",
+          title: `Invoice ${invoice.invoiceNumber} voided`,
+          description: "Numbered invoices are voided rather than deleted.",
+          amount: invoice.total,
+          invoice: invoice._id,
+        });
+      } catch {
+        // Non-fatal
+      }
+
+      return res.json({ success: true, message: "Invoice voided", invoice });
+    }
+
     await Invoice.deleteOne({ _id: invoice._id });
 
 
@@ -423,11 +502,14 @@ export const deleteInvoice = async (req, res, next) => {
 
 /* -------------------------------------------------------
    PAY INVOICE NOW — Idempotent + Ledger + Helpio Pay Branding
+   Body: { idempotencyKey, amount?, installmentId? }
+   amount defaults to the full outstanding balance;
+   installmentId pays what is left on that installment.
 ------------------------------------------------------- */
 export const payInvoiceNow = async (req, res) => {
   try {
     const { id } = req.params;
-    const { idempotencyKey } = req.body;
+    const { idempotencyKey, installmentId } = req.body;
 
     if (!isValidId(id)) return sendError(res, 400, "Invalid invoice ID");
     if (!idempotencyKey)
@@ -458,9 +540,34 @@ export const payInvoiceNow = async (req, res) => {
       return res.json({ success: true, alreadyPaid: true, invoice });
     }
 
-    const amount = outstanding;
+    if (["VOID", "DRAFT"].includes(invoice.status)) {
+      return sendError(res, 409, `Cannot take payments on a ${invoice.status} invoice.`);
+    }
+
+    let amount = outstanding;
+
+    if (installmentId) {
+      const installment = invoice.installments?.id(installmentId);
+      if (!installment) return sendError(res, 404, "Installment not found");
+      amount = Math.max(0, safeNum(installment.amount) - safeNum(installment.paidAmount));
+      if (amount <= 0) return sendError(res, 409, "Installment already paid.");
+    } else if (req.body.amount !== undefined) {
+      amount = Math.round(safeNum(req.body.amount) * 100) / 100;
+    }
+
+    if (amount <= 0) {
+      return sendError(res, 400, "Payment amount must be positive.");
+    }
+    if (amount > outstanding + 0.005) {
+      return sendError(
+        res,
+        400,
+        `Payment cannot exceed the outstanding balance (${outstanding.toFixed(2)}).`
+      );
+    }
+    amount = Math.min(amount, outstanding);
     const currency = "usd";
-    const grossCents = Math.floor(amount * 100);
+    const grossCents = Math.round(amount * 100);
 
     // Centralized B19 Fee Engine
     const fees = calculateFees(grossCents);
@@ -509,7 +616,7 @@ export const payInvoiceNow = async (req, res) => {
       return res.json({
         success: true,
         mode: "replayed",
-        message: "Invoice already paid.",
+        message: "Payment already processed.",
         paymentIntentId: idem.record.stripePaymentIntentId,
       });
     }
@@ -524,32 +631,39 @@ export const payInvoiceNow = async (req, res) => {
 
     const idemId = idem.record._id;
 
-    /* Apply payment */
-    const applyPaymentToInvoice = async (modeLabel) => {
-      const newPaid = safeNum(invoice.paid) + amount;
-      const newBalance = Math.max(0, safeNum(invoice.total) - newPaid);
-
-      invoice.paid = newPaid;
-      invoice.balance = newBalance;
-      if (newBalance <= 0) invoice.status = "PAID";
-
-      await invoice.save();
+    /* Apply payment (sub-document + paid/balance/status) */
+    const applyPaymentToInvoice = async (modeLabel, stripePaymentIntentId = null) => {
+      const { invoice: updated, payment } = await applyInvoicePayment({
+        invoiceId: invoice._id,
+        amount,
+        method: "card_on_file",
+        reference: stripePaymentIntentId || "",
+        stripePaymentIntentId,
+        note: modeLabel === "simulated" ? "Simulated charge" : "",
+        // the card has already been charged at this point
+        allowOverpay: true,
+      });
 
-     await logCustomerTimelineEvent({
-  providerId: provider._id,
-  customerId: client._id,
-  type: "payment",
-  title: `Invoice ${invoice.invoiceNumber || invoice._id} paid`,
-  description:
-    modeLabel === "simulated"
-      ? "Invoice paid (simulation)"
-      : "Invoice paid via Helpio Pay",
-  amount,
-  invoice: invoice._id,
-});
+      const fullyPaid = updated.status === "PAID";
 
+      try {
+        await logCustomerTimelineEvent({
+          providerId: provider._id,
+          customerId: client._id,
+          type: "payment",
+          title: fullyPaid
+            ? `Invoice ${invoice.invoiceNumber || invoice._id} paid`
+            : `Partial payment on invoice ${invoice.invoiceNumber || invoice._id}`,
+          description:
+            modeLabel === "simulated"
+              ? `$${amount.toFixed(2)} paid (simulation), $${updated.balance.toFixed(2)} remaining`
+              : `$${amount.toFixed(2)} paid via Helpio Pay, $${updated.balance.toFixed(2)} remaining`,
+          amount,
+          invoice: invoice._id,
+        });
+      } catch {}
 
-      return invoice;
+      return { invoice: updated, payment };
     };
 
     /* -------------------------------------------------------
@@ -557,7 +671,8 @@ export const payInvoiceNow = async (req, res) => {
     ------------------------------------------------------- */
     if (isSimulatedStripe || !stripeClient || !isLiveStripe) {
       try {
-        const updatedInvoice = await applyPaymentToInvoice("simulated");
+        const { invoice: updatedInvoice, payment } =
+          await applyPaymentToInvoice("simulated");
 
         let ledgerResult = null;
         try {
@@ -587,6 +702,12 @@ export const payInvoiceNow = async (req, res) => {
           );
         }
 
+        await linkInvoicePaymentLedgerEntry(
+          invoice._id,
+          payment._id,
+          ledgerResult?.entry?._id
+        );
+
         await markIdempotencyKeyCompleted(idemId, {
           stripePaymentIntentId: null,
           extraContext: { simulated: true },
@@ -596,6 +717,7 @@ export const payInvoiceNow = async (req, res) => {
           success: true,
           mode: "simulated",
           invoice: updatedInvoice,
+          payment,
           ledgerEntry: ledgerResult?.entry || null,
           providerBalance: ledgerResult?.balance || null,
         });
@@ -645,7 +767,10 @@ export const payInvoiceNow = async (req, res) => {
       paymentIntent.status === "succeeded" ||
       paymentIntent.status === "requires_capture"
     ) {
-      const updatedInvoice = await applyPaymentToInvoice("live");
+      const { invoice: updatedInvoice, payment } = await applyPaymentToInvoice(
+        "live",
+        paymentIntent.id
+      );
 
       let ledgerResult = null;
       try {
@@ -676,6 +801,12 @@ export const payInvoiceNow = async (req, res) => {
         console.error("❌ Ledger error (live invoice payment):", ledgerErr);
       }
 
+      await linkInvoicePaymentLedgerEntry(
+        invoice._id,
+        payment._id,
+        ledgerResult?.entry?._id
+      );
+
       await markIdempotencyKeyCompleted(idemId, {
         stripePaymentIntentId: paymentIntent.id,
         stripeChargeId: paymentIntent.latest_charge || null,
@@ -686,6 +817,7 @@ export const payInvoiceNow = async (req, res) => {
         success: true,
         mode: "live",
         invoice: updatedInvoice,
+        payment,
         paymentIntentId: paymentIntent.id,
         status: paymentIntent.status,
         ledgerEntry: ledgerResult?.entry || null,
@@ -1001,4 +1133,179 @@ try {
     return sendError(res, 500, "Server error processing invoice refund");
   }
 };
- 
\ No newline at end of file
+ 
+
+
+/* -------------------------------------------------------
+   RECORD MANUAL (OFFLINE) PAYMENT
+   POST /api/invoices/:id/manual-payments
+   Body: { amount, method: cash|check|zelle|other,
+           reference?, receivedAt?, photoUrl?, note? }
+------------------------------------------------------- */
+export const recordManualInvoicePayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return sendError(res, 400, "Invalid invoice ID");
+
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 401, "Unauthorized");
+
+    let input;
+    try {
+      input = parseOfflinePaymentInput(req.body);
+    } catch (err) {
+      return sendError(res, err.statusCode || 400, err.message);
+    }
+
+    const existing = await Invoice.findOne({ _id: id, provider: provider._id })
+      .select("_id")
+      .lean();
+    if (!existing) return sendError(res, 404, "Invoice not found");
+
+    let applied;
+    try {
+      applied = await applyInvoicePayment({
+        invoiceId: existing._id,
+        ...input,
+        recordedBy: "provider",
+      });
+    } catch (err) {
+      if (err.statusCode) return sendError(res, err.statusCode, err.message);
+      throw err;
+    }
+
+    const { invoice, payment } = applied;
+
+    let ledgerEntry = null;
+    try {
+      ({ entry: ledgerEntry } = await recordOfflinePaymentLedger({
+        providerId: provider._id,
+        customerId: invoice.customer,
+        currency: invoice.currency,
+        amountCents: Math.round(input.amount * 100),
+        method: input.method,
+        reference: input.reference,
+        receivedAt: input.receivedAt,
+        sourceType: "invoice",
+        invoiceId: invoice._id,
+        metadata: {
+          route: "recordManualInvoicePayment",
+          invoiceNumber: invoice.invoiceNumber || null,
+          invoicePaymentId: payment._id,
+          photoUrl: input.photoUrl,
+        },
+      }));
+    } catch (ledgerErr) {
+      console.error("❌ Ledger error (manual invoice payment):", ledgerErr);
+    }
+
+    await linkInvoicePaymentLedgerEntry(invoice._id, payment._id, ledgerEntry?._id);
+    if (ledgerEntry) payment.ledgerEntry = ledgerEntry._id;
+
+    try {
+      await logCustomerTimelineEvent({
+        providerId: provider._id,
+        customerId: invoice.customer,
+        type: "payment",
+        title:
+          invoice.status === "PAID"
+            ? `Invoice ${invoice.invoiceNumber || invoice._id} paid`
+            : `Partial payment on invoice ${invoice.invoiceNumber || invoice._id}`,
+        description: `${describeOfflinePayment(input)} — $${input.amount.toFixed(
+          2
+        )} received, $${invoice.balance.toFixed(2)} remaining`,
+        amount: input.amount,
+        invoice: invoice._id,
+      });
+    } catch {}
+
+    return res.status(201).json({ success: true, invoice, payment, ledgerEntry });
+  } catch (err) {
+    console.error("❌ recordManualInvoicePayment error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   PAYMENTS + SCHEDULE
+   GET /api/invoices/:id/payments
+------------------------------------------------------- */
+export const getInvoicePayments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return sendError(res, 400, "Invalid invoice ID");
+
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 401, "Unauthorized");
+
+    const invoice = await Invoice.findOne({ _id: id, provider: provider._id })
+      .select("invoiceNumber total paid balance status currency payments installments")
+      .lean();
+
+    if (!invoice) return sendError(res, 404, "Invoice not found");
+
+    return res.json({
+      success: true,
+      total: invoice.total,
+      paid: invoice.paid,
+      balance: invoice.balance,
+      status: invoice.status,
+      currency: invoice.currency,
+      payments: [...(invoice.payments || [])].sort(
+        (a, b) => new Date(b.receivedAt) - new Date(a.receivedAt)
+      ),
+      installments: invoice.installments || [],
+      nextInstallment: getNextInstallment(invoice),
+    });
+  } catch (err) {
+    console.error("❌ getInvoicePayments error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   SET / CLEAR INSTALLMENT SCHEDULE
+   PUT /api/invoices/:id/installments
+   Body: { installments: [{ label, percent | amount, dueDate? }] }
+   An empty array removes the schedule.
+------------------------------------------------------- */
+export const setInvoiceInstallments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return sendError(res, 400, "Invalid invoice ID");
+
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 401, "Unauthorized");
+
+    if (!Array.isArray(req.body?.installments)) {
+      return sendError(res, 400, "installments must be an array");
+    }
+
+    const invoice = await Invoice.findOne({ _id: id, provider: provider._id });
+    if (!invoice) return sendError(res, 404, "Invoice not found");
+
+    if (["PAID", "VOID"].includes(invoice.status)) {
+      return sendError(res, 409, `Cannot schedule payments on a ${invoice.status} invoice.`);
+    }
+
+    let schedule;
+    try {
+      schedule = buildInstallmentSchedule(invoice.total, req.body.installments);
+    } catch (err) {
+      return sendError(res, err.statusCode || 400, err.message);
+    }
+
+    invoice.installments = schedule;
+    refreshInvoicePaymentState(invoice);
+    await invoice.save();
+
+    return res.json({
+      success: true,
+      installments: invoice.installments,
+      nextInstallment: getNextInstallment(invoice),
+    });
+  } catch (err) {
+    console.error("❌ setInvoiceInstallments error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
@@ -0,0 +1,334 @@
+// src/controllers/invoiceDocumentController.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Invoice from "../models/Invoice.js";
+import Provider from "../models/Provider.js";
+import {
+  deleteFromCloudinary,
+  signedRawUrl,
+  uploadBufferToCloudinary,
+} from "../config/cloudinary.js";
+import { fetchLogoJpeg, renderInvoicePdf } from "../utils/invoicePdf.js";
+import {
+  buildPublicUrl,
+  generatePublicToken,
+  isWellFormedPublicToken,
+} from "../utils/publicLinks.js";
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const PROVIDER_PDF_FIELDS =
+  "businessName phone email address city state zip logoUrl";
+
+const getProviderForUser = async (userId) => {
+  if (!userId) return null;
+  return Provider.findOne({ user: userId }).select(PROVIDER_PDF_FIELDS).lean();
+};
+
+export const publicInvoiceUrl = (invoice) =>
+  buildPublicUrl(`api/invoices/public/${invoice.publicToken}`);
+
+const publicInvoicePdfUrl = (invoice) =>
+  buildPublicUrl(`api/invoices/public/${invoice.publicToken}/pdf`);
+
+/**
+ * Issue the hosted-link token on first share. Atomic so two
+ * concurrent requests can't hand out different links.
+ */
+export const ensureInvoicePublicToken = async (invoice) => {
+  if (invoice.publicToken) return invoice.publicToken;
+
+  const updated = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, publicToken: null },
+    { $set: { publicToken: generatePublicToken() } },
+    { new: true }
+  ).select("publicToken");
+
+  const token =
+    updated?.publicToken ||
+    (await Invoice.findById(invoice._id).select("publicToken").lean())?.publicToken;
+
+  invoice.publicToken = token;
+  return token;
+};
+
+const buildInvoicePdf = async (invoice, provider) => {
+  const logo = await fetchLogoJpeg(provider?.logoUrl);
+  return renderInvoicePdf({
+    invoice,
+    provider: provider || {},
+    logo,
+    payUrl: publicInvoiceUrl(invoice),
+  });
+};
+
+const isPdfStale = (invoice) =>
+  !invoice.pdfPublicId ||
+  !invoice.pdfGeneratedAt ||
+  new Date(invoice.updatedAt) > new Date(invoice.pdfGeneratedAt);
+
+// One render per invoice at a time on this instance
+const pdfRenders = new Map();
+
+const STORED_PDF_TIMEOUT_MS = 10000;
+
+/**
+ * Drop the invoice's previous stored PDF, including the public
+ * `invoice_<id>.pdf` copy written before PDFs were private.
+ */
+const discardStoredPdf = (invoice) => {
+  const target = invoice.pdfPublicId
+    ? [invoice.pdfPublicId, { resource_type: "raw", type: "authenticated" }]
+    : invoice.pdfUrl
+      ? [`helpio/invoices/invoice_${invoice._id}.pdf`, { resource_type: "raw" }]
+      : null;
+  if (!target) return;
+
+  deleteFromCloudinary(...target).catch(() => {});
+};
+
+/**
+ * Download the stored PDF server-side (the asset is authenticated,
+ * so its URL is never handed out).
+ * @returns {Promise<Buffer|null>} null when it can't be fetched
+ */
+const fetchStoredPdf = async (publicId) => {
+  try {
+    const res = await fetch(signedRawUrl(publicId), {
+      signal: AbortSignal.timeout(STORED_PDF_TIMEOUT_MS),
+    });
+    if (!res.ok) {
+      console.warn(`⚠️ Stored invoice PDF fetch failed (${res.status}):`, publicId);
+      return null;
+    }
+    return Buffer.from(await res.arrayBuffer());
+  } catch (err) {
+    console.warn("⚠️ Stored invoice PDF fetch failed:", err.message);
+    return null;
+  }
+};
+
+const sendPdf = (res, invoice, pdf) => {
+  const filename = `invoice-${invoice.invoiceNumber || invoice._id}.pdf`.replace(
+    /[^\w.-]+/g,
+    "_"
+  );
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Length": pdf.length,
+    "Content-Disposition": `inline; filename="${filename}"`,
+    "Cache-Control": "no-store",
+  });
+  return res.send(pdf);
+};
+
+/**
+ * Render, upload and record the invoice PDF. Each render gets a
+ * random public id, so the file can't be found from the invoice id.
+ * Needs invoice.publicToken.
+ * @returns {Promise<{ pdf: Buffer, pdfUrl: string }>}
+ */
+const storeInvoicePdf = (invoice, provider) => {
+  const key = String(invoice._id);
+  if (pdfRenders.has(key)) return pdfRenders.get(key);
+
+  const render = (async () => {
+    const pdf = await buildInvoicePdf(invoice, provider);
+
+    const upload = await uploadBufferToCloudinary(pdf, {
+      folder: "helpio/invoices",
+      publicId: `invoice_${crypto.randomBytes(16).toString("hex")}.pdf`,
+      type: "authenticated",
+    });
+    const pdfUrl = publicInvoicePdfUrl(invoice);
+
+    // timestamps:false so the PDF doesn't immediately look stale
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      {
+        $set: {
+          pdfPublicId: upload.public_id,
+          pdfUrl,
+          pdfGeneratedAt: new Date(),
+        },
+      },
+      { timestamps: false }
+    );
+    discardStoredPdf(invoice);
+
+    return { pdf, pdfUrl };
+  })().finally(() => pdfRenders.delete(key));
+
+  pdfRenders.set(key, render);
+  return render;
+};
+
+/* -------------------------------------------------------
+   GENERATE / REFRESH INVOICE PDF (provider)
+   POST /api/invoices/:id/pdf
+   Renders server-side, stores it privately and returns the
+   hosted-link PDF route as pdfUrl.
+   Reuses the stored file unless the invoice changed since
+   (pass { force: true } to re-render anyway).
+------------------------------------------------------- */
+export const generateInvoicePdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return sendError(res, 400, "Invalid invoice ID");
+
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 401, "Unauthorized");
+
+    const invoice = await Invoice.findOne({ _id: id, provider: provider._id }).lean();
+    if (!invoice) return sendError(res, 404, "Invoice not found");
+
+    await ensureInvoicePublicToken(invoice);
+
+    if (!req.body?.force && !isPdfStale(invoice)) {
+      return res.json({
+        success: true,
+        pdfUrl: publicInvoicePdfUrl(invoice),
+        publicUrl: publicInvoiceUrl(invoice),
+        cached: true,
+      });
+    }
+
+    const { pdfUrl } = await storeInvoicePdf(invoice, provider);
+
+    return res.json({
+      success: true,
+      pdfUrl,
+      publicUrl: publicInvoiceUrl(invoice),
+      cached: false,
+    });
+  } catch (err) {
+    console.error("❌ generateInvoicePdf error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   GET SHAREABLE LINK (provider)
+   POST /api/invoices/:id/share
+------------------------------------------------------- */
+export const shareInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return sendError(res, 400, "Invalid invoice ID");
+
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 401, "Unauthorized");
+
+    const invoice = await Invoice.findOne({ _id: id, provider: provider._id })
+      .select("_id publicToken")
+      .lean();
+    if (!invoice) return sendError(res, 404, "Invoice not found");
+
+    await ensureInvoicePublicToken(invoice);
+
+    return res.json({ success: true, publicUrl: publicInvoiceUrl(invoice) });
+  } catch (err) {
+    console.error("❌ shareInvoice error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+const loadPublicInvoice = (token) =>
+  Invoice.findOne({ publicToken: token, status: { $ne: "DRAFT" } }).lean();
+
+/* -------------------------------------------------------
+   PUBLIC — HOSTED INVOICE (no login)
+   GET /api/invoices/public/:token
+------------------------------------------------------- */
+export const getPublicInvoice = async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!isWellFormedPublicToken(token)) return sendError(res, 404, "Invoice not found");
+
+    const invoice = await loadPublicInvoice(token);
+    if (!invoice) return sendError(res, 404, "Invoice not found");
+
+    const provider = await Provider.findById(invoice.provider)
+      .select("businessName phone email logoUrl city state")
+      .lean();
+
+    const balance = Number(invoice.balance || 0);
+
+    return res.json({
+      success: true,
+      invoice: {
+        id: invoice._id,
+        invoiceNumber: invoice.invoiceNumber || null,
+        status: invoice.status,
+        issueDate: invoice.issueDate || null,
+        dueDate: invoice.dueDate || null,
+        customerName: invoice.customerSnapshot?.name || "",
+        items: invoice.items,
+        subtotal: invoice.subtotal,
+        tax: invoice.tax,
+        taxPct: invoice.taxPct,
+        total: invoice.total,
+        paid: invoice.paid,
+        balance,
+        currency: invoice.currency,
+        notes: invoice.notes,
+      },
+      provider: provider
+        ? {
+            businessName: provider.businessName,
+            phone: provider.phone || "",
+            email: provider.email || "",
+            logoUrl: provider.logoUrl || null,
+            city: provider.city || "",
+            state: provider.state || "",
+          }
+        : null,
+      payment: {
+        status: invoice.status,
+        isPaid: invoice.status === "PAID" || balance <= 0,
+        amountDue: invoice.status === "VOID" ? 0 : balance,
+      },
+      pdfUrl: publicInvoicePdfUrl(invoice),
+    });
+  } catch (err) {
+    console.error("❌ getPublicInvoice error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   PUBLIC — INVOICE PDF (no login)
+   GET /api/invoices/public/:token/pdf
+   Serves the stored PDF through this route (the file itself
+   is private); re-rendered (and stored) only when the invoice
+   changed since, so the payment status is current without a
+   render on every hit.
+------------------------------------------------------- */
+export const getPublicInvoicePdf = async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!isWellFormedPublicToken(token)) return sendError(res, 404, "Invoice not found");
+
+    const invoice = await loadPublicInvoice(token);
+    if (!invoice) return sendError(res, 404, "Invoice not found");
+
+    if (!isPdfStale(invoice)) {
+      const stored = await fetchStoredPdf(invoice.pdfPublicId);
+      if (stored) return sendPdf(res, invoice, stored);
+    }
+
+    const provider = await Provider.findById(invoice.provider)
+      .select(PROVIDER_PDF_FIELDS)
+      .lean();
+
+    const { pdf } = await storeInvoicePdf(invoice, provider);
+    return sendPdf(res, invoice, pdf);
+  } catch (err) {
+    console.error("❌ getPublicInvoicePdf error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
@@ -0,0 +1,128 @@
+// src/controllers/invoiceNumberingController.js
+import Provider from "../models/Provider.js";
+import {
+  DEFAULT_NUMBERING,
+  formatInvoiceNumber,
+  peekNextInvoiceNumber,
+} from "../utils/invoiceNumbering.js";
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const FORMAT_TOKENS = /\{(PREFIX|YYYY|YY|SEQ)\}/g;
+
+const withPreview = async (providerId, numbering) => ({
+  numbering: { ...DEFAULT_NUMBERING, ...(numbering || {}) },
+  nextInvoiceNumber: await peekNextInvoiceNumber(providerId, numbering),
+});
+
+/* -------------------------------------------------------
+   GET INVOICE NUMBERING SETTINGS
+   GET /api/invoices/numbering/me
+------------------------------------------------------- */
+export const getMyInvoiceNumbering = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const provider = await Provider.findById(req.user.providerId)
+      .select("invoiceNumbering")
+      .lean();
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    return res.json({
+      success: true,
+      ...(await withPreview(provider._id, provider.invoiceNumbering)),
+    });
+  } catch (err) {
+    console.error("❌ getMyInvoiceNumbering error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   UPDATE INVOICE NUMBERING SETTINGS
+   PUT /api/invoices/numbering/me
+   Body (all optional): { prefix, format, padding, resetYearly }
+   Changing the prefix or format keeps the running sequence;
+   numbers already issued are never rewritten.
+------------------------------------------------------- */
+export const updateMyInvoiceNumbering = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const provider = await Provider.findById(req.user.providerId)
+      .select("invoiceNumbering")
+      .lean();
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const body = req.body || {};
+    const update = {};
+
+    if (body.prefix !== undefined) {
+      update["invoiceNumbering.prefix"] = String(body.prefix || "").trim().toUpperCase();
+    }
+
+    if (body.format !== undefined) {
+      const format = String(body.format || "").trim();
+      if (!format.includes("{SEQ}")) {
+        return sendError(res, 400, "format must include {SEQ}");
+      }
+      if (/[{}]/.test(format.replace(FORMAT_TOKENS, ""))) {
+        return sendError(res, 400, "format only supports {PREFIX}, {YYYY}, {YY} and {SEQ}");
+      }
+      update["invoiceNumbering.format"] = format;
+    }
+
+    if (body.padding !== undefined) {
+      const padding = Number(body.padding);
+      if (!Number.isInteger(padding) || padding < 1 || padding > 10) {
+        return sendError(res, 400, "padding must be a whole number between 1 and 10");
+      }
+      update["invoiceNumbering.padding"] = padding;
+    }
+
+    if (body.resetYearly !== undefined) {
+      if (typeof body.resetYearly !== "boolean") {
+        return sendError(res, 400, "resetYearly must be true or false");
+      }
+      update["invoiceNumbering.resetYearly"] = body.resetYearly;
+    }
+
+    const next = {
+      ...DEFAULT_NUMBERING,
+      ...(provider.invoiceNumbering || {}),
+      ...Object.fromEntries(
+        Object.entries(update).map(([key, value]) => [key.split(".")[1], value])
+      ),
+    };
+
+    // A yearly reset without the year in the number would repeat numbers
+    if (next.resetYearly && !/\{YYYY\}|\{YY\}/.test(next.format)) {
+      return sendError(res, 400, "A yearly reset needs {YYYY} or {YY} in the format.");
+    }
+    if (formatInvoiceNumber(next, 1).length > 60) {
+      return sendError(res, 400, "Invoice numbers in this format would be too long.");
+    }
+
+    const updated = await Provider.findByIdAndUpdate(
+      provider._id,
+      { $set: update },
+      { new: true, runValidators: true }
+    )
+      .select("invoiceNumbering")
+      .lean();
+
+    return res.json({
+      success: true,
+      ...(await withPreview(updated._id, updated.invoiceNumbering)),
+    });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ updateMyInvoiceNumbering error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
@@ -0,0 +1,99 @@
+// src/controllers/invoiceReminderController.js
+import Provider from "../models/Provider.js";
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const BOOLEAN_FIELDS = ["enabled", "sms", "push"];
+const NUMERIC_FIELDS = ["lateFeeValue", "lateFeeAfterDays"];
+
+/* -------------------------------------------------------
+   GET REMINDER + LATE FEE POLICY
+   GET /api/invoices/reminders/me
+------------------------------------------------------- */
+export const getMyInvoiceReminderPolicy = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const provider = await Provider.findById(req.user.providerId)
+      .select("invoiceReminders")
+      .lean();
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    return res.json({ success: true, policy: provider.invoiceReminders || {} });
+  } catch (err) {
+    console.error("❌ getMyInvoiceReminderPolicy error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   UPDATE REMINDER + LATE FEE POLICY
+   PUT /api/invoices/reminders/me
+   Body (all optional): { enabled, scheduleDays: [-3, 0, 7],
+     sms, push, lateFeeType, lateFeeValue, lateFeeAfterDays }
+------------------------------------------------------- */
+export const updateMyInvoiceReminderPolicy = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const body = req.body || {};
+    const update = {};
+
+    for (const field of BOOLEAN_FIELDS) {
+      if (body[field] === undefined) continue;
+      if (typeof body[field] !== "boolean") {
+        return sendError(res, 400, `${field} must be true or false`);
+      }
+      update[`invoiceReminders.${field}`] = body[field];
+    }
+
+    if (body.scheduleDays !== undefined) {
+      if (!Array.isArray(body.scheduleDays)) {
+        return sendError(res, 400, "scheduleDays must be an array of days");
+      }
+      const days = [...new Set(body.scheduleDays.map(Number))].sort((a, b) => a - b);
+      update["invoiceReminders.scheduleDays"] = days;
+    }
+
+    if (body.lateFeeType !== undefined) {
+      if (!["none", "fixed", "percent"].includes(body.lateFeeType)) {
+        return sendError(res, 400, "lateFeeType must be none, fixed or percent");
+      }
+      update["invoiceReminders.lateFeeType"] = body.lateFeeType;
+    }
+
+    for (const field of NUMERIC_FIELDS) {
+      if (body[field] === undefined) continue;
+      const n = Number(body[field]);
+      if (!Number.isFinite(n) || n < 0) {
+        return sendError(res, 400, `${field} must be a non-negative number`);
+      }
+      update[`invoiceReminders.${field}`] = n;
+    }
+
+    if (body.lateFeeType === "percent" && Number(body.lateFeeValue) > 100) {
+      return sendError(res, 400, "A percent late fee cannot exceed 100");
+    }
+
+    const provider = await Provider.findByIdAndUpdate(
+      req.user.providerId,
+      { $set: update },
+      { new: true, runValidators: true }
+    )
+      .select("invoiceReminders")
+      .lean();
+
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    return res.json({ success: true, policy: provider.invoiceReminders });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ updateMyInvoiceReminderPolicy error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
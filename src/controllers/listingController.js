@@ -50,6 +50,8 @@ const LISTING_ALLOWED_FIELDS = [
   "images",
   "location",
   "isActive",
+  "durationMinutes",
+  "bufferMinutes",
 ];
 
 /* -------------------------------------------------------
@@ -79,6 +81,15 @@ if (data.businessName !== undefined) {
     cleaned.price = safeNum(data.price);
   }
 
+  // Booking duration / buffer — null clears back to provider defaults
+  ["durationMinutes", "bufferMinutes"].forEach((field) => {
+    if (data[field] === undefined) return;
+    cleaned[field] =
+      data[field] === null || data[field] === ""
+        ? null
+        : Math.round(safeNum(data[field]));
+  });
+
  if (data.location !== undefined) {
   const loc = data.location || {};
 
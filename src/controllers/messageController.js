@@ -1,13 +1,34 @@
-import Conversation from "../models/Conversation.js";
+import Conversation, { isConversationMuted } from "../models/Conversation.js";
 import Message from "../models/Message.js";
 import { getIO } from "../socket.js";
-import { sendPushNotification } from "../utils/sendPushNotification.js";
+import {
+  buildMessageContent,
+  buildSearchSnippet,
+  hydrateMessageCards,
+  messagePreviewText,
+  searchTerms,
+} from "../utils/messageContent.js";
+import {
+  notifyProvider,
+  notifyUser,
+} from "../services/notifications/notificationService.js";
+import { recordConversationMessage } from "../utils/responseTime.js";
+import { maybeSendAutoReply } from "../utils/autoReply.js";
+import {
+  moderateOutgoingMessage,
+  reportFlaggedMessage,
+} from "../utils/messageModeration.js";
 
 
 
 const sendError = (res, status, message) =>
   res.status(status).json({ success: false, message });
 
+// Edits are for fixing typos, not rewriting history
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_MESSAGE_EDITS = 20;
+const MAX_SEARCH_RESULTS = 50;
+
 /**
  * Resolve sender role using the CONVERSATION (not JWT claims)
  */
@@ -62,6 +83,16 @@ if (!sender) {
 
     const now = new Date();
 
+    // Read implies delivered — stamp any the device never acked
+    await Message.updateMany(
+      {
+        conversationId,
+        senderId: { $ne: sender.senderId },
+        deliveredAt: null,
+      },
+      { $set: { deliveredAt: now } }
+    );
+
     // 🔥 CRITICAL: mark unread messages as read
    await Message.updateMany(
   {
@@ -148,7 +179,7 @@ if (!sender) {
 
     return res.json({
       success: true,
-      messages: batch.reverse(),
+      messages: await hydrateMessageCards(batch.reverse()),
       nextBefore:
         batch.length === limit ? batch[batch.length - 1].createdAt : null,
     });
@@ -260,18 +291,33 @@ if (!sender) {
 }
 
 
-    const { text, imageUrls } = req.body || {};
-    const cleanText = typeof text === "string" ? text.trim() : "";
-    const isImage = Array.isArray(imageUrls) && imageUrls.length > 0;
-
-    if (!cleanText && !isImage) {
-      return sendError(res, 400, "Message text or images are required.");
+    // text / image / file / location / card — see utils/messageContent.js
+    // 🛡 then suspensions, blocks, filter rules, contact details
+    let content;
+    try {
+      content = await buildMessageContent({ body: req.body || {}, convo, sender });
+
+      const moderated = await moderateOutgoingMessage({
+        convo,
+        sender,
+        userId: req.user._id,
+        text: content.text || "",
+        location: content.location || null,
+        attachments: content.attachments || null,
+      });
+      if (content.text) content.text = moderated.text;
+      if (content.location) content.location = moderated.location;
+      if (content.attachments) content.attachments = moderated.attachments;
+      if (moderated.moderation) content.moderation = moderated.moderation;
+    } catch (err) {
+      if (err?.statusCode) return sendError(res, err.statusCode, err.message);
+      throw err;
     }
 
     const now = new Date();
 
     // ✅ FIX: match Message schema EXACTLY
-   const msg = await Message.create({
+   const created = await Message.create({
   conversationId: convo._id,   // ✅ FIXED
   providerId: convo.providerId,
   customerId: convo.customerId,
@@ -279,19 +325,23 @@ if (!sender) {
   senderId: sender.senderId,
   senderRole: sender.role,
 
-  text: cleanText,
-  imageUrls: isImage ? imageUrls.slice(0, 12) : [],
+  ...content,
 
-  deliveredAt: now,
+  deliveredAt: null,
   readAt: null,
 });
 
+await reportFlaggedMessage(convo, created);
+
+// Cards go out with their live status + actions
+const [msg] = await hydrateMessageCards([created.toObject()]);
+const preview = messagePreviewText(msg);
+
 convo.lastMessageAt = now;
 convo.lastMessageSenderRole = sender.role;
 convo.lastMessageSenderId = sender.senderId; // 🔥 REQUIRED FIX
-convo.lastMessageText = isImage
-  ? `📷 Photo${imageUrls.length > 1 ? "s" : ""}`
-  : cleanText.slice(0, 200);
+convo.lastMessageType = msg.type;
+convo.lastMessageText = preview;
 
 // 🔥 CRITICAL FIX — forces it into Messages list
 convo.updatedAt = now;
@@ -307,38 +357,41 @@ if (String(convo.providerId) === String(sender.senderId)) {
   convo.providerLastReadAt = null;     // Receiver = unread
 }
 
+// A new message brings an archived thread back, unless the
+// recipient muted it
+const recipientSide = sender.role === "provider" ? "customer" : "provider";
+const recipientMuted = isConversationMuted(convo, recipientSide, now);
+if (!recipientMuted) convo[`${recipientSide}ArchivedAt`] = null;
+
 await convo.save();
 
-/* 🔔 PUSH NOTIFICATION */
+// ⏱ First-response clock — feeds provider ranking
 try {
+  await recordConversationMessage(convo, { role: sender.role, at: now });
+} catch (err) {
+  console.log("Response time tracking failed:", err.message);
+}
 
-  const receiverId =
-    String(convo.providerId) === String(sender.senderId)
-      ? convo.customerId
-      : convo.providerId;
-
-// 🔒 Prevent notifying the sender
-if (receiverId === String(sender.senderId)) return;
-
-  const receiverUser = await Conversation.db
-    .model("User")
-    .findById(receiverId)
-    .select("pushToken");
-
-  if (receiverUser?.pushToken) {
-
-    await sendPushNotification({
-      token: receiverUser.pushToken,
-      title: "New Message",
-      body: cleanText || "📷 Photo",
-      data: {
-        type: "chat",
-        conversationId: convo._id,
-      },
-    });
+/* 🔔 PUSH NOTIFICATION — queued, never blocks the reply */
+try {
+  const push = {
+    category: "messages",
+    type: "new_message",
+    title: "New Message",
+    body: preview,
+    data: {
+      type: "chat",
+      conversationId: String(convo._id),
+    },
+    push: !recipientMuted, // muted → inbox only
+  };
 
+  // convo.providerId is a Provider id, customerId a User id
+  if (sender.role === "provider") {
+    await notifyUser(convo.customerId, push);
+  } else {
+    await notifyProvider(convo.providerId, push);
   }
-
 } catch (err) {
   console.log("Push notification failed:", err.message);
 }
@@ -439,21 +492,38 @@ const convo = await Conversation.findOneAndUpdate(
 );
 
 
+    let moderated;
+    try {
+      moderated = await moderateOutgoingMessage({
+        convo,
+        sender,
+        userId: req.user._id,
+        text: text.trim(),
+        now,
+      });
+    } catch (err) {
+      if (err?.statusCode) return sendError(res, err.statusCode, err.message);
+      throw err;
+    }
+
     const msg = await Message.create({
       conversationId: convo._id,
       providerId: convo.providerId,
       customerId: convo.customerId,
       senderId: sender.senderId,
       senderRole: sender.role,
-      text: text.trim(),
-      deliveredAt: now,
+      text: moderated.text,
+      moderation: moderated.moderation,
+      deliveredAt: null,
       readAt: null,
     });
+    await reportFlaggedMessage(convo, msg);
 
    convo.lastMessageAt = now;
 convo.lastMessageSenderRole = sender.role;
 convo.lastMessageSenderId = sender.senderId; // 🔥 ADD THIS LINE
-convo.lastMessageText = text.trim().slice(0, 200);
+convo.lastMessageType = "text";
+convo.lastMessageText = msg.text.slice(0, 200);
 convo.updatedAt = now;
 
 // 🔥 FIX UNREAD FOR FIRST MESSAGE
@@ -467,6 +537,12 @@ if (String(convo.providerId) === String(sender.senderId)) {
 
     await convo.save();
 
+    try {
+      await recordConversationMessage(convo, { role: sender.role, at: now });
+    } catch (err) {
+      console.log("Response time tracking failed:", err.message);
+    }
+
 
     try {
   const io = getIO();
@@ -496,10 +572,22 @@ io.to(conversationRoom).emit("newMessage", msg);
   console.log("Socket emit failed:", err.message);
 }
 
+    // 🌙 After-hours / away auto-reply — after the customer's
+    // message so it lands below it in the thread
+    let autoReply = null;
+    if (sender.role === "customer") {
+      try {
+        autoReply = await maybeSendAutoReply(convo, now);
+      } catch (err) {
+        console.log("Auto-reply failed:", err.message);
+      }
+    }
+
     return res.status(201).json({
       success: true,
       conversation: convo,
       message: msg,
+      autoReply,
     });
   } catch (err) {
     console.log("❌ startConversation:", err);
@@ -507,3 +595,251 @@ io.to(conversationRoom).emit("newMessage", msg);
   }
 };
 
+
+/**
+ * Emit to the thread and both parties' own rooms
+ * (Messages list + ChatDetail)
+ */
+const emitToConversation = (convo, event, payload) => {
+  try {
+    getIO()
+      .to([String(convo._id), String(convo.providerId), String(convo.customerId)])
+      .emit(event, payload);
+  } catch (err) {
+    console.log(`Socket ${event} emit failed:`, err.message);
+  }
+};
+
+/**
+ * Load a message the caller sent, in a conversation they belong to
+ */
+const loadOwnMessage = async (req, res) => {
+  const { conversationId, messageId } = req.params;
+
+  const sender = getSenderContext(req);
+  if (!sender) {
+    sendError(res, 403, "Access denied.");
+    return null;
+  }
+
+  const msg = await Message.findOne({ _id: messageId, conversationId });
+  if (!msg) {
+    sendError(res, 404, "Message not found.");
+    return null;
+  }
+  if (String(msg.senderId) !== String(sender.senderId)) {
+    sendError(res, 403, "You can only change your own messages.");
+    return null;
+  }
+
+  const convo = await Conversation.findById(conversationId);
+  if (!convo) {
+    sendError(res, 404, "Conversation not found.");
+    return null;
+  }
+
+  return { msg, convo };
+};
+
+/**
+ * Keep the list preview in step when the latest message changes
+ */
+const refreshPreviewIfLatest = async (convo, msg) => {
+  const latest = await Message.findOne({ conversationId: convo._id })
+    .sort({ createdAt: -1 })
+    .select("_id")
+    .lean();
+  if (String(latest?._id) !== String(msg._id)) return;
+
+  convo.lastMessageText = messagePreviewText(msg);
+  await convo.save();
+};
+
+
+/**
+ * PATCH /api/messages/:conversationId/:messageId
+ * Body: { text } — sender only, text messages only, within
+ * MESSAGE_EDIT_WINDOW_MS of sending
+ */
+export const editMessage = async (req, res) => {
+  try {
+    const loaded = await loadOwnMessage(req, res);
+    if (!loaded) return;
+    const { msg, convo } = loaded;
+
+    if (msg.deletedAt) return sendError(res, 409, "Message was deleted.");
+    if (msg.type !== "text") return sendError(res, 400, "Only text messages can be edited.");
+
+    const now = new Date();
+    if (now - msg.createdAt > MESSAGE_EDIT_WINDOW_MS) {
+      return sendError(res, 409, "Messages can only be edited for 15 minutes.");
+    }
+    if ((msg.editHistory?.length || 0) >= MAX_MESSAGE_EDITS) {
+      return sendError(res, 409, "This message has been edited too many times.");
+    }
+
+    const text = typeof req.body?.text === "string" ? req.body.text.trim() : "";
+    if (!text) return sendError(res, 400, "Message text is required.");
+    if (text.length > 4000) return sendError(res, 400, "Message text is limited to 4000 characters.");
+    if (text === msg.text) return res.json({ success: true, message: msg });
+
+    // Edits go through the same filters as new messages
+    let moderated;
+    try {
+      moderated = await moderateOutgoingMessage({
+        convo,
+        sender: { role: msg.senderRole, senderId: msg.senderId },
+        userId: req.user._id,
+        text,
+        now,
+      });
+    } catch (err) {
+      if (err?.statusCode) return sendError(res, err.statusCode, err.message);
+      throw err;
+    }
+
+    msg.editHistory = [...(msg.editHistory || []), { text: msg.text, editedAt: msg.editedAt || msg.createdAt }];
+    msg.text = moderated.text;
+    msg.moderation = moderated.moderation;
+    msg.editedAt = now;
+    await msg.save();
+
+    await reportFlaggedMessage(convo, msg);
+
+    await refreshPreviewIfLatest(convo, msg);
+
+    emitToConversation(convo, "messageUpdated", {
+      conversationId: String(convo._id),
+      message: msg,
+    });
+
+    return res.json({ success: true, message: msg });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.log("❌ editMessage:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+
+/**
+ * DELETE /api/messages/:conversationId/:messageId
+ * Delete for everyone — the content is wiped and a tombstone
+ * (deletedAt) stays in the thread
+ */
+export const deleteMessage = async (req, res) => {
+  try {
+    const loaded = await loadOwnMessage(req, res);
+    if (!loaded) return;
+    const { msg, convo } = loaded;
+
+    if (msg.deletedAt) return res.json({ success: true, message: msg });
+
+    msg.deletedAt = new Date();
+    msg.text = "";
+    msg.imageUrls = [];
+    msg.attachments = undefined;
+    msg.location = undefined;
+    msg.card = undefined;
+    msg.editHistory = undefined;
+    await msg.save();
+
+    await refreshPreviewIfLatest(convo, msg);
+
+    emitToConversation(convo, "messageDeleted", {
+      conversationId: String(convo._id),
+      messageId: String(msg._id),
+      deletedAt: msg.deletedAt,
+    });
+
+    return res.json({ success: true, message: msg });
+  } catch (err) {
+    console.log("❌ deleteMessage:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+
+/**
+ * GET /api/messages/search?q=leak&limit=20&before=<ISO>
+ * Full-text search across all of the caller's conversations,
+ * newest first. Cursor pagination via ?before=<createdAt>.
+ */
+export const searchMessages = async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim().slice(0, 200);
+    const terms = searchTerms(q);
+    if (!terms.length) return sendError(res, 400, "Search query is required.");
+
+    const or = [];
+    if (req.user?.providerId) or.push({ providerId: req.user.providerId });
+    if (req.user?._id) or.push({ customerId: req.user._id });
+    if (!or.length) return sendError(res, 401, "Unauthorized.");
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "20", 10) || 20, 1), MAX_SEARCH_RESULTS);
+    const before = req.query.before ? new Date(req.query.before) : null;
+
+    const filter = {
+      $text: { $search: terms.join(" ") },
+      $or: or,
+      deletedAt: null,
+    };
+    if (before && !isNaN(before.getTime())) filter.createdAt = { $lt: before };
+
+    const hits = await Message.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select("conversationId providerId customerId senderId senderRole type text attachments location card createdAt")
+      .lean();
+
+    const conversations = await Conversation.find({
+      _id: { $in: [...new Set(hits.map((m) => String(m.conversationId)))] },
+    })
+      .select("providerId customerId serviceId")
+      .populate({ path: "customerId", model: "User", select: "name avatar" })
+      .populate({ path: "providerId", select: "businessName avatar" })
+      .populate("serviceId", "title")
+      .lean();
+    const convoById = new Map(conversations.map((c) => [String(c._id), c]));
+
+    const results = hits.map((m) => {
+      const c = convoById.get(String(m.conversationId));
+      // Text first; otherwise whichever indexed field matched
+      const source =
+        m.text ||
+        m.card?.title ||
+        m.attachments?.map((a) => a.name).join(", ") ||
+        [m.location?.label, m.location?.address].filter(Boolean).join(" · ");
+
+      return {
+        messageId: m._id,
+        conversationId: m.conversationId,
+        senderId: m.senderId,
+        senderRole: m.senderRole,
+        type: m.type,
+        createdAt: m.createdAt,
+        ...buildSearchSnippet(source, terms),
+        conversation: c
+          ? {
+              customer: c.customerId
+                ? { _id: c.customerId._id, name: c.customerId.name || "Customer", avatar: c.customerId.avatar || null }
+                : null,
+              provider: c.providerId
+                ? { _id: c.providerId._id, businessName: c.providerId.businessName || "Business", avatar: c.providerId.avatar || null }
+                : null,
+              serviceTitle: c.serviceId?.title || null,
+            }
+          : null,
+      };
+    });
+
+    return res.json({
+      success: true,
+      results,
+      nextBefore: hits.length === limit ? hits[hits.length - 1].createdAt : null,
+    });
+  } catch (err) {
+    console.log("❌ searchMessages:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
@@ -0,0 +1,70 @@
+// src/controllers/messageFilterController.js
+import Provider, { CONTACT_FILTER_MODES } from "../models/Provider.js";
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const FILTER_FIELDS = ["links", "phoneNumbers"];
+
+/* -------------------------------------------------------
+   GET CONTACT-DETAIL FILTERS
+   GET /api/messages/filters/me
+------------------------------------------------------- */
+export const getMyMessageFilters = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const provider = await Provider.findById(req.user.providerId)
+      .select("messageFilters")
+      .lean();
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    return res.json({ success: true, filters: provider.messageFilters || {} });
+  } catch (err) {
+    console.error("❌ getMyMessageFilters error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   UPDATE CONTACT-DETAIL FILTERS
+   PUT /api/messages/filters/me
+   Body (all optional): { links, phoneNumbers }
+     each "allow" | "mask" | "block"
+------------------------------------------------------- */
+export const updateMyMessageFilters = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const body = req.body || {};
+    const update = {};
+
+    for (const field of FILTER_FIELDS) {
+      if (body[field] === undefined) continue;
+      if (!CONTACT_FILTER_MODES.includes(body[field])) {
+        return sendError(res, 400, `${field} must be ${CONTACT_FILTER_MODES.join(", ")}`);
+      }
+      update[`messageFilters.${field}`] = body[field];
+    }
+
+    const provider = await Provider.findByIdAndUpdate(
+      req.user.providerId,
+      { $set: update },
+      { new: true, runValidators: true }
+    )
+      .select("messageFilters")
+      .lean();
+
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    return res.json({ success: true, filters: provider.messageFilters });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ updateMyMessageFilters error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
@@ -0,0 +1,292 @@
+// src/controllers/notificationController.js
+import mongoose from "mongoose";
+import User, { NOTIFICATION_CATEGORIES } from "../models/User.js";
+import PushDevice, { PUSH_PLATFORMS } from "../models/PushDevice.js";
+import Notification from "../models/Notification.js";
+import {
+  registerPushDevice,
+  unregisterPushDevice,
+} from "../services/notifications/notificationService.js";
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/* -------------------------------------------------------
+   INBOX — LIST
+   GET /api/notifications?limit=30&before=<ISO>&unread=true
+   Cursor pagination via ?before=<createdAt of last item>
+------------------------------------------------------- */
+export const listNotifications = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "30", 10) || 30, 1), 100);
+    const before = req.query.before ? new Date(req.query.before) : null;
+
+    const q = { user: req.user._id };
+    if (before && !isNaN(before.getTime())) q.createdAt = { $lt: before };
+    if (req.query.unread === "true") q.readAt = null;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(q).sort({ createdAt: -1, _id: -1 }).limit(limit),
+      Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ]);
+
+    return res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      nextBefore:
+        notifications.length === limit ? notifications[notifications.length - 1].createdAt : null,
+    });
+  } catch (err) {
+    console.error("❌ listNotifications error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   INBOX — UNREAD COUNT (badge)
+   GET /api/notifications/unread-count
+------------------------------------------------------- */
+export const getUnreadNotificationCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      user: req.user._id,
+      readAt: null,
+    });
+    return res.json({ success: true, unreadCount });
+  } catch (err) {
+    console.error("❌ getUnreadNotificationCount error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   INBOX — MARK ONE READ
+   POST /api/notifications/:id/read
+------------------------------------------------------- */
+export const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+    if (!notification) return sendError(res, 404, "Notification not found");
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return res.json({ success: true, notification });
+  } catch (err) {
+    console.error("❌ markNotificationRead error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   INBOX — MARK ALL READ
+   POST /api/notifications/read-all
+------------------------------------------------------- */
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    return res.json({ success: true, updated: result.modifiedCount, unreadCount: 0 });
+  } catch (err) {
+    console.error("❌ markAllNotificationsRead error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   INBOX — DELETE
+   DELETE /api/notifications/:id
+------------------------------------------------------- */
+export const deleteNotification = async (req, res) => {
+  try {
+    const result = await Notification.deleteOne({ _id: req.params.id, user: req.user._id });
+    if (!result.deletedCount) return sendError(res, 404, "Notification not found");
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("❌ deleteNotification error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   REGISTER DEVICE (call on app start + token refresh)
+   POST /api/notifications/devices
+   Body: { token, platform?, appVersion?, deviceName? }
+------------------------------------------------------- */
+export const registerDevice = async (req, res) => {
+  try {
+    const { token, platform, appVersion, deviceName } = req.body || {};
+
+    if (platform !== undefined && !PUSH_PLATFORMS.includes(platform)) {
+      return sendError(res, 400, `platform must be one of ${PUSH_PLATFORMS.join(", ")}`);
+    }
+
+    const device = await registerPushDevice({
+      userId: req.user._id,
+      token,
+      platform: platform || "unknown",
+      appVersion: String(appVersion || "").slice(0, 40),
+      deviceName: String(deviceName || "").slice(0, 120),
+    });
+
+    return res.status(201).json({ success: true, device });
+  } catch (err) {
+    if (err?.statusCode) return sendError(res, err.statusCode, err.message);
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ registerDevice error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   LIST MY DEVICES
+   GET /api/notifications/devices
+------------------------------------------------------- */
+export const listMyDevices = async (req, res) => {
+  try {
+    const devices = await PushDevice.find({ user: req.user._id })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    return res.json({ success: true, devices });
+  } catch (err) {
+    console.error("❌ listMyDevices error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   UNREGISTER DEVICE
+   DELETE /api/notifications/devices/:id
+   POST   /api/notifications/devices/unregister { token }
+   (the token form is for logout, before the id is known)
+------------------------------------------------------- */
+export const unregisterDevice = async (req, res) => {
+  try {
+    const deviceId = req.params.id;
+    const token = req.body?.token;
+
+    if (deviceId && !isValidId(deviceId)) return sendError(res, 400, "Invalid device ID");
+    if (!deviceId && !token) return sendError(res, 400, "token is required");
+
+    const result = await unregisterPushDevice({ userId: req.user._id, token, deviceId });
+    if (deviceId && !result.deletedCount) return sendError(res, 404, "Device not found");
+
+    return res.json({ success: true, removed: result.deletedCount });
+  } catch (err) {
+    console.error("❌ unregisterDevice error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   GET NOTIFICATION PREFERENCES
+   GET /api/notifications/preferences
+------------------------------------------------------- */
+export const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("notificationPreferences");
+    if (!user) return sendError(res, 404, "User not found");
+
+    return res.json({ success: true, preferences: user.notificationPreferences });
+  } catch (err) {
+    console.error("❌ getNotificationPreferences error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   UPDATE NOTIFICATION PREFERENCES
+   PUT /api/notifications/preferences
+   Body (all optional): { push, categories: { messages, ... },
+     quietHours: { enabled, start: "22:00", end: "07:00", timezone } }
+------------------------------------------------------- */
+export const updateNotificationPreferences = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const update = {};
+
+    if (body.push !== undefined) {
+      if (typeof body.push !== "boolean") return sendError(res, 400, "push must be true or false");
+      update["notificationPreferences.push"] = body.push;
+    }
+
+    if (body.categories !== undefined) {
+      if (!body.categories || typeof body.categories !== "object") {
+        return sendError(res, 400, "categories must be an object");
+      }
+      for (const [category, enabled] of Object.entries(body.categories)) {
+        if (!NOTIFICATION_CATEGORIES.includes(category)) {
+          return sendError(res, 400, `Unknown notification category: ${category}`);
+        }
+        if (typeof enabled !== "boolean") {
+          return sendError(res, 400, `categories.${category} must be true or false`);
+        }
+        update[`notificationPreferences.categories.${category}`] = enabled;
+      }
+    }
+
+    const quiet = body.quietHours;
+    if (quiet !== undefined) {
+      if (!quiet || typeof quiet !== "object") {
+        return sendError(res, 400, "quietHours must be an object");
+      }
+      if (quiet.enabled !== undefined) {
+        if (typeof quiet.enabled !== "boolean") {
+          return sendError(res, 400, "quietHours.enabled must be true or false");
+        }
+        update["notificationPreferences.quietHours.enabled"] = quiet.enabled;
+      }
+      for (const field of ["start", "end"]) {
+        if (quiet[field] === undefined) continue;
+        if (!HHMM.test(String(quiet[field]))) {
+          return sendError(res, 400, `quietHours.${field} must be HH:MM (24h)`);
+        }
+        update[`notificationPreferences.quietHours.${field}`] = quiet[field];
+      }
+      if (quiet.timezone !== undefined) {
+        if (!isValidTimeZone(quiet.timezone)) {
+          return sendError(res, 400, "quietHours.timezone must be an IANA timezone");
+        }
+        update["notificationPreferences.quietHours.timezone"] = quiet.timezone;
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select("notificationPreferences");
+
+    if (!user) return sendError(res, 404, "User not found");
+
+    return res.json({ success: true, preferences: user.notificationPreferences });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ updateNotificationPreferences error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
@@ -3,6 +3,7 @@ import mongoose from "mongoose";
 import { v2 as cloudinary } from "cloudinary";
 import multer from "multer";
 import { Provider } from "../models/Provider.js";
+import { providerBadges } from "../utils/providerMetrics.js";
 
 const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
 
@@ -351,7 +352,16 @@ export const getProviderById = async (req, res, next) => {
 
     if (!provider) return sendError(res, 404, "Provider not found");
 
-    return res.json({ success: true, provider });
+    // Lead metrics stay private — only the badges and
+    // responsiveness go on the public profile
+    const { performance, ...publicProvider } = provider;
+    publicProvider.badges = providerBadges(performance);
+    publicProvider.responsiveness = {
+      medianFirstResponseSec: performance?.medianFirstResponseSec ?? null,
+      replyRate: performance?.replyRate ?? null,
+    };
+
+    return res.json({ success: true, provider: publicProvider });
   } catch (err) {
     next(err);
   }
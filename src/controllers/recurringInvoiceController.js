@@ -0,0 +1,405 @@
+// src/controllers/recurringInvoiceController.js
+import mongoose from "mongoose";
+import RecurringInvoice, {
+  RECURRING_FREQUENCIES,
+} from "../models/RecurringInvoice.js";
+import Invoice from "../models/Invoice.js";
+import Provider from "../models/Provider.js";
+import Customer from "../models/Customer.js";
+import { nextRunAfter } from "../utils/recurringInvoices.js";
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const safeNum = (n) => {
+  const v = parseFloat(n);
+  return Number.isNaN(v) ? 0 : v;
+};
+
+const parsePositiveInt = (value, defaultValue, max) => {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n) || n <= 0) return defaultValue;
+  if (max && n > max) return max;
+  return n;
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const getProviderForUser = async (userId) => {
+  if (!userId) return null;
+  return Provider.findOne({ user: userId }).select("_id").lean();
+};
+
+/* -------------------------------------------------------
+   ITEMS + TOTALS — same normalization as estimates
+------------------------------------------------------- */
+const normalizeItems = (items) =>
+  Array.isArray(items)
+    ? items.map((i) => {
+        const qty = Number.isFinite(Number(i?.qty)) ? Number(i.qty) : 1;
+        const rate = Number.isFinite(Number(i?.rate)) ? Number(i.rate) : 0;
+        return {
+          title: (i?.title ?? i?.name ?? "").toString().trim(),
+          description: (i?.description ?? "").toString().trim(),
+          qty,
+          rate,
+          amount: Number.isFinite(Number(i?.amount))
+            ? Number(i.amount)
+            : round2(qty * rate),
+        };
+      })
+    : [];
+
+const computeTotals = (items, { tax, taxPct }) => {
+  const subtotal = round2(items.reduce((sum, i) => sum + safeNum(i.amount), 0));
+  const pct = safeNum(taxPct);
+  const taxAmount = pct > 0 ? round2((subtotal * pct) / 100) : round2(safeNum(tax));
+  return { subtotal, tax: taxAmount, taxPct: pct, total: round2(subtotal + taxAmount) };
+};
+
+const parseDate = (value) => {
+  if (value === null || value === "") return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+/**
+ * Validate schedule fields present on the body.
+ * Returns { update } or { error }.
+ */
+const parseSchedule = (body) => {
+  const update = {};
+
+  if (body.billingFrequency !== undefined) {
+    if (!RECURRING_FREQUENCIES.includes(body.billingFrequency)) {
+      return { error: `billingFrequency must be one of: ${RECURRING_FREQUENCIES.join(", ")}` };
+    }
+    update.billingFrequency = body.billingFrequency;
+  }
+
+  if (body.customInterval !== undefined) {
+    const every = parseInt(body.customInterval?.every, 10);
+    const unit = body.customInterval?.unit;
+    if (!(every >= 1) || !["days", "weeks", "months"].includes(unit)) {
+      return { error: "customInterval needs every >= 1 and unit days, weeks or months" };
+    }
+    update.customInterval = { every, unit };
+  }
+
+  for (const field of ["startDate", "endDate"]) {
+    if (body[field] === undefined) continue;
+    const d = parseDate(body[field]);
+    if (d === undefined) return { error: `Invalid ${field}` };
+    update[field] = d;
+  }
+
+  if (body.dueInDays !== undefined) {
+    const n = parseInt(body.dueInDays, 10);
+    if (Number.isNaN(n) || n < 0 || n > 365) {
+      return { error: "dueInDays must be between 0 and 365" };
+    }
+    update.dueInDays = n;
+  }
+
+  if (body.maxOccurrences !== undefined) {
+    update.maxOccurrences =
+      body.maxOccurrences === null ? null : parsePositiveInt(body.maxOccurrences, null);
+  }
+
+  return { update };
+};
+
+/* -------------------------------------------------------
+   CREATE RECURRING INVOICE
+   POST /api/recurring-invoices
+   Body: { customer, name?, items, tax?, taxPct?, currency?,
+     notes?, billingFrequency, customInterval?, startDate?,
+     endDate?, maxOccurrences?, dueInDays?, sendSms? }
+   The first invoice is issued on startDate (default: now).
+------------------------------------------------------- */
+export const createRecurringInvoice = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const body = req.body || {};
+    const customerRef = body.customer || body.customerId;
+    if (!customerRef || !isValidId(customerRef)) {
+      return sendError(res, 400, "Valid customer ID is required");
+    }
+
+    const customer = await Customer.findOne({
+      _id: customerRef,
+      provider: provider._id,
+    })
+      .select("_id")
+      .lean();
+    if (!customer) return sendError(res, 404, "Customer not found");
+
+    const items = normalizeItems(body.items);
+    if (!items.length) return sendError(res, 400, "Add at least one line item.");
+
+    const { update: schedule, error } = parseSchedule(body);
+    if (error) return sendError(res, 400, error);
+
+    const frequency = schedule.billingFrequency || "monthly";
+    if (frequency === "custom" && !schedule.customInterval) {
+      return sendError(res, 400, "customInterval is required for a custom frequency");
+    }
+
+    const { startDate, ...rest } = schedule;
+    const nextRunAt = startDate || new Date();
+    if (rest.endDate && rest.endDate < nextRunAt) {
+      return sendError(res, 400, "endDate is before the first invoice.");
+    }
+
+    const template = await RecurringInvoice.create({
+      provider: provider._id,
+      customer: customer._id,
+      name: body.name || "",
+      items,
+      ...computeTotals(items, body),
+      currency: body.currency || "USD",
+      notes: body.notes || "",
+      ...rest,
+      nextRunAt,
+      sendSms: body.sendSms !== false,
+    });
+
+    return res.status(201).json({ success: true, recurringInvoice: template });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ createRecurringInvoice error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   LIST MY RECURRING INVOICES
+   GET /api/recurring-invoices/provider/me?status=&customer=
+------------------------------------------------------- */
+export const getRecurringInvoicesForProvider = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = parsePositiveInt(req.query.limit, 20, 100);
+
+    const filter = { provider: provider._id };
+    if (req.query.status) filter.status = String(req.query.status).toLowerCase();
+    if (req.query.customer) {
+      if (!isValidId(req.query.customer)) return sendError(res, 400, "Invalid customer ID");
+      filter.customer = req.query.customer;
+    }
+
+    const [recurringInvoices, total] = await Promise.all([
+      RecurringInvoice.find(filter)
+        .populate("customer", "name phone email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      RecurringInvoice.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      recurringInvoices,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error("❌ getRecurringInvoicesForProvider error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   GET ONE (with the invoices it has issued)
+   GET /api/recurring-invoices/:id
+------------------------------------------------------- */
+export const getRecurringInvoiceById = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const template = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      provider: provider._id,
+    }).populate("customer", "name phone email");
+    if (!template) return sendError(res, 404, "Recurring invoice not found");
+
+    const invoices = await Invoice.find({ recurringInvoice: template._id })
+      .select("invoiceNumber total balance status issueDate dueDate createdAt")
+      .sort({ createdAt: -1 })
+      .limit(24)
+      .lean();
+
+    return res.json({ success: true, recurringInvoice: template, invoices });
+  } catch (err) {
+    console.error("❌ getRecurringInvoiceById error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   UPDATE (not once stopped) — applies to future invoices
+   PUT /api/recurring-invoices/:id
+   Pass nextRunAt to move the next issue date.
+------------------------------------------------------- */
+export const updateRecurringInvoice = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const template = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      provider: provider._id,
+    });
+    if (!template) return sendError(res, 404, "Recurring invoice not found");
+    if (template.status === "stopped") {
+      return sendError(res, 409, "Cannot edit a stopped recurring invoice.");
+    }
+
+    const body = req.body || {};
+
+    const { update: schedule, error } = parseSchedule(body);
+    if (error) return sendError(res, 400, error);
+    delete schedule.startDate;
+    Object.assign(template, schedule);
+
+    if (template.billingFrequency === "custom" && !template.customInterval?.every) {
+      return sendError(res, 400, "customInterval is required for a custom frequency");
+    }
+
+    if (body.nextRunAt !== undefined) {
+      const d = parseDate(body.nextRunAt);
+      if (!d) return sendError(res, 400, "Invalid nextRunAt");
+      template.nextRunAt = d;
+    }
+
+    ["name", "notes", "currency"].forEach((field) => {
+      if (body[field] !== undefined) template[field] = body[field] || "";
+    });
+    if (body.sendSms !== undefined) template.sendSms = body.sendSms !== false;
+
+    if (body.items !== undefined || body.tax !== undefined || body.taxPct !== undefined) {
+      const items = body.items !== undefined ? normalizeItems(body.items) : template.items;
+      if (!items.length) return sendError(res, 400, "Add at least one line item.");
+      template.items = items;
+      Object.assign(
+        template,
+        computeTotals(items, {
+          tax: body.tax ?? template.tax,
+          taxPct: body.taxPct ?? template.taxPct,
+        })
+      );
+    }
+
+    await template.save();
+
+    return res.json({ success: true, recurringInvoice: template });
+  } catch (err) {
+    if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+    console.error("❌ updateRecurringInvoice error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   PAUSE — no invoices are issued while paused
+   POST /api/recurring-invoices/:id/pause
+------------------------------------------------------- */
+export const pauseRecurringInvoice = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const template = await RecurringInvoice.findOneAndUpdate(
+      { _id: req.params.id, provider: provider._id, status: "active" },
+      { $set: { status: "paused", pausedAt: new Date() } },
+      { new: true }
+    );
+    if (!template) return sendError(res, 409, "Only an active recurring invoice can be paused.");
+
+    return res.json({ success: true, recurringInvoice: template });
+  } catch (err) {
+    console.error("❌ pauseRecurringInvoice error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   RESUME — periods missed while paused are skipped
+   POST /api/recurring-invoices/:id/resume
+------------------------------------------------------- */
+export const resumeRecurringInvoice = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const template = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      provider: provider._id,
+      status: "paused",
+    });
+    if (!template) return sendError(res, 409, "Only a paused recurring invoice can be resumed.");
+
+    const now = new Date();
+    const nextRunAt =
+      template.nextRunAt && template.nextRunAt > now
+        ? template.nextRunAt
+        : nextRunAfter(template, template.nextRunAt || now, now);
+
+    if (template.endDate && nextRunAt > template.endDate) {
+      return sendError(res, 409, "The end date has passed — nothing left to issue.");
+    }
+
+    const updated = await RecurringInvoice.findOneAndUpdate(
+      { _id: template._id, status: "paused" },
+      { $set: { status: "active", pausedAt: null, nextRunAt } },
+      { new: true }
+    );
+    if (!updated) return sendError(res, 409, "Recurring invoice changed, try again.");
+
+    return res.json({ success: true, recurringInvoice: updated });
+  } catch (err) {
+    console.error("❌ resumeRecurringInvoice error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   STOP — permanent; issued invoices are unaffected
+   POST /api/recurring-invoices/:id/stop
+------------------------------------------------------- */
+export const stopRecurringInvoice = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) return sendError(res, 404, "Provider profile not found");
+
+    const template = await RecurringInvoice.findOneAndUpdate(
+      { _id: req.params.id, provider: provider._id, status: { $ne: "stopped" } },
+      {
+        $set: {
+          status: "stopped",
+          stoppedAt: new Date(),
+          stopReason: "manual",
+          nextRunAt: null,
+        },
+      },
+      { new: true }
+    );
+    if (!template) return sendError(res, 404, "Recurring invoice not found or already stopped");
+
+    return res.json({ success: true, recurringInvoice: template });
+  } catch (err) {
+    console.error("❌ stopRecurringInvoice error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
@@ -1,7 +1,93 @@
 import Review from "../models/Review.js";
+import ReviewVote from "../models/ReviewVote.js";
+import ReviewFlag, { REVIEW_FLAG_REASONS } from "../models/ReviewFlag.js";
+import ReviewRequest from "../models/ReviewRequest.js";
 import Listing from "../models/Listing.js";
 import Conversation from "../models/Conversation.js";
 import Message from "../models/Message.js";
+import { refreshRatingAggregates } from "../utils/reviewRatings.js";
+import { screenNewReview } from "../utils/reviewFraud.js";
+import { buildFingerprintFromRequest } from "../utils/deviceFingerprint.js";
+import { logAuditEvent } from "../utils/auditLogger.js";
+import { findVerifiedJob, loadJobForReviewRequest } from "../utils/verifiedJobs.js";
+import {
+  buildPublicUrl,
+  generatePublicToken,
+  isWellFormedPublicToken
+} from "../utils/publicLinks.js";
+import { notifyUser } from "../services/notifications/notificationService.js";
+
+// Authors can edit a review this long after posting it
+const EDIT_WINDOW_DAYS = 14;
+const MAX_EDITS = 5;
+
+// One review per provider per user in this window
+const REVIEW_COOLDOWN_HOURS = 24;
+
+// Review request links stay open this long
+const REVIEW_REQUEST_TTL_DAYS = 30;
+
+// Never shown on public review lists
+const PRIVATE_REVIEW_FIELDS = "-editHistory -verification.ref -reviewRequest";
+
+/**
+ * ⭐ Rating rules — shared by create and edit.
+ * @returns error message, or null when the review is OK
+ */
+const ratingRuleError = (rating, comment, imageUrl) => {
+  if (rating <= 2 && (!imageUrl || !comment || comment.trim().length < 14)) {
+    return "1-2 star reviews require a photo and explanation.";
+  }
+  if (rating === 3 && (!comment || comment.trim().length < 14)) {
+    return "3 star reviews require a short explanation.";
+  }
+  return null;
+};
+
+// 🛡 Review bombing guard (1 review per provider per 24h)
+const reviewedRecently = (userId, providerId) =>
+  Review.exists({
+    user: userId,
+    provider: providerId,
+    createdAt: { $gte: new Date(Date.now() - REVIEW_COOLDOWN_HOURS * 60 * 60 * 1000) }
+  });
+
+/**
+ * Create a review, run the fraud screening and refresh the
+ * rating aggregates. Shared by the chat and review-request
+ * flows.
+ * @returns 201 response body
+ */
+const publishNewReview = async (req, fields) => {
+  const review = await Review.create({
+    ...fields,
+    ip: req.ip || "",
+    fingerprintId: buildFingerprintFromRequest(req).fingerprintId
+  });
+
+  // 🛡 Fraud signals — may hold the review for moderation
+  const screening = await screenNewReview(review, {
+    ip: req.ip,
+    fingerprintId: review.fingerprintId
+  });
+
+  // ⭐ Listing + provider rating stats
+  await refreshRatingAggregates({ listingId: review.service, providerId: review.provider });
+
+  const { ip, fingerprintId, ...publicReview } = review.toObject();
+
+  return {
+    success: true,
+    review: {
+      ...publicReview,
+      status: screening.held ? "held" : review.status
+    },
+    ...(screening.held && {
+      message: "Thanks! Your review will appear once our team has checked it."
+    })
+  };
+};
+
 export const addReview = async (req, res, next) => {
   try {
     const {
@@ -61,6 +147,14 @@ if (!isParticipant) {
     message: "Unauthorized"
   });
 }
+// 🔒 Ensure the conversation was with the provider being reviewed
+if (String(convo.providerId) !== String(providerId)) {
+  return res.status(403).json({
+    success: false,
+    message: "This conversation is not with that provider"
+  });
+}
+
 // 🔒 Ensure the customer initiated the conversation
 
 // 🔒 Ensure a message exists in the conversation
@@ -91,63 +185,54 @@ if (!messageExists) {
       });
     }
 // 🛡 Prevent review bombing (1 review per provider per 24h)
-
-
+if (await reviewedRecently(userId, providerId)) {
+  return res.status(429).json({
+    success: false,
+    message: "You already reviewed this provider recently. Try again tomorrow."
+  });
+}
 
 // ⭐ Enforce rating rules
-
-if (rating <= 2) {
-  if (!imageUrl || !comment || comment.trim().length < 14) {
-    return res.status(400).json({
-      success: false,
-      message: "1-2 star reviews require a photo and explanation."
-    });
-  }
+const ruleError = ratingRuleError(Number(rating), comment, imageUrl);
+if (ruleError) {
+  return res.status(400).json({
+    success: false,
+    message: ruleError
+  });
 }
 
-if (rating === 3) {
-  if (!comment || comment.trim().length < 14) {
-    return res.status(400).json({
-      success: false,
-      message: "3 star reviews require a short explanation."
+    // 🔒 Listing must exist and belong to the reviewed provider
+    const listing = await Listing.findById(serviceId).select("provider").lean();
+
+    if (!listing || String(listing.provider) !== String(providerId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Listing not found"
+      });
+    }
+
+    // ✅ Verified purchase, when there's a paid / completed job
+    const job = await findVerifiedJob({
+      providerId,
+      userId,
+      email: req.user.email
     });
-  }
-}
-    
 
-    const review = await Review.create({
+    const body = await publishNewReview(req, {
       service: serviceId,
       provider: providerId,
       user: userId,
       conversation: conversationId,
       rating,
       comment,
-      imageUrl: imageUrl || null
+      imageUrl: imageUrl || null,
+      ...(job && {
+        verified: true,
+        verification: { kind: job.kind, ref: job.ref, at: new Date() }
+      })
     });
 
-    // ⭐ Update listing rating stats
-   const listing = await Listing.findById(serviceId);
-
-if (!listing) {
-  return res.status(404).json({
-    success: false,
-    message: "Listing not found"
-  });
-}
-listing.ratingCount = (listing.ratingCount || 0) + 1;
-listing.ratingSum = (listing.ratingSum || 0) + rating;
-   listing.rating =
-  Math.round((listing.ratingSum / listing.ratingCount) * 10) / 10;
-
-    listing.ratingBreakdown[rating] =
-      (listing.ratingBreakdown[rating] || 0) + 1;
-
-    await listing.save();
-
-    res.status(201).json({
-      success: true,
-      review
-    });
+    res.status(201).json(body);
 
   } catch (err) {
     next(err);
@@ -160,6 +245,7 @@ export const listForService = async (req, res, next) => {
       service: req.params.serviceId,
       status: "published"
     })
+      .select(PRIVATE_REVIEW_FIELDS)
       .populate("user", "name")
       .sort({ createdAt: -1 })
       .lean();
@@ -198,6 +284,21 @@ export const removeReview = async (req, res, next) => {
     review.status = "removed";
     await review.save();
 
+    if (isAdmin && !isAuthor) {
+      logAuditEvent({
+        actorId: req.user._id,
+        type: "moderation.review_removed",
+        metadata: { reviewId: String(review._id), providerId: String(review.provider) },
+        ip: req.ip,
+        userAgent: req.headers["user-agent"] || ""
+      });
+    }
+
+    await refreshRatingAggregates({
+      listingId: review.service,
+      providerId: review.provider
+    });
+
     res.json({ success: true });
 
   } catch (err) {
@@ -205,6 +306,371 @@ export const removeReview = async (req, res, next) => {
   }
 };
 
+/* ---- PROVIDER REVIEWS (all listings)
+   GET /api/reviews/provider/:providerId ---- */
+export const listForProvider = async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const filter = { provider: req.params.providerId, status: "published" };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .select(PRIVATE_REVIEW_FIELDS)
+        .populate("user", "name")
+        .populate("service", "title")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      reviews,
+      page,
+      total
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ---- EDIT REVIEW (author, within the edit window)
+   PUT /api/reviews/:id ---- */
+export const editReview = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review || review.status !== "published") {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found"
+      });
+    }
+
+    if (String(review.user) !== String(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to edit this review"
+      });
+    }
+
+    const windowEnds = review.createdAt.getTime() + EDIT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    if (Date.now() > windowEnds) {
+      return res.status(403).json({
+        success: false,
+        message: `Reviews can only be edited within ${EDIT_WINDOW_DAYS} days of posting.`
+      });
+    }
+
+    if ((review.editHistory?.length || 0) >= MAX_EDITS) {
+      return res.status(400).json({
+        success: false,
+        message: "This review can't be edited again."
+      });
+    }
+
+    const rating = req.body.rating !== undefined ? Number(req.body.rating) : review.rating;
+    const comment = req.body.comment !== undefined ? String(req.body.comment || "") : review.comment;
+    const imageUrl = req.body.imageUrl !== undefined ? req.body.imageUrl || null : review.imageUrl;
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({
+        success: false,
+        message: "Rating must be between 1 and 5"
+      });
+    }
+
+    const ruleError = ratingRuleError(rating, comment, imageUrl);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        message: ruleError
+      });
+    }
+
+    if (rating === review.rating && comment.trim() === review.comment && imageUrl === review.imageUrl) {
+      return res.json({ success: true, review });
+    }
+
+    const now = new Date();
+    review.editHistory = [
+      ...(review.editHistory || []),
+      {
+        rating: review.rating,
+        comment: review.comment,
+        imageUrl: review.imageUrl,
+        editedAt: now
+      }
+    ];
+    review.rating = rating;
+    review.comment = comment;
+    review.imageUrl = imageUrl;
+    review.editedAt = now;
+    await review.save();
+
+    await refreshRatingAggregates({
+      listingId: review.service,
+      providerId: review.provider
+    });
+
+    res.json({
+      success: true,
+      review
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ---- PROVIDER REPLY (one public reply per review)
+   POST /api/reviews/:id/reply ---- */
+export const replyToReview = async (req, res, next) => {
+  try {
+    const text = String(req.body.text || "").trim();
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: "Reply text is required"
+      });
+    }
+
+    if (text.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: "Reply must be 1000 characters or fewer"
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review || review.status !== "published") {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found"
+      });
+    }
+
+    if (!req.user.providerId || String(review.provider) !== String(req.user.providerId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the reviewed provider can reply"
+      });
+    }
+
+    const now = new Date();
+    review.providerReply = {
+      text,
+      createdAt: review.providerReply?.createdAt || now,
+      updatedAt: now
+    };
+    await review.save();
+
+    res.json({
+      success: true,
+      providerReply: review.providerReply
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ---- DELETE PROVIDER REPLY
+   DELETE /api/reviews/:id/reply ---- */
+export const deleteReviewReply = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found"
+      });
+    }
+
+    const isOwner = req.user.providerId && String(review.provider) === String(req.user.providerId);
+    const isAdmin = req.user.role === "admin";
+
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to remove this reply"
+      });
+    }
+
+    review.providerReply = null;
+    await review.save();
+
+    res.json({ success: true });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ---- HELPFUL VOTES
+   POST   /api/reviews/:id/helpful
+   DELETE /api/reviews/:id/helpful ---- */
+export const markReviewHelpful = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id).select("user provider status helpfulCount");
+
+    if (!review || review.status !== "published") {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found"
+      });
+    }
+
+    if (
+      String(review.user) === String(req.user._id) ||
+      String(review.provider) === String(req.user.providerId)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot vote on this review"
+      });
+    }
+
+    const vote = await ReviewVote.updateOne(
+      { review: review._id, user: req.user._id },
+      { $setOnInsert: { review: review._id, user: req.user._id } },
+      { upsert: true }
+    );
+
+    let helpfulCount = review.helpfulCount;
+    if (vote.upsertedCount) {
+      const updated = await Review.findByIdAndUpdate(
+        review._id,
+        { $inc: { helpfulCount: 1 } },
+        { new: true }
+      ).select("helpfulCount");
+      helpfulCount = updated.helpfulCount;
+    }
+
+    res.json({
+      success: true,
+      helpful: true,
+      helpfulCount
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const unmarkReviewHelpful = async (req, res, next) => {
+  try {
+    const removed = await ReviewVote.deleteOne({ review: req.params.id, user: req.user._id });
+
+    const review = removed.deletedCount
+      ? await Review.findOneAndUpdate(
+          { _id: req.params.id, helpfulCount: { $gt: 0 } },
+          { $inc: { helpfulCount: -1 } },
+          { new: true }
+        ).select("helpfulCount")
+      : await Review.findById(req.params.id).select("helpfulCount");
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      helpful: false,
+      helpfulCount: review.helpfulCount
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ---- FLAG REVIEW (customers, or the reviewed provider)
+   POST /api/reviews/:id/flag
+   Body: { reason, details? } ---- */
+export const flagReview = async (req, res, next) => {
+  try {
+    const { reason, details = "" } = req.body || {};
+
+    if (!REVIEW_FLAG_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `reason must be one of: ${REVIEW_FLAG_REASONS.join(", ")}`
+      });
+    }
+
+    if (typeof details !== "string" || details.length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: "details must be text up to 2000 characters"
+      });
+    }
+
+    const review = await Review.findById(req.params.id).select("user provider status");
+
+    if (!review || review.status === "removed") {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found"
+      });
+    }
+
+    if (String(review.user) === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot flag your own review"
+      });
+    }
+
+    const isProvider = String(review.provider) === String(req.user.providerId);
+
+    const flag = await ReviewFlag.updateOne(
+      { review: review._id, user: req.user._id },
+      {
+        $setOnInsert: {
+          review: review._id,
+          user: req.user._id,
+          role: isProvider ? "provider" : "customer",
+          reason,
+          details: details.trim()
+        }
+      },
+      { upsert: true, runValidators: true }
+    );
+
+    if (!flag.upsertedCount) {
+      return res.status(409).json({
+        success: false,
+        message: "You already flagged this review"
+      });
+    }
+
+    await Review.updateOne(
+      { _id: review._id },
+      {
+        $inc: { "moderation.flagCount": 1 },
+        $set: { "moderation.queued": true, "moderation.queuedAt": new Date() }
+      }
+    );
+
+    res.status(201).json({ success: true });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
 export const checkReviewEligibility = async (req, res) => {
   try {
     const { serviceId } = req.params;
@@ -230,9 +696,17 @@ if (!messageExists) {
   });
 }
 
+    // ✅ Would this review be a verified purchase?
+    const job = await findVerifiedJob({
+      providerId: convo.providerId,
+      userId,
+      email: req.user.email
+    });
+
     return res.json({
       eligible: true,
-      conversationId: convo._id
+      conversationId: convo._id,
+      verified: Boolean(job)
     });
 
   } catch (err) {
@@ -242,4 +716,295 @@ if (!messageExists) {
       message: "Failed to check review eligibility"
     });
   }
-};
\ No newline at end of file
+};
+
+/* =====================================================
+   REVIEW REQUESTS
+   Providers send a single-use link after a paid invoice,
+   captured terminal payment or completed booking; the
+   review left through it is verified against that job.
+===================================================== */
+
+const reviewRequestUrl = (request) =>
+  buildPublicUrl(`api/reviews/requests/${request.token}`);
+
+/* ---- CREATE / RESEND REVIEW REQUEST (provider)
+   POST /api/reviews/requests
+   Body: { kind: "invoice" | "terminal_payment" | "booking",
+           id, listingId? } — listingId is required unless
+   the job is a booking ---- */
+export const createReviewRequest = async (req, res, next) => {
+  try {
+    const providerId = req.user.providerId;
+
+    if (!providerId) {
+      return res.status(403).json({
+        success: false,
+        message: "Provider access required"
+      });
+    }
+
+    const { kind, id, listingId } = req.body || {};
+
+    let job;
+    try {
+      job = await loadJobForReviewRequest(providerId, { kind, id });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    const listing = await Listing.findOne({
+      _id: job.listing || listingId,
+      provider: providerId
+    })
+      .select("title")
+      .lean()
+      .catch(() => null);
+
+    if (!listing) {
+      return res.status(400).json({
+        success: false,
+        message: "Pick one of your listings for the review"
+      });
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + REVIEW_REQUEST_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    // Resending the same job refreshes the link instead of adding one
+    const request = await ReviewRequest.findOneAndUpdate(
+      { provider: providerId, kind: job.kind, ref: job.ref },
+      {
+        $set: {
+          listing: listing._id,
+          customerUser: job.customerUser,
+          customer: job.customer,
+          customerEmail: job.customerEmail,
+          customerName: job.customerName,
+          expiresAt
+        },
+        $setOnInsert: { token: generatePublicToken() }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    if (request.usedAt) {
+      return res.status(409).json({
+        success: false,
+        message: "This customer already left a review for the job"
+      });
+    }
+
+    const url = reviewRequestUrl(request);
+
+    // Marketplace customers get it in the app too
+    if (job.customerUser) {
+      notifyUser(job.customerUser, {
+        category: "system",
+        type: "review_request",
+        title: "How did it go?",
+        body: `Leave a review for ${listing.title}.`,
+        data: { type: "review_request", token: request.token, url }
+      }).catch((err) => console.error("❌ Review request notification failed:", err.message));
+    }
+
+    res.status(201).json({
+      success: true,
+      request,
+      url
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ---- MY REVIEW REQUESTS (provider)
+   GET /api/reviews/requests ---- */
+export const listMyReviewRequests = async (req, res, next) => {
+  try {
+    if (!req.user.providerId) {
+      return res.status(403).json({
+        success: false,
+        message: "Provider access required"
+      });
+    }
+
+    const requests = await ReviewRequest.find({ provider: req.user.providerId })
+      .populate("listing", "title")
+      .populate("review", "rating comment status createdAt")
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.json({
+      success: true,
+      requests: requests.map((request) => ({ ...request, url: reviewRequestUrl(request) }))
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Live request for a token, or an error response body.
+ */
+const findOpenReviewRequest = async (token) => {
+  if (!isWellFormedPublicToken(token)) {
+    return { status: 404, message: "Review link not found" };
+  }
+
+  const request = await ReviewRequest.findOne({ token })
+    .populate("provider", "businessName logoUrl")
+    .populate("listing", "title");
+
+  if (!request) return { status: 404, message: "Review link not found" };
+  if (request.usedAt) return { status: 410, message: "This review link has already been used" };
+  if (request.expiresAt < new Date()) return { status: 410, message: "This review link has expired" };
+
+  return { request };
+};
+
+/* ---- OPEN REVIEW LINK (public)
+   GET /api/reviews/requests/:token ---- */
+export const getReviewRequest = async (req, res, next) => {
+  try {
+    const { request, status, message } = await findOpenReviewRequest(req.params.token);
+
+    if (!request) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.json({
+      success: true,
+      request: {
+        provider: request.provider,
+        listing: request.listing,
+        kind: request.kind,
+        customerName: request.customerName,
+        expiresAt: request.expiresAt
+      }
+    });
+
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ---- REVIEW THROUGH A LINK (verified)
+   POST /api/reviews/requests/:token
+   Body: { rating, comment, imageUrl } ---- */
+export const submitRequestedReview = async (req, res, next) => {
+  try {
+    const { request, status, message } = await findOpenReviewRequest(req.params.token);
+
+    if (!request) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const userId = req.user._id;
+    const providerId = request.provider._id;
+
+    if (String(providerId) === String(req.user.providerId)) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot review your own listing"
+      });
+    }
+
+    // Bookings know who the customer is
+    if (request.customerUser && String(request.customerUser) !== String(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "This review link belongs to another customer"
+      });
+    }
+
+    // Invoices / terminal payments: the customer's email
+    // (links from before emails were recorded match nobody)
+    if (
+      request.kind !== "booking" &&
+      String(req.user.email || "").trim().toLowerCase() !== request.customerEmail
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Sign in with the email this review link was sent to"
+      });
+    }
+
+    const rating = Number(req.body.rating);
+    const { comment, imageUrl } = req.body;
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({
+        success: false,
+        message: "Rating must be between 1 and 5"
+      });
+    }
+
+    const ruleError = ratingRuleError(rating, comment, imageUrl);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        message: ruleError
+      });
+    }
+
+    if (await reviewedRecently(userId, providerId)) {
+      return res.status(429).json({
+        success: false,
+        message: "You already reviewed this provider recently. Try again tomorrow."
+      });
+    }
+
+    // Single use — claim it before writing the review
+    const claimed = await ReviewRequest.findOneAndUpdate(
+      { _id: request._id, usedAt: null },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(410).json({
+        success: false,
+        message: "This review link has already been used"
+      });
+    }
+
+    let body;
+    try {
+      body = await publishNewReview(req, {
+        service: request.listing._id,
+        provider: providerId,
+        user: userId,
+        rating,
+        comment,
+        imageUrl: imageUrl || null,
+        verified: true,
+        verification: { kind: request.kind, ref: request.ref, at: new Date() },
+        reviewRequest: request._id
+      });
+    } catch (err) {
+      await ReviewRequest.updateOne({ _id: request._id }, { $set: { usedAt: null } });
+      if (err?.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "This job has already been reviewed"
+        });
+      }
+      throw err;
+    }
+
+    await ReviewRequest.updateOne({ _id: request._id }, { $set: { review: body.review._id } });
+
+    res.status(201).json(body);
+
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,186 @@
+// src/controllers/savedReplyController.js
+import mongoose from "mongoose";
+import SavedReply, { MAX_SAVED_REPLIES } from "../models/SavedReply.js";
+import Conversation from "../models/Conversation.js";
+import {
+  REPLY_VARIABLES,
+  loadReplyValues,
+  renderReplyTemplate,
+  unknownReplyVariables,
+} from "../utils/replyTemplates.js";
+
+const sendError = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const EDITABLE_FIELDS = ["title", "shortcut", "body"];
+
+/**
+ * Pick + check editable fields from the body.
+ * @returns {{ update, error }}
+ */
+const readSavedReplyBody = (body = {}) => {
+  const update = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== "string") return { error: `${field} must be text` };
+    update[field] = body[field];
+  }
+
+  if (update.body !== undefined) {
+    const unknown = unknownReplyVariables(update.body);
+    if (unknown.length) {
+      return { error: `Unknown variable(s): ${unknown.map((v) => `{${v}}`).join(", ")}` };
+    }
+  }
+
+  return { update };
+};
+
+const mapWriteError = (res, err, label) => {
+  if (err?.code === 11000) return sendError(res, 409, "That shortcut is already in use.");
+  if (err?.name === "ValidationError") return sendError(res, 400, err.message);
+  console.error(`❌ ${label} error:`, err);
+  return sendError(res, 500, "Server error.");
+};
+
+/* -------------------------------------------------------
+   LIST SAVED REPLIES
+   GET /api/saved-replies
+   Also returns the variables the composer can offer.
+------------------------------------------------------- */
+export const listSavedReplies = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const replies = await SavedReply.find({ provider: req.user.providerId })
+      .sort({ usageCount: -1, title: 1 })
+      .lean();
+
+    return res.json({ success: true, replies, variables: REPLY_VARIABLES });
+  } catch (err) {
+    console.error("❌ listSavedReplies error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   CREATE SAVED REPLY
+   POST /api/saved-replies
+   Body: { title, body, shortcut? }
+------------------------------------------------------- */
+export const createSavedReply = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const { update, error } = readSavedReplyBody(req.body);
+    if (error) return sendError(res, 400, error);
+
+    const count = await SavedReply.countDocuments({ provider: req.user.providerId });
+    if (count >= MAX_SAVED_REPLIES) {
+      return sendError(res, 400, `You can keep up to ${MAX_SAVED_REPLIES} saved replies.`);
+    }
+
+    const reply = await SavedReply.create({ ...update, provider: req.user.providerId });
+
+    return res.status(201).json({ success: true, reply });
+  } catch (err) {
+    return mapWriteError(res, err, "createSavedReply");
+  }
+};
+
+/* -------------------------------------------------------
+   UPDATE SAVED REPLY
+   PUT /api/saved-replies/:id
+------------------------------------------------------- */
+export const updateSavedReply = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const { update, error } = readSavedReplyBody(req.body);
+    if (error) return sendError(res, 400, error);
+
+    const reply = await SavedReply.findOneAndUpdate(
+      { _id: req.params.id, provider: req.user.providerId },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!reply) return sendError(res, 404, "Saved reply not found.");
+
+    return res.json({ success: true, reply });
+  } catch (err) {
+    return mapWriteError(res, err, "updateSavedReply");
+  }
+};
+
+/* -------------------------------------------------------
+   DELETE SAVED REPLY
+   DELETE /api/saved-replies/:id
+------------------------------------------------------- */
+export const deleteSavedReply = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const deleted = await SavedReply.findOneAndDelete({
+      _id: req.params.id,
+      provider: req.user.providerId,
+    });
+    if (!deleted) return sendError(res, 404, "Saved reply not found.");
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("❌ deleteSavedReply error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
+
+/* -------------------------------------------------------
+   RENDER SAVED REPLY FOR A CONVERSATION
+   POST /api/saved-replies/:id/render
+   Body: { conversationId }
+   Returns the filled-in text for the composer — nothing is
+   sent. `missing` lists variables with no value here.
+------------------------------------------------------- */
+export const renderSavedReply = async (req, res) => {
+  try {
+    if (!req.user?.providerId) {
+      return sendError(res, 403, "Provider access required.");
+    }
+
+    const { conversationId } = req.body || {};
+    if (!isValidId(conversationId)) {
+      return sendError(res, 400, "Valid conversationId is required.");
+    }
+
+    const [reply, convo] = await Promise.all([
+      SavedReply.findOne({ _id: req.params.id, provider: req.user.providerId }).lean(),
+      Conversation.findOne({ _id: conversationId, providerId: req.user.providerId })
+        .select("providerId customerId serviceId")
+        .lean(),
+    ]);
+    if (!reply) return sendError(res, 404, "Saved reply not found.");
+    if (!convo) return sendError(res, 404, "Conversation not found.");
+
+    const { text, missing } = renderReplyTemplate(reply.body, await loadReplyValues(convo));
+
+    await SavedReply.updateOne(
+      { _id: reply._id },
+      { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+
+    return res.json({ success: true, text, missing });
+  } catch (err) {
+    console.error("❌ renderSavedReply error:", err);
+    return sendError(res, 500, "Server error.");
+  }
+};
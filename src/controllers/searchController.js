@@ -1,5 +1,6 @@
 // src/controllers/searchController.js
 import Category from "../models/Category.js";
+import { parseSearchParams, searchMarketplace } from "../utils/marketplaceSearch.js";
 
 const escapeRegex = (text = "") =>
   text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -55,4 +56,46 @@ export const suggestSearch = async (req, res) => {
       message: "Suggestion fetch failed",
     });
   }
-};
\ No newline at end of file
+};
+
+/* -------------------------------------------------------
+   MARKETPLACE SEARCH (listings + providers)
+   GET /api/search
+   Query: q, type (all | listings | providers), lat, lng,
+          radius (miles), city, category, minPrice, maxPrice,
+          price (bucket key), minRating, verified,
+          sort (relevance | distance | rating | price_asc |
+          price_desc | newest), page, limit
+------------------------------------------------------- */
+export const search = async (req, res) => {
+  try {
+    let params;
+    try {
+      params = parseSearchParams(req.query);
+    } catch (err) {
+      return res.status(err.statusCode || 400).json({ success: false, message: err.message });
+    }
+
+    const { query, listings, providers } = await searchMarketplace(params);
+
+    return res.json({
+      success: true,
+      query,
+      listings: listings?.results,
+      providers: providers?.results,
+      facets: listings?.facets,
+      pagination: {
+        page: params.page,
+        limit: params.limit,
+        listings: listings && { total: listings.total, truncated: listings.truncated },
+        providers: providers && { total: providers.total, truncated: providers.truncated },
+      },
+    });
+  } catch (err) {
+    console.error("Search error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Search failed",
+    });
+  }
+};
@@ -27,6 +27,8 @@ import {
   recordDisputeWonLedger,
   recordDisputeLostLedger,
 } from "../utils/ledger.js";
+import { notifyDisputeUpdate } from "./disputeController.js";
+import { notifyProvider } from "../services/notifications/notificationService.js";
 
 /* ============================================================
    HELPERS
@@ -218,7 +220,9 @@ const handleChargeDisputeCreated = async (event) => {
       processorDisputeId: dispute.id,
     });
 
+    let isNewDispute = false;
     if (!disputeDoc) {
+      isNewDispute = true;
       disputeDoc = await Dispute.create({
         provider: providerId,
         amount: amountCents,
@@ -263,6 +267,8 @@ const handleChargeDisputeCreated = async (event) => {
         },
       }
     );
+
+    if (isNewDispute) await notifyDisputeUpdate(disputeDoc);
   } catch (err) {
     await logWebhookFailed(event.id, err.message);
   }
@@ -325,6 +331,8 @@ const handleChargeDisputeClosed = async (event) => {
         },
       }
     );
+
+    await notifyDisputeUpdate(disputeDoc);
   } catch (err) {
     await logWebhookFailed(event.id, err.message);
   }
@@ -366,6 +374,20 @@ const handlePayoutPaid = async (event) => {
       },
     }
   );
+
+  try {
+    await notifyProvider(payoutDoc.provider, {
+      category: "payments",
+      type: "payout_paid",
+      title: "Payout sent",
+      body: `$${Number(payoutDoc.netAmount ?? payoutDoc.amount).toFixed(
+        2
+      )} is on its way to your bank, arriving ${arrival.toISOString().slice(0, 10)}.`,
+      data: { payoutId: String(payoutDoc._id) },
+    });
+  } catch (err) {
+    console.warn("⚠️ Payout notification skipped:", err.message);
+  }
 };
 
 /** payout.failed — re-credit funds + create reversal ledger entry */
@@ -384,6 +406,20 @@ const handlePayoutFailed = async (event) => {
   payoutDoc.failureReason = payout.failure_message || "unknown";
   await payoutDoc.save();
 
+  try {
+    await notifyProvider(payoutDoc.provider, {
+      category: "payments",
+      type: "payout_failed",
+      title: "Payout failed",
+      body: `Your $${Number(payoutDoc.netAmount ?? payoutDoc.amount).toFixed(
+        2
+      )} payout failed (${payoutDoc.failureReason}). The funds are back in your balance.`,
+      data: { payoutId: String(payoutDoc._id) },
+    });
+  } catch (err) {
+    console.warn("⚠️ Payout notification skipped:", err.message);
+  }
+
   // Re-credit provider balance
   let balance = await ProviderBalance.findOne({
     provider: payoutDoc.provider,
@@ -27,7 +27,15 @@ import {
 } from "../utils/idempotency.js";
 
 // LEDGER ENGINE (Phase 2 subscriptions)
-import { recordSubscriptionChargeLedger } from "../utils/ledger.js";
+import {
+  recordSubscriptionChargeLedger,
+  recordOfflinePaymentLedger,
+} from "../utils/ledger.js";
+import {
+  parseOfflinePaymentInput,
+  describeOfflinePayment,
+} from "../utils/offlinePayments.js";
+import { notifyProvider } from "../services/notifications/notificationService.js";
 
 // Centralized fee engine (B19)
 import { calculateFees } from "../utils/feeCalculator.js";
@@ -319,6 +327,20 @@ if (clientId) {
 }
 
 
+  try {
+    await notifyProvider(providerId, {
+      category: "payments",
+      type: "subscription_charge_failed",
+      title: "Subscription payment failed",
+      body: `${sub.client?.name || "Customer"} — $${chargeAmount.toFixed(
+        2
+      )} charge failed (${failureReason}). The subscription is past due.`,
+      data: { subscriptionId: String(sub._id), subscriptionChargeId: String(charge._id) },
+    });
+  } catch (err) {
+    console.warn("⚠️ Failed-charge notification skipped:", err.message);
+  }
+
   // ⭐ FAILED ledger entry (audit only, no balance impact)
   try {
     await LedgerEntry.create({
@@ -787,6 +809,144 @@ export const getSubscriptionCharges = async (req, res) => {
   }
 };
 
+// ---------------------------------------------------------
+// RECORD MANUAL (OFFLINE) SUBSCRIPTION PAYMENT
+// POST /api/subscriptions/:id/manual-payments
+// Body: { amount, method: cash|check|zelle|other, reference?,
+//         receivedAt?, photoUrl?, note?, advanceBillingDate? }
+// Counts as the current cycle's payment unless
+// advanceBillingDate is false.
+// ---------------------------------------------------------
+export const recordManualSubscriptionPayment = async (req, res) => {
+  try {
+    const provider = await getProviderForUser(req.user?._id);
+    if (!provider) {
+      return sendError(res, 400, "Provider profile not found for this user.");
+    }
+
+    const { id } = req.params;
+    if (!isValidId(id)) {
+      return sendError(res, 400, "Invalid subscription id.");
+    }
+
+    let input;
+    try {
+      input = parseOfflinePaymentInput(req.body);
+    } catch (err) {
+      return sendError(res, err.statusCode || 400, err.message);
+    }
+
+    const sub = await Subscription.findById(id).populate("plan");
+    if (!sub) {
+      return sendError(res, 404, "Subscription not found.");
+    }
+
+    if (String(sub.provider) !== String(provider._id)) {
+      return sendError(
+        res,
+        403,
+        "You do not have access to this subscription."
+      );
+    }
+
+    if (sub.status === "canceled") {
+      return sendError(
+        res,
+        400,
+        "Cannot record a payment on a canceled subscription."
+      );
+    }
+
+    const plan = sub.plan;
+    const clientId = sub.customer || sub.client || null;
+    const currency = normalizeCurrency(plan?.currency || "usd");
+    const advanceBillingDate = req.body.advanceBillingDate !== false;
+
+    const charge = await SubscriptionCharge.create({
+      subscription: sub._id,
+      plan: plan?._id,
+      client: clientId,
+      provider: provider._id,
+      amount: input.amount,
+      currency,
+      status: "paid",
+      method: `manual_${input.method}`,
+      billedAt: input.receivedAt,
+      reference: input.reference,
+      receivedAt: input.receivedAt,
+      photoUrl: input.photoUrl,
+      failureReason: null,
+    });
+
+    if (advanceBillingDate) {
+      const freq = plan?.billingFrequency || "monthly";
+      sub.nextBillingDate = computeNextBillingDate(
+        sub.nextBillingDate || new Date(),
+        freq
+      );
+      sub.cycleCount = (sub.cycleCount || 0) + 1;
+    }
+    // Settles a missed charge; a paused subscription stays paused
+    if (sub.status === "past_due") sub.status = "active";
+    sub.lastChargeStatus = "success";
+    sub.lastBilledAt = input.receivedAt;
+    await sub.save();
+
+    let ledgerEntry = null;
+    try {
+      ({ entry: ledgerEntry } = await recordOfflinePaymentLedger({
+        providerId: provider._id,
+        customerId: clientId,
+        currency,
+        amountCents: Math.round(input.amount * 100),
+        method: input.method,
+        reference: input.reference,
+        receivedAt: input.receivedAt,
+        sourceType: "subscription_charge",
+        subscriptionId: sub._id,
+        subscriptionChargeId: charge._id,
+        metadata: {
+          route: "recordManualSubscriptionPayment",
+          planId: plan?._id || null,
+          photoUrl: input.photoUrl,
+          note: input.note || null,
+        },
+      }));
+    } catch (err) {
+      console.error("❌ Ledger error (manual subscription payment):", err.message);
+    }
+
+    if (clientId) {
+      try {
+        await logCustomerTimelineEvent({
+          providerId: provider._id,
+          customerId: clientId,
+          type: "payment",
+          title: "Subscription payment",
+          description: `${describeOfflinePayment(input)} for ${
+            plan?.planName || "subscription"
+          }`,
+          amount: input.amount,
+          subscription: sub._id,
+          subscriptionCharge: charge._id,
+        });
+      } catch {
+        // Non-fatal
+      }
+    }
+
+    return res.status(201).json({
+      success: true,
+      subscription: sub,
+      charge,
+      ledgerEntry,
+    });
+  } catch (err) {
+    console.error("❌ recordManualSubscriptionPayment error:", err);
+    return sendError(res, 500, "Server error recording payment.");
+  }
+};
+
 // ---------------------------------------------------------
 // CHARGE SUBSCRIPTION NOW — FULLY IDEMPOTENT
 // ---------------------------------------------------------
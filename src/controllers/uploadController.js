@@ -1,5 +1,9 @@
 // src/controllers/uploadController.js
-import { deleteFromCloudinary } from "../config/cloudinary.js";
+import path from "path";
+import {
+  deleteFromCloudinary,
+  uploadBufferToCloudinary,
+} from "../config/cloudinary.js";
 import Listing from "../models/Listing.js";
 
 
@@ -118,6 +122,52 @@ export const uploadImages = async (req, res) => {
 };
 
 
+/* -------------------------------------------------------
+   CHAT ATTACHMENT UPLOAD (PDF / receipt / image)
+   POST /api/uploads/attachment  (field: "file")
+   Returns the attachment object to send as a "file"
+   message: { url, name, mimeType, size }
+-------------------------------------------------------- */
+export const uploadAttachment = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file received",
+      });
+    }
+
+    const { buffer, originalname, mimetype, size } = req.file;
+
+    // Raw public IDs keep their extension so downloads open correctly
+    const ext = path.extname(originalname || "").toLowerCase().replace(/[^.a-z0-9]/g, "");
+    const publicId = `${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`;
+
+    const result = await uploadBufferToCloudinary(buffer, {
+      folder: "helpio/attachments",
+      publicId,
+    });
+
+    return res.status(201).json({
+      success: true,
+      attachment: {
+        url: result.secure_url,
+        name: String(originalname || "Attachment").slice(0, 200),
+        mimeType: mimetype,
+        size,
+      },
+    });
+
+  } catch (err) {
+    console.error("🔥 Attachment Upload Error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Upload failed",
+    });
+  }
+};
+
+
 /* -------------------------------------------------------
    DELETE IMAGE (Provider-Secured)
    Body:
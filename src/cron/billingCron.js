@@ -41,9 +41,10 @@ const buildBillingKey = (subscription) => {
 
 /* -------------------------------------------------------
    Compute Next Billing Date from Plan
-   (kept here in case you want cron-driven date logic later)
+   Also drives recurring invoice templates, which carry the
+   same billingFrequency / customInterval fields.
 -------------------------------------------------------- */
-const computeNextBillingDate = (currentDate, plan) => {
+export const computeNextBillingDate = (currentDate, plan) => {
   const d = new Date(currentDate);
 
   if (plan.billingFrequency === "weekly") {
@@ -0,0 +1,309 @@
+// src/cron/invoiceReminderCron.js
+import Invoice from "../models/Invoice.js";
+import Provider from "../models/Provider.js";
+import Customer from "../models/Customer.js";
+
+import { logCustomerTimelineEvent } from "../utils/timelineLogger.js";
+import { notifyUser } from "../services/notifications/notificationService.js";
+import {
+  allocateInstallments,
+  daysPastDue,
+  getInvoiceDueDate,
+  getNextInstallment,
+  refreshInvoicePaymentState,
+} from "../utils/invoicePayments.js";
+import {
+  buildReminderSms,
+  computeLateFee,
+  describeDue,
+  lateFeeDue,
+  pickReminderStep,
+  sendInvoiceSms,
+  toE164,
+} from "../utils/invoiceReminders.js";
+import {
+  ensureInvoicePublicToken,
+  publicInvoiceUrl,
+} from "../controllers/invoiceDocumentController.js";
+
+/* -------------------------------------------------------
+   INVOICE REMINDER / DUNNING CRON
+   Daily pass over every open invoice:
+    1. DUE/PARTIAL past its due date → OVERDUE
+    2. late fee line item (once per invoice, if configured)
+    3. next reminder step from the provider's schedule
+       (SMS to the customer, push to the provider)
+   Steps 2-3 only run for providers with reminders enabled.
+-------------------------------------------------------- */
+const OPEN_STATUSES = ["DUE", "PARTIAL", "OVERDUE"];
+
+const invoiceLabel = (invoice) =>
+  invoice.invoiceNumber ? `#${invoice.invoiceNumber}` : String(invoice._id).slice(-6);
+
+const loadProvider = async (cache, providerId) => {
+  const key = String(providerId);
+  if (!cache.has(key)) {
+    cache.set(
+      key,
+      await Provider.findById(providerId).select("user businessName invoiceReminders").lean()
+    );
+  }
+  return cache.get(key);
+};
+
+/* -------------------------------------------------------
+   1. STATUS — guarded on paid/status so a payment landing
+   mid-run wins.
+-------------------------------------------------------- */
+const syncOverdueStatus = async (invoice, now) => {
+  const previous = invoice.status;
+  refreshInvoicePaymentState(invoice, now);
+  if (invoice.status === previous) return false;
+
+  const res = await Invoice.updateOne(
+    { _id: invoice._id, status: previous, paid: invoice.paid },
+    { $set: { status: invoice.status, installments: invoice.installments } },
+    { timestamps: false }
+  );
+  if (!res.modifiedCount) return false;
+
+  if (invoice.status === "OVERDUE") {
+    try {
+      await logCustomerTimelineEvent({
+        providerId: invoice.provider,
+        customerId: invoice.customer,
+        type: "invoice",
+        title: `Invoice ${invoiceLabel(invoice)} is overdue`,
+        description: `$${Number(invoice.balance).toFixed(2)} outstanding`,
+        amount: invoice.balance,
+        invoice: invoice._id,
+      });
+    } catch {}
+  }
+  return true;
+};
+
+/* -------------------------------------------------------
+   2. LATE FEE — atomic claim on lateFeeAppliedAt, the fee
+   lands on the installment that is late.
+-------------------------------------------------------- */
+const applyLateFee = async (invoice, policy, now) => {
+  const fee = computeLateFee(policy, invoice.balance);
+  if (!(fee > 0)) return null;
+
+  const description =
+    policy.lateFeeType === "percent"
+      ? `${policy.lateFeeValue}% of the overdue balance`
+      : "Applied to overdue balance";
+
+  const updated = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: "OVERDUE", lateFeeAppliedAt: null },
+    {
+      $push: { items: { title: "Late fee", description, qty: 1, rate: fee, amount: fee } },
+      $inc: { subtotal: fee, total: fee, balance: fee },
+      $set: { lateFeeAppliedAt: now },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  if (updated.installments?.length) {
+    const late = getNextInstallment(updated);
+    if (late) {
+      late.amount = Math.round((Number(late.amount) + fee) * 100) / 100;
+      late.percent = null;
+    }
+    allocateInstallments(updated, now);
+    await Invoice.updateOne(
+      { _id: updated._id },
+      { $set: { installments: updated.installments } },
+      { timestamps: false }
+    );
+  }
+
+  try {
+    await logCustomerTimelineEvent({
+      providerId: updated.provider,
+      customerId: updated.customer,
+      type: "invoice",
+      title: `Late fee added to invoice ${invoiceLabel(updated)}`,
+      description: `$${fee.toFixed(2)} late fee — new balance $${Number(updated.balance).toFixed(2)}`,
+      amount: fee,
+      invoice: updated._id,
+    });
+  } catch {}
+
+  return updated;
+};
+
+/* -------------------------------------------------------
+   3. REMINDER — the log row is claimed before sending so
+   overlapping runs can't double-text a customer.
+-------------------------------------------------------- */
+const sendReminder = async (invoice, provider, now) => {
+  const policy = provider.invoiceReminders;
+  const dueDate = getInvoiceDueDate(invoice);
+
+  const step = pickReminderStep({
+    scheduleDays: policy.scheduleDays,
+    dueDate,
+    createdAt: invoice.createdAt,
+    now,
+  });
+  if (!step) return false;
+
+  const claim = await Invoice.updateOne(
+    { _id: invoice._id, "reminders.key": { $ne: step.key } },
+    {
+      $push: {
+        reminders: { key: step.key, offsetDays: step.offsetDays, dueDate, sentAt: now },
+      },
+    },
+    { timestamps: false }
+  );
+  if (!claim.modifiedCount) return false;
+
+  const daysLate = daysPastDue(dueDate, now);
+  const channels = [];
+  const errors = [];
+
+  if (policy.sms) {
+    const customer = await Customer.findById(invoice.customer).select("phone").lean();
+    const to = toE164(customer?.phone || invoice.customerSnapshot?.phone);
+
+    if (to) {
+      try {
+        await ensureInvoicePublicToken(invoice);
+        await sendInvoiceSms({
+          to,
+          body: buildReminderSms({
+            businessName: provider.businessName,
+            invoice,
+            daysLate,
+            payUrl: publicInvoiceUrl(invoice),
+          }),
+        });
+        channels.push("sms");
+      } catch (err) {
+        errors.push(`sms: ${err.message}`);
+      }
+    } else {
+      errors.push("sms: customer has no valid phone");
+    }
+  }
+
+  if (policy.push && provider.user) {
+    const result = await notifyUser(provider.user, {
+      category: "invoices",
+      title: daysLate > 0 ? "Invoice overdue" : "Invoice reminder",
+      body: `${invoice.customerSnapshot?.name || "Customer"} — invoice ${invoiceLabel(
+        invoice
+      )} is ${describeDue(daysLate)} ($${Number(invoice.balance).toFixed(2)})${
+        channels.includes("sms") ? ". Reminder texted." : ""
+      }`,
+      data: { type: "invoice_reminder", invoiceId: String(invoice._id) },
+    });
+    if (result.queued) channels.push("push");
+  }
+
+  await Invoice.updateOne(
+    { _id: invoice._id, "reminders.key": step.key },
+    {
+      $set: {
+        "reminders.$.channels": channels,
+        "reminders.$.error": errors.length ? errors.join("; ").slice(0, 500) : null,
+      },
+    },
+    { timestamps: false }
+  );
+
+  try {
+    await logCustomerTimelineEvent({
+      providerId: invoice.provider,
+      customerId: invoice.customer,
+      type: "invoice_reminder",
+      title: `Payment reminder for invoice ${invoiceLabel(invoice)}`,
+      description:
+        `Invoice ${describeDue(daysLate)} — ` +
+        (channels.length ? `sent via ${channels.join(" + ")}` : "not delivered") +
+        (errors.length ? ` (${errors.join("; ")})` : ""),
+      amount: invoice.balance,
+      invoice: invoice._id,
+    });
+  } catch {}
+
+  return channels.length > 0;
+};
+
+/* -------------------------------------------------------
+   RUNNER
+-------------------------------------------------------- */
+let isRunning = false;
+
+export const runInvoiceRemindersOnce = async (now = new Date()) => {
+  if (isRunning) {
+    console.warn("⏳ [InvoiceReminderCron] Run already in progress. Skipping.");
+    return null;
+  }
+
+  isRunning = true;
+  const stats = { checked: 0, overdue: 0, lateFees: 0, reminders: 0, errors: 0 };
+  const providers = new Map();
+
+  try {
+    const cursor = Invoice.find({
+      status: { $in: OPEN_STATUSES },
+      balance: { $gt: 0 },
+    })
+      .select(
+        "provider customer customerSnapshot invoiceNumber status dueDate total paid balance " +
+          "installments publicToken lateFeeAppliedAt createdAt"
+      )
+      .lean()
+      .cursor({ batchSize: 200 });
+
+    for await (const invoice of cursor) {
+      stats.checked += 1;
+
+      try {
+        if (await syncOverdueStatus(invoice, now)) {
+          if (invoice.status === "OVERDUE") stats.overdue += 1;
+        }
+
+        const provider = await loadProvider(providers, invoice.provider);
+        if (!provider?.invoiceReminders?.enabled) continue;
+
+        let current = invoice;
+        const due = getInvoiceDueDate(current);
+
+        if (
+          current.status === "OVERDUE" &&
+          !current.lateFeeAppliedAt &&
+          due &&
+          lateFeeDue(provider.invoiceReminders, daysPastDue(due, now))
+        ) {
+          const updated = await applyLateFee(current, provider.invoiceReminders, now);
+          if (updated) {
+            stats.lateFees += 1;
+            current = updated.toObject();
+          }
+        }
+
+        if (await sendReminder(current, provider, now)) stats.reminders += 1;
+      } catch (err) {
+        stats.errors += 1;
+        console.error(`❌ [InvoiceReminderCron] Invoice ${invoice._id} failed:`, err.message);
+      }
+    }
+
+    console.log(
+      `✅ [InvoiceReminderCron] checked=${stats.checked}, overdue=${stats.overdue}, ` +
+        `lateFees=${stats.lateFees}, reminders=${stats.reminders}, errors=${stats.errors}`
+    );
+    return stats;
+  } finally {
+    isRunning = false;
+  }
+};
+
+export default runInvoiceRemindersOnce;
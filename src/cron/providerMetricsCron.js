@@ -0,0 +1,162 @@
+// src/cron/providerMetricsCron.js
+import Provider from "../models/Provider.js";
+import ProviderDailyStat from "../models/ProviderDailyStat.js";
+import {
+  METRICS_WINDOW_DAYS,
+  computeDailyProviderMetrics,
+  dayKey,
+  summarizeProviderMetrics,
+} from "../utils/providerMetrics.js";
+
+/* -------------------------------------------------------
+   PROVIDER METRICS ROLLUP CRON
+   Nightly:
+    1. recompute the lead metrics on ProviderDailyStat for
+       the last ROLLUP_LOOKBACK_DAYS days — replies and
+       bookings keep landing after the day a lead came in
+    2. refresh Provider.performance (trailing window) for
+       every provider with rows in the window
+   Conversions more than ROLLUP_LOOKBACK_DAYS after the
+   first message aren't counted.
+-------------------------------------------------------- */
+const ROLLUP_LOOKBACK_DAYS = 14;
+
+const METRIC_FIELDS = [
+  "newConversations",
+  "repliedConversations",
+  "responseTimesSec",
+  "medianFirstResponseSec",
+  "bookingConversions",
+  "invoiceConversions",
+  "convertedConversations",
+  "customersServed",
+  "repeatCustomersServed",
+];
+
+const EMPTY_METRICS = {
+  newConversations: 0,
+  repliedConversations: 0,
+  responseTimesSec: [],
+  medianFirstResponseSec: null,
+  bookingConversions: 0,
+  invoiceConversions: 0,
+  convertedConversations: 0,
+  customersServed: 0,
+  repeatCustomersServed: 0,
+};
+
+const daysBack = (now, n) => {
+  const d = new Date(now);
+  d.setDate(d.getDate() - n);
+  return dayKey(d);
+};
+
+/* -------------------------------------------------------
+   1. DAILY ROWS — existing impressions / leads are left
+   alone; rows that no longer have activity are zeroed.
+-------------------------------------------------------- */
+const rollupDay = async (day, now) => {
+  const rows = await computeDailyProviderMetrics(day);
+
+  const bulk = [...rows].map(([providerId, metrics]) => ({
+    updateOne: {
+      filter: { provider_id: providerId, day },
+      update: { $set: { ...metrics, metricsComputedAt: now } },
+      upsert: true,
+    },
+  }));
+  if (bulk.length) await ProviderDailyStat.bulkWrite(bulk, { ordered: false });
+
+  await ProviderDailyStat.updateMany(
+    {
+      day,
+      metricsComputedAt: { $ne: null },
+      provider_id: { $nin: [...rows.keys()] },
+    },
+    { $set: { ...EMPTY_METRICS, metricsComputedAt: now } }
+  );
+
+  return rows.size;
+};
+
+/* -------------------------------------------------------
+   2. PROVIDER SUMMARY
+-------------------------------------------------------- */
+const refreshProviderPerformance = async (now) => {
+  const from = daysBack(now, METRICS_WINDOW_DAYS - 1);
+
+  const byProvider = new Map();
+  const cursor = ProviderDailyStat.find({
+    day: { $gte: from, $lte: dayKey(now) },
+    metricsComputedAt: { $ne: null },
+  })
+    .select(`provider_id ${METRIC_FIELDS.join(" ")}`)
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  for await (const row of cursor) {
+    const key = String(row.provider_id);
+    if (!byProvider.has(key)) byProvider.set(key, []);
+    byProvider.get(key).push(row);
+  }
+
+  const bulk = [...byProvider].map(([providerId, rows]) => ({
+    updateOne: {
+      filter: { _id: providerId },
+      update: {
+        $set: {
+          performance: { ...summarizeProviderMetrics(rows, METRICS_WINDOW_DAYS), computedAt: now },
+        },
+      },
+    },
+  }));
+  if (bulk.length) await Provider.bulkWrite(bulk, { ordered: false });
+
+  // Went quiet for the whole window → clear the old numbers
+  await Provider.updateMany(
+    { "performance.computedAt": { $ne: null }, _id: { $nin: [...byProvider.keys()] } },
+    { $set: { performance: { ...summarizeProviderMetrics([], METRICS_WINDOW_DAYS), computedAt: now } } }
+  );
+
+  return byProvider.size;
+};
+
+/* -------------------------------------------------------
+   RUNNER
+-------------------------------------------------------- */
+let isRunning = false;
+
+export const runProviderMetricsRollupOnce = async (now = new Date()) => {
+  if (isRunning) {
+    console.warn("⏳ [ProviderMetricsCron] Run already in progress. Skipping.");
+    return null;
+  }
+
+  isRunning = true;
+  const stats = { days: 0, providerDays: 0, providers: 0, errors: 0 };
+
+  try {
+    for (let i = ROLLUP_LOOKBACK_DAYS; i >= 0; i--) {
+      const day = daysBack(now, i);
+      try {
+        stats.providerDays += await rollupDay(day, now);
+        stats.days += 1;
+      } catch (err) {
+        stats.errors += 1;
+        console.error(`❌ [ProviderMetricsCron] Day ${day} failed:`, err.message);
+      }
+    }
+
+    stats.providers = await refreshProviderPerformance(now);
+
+    console.log(
+      `✅ [ProviderMetricsCron] days=${stats.days}, providerDays=${stats.providerDays}, ` +
+        `providers=${stats.providers}, errors=${stats.errors}`
+    );
+    return stats;
+  } finally {
+    isRunning = false;
+  }
+};
+
+export default runProviderMetricsRollupOnce;
@@ -0,0 +1,32 @@
+// src/cron/ratingRecomputeCron.js
+import { rebuildAllRatingAggregates } from "../utils/reviewRatings.js";
+
+/* -------------------------------------------------------
+   RATING RECOMPUTE CRON
+   Review writes refresh their own listing / provider, so
+   this is the safety net: nightly rebuild of every
+   Listing and Provider rating from the Review collection
+   (admin removals, manual DB fixes, older data written
+   with numeric breakdown keys).
+-------------------------------------------------------- */
+let isRunning = false;
+
+export const runRatingRecomputeOnce = async () => {
+  if (isRunning) {
+    console.warn("⏳ [RatingRecomputeCron] Run already in progress. Skipping.");
+    return null;
+  }
+
+  isRunning = true;
+  try {
+    const stats = await rebuildAllRatingAggregates();
+    console.log(
+      `✅ [RatingRecomputeCron] listings=${stats.listings}, providers=${stats.providers}, reset=${stats.reset}`
+    );
+    return stats;
+  } finally {
+    isRunning = false;
+  }
+};
+
+export default runRatingRecomputeOnce;
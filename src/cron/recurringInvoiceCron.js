@@ -0,0 +1,58 @@
+// src/cron/recurringInvoiceCron.js
+import RecurringInvoice from "../models/RecurringInvoice.js";
+import { materializeRecurringInvoice } from "../utils/recurringInvoices.js";
+
+/* -------------------------------------------------------
+   RECURRING INVOICE CRON
+   Hourly: issues one invoice per due template. A template
+   that fell several periods behind catches up one period
+   per run.
+-------------------------------------------------------- */
+const BATCH_LIMIT = 200;
+
+let isRunning = false;
+
+export const runRecurringInvoicesOnce = async (now = new Date()) => {
+  if (isRunning) {
+    console.warn("⏳ [RecurringInvoiceCron] Run already in progress. Skipping.");
+    return null;
+  }
+
+  isRunning = true;
+  const stats = { due: 0, issued: 0, skipped: 0, errors: 0 };
+
+  try {
+    const templates = await RecurringInvoice.find({
+      status: "active",
+      nextRunAt: { $lte: now },
+    })
+      .sort({ nextRunAt: 1 })
+      .limit(BATCH_LIMIT);
+
+    stats.due = templates.length;
+
+    for (const template of templates) {
+      try {
+        const invoice = await materializeRecurringInvoice(template, now);
+        if (invoice) stats.issued += 1;
+        else stats.skipped += 1;
+      } catch (err) {
+        stats.errors += 1;
+        console.error(
+          `❌ [RecurringInvoiceCron] Template ${template._id} failed:`,
+          err.message
+        );
+      }
+    }
+
+    console.log(
+      `✅ [RecurringInvoiceCron] due=${stats.due}, issued=${stats.issued}, ` +
+        `skipped=${stats.skipped}, errors=${stats.errors}`
+    );
+    return stats;
+  } finally {
+    isRunning = false;
+  }
+};
+
+export default runRecurringInvoicesOnce;
@@ -6,6 +6,70 @@ import { Provider } from "../models/Provider.js";
 
 const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
 
+const authError = (message) => {
+  const err = new Error(message);
+  err.statusCode = 401;
+  return err;
+};
+
+/* -------------------------------------------------------
+   SHARED TOKEN VERIFICATION
+   Used by protect, optionalAuth and the Socket.IO
+   handshake (socket.js) so every entry point enforces
+   the same rules.
+-------------------------------------------------------- */
+
+/**
+ * Verify an access JWT. Throws a 401 error whose message
+ * is safe to return to the client.
+ */
+export const verifyAccessToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    throw authError("Invalid or expired token");
+  }
+
+  // 🔥 TOKEN TYPE ENFORCEMENT — refresh tokens can't be used here
+  if (decoded.type !== "access") throw authError("Invalid token type");
+
+  if (!decoded?.id || !isValidId(decoded.id)) {
+    throw authError("Invalid token payload");
+  }
+
+  return decoded;
+};
+
+/**
+ * Load the user behind a token in the shape attached as
+ * req.user, with providerId resolved for provider accounts.
+ */
+export const loadAuthUser = async (userId) => {
+  const user = await User.findById(userId).select("-password -refreshToken");
+  if (!user) return null;
+
+  let providerId = null;
+  if (user.role === "provider") {
+    const provider = await Provider.findOne({ user: user._id }).select("_id");
+    providerId = provider?._id || null;
+  }
+
+  return {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    isVerifiedProvider: user.isVerifiedProvider,
+
+    // 🔥 CRITICAL FIX
+    providerId,
+
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+  };
+};
+
 /* -------------------------------------------------------
    AUTH PROTECTION MIDDLEWARE (HARDENED)
 -------------------------------------------------------- */
@@ -34,73 +98,31 @@ export const protect = async (req, res, next) => {
     }
 
 
-    
-  // 3) Verify JWT
-let decoded;
-try {
-  decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-  // 🔥 STEP 4 — TOKEN TYPE ENFORCEMENT
-  if (decoded.type !== "access") {
-    return res.status(401).json({
-      success: false,
-      message: "Invalid token type",
-    });
-  }
-
-} catch {
-  return res.status(401).json({
-    success: false,
-    message: "Invalid or expired token",
-  });
-}
-
-
-
-    if (!decoded?.id || !isValidId(decoded.id)) {
+    // 3) Verify JWT
+    let decoded;
+    try {
+      decoded = verifyAccessToken(token);
+    } catch (err) {
       return res.status(401).json({
         success: false,
-        message: "Invalid token payload",
+        message: err.message,
       });
     }
 
-    // 4) Load user
-    const user = await User.findById(decoded.id).select(
-      "-password -refreshToken"
-    );
+    // 4) Load user (+ provider profile id)
+    const authUser = await loadAuthUser(decoded.id);
 
-    if (!user) {
+    if (!authUser) {
       return res.status(401).json({
         success: false,
         message: "User not found",
       });
     }
 
-   // ⭐ 5) LOAD PROVIDER ONLY IF USER ROLE IS PROVIDER
-let providerId = null;
-
-if (user.role === "provider") {
-  const provider = await Provider.findOne({ user: user._id }).select("_id");
-  providerId = provider?._id || null;
-}
-
-// 6) Attach enriched user
-req.user = {
-  _id: user._id,
-  name: user.name,
-  email: user.email,
-  role: user.role,
-  isVerifiedProvider: user.isVerifiedProvider,
-
-  // 🔥 CRITICAL FIX
-  providerId,
-
-  createdAt: user.createdAt,
-  updatedAt: user.updatedAt,
-};
-
-req.userId = user._id;
-next();
+    // 5) Attach enriched user
+    req.user = authUser;
+    req.userId = authUser._id;
+    next();
 
   } catch (err) {
     console.error("❌ protect middleware error:", err);
@@ -162,35 +184,16 @@ export const optionalAuth = async (req, res, next) => {
 
     let decoded;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-      if (decoded.type !== "access") return next();
+      decoded = verifyAccessToken(token);
     } catch {
       return next();
     }
 
-    if (!decoded?.id || !isValidId(decoded.id)) return next();
-
-    const user = await User.findById(decoded.id).select("-password -refreshToken");
-    if (!user) return next();
-
-    let providerId = null;
-    if (user.role === "provider") {
-      const provider = await Provider.findOne({ user: user._id }).select("_id");
-      providerId = provider?._id || null;
-    }
+    const authUser = await loadAuthUser(decoded.id);
+    if (!authUser) return next();
 
-    req.user = {
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      isVerifiedProvider: user.isVerifiedProvider,
-      providerId,
-      createdAt: user.createdAt,
-      updatedAt: user.updatedAt,
-    };
-
-    req.userId = user._id;
+    req.user = authUser;
+    req.userId = authUser._id;
     next();
   } catch (err) {
     next();
@@ -0,0 +1,73 @@
+// src/middleware/messageRateLimiter.js
+import rateLimit from "express-rate-limit";
+import RedisStore from "rate-limit-redis";
+import { redisClient } from "../config/redis.js";
+
+/* -------------------------------------------------------
+   CHAT RATE LIMITS
+   Per user, across all their conversations — one account
+   blasting many providers hits the same budget. Mount
+   after `protect`. Redis-backed when REDIS_URL is set so
+   the budget is shared between instances.
+-------------------------------------------------------- */
+const userKey = (req) => `user:${req.user?._id}`;
+
+const createChatLimiter = ({ prefix, windowMs, max, message }) =>
+  rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: userKey,
+    ...(process.env.REDIS_URL && {
+      store: new RedisStore({
+        sendCommand: (...args) => redisClient.call(...args),
+        prefix,
+      }),
+    }),
+    handler: (req, res) => res.status(429).json({ success: false, message }),
+  });
+
+// Bursts — nobody types 20 messages a minute by hand
+const messageBurstLimiter = createChatLimiter({
+  prefix: "rl:msg:min:",
+  windowMs: 60 * 1000,
+  max: 20,
+  message: "You're sending messages too quickly. Please wait a moment.",
+});
+
+const messageHourlyLimiter = createChatLimiter({
+  prefix: "rl:msg:hour:",
+  windowMs: 60 * 60 * 1000,
+  max: 300,
+  message: "You've reached the hourly message limit. Please try again later.",
+});
+
+// Sending + editing messages
+export const messageRateLimiter = [messageBurstLimiter, messageHourlyLimiter];
+
+// Opening conversations — cold outreach to many providers.
+// The same routes reopen existing chats, so only inserts count:
+// every other request is taken back off the count when it
+// finishes, and over the limit the request still goes through
+// with req.conversationStartLimit set — the controller refuses
+// only a new conversation (see openConversation).
+export const conversationStartLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: userKey,
+  ...(process.env.REDIS_URL && {
+    store: new RedisStore({
+      sendCommand: (...args) => redisClient.call(...args),
+      prefix: "rl:convo:hour:",
+    }),
+  }),
+  skipFailedRequests: true,
+  requestWasSuccessful: (req, res) => res.locals.conversationCreated === true,
+  handler: (req, res, next) => {
+    req.conversationStartLimit = "You've started too many conversations. Please try again later.";
+    next();
+  },
+});
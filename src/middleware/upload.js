@@ -52,3 +52,27 @@ export const upload = multer({
     files: 15,                 // Max per upload
   },
 });
+
+/* -------------------------------------------------------
+   Chat attachments (PDFs, receipts) — kept in memory and
+   pushed to Cloudinary as raw files by uploadController
+-------------------------------------------------------- */
+export const ATTACHMENT_MIME_TYPES = [
+  "application/pdf",
+  "text/plain",
+  ...allowedMimeTypes,
+];
+
+export const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (!ATTACHMENT_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new Error("Invalid file type. Only PDF, text and image files allowed."), false);
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max
+    files: 1,
+  },
+});
@@ -1,16 +1,219 @@
 // src/models/Booking.js
-const mongoose = require('mongoose');
+import mongoose from "mongoose";
+import { BOOKING_STATUSES } from "../utils/bookingStateMachine.js";
 
-const BookingSchema = new mongoose.Schema(
+const { Schema } = mongoose;
+
+/* -------------------------------------------------------
+   STATUS HISTORY SUB-SCHEMA
+   One row per transition — who moved it and why.
+-------------------------------------------------------- */
+const statusHistorySchema = new Schema(
+  {
+    from: { type: String, enum: [...BOOKING_STATUSES, null], default: null },
+    to: { type: String, enum: BOOKING_STATUSES, required: true },
+    by: { type: String, enum: ["customer", "provider", "system"], required: true },
+    reason: { type: String, trim: true, maxlength: 500, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/* -------------------------------------------------------
+   RESCHEDULE HISTORY SUB-SCHEMA
+-------------------------------------------------------- */
+const rescheduleSchema = new Schema(
+  {
+    previousStart: { type: Date, required: true },
+    previousEnd: { type: Date, required: true },
+    newStart: { type: Date, required: true },
+    newEnd: { type: Date, required: true },
+    by: { type: String, enum: ["customer", "provider"], required: true },
+    reason: { type: String, trim: true, maxlength: 500, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/* -------------------------------------------------------
+   DEPOSIT SUB-SCHEMA (Helpio Pay, amounts in CENTS)
+
+   status flow:
+    none       → provider takes no deposit
+    pending    → required, customer hasn't authorized yet
+    authorized → card hold in place
+    captured   → job completed, full deposit taken
+    forfeited  → late cancel / no-show, policy share taken
+    released   → hold cancelled, customer not charged
+    expired    → hold lapsed and the saved card couldn't be charged
+    failed     → processor error while settling
+
+   Card holds last ~7 days but bookings can be further out,
+   so the card is also saved (stripeCustomerId +
+   paymentMethodId) and charged off-session at settlement
+   when the hold has lapsed.
+-------------------------------------------------------- */
+const depositSchema = new Schema(
+  {
+    required: { type: Boolean, default: false },
+    amountCents: { type: Number, default: 0, min: 0 },
+    currency: { type: String, default: "usd", lowercase: true, trim: true },
+    status: {
+      type: String,
+      enum: [
+        "none",
+        "pending",
+        "authorized",
+        "captured",
+        "forfeited",
+        "released",
+        "expired",
+        "failed",
+      ],
+      default: "none",
+    },
+    mode: { type: String, enum: ["live", "simulated", null], default: null },
+    paymentIntentId: { type: String, default: null, index: true },
+    stripeCustomerId: { type: String, default: null },
+    paymentMethodId: { type: String, default: null },
+    capturedAmountCents: { type: Number, default: 0, min: 0 },
+    ledgerEntry: { type: Schema.Types.ObjectId, ref: "LedgerEntry", default: null },
+    authorizedAt: { type: Date, default: null },
+    settledAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+/* -------------------------------------------------------
+   MAIN BOOKING SCHEMA
+
+   status flow (enforced by utils/bookingStateMachine.js):
+    requested → confirmed → in_progress → completed
+    requested | confirmed → cancelled
+    confirmed → no_show
+-------------------------------------------------------- */
+const bookingSchema = new Schema(
   {
-    service:   { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
-    user:      { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    date:      { type: Date, required: true },
-    status:    { type: String, enum: ['pending','confirmed','completed','cancelled'], default: 'pending' },
-    notes:     { type: String, default: '' },
-    priceAtBooking: { type: Number, required: true }
+    listing: {
+      type: Schema.Types.ObjectId,
+      ref: "Listing",
+      required: [true, "Listing is required"],
+      index: true,
+    },
+
+    provider: {
+      type: Schema.Types.ObjectId,
+      ref: "Provider",
+      required: [true, "Provider is required"],
+      index: true,
+    },
+
+    // Marketplace customer (User), same identity as Conversation.customerId
+    customer: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Customer is required"],
+      index: true,
+    },
+
+    // Optional link back to the chat the job was negotiated in
+    conversation: {
+      type: Schema.Types.ObjectId,
+      ref: "Conversation",
+      default: null,
+    },
+
+    scheduledStart: { type: Date, required: [true, "Start time is required"] },
+    scheduledEnd: { type: Date, required: [true, "End time is required"] },
+
+    status: {
+      type: String,
+      enum: BOOKING_STATUSES,
+      default: "requested",
+      index: true,
+    },
+
+    // Snapshot of the listing at booking time
+    listingSnapshot: {
+      title: { type: String, trim: true },
+      businessName: { type: String, trim: true },
+      category: { type: String, trim: true },
+    },
+
+    priceAtBooking: { type: Number, required: true, min: 0 },
+    currency: {
+      type: String,
+      default: "USD",
+      uppercase: true,
+      trim: true,
+      maxlength: 5,
+    },
+
+    deposit: { type: depositSchema, default: () => ({}) },
+
+    address: { type: String, trim: true, maxlength: 300, default: "" },
+    notes: { type: String, trim: true, maxlength: 2000, default: "" },
+
+    /* ---------------------------------------------------
+       LIFECYCLE TIMESTAMPS
+    ---------------------------------------------------- */
+    confirmedAt: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    noShowAt: { type: Date, default: null },
+
+    cancelledBy: {
+      type: String,
+      enum: ["customer", "provider", "system", null],
+      default: null,
+    },
+    cancellationReason: { type: String, trim: true, maxlength: 500, default: "" },
+
+    statusHistory: { type: [statusHistorySchema], default: [] },
+    rescheduleHistory: { type: [rescheduleSchema], default: [] },
   },
   { timestamps: true }
 );
 
-module.exports = mongoose.model('Booking', BookingSchema);
+/* -------------------------------------------------------
+   VALIDATION
+-------------------------------------------------------- */
+bookingSchema.pre("validate", function (next) {
+  if (
+    this.scheduledStart &&
+    this.scheduledEnd &&
+    this.scheduledEnd <= this.scheduledStart
+  ) {
+    this.invalidate("scheduledEnd", "End time must be after start time");
+  }
+  next();
+});
+
+/* -------------------------------------------------------
+   INDEXES
+-------------------------------------------------------- */
+bookingSchema.index({ provider: 1, status: 1, scheduledStart: 1 });
+bookingSchema.index({ customer: 1, scheduledStart: -1 });
+bookingSchema.index({ listing: 1, scheduledStart: 1 });
+// provider lead metrics (utils/providerMetrics.js)
+bookingSchema.index({ conversation: 1 });
+bookingSchema.index({ status: 1, completedAt: 1 });
+
+/* -------------------------------------------------------
+   CLEAN JSON OUTPUT
+-------------------------------------------------------- */
+bookingSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+/* -------------------------------------------------------
+   EXPORTS
+-------------------------------------------------------- */
+export const Booking = mongoose.model("Booking", bookingSchema);
+export default Booking;
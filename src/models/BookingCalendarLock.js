@@ -0,0 +1,31 @@
+// src/models/BookingCalendarLock.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/* -------------------------------------------------------
+   BOOKING CALENDAR LOCK — one row per provider. Every
+   booking write that depends on an overlap check bumps
+   `version` inside its transaction, so two of them for
+   the same provider conflict instead of both committing
+   (booking.controller.js withProviderCalendar).
+-------------------------------------------------------- */
+const bookingCalendarLockSchema = new Schema(
+  {
+    provider: {
+      type: Schema.Types.ObjectId,
+      ref: "Provider",
+      required: true,
+    },
+    version: { type: Number, required: true, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+
+bookingCalendarLockSchema.index({ provider: 1 }, { unique: true });
+
+export const BookingCalendarLock = mongoose.model(
+  "BookingCalendarLock",
+  bookingCalendarLockSchema
+);
+export default BookingCalendarLock;
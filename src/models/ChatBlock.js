@@ -0,0 +1,27 @@
+// src/models/ChatBlock.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/* -------------------------------------------------------
+   CHAT BLOCK
+   One side of a provider ↔ customer pair stops messages
+   from the other, across all their conversations.
+   Ids are chat identities — the Provider id for providers,
+   the User id for customers (same as Message.senderId).
+-------------------------------------------------------- */
+const chatBlockSchema = new Schema(
+  {
+    blockerId: { type: Schema.Types.ObjectId, required: true },
+    blockerRole: { type: String, enum: ["provider", "customer"], required: true },
+    blockedId: { type: Schema.Types.ObjectId, required: true, index: true },
+
+    // Where the block was made from
+    conversationId: { type: Schema.Types.ObjectId, ref: "Conversation", default: null },
+  },
+  { timestamps: true }
+);
+
+chatBlockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+
+export default mongoose.model("ChatBlock", chatBlockSchema);
@@ -29,6 +29,7 @@ const ConversationSchema = new Schema(
     // fast list UI
     lastMessageAt: { type: Date, default: null, index: true },
     lastMessageText: { type: String, default: "" },
+    lastMessageType: { type: String, default: "text" },
     lastMessageSenderRole: {
       type: String,
       enum: ["provider", "customer", "system"],
@@ -42,17 +43,43 @@ lastMessageSenderId: {
   index: true,
 },
 
+    // first-response time (utils/responseTime.js) — provider
+    // replies only; auto-replies don't count
+    firstCustomerMessageAt: { type: Date, default: null },
+    firstResponseAt: { type: Date, default: null },
+    firstResponseSec: { type: Number, default: null },
+
+    // at most one auto-reply per conversation (utils/autoReply.js)
+    autoReplySentAt: { type: Date, default: null },
+
     // iMessage-style read tracking
     providerLastReadAt: { type: Date, default: null },
     customerLastReadAt: { type: Date, default: null },
 
-    // optional: archive per side (future)
+    // archive per side — hidden from that side's list until
+    // unarchived or a new message arrives (unless muted)
     providerArchivedAt: { type: Date, default: null },
     customerArchivedAt: { type: Date, default: null },
+
+    // mute per side — no push for new messages; mutedUntil
+    // null while mutedAt is set means "until unmuted"
+    providerMutedAt: { type: Date, default: null },
+    providerMutedUntil: { type: Date, default: null },
+    customerMutedAt: { type: Date, default: null },
+    customerMutedUntil: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
+/**
+ * @param side "provider" | "customer"
+ */
+export const isConversationMuted = (convo, side, now = new Date()) => {
+  const mutedAt = convo?.[`${side}MutedAt`];
+  const until = convo?.[`${side}MutedUntil`];
+  return !!mutedAt && (!until || new Date(until) > now);
+};
+
 // ✅ one conversation PER listing
 ConversationSchema.index(
   { providerId: 1, customerId: 1, serviceId: 1 },
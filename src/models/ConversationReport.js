@@ -0,0 +1,66 @@
+// src/models/ConversationReport.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const REPORT_REASONS = [
+  "spam",
+  "scam",
+  "harassment",
+  "off_platform",
+  "inappropriate",
+  "other",
+];
+
+export const REPORT_STATUSES = ["open", "actioned", "dismissed"];
+
+// What the reviewing admin did (adminModerationController)
+export const REPORT_ACTIONS = ["none", "warn", "suspend_messaging", "remove_messages"];
+
+/* -------------------------------------------------------
+   CONVERSATION REPORT (admin moderation queue)
+   source "user"  — reported from the chat
+          "auto"  — a filter rule flagged a message; further
+                    hits in the same conversation are added
+                    to the open report
+-------------------------------------------------------- */
+const conversationReportSchema = new Schema(
+  {
+    conversationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+      index: true,
+    },
+    providerId: { type: Schema.Types.ObjectId, ref: "Provider", required: true },
+    customerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    source: { type: String, enum: ["user", "auto"], default: "user" },
+
+    // user reports only
+    reporterUserId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    reporterRole: { type: String, enum: ["provider", "customer", null], default: null },
+
+    // Chat identity being reported (see ChatBlock)
+    reportedId: { type: Schema.Types.ObjectId, required: true },
+    reportedRole: { type: String, enum: ["provider", "customer"], required: true },
+
+    reason: { type: String, enum: REPORT_REASONS, required: true },
+    details: { type: String, trim: true, maxlength: 2000, default: "" },
+    messageIds: { type: [Schema.Types.ObjectId], default: [] },
+
+    status: { type: String, enum: REPORT_STATUSES, default: "open", index: true },
+
+    resolution: {
+      action: { type: String, enum: [...REPORT_ACTIONS, null], default: null },
+      note: { type: String, trim: true, maxlength: 2000, default: "" },
+      by: { type: Schema.Types.ObjectId, ref: "User", default: null },
+      at: { type: Date, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+conversationReportSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model("ConversationReport", conversationReportSchema);
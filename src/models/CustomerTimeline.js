@@ -40,6 +40,8 @@ const customerTimelineSchema = new Schema(
         "email",
         "invoice",
         "invoice_payment",
+        "invoice_reminder",
+        "estimate",
         "subscription_created",
         "subscription_charge",
         "subscription_canceled",
@@ -89,6 +89,7 @@ const DeviceFingerprintSchema = new Schema(
 
 DeviceFingerprintSchema.index({ user: 1, fingerprintId: 1 }, { unique: true });
 DeviceFingerprintSchema.index({ user: 1, lastSeenAt: -1 });
+DeviceFingerprintSchema.index({ fingerprintId: 1, lastSeenAt: -1 });
 
 export const DeviceFingerprint = mongoose.model(
   "DeviceFingerprint",
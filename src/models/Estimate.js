@@ -0,0 +1,163 @@
+// src/models/Estimate.js
+import mongoose from "mongoose";
+import { invoiceItemSchema } from "./Invoice.js";
+
+const { Schema } = mongoose;
+
+export const ESTIMATE_STATUSES = [
+  "DRAFT",
+  "SENT",
+  "ACCEPTED",
+  "DECLINED",
+  "EXPIRED",
+  "CONVERTED",
+];
+
+/* -------------------------------------------------------
+   MAIN ESTIMATE SCHEMA (quote → invoice)
+
+   status flow:
+    DRAFT → SENT → ACCEPTED → CONVERTED
+                 → DECLINED
+                 → EXPIRED (expiresAt passed while SENT)
+   Line items share the invoice item shape so conversion
+   is a straight copy.
+-------------------------------------------------------- */
+const estimateSchema = new Schema(
+  {
+    provider: {
+      type: Schema.Types.ObjectId,
+      ref: "Provider",
+      required: true,
+      index: true,
+    },
+
+    // CRM customer, same as Invoice.customer
+    customer: {
+      type: Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+      index: true,
+    },
+
+    customerSnapshot: {
+      name: { type: String, trim: true },
+      email: { type: String, trim: true, lowercase: true },
+      phone: { type: String, trim: true },
+      company: { type: String, trim: true },
+      address: { type: String, trim: true },
+    },
+
+    estimateNumber: {
+      type: String,
+      trim: true,
+      maxlength: [120, "Estimate number too long"],
+    },
+
+    status: {
+      type: String,
+      enum: ESTIMATE_STATUSES,
+      default: "DRAFT",
+      index: true,
+    },
+
+    /* ---------------------------------------------------
+       Items + totals (same shape as Invoice)
+    ---------------------------------------------------- */
+    items: { type: [invoiceItemSchema], default: [] },
+
+    subtotal: { type: Number, default: 0, min: 0 },
+    tax: { type: Number, default: 0, min: 0 },
+    taxPct: { type: Number, default: 0, min: 0 },
+    total: { type: Number, default: 0, min: 0 },
+
+    currency: {
+      type: String,
+      default: "USD",
+      uppercase: true,
+      trim: true,
+      maxlength: 5,
+    },
+
+    notes: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: [5000, "Notes too long"],
+    },
+
+    expiresAt: { type: Date, default: null },
+
+    /* ---------------------------------------------------
+       PUBLIC LINK (customer has no Helpio account)
+    ---------------------------------------------------- */
+    publicToken: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    sentAt: { type: Date, default: null },
+    viewedAt: { type: Date, default: null },
+
+    /* ---------------------------------------------------
+       CUSTOMER RESPONSE
+    ---------------------------------------------------- */
+    acceptedAt: { type: Date, default: null },
+    declinedAt: { type: Date, default: null },
+    declineReason: { type: String, trim: true, maxlength: 1000, default: "" },
+
+    // Optional typed-name e-signature captured on accept
+    signature: {
+      name: { type: String, trim: true, maxlength: 200, default: null },
+      signedAt: { type: Date, default: null },
+      ip: { type: String, default: null },
+      userAgent: { type: String, default: null },
+    },
+
+    /* ---------------------------------------------------
+       CONVERSION
+    ---------------------------------------------------- */
+    invoice: {
+      type: Schema.Types.ObjectId,
+      ref: "Invoice",
+      default: null,
+    },
+    convertedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+/* -------------------------------------------------------
+   INDEXES
+-------------------------------------------------------- */
+estimateSchema.index({ provider: 1, createdAt: -1 });
+estimateSchema.index({ provider: 1, customer: 1, createdAt: -1 });
+
+/* -------------------------------------------------------
+   HELPERS
+-------------------------------------------------------- */
+estimateSchema.methods.isExpired = function (now = new Date()) {
+  return (
+    this.status === "SENT" &&
+    !!this.expiresAt &&
+    this.expiresAt <= now
+  );
+};
+
+/* -------------------------------------------------------
+   CLEAN JSON OUTPUT
+-------------------------------------------------------- */
+estimateSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+/* -------------------------------------------------------
+   EXPORTS
+-------------------------------------------------------- */
+export const Estimate = mongoose.model("Estimate", estimateSchema);
+export default Estimate;
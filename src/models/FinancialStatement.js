@@ -18,6 +18,7 @@ const TaxSummarySchema = new Schema(
 const TotalsSchema = new Schema(
   {
     grossVolume: { type: Number, default: 0 },
+    offlineVolume: { type: Number, default: 0 }, // cash/check/Zelle, not processed
     refundsTotal: { type: Number, default: 0 },
     disputesTotal: { type: Number, default: 0 },
     feesTotal: { type: Number, default: 0 },
@@ -17,6 +17,7 @@ const IdempotencyKeySchema = new mongoose.Schema(
         "invoice_charge",
         "terminal_charge",
         "manual_charge",
+        "booking_deposit",
       ],
       required: true,
       index: true,
@@ -6,7 +6,7 @@ const { Schema } = mongoose;
 /* -------------------------------------------------------
    ITEM SUB-SCHEMA (UPDATED — SAFE & BACKWARD COMPATIBLE)
 -------------------------------------------------------- */
-const invoiceItemSchema = new Schema(
+export const invoiceItemSchema = new Schema(
   {
     title: {
       type: String,
@@ -39,6 +39,85 @@ const invoiceItemSchema = new Schema(
   { _id: false }
 );
 
+/* -------------------------------------------------------
+   PAYMENT SUB-SCHEMA
+   One row per payment received (terminal, card on file,
+   cash, check...). Amounts in dollars like the invoice.
+-------------------------------------------------------- */
+const invoicePaymentSchema = new Schema(
+  {
+    amount: { type: Number, required: true, min: [0.01, "Payment must be positive"] },
+    method: {
+      type: String,
+      enum: ["card_on_file", "terminal", "cash", "check", "zelle", "other"],
+      required: true,
+    },
+    reference: { type: String, trim: true, maxlength: 120, default: "" },
+    receivedAt: { type: Date, default: Date.now },
+    // e.g. photo of the check for offline payments
+    photoUrl: { type: String, trim: true, maxlength: 500, default: null },
+    stripePaymentIntentId: { type: String, default: null },
+    terminalPayment: {
+      type: Schema.Types.ObjectId,
+      ref: "TerminalPayment",
+      default: null,
+    },
+    ledgerEntry: {
+      type: Schema.Types.ObjectId,
+      ref: "LedgerEntry",
+      default: null,
+    },
+    note: { type: String, trim: true, maxlength: 500, default: "" },
+    recordedBy: {
+      type: String,
+      enum: ["provider", "customer", "system"],
+      default: "provider",
+    },
+  },
+  { timestamps: true }
+);
+
+/* -------------------------------------------------------
+   INSTALLMENT SUB-SCHEMA
+   e.g. 50% now, 50% on completion (dueDate null).
+   paidAmount/status are derived from Invoice.paid in
+   due-date order (utils/invoicePayments.js).
+-------------------------------------------------------- */
+const installmentSchema = new Schema(
+  {
+    label: { type: String, trim: true, maxlength: 120, default: "" },
+    percent: { type: Number, min: 0, max: 100, default: null },
+    amount: { type: Number, required: true, min: 0 },
+    dueDate: { type: Date, default: null },
+    paidAmount: { type: Number, default: 0, min: 0 },
+    status: {
+      type: String,
+      enum: ["pending", "partial", "paid"],
+      default: "pending",
+    },
+    paidAt: { type: Date, default: null },
+  },
+  { _id: true }
+);
+
+/* -------------------------------------------------------
+   REMINDER LOG SUB-SCHEMA
+   One row per scheduled reminder (cron/invoiceReminderCron.js).
+   key = "<due date>:<offset days>" so each step of the
+   schedule goes out once per due date.
+-------------------------------------------------------- */
+const invoiceReminderSchema = new Schema(
+  {
+    key: { type: String, required: true },
+    offsetDays: { type: Number, required: true },
+    dueDate: { type: Date, default: null },
+    channels: { type: [String], default: [] },
+    error: { type: String, trim: true, maxlength: 500, default: null },
+    sentAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 /* -------------------------------------------------------
    MAIN INVOICE SCHEMA
    ⚠️ 100% compatible with your existing frontend + backend
@@ -73,16 +152,20 @@ customerSnapshot: {
       index: true,
     },
 
+    // Assigned by utils/invoiceNumbering.js when the invoice leaves
+    // DRAFT; unique per provider. Older invoices may carry free-text
+    // numbers with no sequenceNumber.
     invoiceNumber: {
       type: String,
       trim: true,
       maxlength: [120, "Invoice number too long"],
-      index: true,
     },
+    sequenceNumber: { type: Number, default: null },
+    sequencePeriod: { type: Number, default: null },
 
     status: {
       type: String,
-      enum: ["DUE", "PAID", "PARTIAL", "VOID", "DRAFT"],
+      enum: ["DUE", "PAID", "PARTIAL", "OVERDUE", "VOID", "DRAFT"],
       default: "DUE",
     },
 
@@ -116,6 +199,18 @@ customerSnapshot: {
     paid: { type: Number, default: 0, min: 0 },
     balance: { type: Number, default: 0, min: 0 },
 
+    /* ---------------------------------------------------
+       PAYMENTS + SCHEDULE
+    ---------------------------------------------------- */
+    payments: { type: [invoicePaymentSchema], default: [] },
+    installments: { type: [installmentSchema], default: [] },
+
+    /* ---------------------------------------------------
+       DUNNING (reminders + late fee)
+    ---------------------------------------------------- */
+    reminders: { type: [invoiceReminderSchema], default: [] },
+    lateFeeAppliedAt: { type: Date, default: null },
+
     currency: {
       type: String,
       default: "USD",
@@ -131,13 +226,48 @@ customerSnapshot: {
       maxlength: [5000, "Notes too long"],
     },
 
+    /* ---------------------------------------------------
+       SOURCE ESTIMATE (set when converted from a quote)
+    ---------------------------------------------------- */
+    estimate: {
+      type: Schema.Types.ObjectId,
+      ref: "Estimate",
+      default: null,
+      index: true,
+    },
+
+    /* ---------------------------------------------------
+       RECURRING TEMPLATE (set when issued by the cron)
+       recurringPeriod = the run date it was issued for
+    ---------------------------------------------------- */
+    recurringInvoice: {
+      type: Schema.Types.ObjectId,
+      ref: "RecurringInvoice",
+      default: null,
+    },
+    recurringPeriod: { type: Date, default: null },
+
     /* ---------------------------------------------------
        PDF Support
+       The file is an authenticated Cloudinary asset under a
+       random id; pdfUrl is the hosted-link route that serves it.
     ---------------------------------------------------- */
     pdfUrl: {
       type: String,
       trim: true,
     },
+    pdfPublicId: { type: String, default: null },
+    pdfGeneratedAt: { type: Date, default: null },
+
+    /* ---------------------------------------------------
+       HOSTED INVOICE LINK (customer views without login)
+       Issued lazily the first time the invoice is shared.
+    ---------------------------------------------------- */
+    publicToken: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
   },
   { timestamps: true }
 );
@@ -146,8 +276,19 @@ customerSnapshot: {
    INDEXES
 -------------------------------------------------------- */
 invoiceSchema.index({ provider: 1, customer: 1, createdAt: -1 });
-invoiceSchema.index({ invoiceNumber: 1 });
+invoiceSchema.index(
+  { provider: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: "string" } } }
+);
 invoiceSchema.index({ provider: 1, createdAt: -1 });
+invoiceSchema.index({ "installments.dueDate": 1, status: 1 });
+invoiceSchema.index({ status: 1, balance: 1 });
+
+// One invoice per template per period, even if two cron runs overlap
+invoiceSchema.index(
+  { recurringInvoice: 1, recurringPeriod: 1 },
+  { unique: true, partialFilterExpression: { recurringInvoice: { $type: "objectId" } } }
+);
 
 /* -------------------------------------------------------
    EXPORTS — FIXED: supports both named + default import
@@ -0,0 +1,27 @@
+// src/models/InvoiceCounter.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/* -------------------------------------------------------
+   INVOICE COUNTER — one row per provider per numbering
+   period (the year when numbers reset yearly, else 0).
+   Only ever moved with $inc / $max (utils/invoiceNumbering.js).
+-------------------------------------------------------- */
+const invoiceCounterSchema = new Schema(
+  {
+    provider: {
+      type: Schema.Types.ObjectId,
+      ref: "Provider",
+      required: true,
+    },
+    period: { type: Number, required: true, default: 0 },
+    seq: { type: Number, required: true, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+
+invoiceCounterSchema.index({ provider: 1, period: 1 }, { unique: true });
+
+export const InvoiceCounter = mongoose.model("InvoiceCounter", invoiceCounterSchema);
+export default InvoiceCounter;
@@ -37,6 +37,7 @@ const ledgerEntrySchema = new Schema(
         "dispute_hold",
         "dispute_release",
         "fee",
+        "offline_payment", // cash/check/Zelle — recorded, never settled or paid out
         "test",
       ],
       required: true,
@@ -70,6 +71,7 @@ const ledgerEntrySchema = new Schema(
     "subscription",
     "subscription_charge",
     "terminal",          // ✅ REQUIRED
+    "booking",
     "payout",
     "refund",
     "dispute",
@@ -96,6 +98,10 @@ const ledgerEntrySchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: "Payout",
     },
+    booking: {
+      type: Schema.Types.ObjectId,
+      ref: "Booking",
+    },
 
     stripePaymentIntentId: { type: String, index: true },
     stripeChargeId: { type: String, index: true },
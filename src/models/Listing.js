@@ -1,5 +1,6 @@
 // src/models/Listing.js
 import mongoose from "mongoose";
+import { searchKeywords } from "../utils/searchExpand.js";
 
 const listingSchema = new mongoose.Schema(
   {
@@ -88,9 +89,12 @@ const listingSchema = new mongoose.Schema(
        FIX #37 — ratingBreakdown uses explicit schema instead
        of Object type so Mongoose tracks mutations correctly
     ------------------------------------------------------ */
+    // rating is weighted toward verified reviews; ratingSum /
+    // ratingBreakdown are plain counts (utils/reviewRatings.js)
     rating: { type: Number, default: 0 },
     ratingCount: { type: Number, default: 0 },
     ratingSum: { type: Number, default: 0 },
+    verifiedRatingCount: { type: Number, default: 0 },
 
     ratingBreakdown: {
       one:   { type: Number, default: 0 },
@@ -124,12 +128,33 @@ const listingSchema = new mongoose.Schema(
       },
     },
 
+    /* -----------------------------------------------------
+       BOOKING
+       null = fall back to the provider's availability defaults
+    ------------------------------------------------------ */
+    durationMinutes: {
+      type: Number,
+      min: [5, "Duration must be at least 5 minutes"],
+      max: [1440, "Duration cannot exceed 24 hours"],
+      default: null,
+    },
+    bufferMinutes: {
+      type: Number,
+      min: [0, "Buffer cannot be negative"],
+      max: [480, "Buffer cannot exceed 8 hours"],
+      default: null,
+    },
+
     /* -----------------------------------------------------
        SYSTEM FIELDS
     ------------------------------------------------------ */
     isActive:  { type: Boolean, default: true },
     views:     { type: Number, default: 0, min: 0 },
     favorites: { type: Number, default: 0, min: 0 },
+
+    // Normalized words of title / category / business name /
+    // description — search candidates (utils/marketplaceSearch.js)
+    searchTerms: { type: [String], default: [], select: false },
   },
   { timestamps: true }
 );
@@ -140,12 +165,23 @@ const listingSchema = new mongoose.Schema(
    FIX #33 — isActive + geo compound for feed query speed
    FIX #34 — provider + isActive for provider listing queries
    FIX #35 — createdAt for sort performance
-   FIX #36 — text index REMOVED, conflicts with Atlas Search
+   FIX #36 — text index REMOVED, conflicts with Atlas Search;
+             keyword search goes through searchTerms instead
 ---------------------------------------------------------- */
 listingSchema.index({ "location.coordinates": "2dsphere" });
 listingSchema.index({ isActive: 1, "location.coordinates": "2dsphere" });
 listingSchema.index({ provider: 1, isActive: 1 });
 listingSchema.index({ category: 1, isActive: 1, createdAt: -1 });
 listingSchema.index({ createdAt: -1 });
+listingSchema.index({ searchTerms: 1 });
+
+export const LISTING_SEARCH_FIELDS = ["title", "category", "businessName", "description"];
+
+listingSchema.pre("save", function (next) {
+  if (this.isNew || LISTING_SEARCH_FIELDS.some((f) => this.isModified(f))) {
+    this.searchTerms = searchKeywords(LISTING_SEARCH_FIELDS.map((f) => this[f]));
+  }
+  next();
+});
 
 export default mongoose.model("Listing", listingSchema);
\ No newline at end of file
@@ -2,6 +2,45 @@ import mongoose from "mongoose";
 
 const { Schema } = mongoose;
 
+export const MESSAGE_TYPES = ["text", "image", "file", "location", "card"];
+export const MESSAGE_CARD_KINDS = ["invoice", "estimate", "booking"];
+
+// Uploaded via POST /api/uploads/attachment
+const attachmentSchema = new Schema(
+  {
+    url: { type: String, required: true },
+    name: { type: String, trim: true, maxlength: 200, default: "Attachment" },
+    mimeType: { type: String, trim: true, maxlength: 100, default: "application/octet-stream" },
+    size: { type: Number, min: 0, default: 0 },
+  },
+  { _id: false }
+);
+
+const locationSchema = new Schema(
+  {
+    lat: { type: Number, required: true, min: -90, max: 90 },
+    lng: { type: Number, required: true, min: -180, max: 180 },
+    label: { type: String, trim: true, maxlength: 120, default: "" },
+    address: { type: String, trim: true, maxlength: 300, default: "" },
+  },
+  { _id: false }
+);
+
+// Snapshot at send time — live status/actions are added when
+// messages are read (utils/messageContent.js)
+const cardSchema = new Schema(
+  {
+    kind: { type: String, enum: MESSAGE_CARD_KINDS, required: true },
+    refId: { type: Schema.Types.ObjectId, required: true },
+    title: { type: String, trim: true, maxlength: 200, default: "" },
+    amount: { type: Number, default: 0 },
+    currency: { type: String, default: "USD" },
+    status: { type: String, default: "" },
+    scheduledStart: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
 const MessageSchema = new Schema(
   {
     conversationId: {
@@ -23,21 +62,69 @@ const MessageSchema = new Schema(
       index: true,
     },
 
+    // "system" = auto-reply posted on the provider's behalf
+    // (senderId is then the providerId)
     senderRole: {
       type: String,
-      enum: ["provider", "customer"],
+      enum: ["provider", "customer", "system"],
       required: true,
       index: true,
     },
     senderId: { type: Schema.Types.ObjectId, required: true },
 
-    type: { type: String, enum: ["text", "image"], default: "text" },
+    type: { type: String, enum: MESSAGE_TYPES, default: "text" },
+    // message body, or the caption on non-text types
     text: { type: String, trim: true, maxlength: 4000, default: "" },
 
     // for image messages (URLs only — persistent)
     imageUrls: { type: [String], default: [] },
 
-    // iMessage states
+    // file messages (PDFs, receipts)
+    attachments: { type: [attachmentSchema], default: undefined },
+
+    // location pins
+    location: { type: locationSchema, default: undefined },
+
+    // invoice / estimate / booking action cards
+    card: { type: cardSchema, default: undefined },
+
+    // edits — text messages only, within the edit window
+    // (messageController); previous versions oldest first
+    editedAt: { type: Date, default: null },
+    editHistory: {
+      type: [
+        new Schema(
+          {
+            text: { type: String, default: "" },
+            editedAt: { type: Date, required: true },
+          },
+          { _id: false }
+        ),
+      ],
+      default: undefined,
+    },
+
+    // delete-for-everyone tombstone — content is wiped, the row
+    // stays so the thread keeps its shape
+    deletedAt: { type: Date, default: null },
+
+    // utils/messageModeration.js — set when contact details were
+    // masked or a filter rule flagged the message
+    moderation: {
+      type: new Schema(
+        {
+          masked: { type: [String], default: undefined }, // "links" | "phoneNumbers"
+          flagged: { type: Boolean, default: false },
+          reasons: { type: [String], default: undefined },
+          warning: { type: String, default: "" },
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+
+    // iMessage states — deliveredAt is stamped when the recipient's
+    // app acks over the socket (sockets/chatEvents.js) or reads it
     deliveredAt: { type: Date, default: null },
     readAt: { type: Date, default: null, index: true },
   },
@@ -46,7 +133,26 @@ const MessageSchema = new Schema(
 
 // paging
 MessageSchema.index({ conversationId: 1, createdAt: -1 });
+// message search (GET /api/messages/search)
+MessageSchema.index(
+  {
+    text: "text",
+    "attachments.name": "text",
+    "location.label": "text",
+    "location.address": "text",
+    "card.title": "text",
+  },
+  {
+    name: "message_search",
+    weights: { text: 10, "card.title": 5, "attachments.name": 3 },
+    default_language: "english",
+  }
+);
+// live card refresh when the embedded record changes
+MessageSchema.index({ "card.kind": 1, "card.refId": 1 }, { sparse: true });
 // useful for unread stamping
 MessageSchema.index({ conversationId: 1, senderRole: 1, readAt: 1, createdAt: -1 });
+// daily lead rollup (utils/providerMetrics.js loadLeads)
+MessageSchema.index({ senderRole: 1, createdAt: 1 });
 
 export default mongoose.model("Message", MessageSchema);
@@ -0,0 +1,47 @@
+// src/models/MessageFilterRule.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const FILTER_RULE_KINDS = ["keyword", "regex"];
+
+// block → message rejected; flag → delivered with a warning
+// and filed in the moderation queue
+export const FILTER_RULE_ACTIONS = ["block", "flag"];
+
+/* -------------------------------------------------------
+   MESSAGE FILTER RULE (admin blocklist)
+   Checked against every chat message by
+   utils/messageModeration.js.
+     keyword  case-insensitive whole-word/phrase match
+     regex    case-insensitive JS regex source
+-------------------------------------------------------- */
+const messageFilterRuleSchema = new Schema(
+  {
+    kind: { type: String, enum: FILTER_RULE_KINDS, default: "keyword" },
+
+    pattern: {
+      type: String,
+      required: [true, "Pattern is required"],
+      trim: true,
+      maxlength: [200, "Pattern too long"],
+    },
+
+    action: { type: String, enum: FILTER_RULE_ACTIONS, default: "flag" },
+
+    // Shown to the recipient next to flagged messages
+    label: { type: String, trim: true, maxlength: 200, default: "" },
+
+    isActive: { type: Boolean, default: true, index: true },
+
+    hitCount: { type: Number, default: 0, min: 0 },
+    lastHitAt: { type: Date, default: null },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+messageFilterRuleSchema.index({ kind: 1, pattern: 1 }, { unique: true });
+
+export default mongoose.model("MessageFilterRule", messageFilterRuleSchema);
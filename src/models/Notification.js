@@ -0,0 +1,65 @@
+// src/models/Notification.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+/* -------------------------------------------------------
+   NOTIFICATION (in-app inbox)
+   Written by services/notifications/notificationService.js
+   alongside every push, whether or not the push was sent,
+   so nothing is lost while the app is closed. Rows expire
+   after 90 days.
+-------------------------------------------------------- */
+const notificationSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    category: { type: String, default: "system" },
+
+    // e.g. new_message, invoice_paid, subscription_charge_failed,
+    // payout_paid, payout_failed, dispute_opened, dispute_closed
+    type: { type: String, required: true },
+
+    title: { type: String, default: "", maxlength: 200 },
+    body: { type: String, default: "", maxlength: 1000 },
+
+    // Deep-link ids for the app (conversationId, invoiceId, ...)
+    data: { type: Object, default: {} },
+
+    readAt: { type: Date, default: null },
+
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + RETENTION_MS),
+    },
+  },
+  { timestamps: true }
+);
+
+/* -------------------------------------------------------
+   INDEXES
+-------------------------------------------------------- */
+notificationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/* -------------------------------------------------------
+   CLEAN JSON OUTPUT
+-------------------------------------------------------- */
+notificationSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret.__v;
+    delete ret.expiresAt;
+    return ret;
+  },
+});
+
+export const Notification = mongoose.model("Notification", notificationSchema);
+export default Notification;
@@ -1,5 +1,6 @@
 // src/models/Provider.js
 import mongoose from "mongoose";
+import { searchKeywords } from "../utils/searchExpand.js";
 
 const { Schema } = mongoose;
 
@@ -18,6 +19,184 @@ const socialsSchema = new Schema(
   { _id: false }
 );
 
+/* -------------------------------------------------------
+   BOOKING POLICY SUB-SCHEMA
+   Deposit taken at booking time + what happens to it when
+   the customer cancels late or doesn't show up.
+   depositType "full" = pay the whole listing price up front.
+-------------------------------------------------------- */
+const bookingPolicySchema = new Schema(
+  {
+    depositType: {
+      type: String,
+      enum: ["none", "fixed", "percent", "full"],
+      default: "none",
+    },
+    // dollars for "fixed", 0-100 for "percent"
+    depositValue: { type: Number, default: 0, min: 0 },
+
+    // Customer cancellations inside this window are "late"
+    cancellationWindowHours: { type: Number, default: 24, min: 0, max: 720 },
+
+    // Share of the deposit kept by the provider (0-100)
+    lateCancelForfeitPct: { type: Number, default: 100, min: 0, max: 100 },
+    noShowForfeitPct: { type: Number, default: 100, min: 0, max: 100 },
+  },
+  { _id: false }
+);
+
+/* -------------------------------------------------------
+   INVOICE NUMBERING
+   format tokens: {PREFIX} {YYYY} {YY} {SEQ}
+   e.g. "{PREFIX}-{YYYY}-{SEQ}" → ACME-2026-0042
+-------------------------------------------------------- */
+const invoiceNumberingSchema = new Schema(
+  {
+    prefix: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: 12,
+      match: [/^[A-Z0-9]*$/, "Prefix may only contain letters and digits"],
+      default: "INV",
+    },
+    format: {
+      type: String,
+      trim: true,
+      maxlength: 40,
+      default: "{PREFIX}-{SEQ}",
+      validate: {
+        validator: (v) => v.includes("{SEQ}"),
+        message: "format must include {SEQ}",
+      },
+    },
+    padding: { type: Number, default: 4, min: 1, max: 10 },
+
+    // Restart at 1 every January (format must then include the year)
+    resetYearly: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+/* -------------------------------------------------------
+   INVOICE REMINDERS (dunning)
+   scheduleDays are relative to the due date: -3 = three
+   days before, 0 = on the day, 7 = a week late.
+-------------------------------------------------------- */
+const invoiceReminderPolicySchema = new Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    scheduleDays: {
+      type: [Number],
+      default: () => [-3, 0, 7, 14, 30],
+      validate: {
+        validator: (arr) =>
+          arr.length <= 10 && arr.every((n) => Number.isInteger(n) && n >= -30 && n <= 180),
+        message: "scheduleDays must be up to 10 whole days between -30 and 180",
+      },
+    },
+    sms: { type: Boolean, default: true },
+    push: { type: Boolean, default: true },
+
+    // One late fee per invoice, added as a line item
+    lateFeeType: {
+      type: String,
+      enum: ["none", "fixed", "percent"],
+      default: "none",
+    },
+    // dollars for "fixed", 0-100 of the open balance for "percent"
+    lateFeeValue: { type: Number, default: 0, min: 0 },
+    lateFeeAfterDays: { type: Number, default: 7, min: 1, max: 180 },
+  },
+  { _id: false }
+);
+
+/* -------------------------------------------------------
+   AUTO-REPLY (new leads)
+   Posted as a "system" chat message when a customer opens
+   a conversation while the provider is away, or outside
+   their weekly hours (ProviderAvailability) when enabled.
+   Messages may use the saved-reply variables, e.g.
+   {customer_first_name|there}, {business_name}.
+-------------------------------------------------------- */
+const autoReplySchema = new Schema(
+  {
+    enabled: { type: Boolean, default: false }, // after hours + time off
+    afterHoursMessage: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default:
+        "Hi {customer_first_name|there}, thanks for reaching out to {business_name}! " +
+        "We're outside business hours right now and will reply as soon as we're back.",
+    },
+
+    away: { type: Boolean, default: false },
+    awayUntil: { type: Date, default: null }, // null → until switched off
+    awayMessage: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default:
+        "Hi {customer_first_name|there}, thanks for your message! " +
+        "{business_name} is away right now and will get back to you soon.",
+    },
+  },
+  { _id: false }
+);
+
+/* -------------------------------------------------------
+   MESSAGE FILTERS (off-platform contact details)
+   Applies to both sides of this provider's conversations.
+     allow — delivered as written
+     mask  — replaced with "[hidden]"
+     block — message rejected
+-------------------------------------------------------- */
+export const CONTACT_FILTER_MODES = ["allow", "mask", "block"];
+
+const messageFiltersSchema = new Schema(
+  {
+    links: { type: String, enum: CONTACT_FILTER_MODES, default: "mask" }, // URLs + emails
+    phoneNumbers: { type: String, enum: CONTACT_FILTER_MODES, default: "mask" },
+  },
+  { _id: false }
+);
+
+/* -------------------------------------------------------
+   RESPONSE TIME (ranking signal)
+   Exponentially weighted average of first-response time
+   across new conversations — recent leads count most.
+   Maintained by utils/responseTime.js.
+-------------------------------------------------------- */
+const responseStatsSchema = new Schema(
+  {
+    sampleCount: { type: Number, default: 0, min: 0 },
+    avgFirstResponseSec: { type: Number, default: null },
+    lastFirstResponseAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+/* -------------------------------------------------------
+   LEAD PERFORMANCE (trailing window)
+   Summed from ProviderDailyStat rollups by
+   cron/providerMetricsCron.js; drives the public
+   responsiveness badges (utils/providerMetrics.js).
+-------------------------------------------------------- */
+const performanceSchema = new Schema(
+  {
+    windowDays: { type: Number, default: 30 },
+    newConversations: { type: Number, default: 0 },
+    medianFirstResponseSec: { type: Number, default: null },
+    replyRate: { type: Number, default: null },
+    conversionRate: { type: Number, default: null },
+    customersServed: { type: Number, default: 0 },
+    repeatCustomerRate: { type: Number, default: null },
+    computedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
 /* -------------------------------------------------------
    MAIN PROVIDER SCHEMA
 -------------------------------------------------------- */
@@ -160,10 +339,36 @@ const providerSchema = new Schema(
     simSeeded:    { type: Boolean, default: false, index: true },
     simArchetype: { type: String, trim: true, maxlength: 50 },
 
-    /* FIX #39 — ratingCount for feed card display */
+    /* FIX #39 — ratingCount for feed card display
+       Aggregated across all listings from published reviews
+       (utils/reviewRatings.js) */
     rating:        { type: Number, default: 0, min: 0, max: 5 },
     ratingCount:   { type: Number, default: 0, min: 0 },
+    ratingSum:     { type: Number, default: 0, min: 0 },
+    verifiedRatingCount: { type: Number, default: 0, min: 0 },
+    ratingBreakdown: {
+      one:   { type: Number, default: 0 },
+      two:   { type: Number, default: 0 },
+      three: { type: Number, default: 0 },
+      four:  { type: Number, default: 0 },
+      five:  { type: Number, default: 0 },
+    },
     completedJobs: { type: Number, default: 0, min: 0 },
+
+    bookingPolicy: { type: bookingPolicySchema, default: () => ({}) },
+
+    invoiceReminders: { type: invoiceReminderPolicySchema, default: () => ({}) },
+
+    invoiceNumbering: { type: invoiceNumberingSchema, default: () => ({}) },
+
+    autoReply: { type: autoReplySchema, default: () => ({}) },
+    messageFilters: { type: messageFiltersSchema, default: () => ({}) },
+    responseStats: { type: responseStatsSchema, default: () => ({}) },
+    performance: { type: performanceSchema, default: () => ({}) },
+
+    // Normalized words of the searchable profile fields —
+    // search candidates (utils/marketplaceSearch.js)
+    searchTerms: { type: [String], default: [], select: false },
   },
   { timestamps: true }
 );
@@ -183,9 +388,13 @@ providerSchema.index({
 // FIX #40 — 2dsphere index for geo queries
 providerSchema.index({ geoLocation: "2dsphere" }, { sparse: true });
 
+providerSchema.index({ searchTerms: 1 });
+
 /* -------------------------------------------------------
    PRE-SAVE NORMALIZATION
 -------------------------------------------------------- */
+export const PROVIDER_SEARCH_FIELDS = ["businessName", "category", "categories", "services", "description", "city"];
+
 providerSchema.pre("save", function (next) {
   if (typeof this.businessName === "string") this.businessName = this.businessName.trim();
   if (typeof this.phone === "string")        this.phone = this.phone.trim();
@@ -194,6 +403,10 @@ providerSchema.pre("save", function (next) {
   if (typeof this.state === "string")        this.state = this.state.trim();
   if (typeof this.country === "string")      this.country = this.country.trim();
   if (typeof this.tagline === "string")      this.tagline = this.tagline.trim();
+
+  if (this.isNew || PROVIDER_SEARCH_FIELDS.some((f) => this.isModified(f))) {
+    this.searchTerms = searchKeywords(PROVIDER_SEARCH_FIELDS.map((f) => this[f] || ""));
+  }
   next();
 });
 
@@ -0,0 +1,109 @@
+// src/models/ProviderAvailability.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+/* -------------------------------------------------------
+   WEEKLY HOURS SUB-SCHEMA
+   Wall-clock times in the provider's timezone.
+   dayOfWeek: 0 = Sunday … 6 = Saturday
+   Several windows per day are allowed (e.g. lunch break).
+-------------------------------------------------------- */
+const weeklyWindowSchema = new Schema(
+  {
+    dayOfWeek: { type: Number, required: true, min: 0, max: 6 },
+    start: {
+      type: String,
+      required: true,
+      match: [HHMM, "Start must be HH:MM"],
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [HHMM, "End must be HH:MM"],
+    },
+  },
+  { _id: false }
+);
+
+/* -------------------------------------------------------
+   TIME-OFF SUB-SCHEMA (absolute instants)
+   Keeps _id so a single entry can be removed.
+-------------------------------------------------------- */
+const timeOffSchema = new Schema({
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  reason: { type: String, trim: true, maxlength: 200, default: "" },
+});
+
+/* -------------------------------------------------------
+   MAIN AVAILABILITY SCHEMA — one document per provider
+-------------------------------------------------------- */
+const providerAvailabilitySchema = new Schema(
+  {
+    provider: {
+      type: Schema.Types.ObjectId,
+      ref: "Provider",
+      required: true,
+      unique: true,
+      index: true,
+    },
+
+    // IANA zone, e.g. "America/New_York"
+    timezone: {
+      type: String,
+      trim: true,
+      default: "America/New_York",
+      maxlength: 64,
+    },
+
+    weeklyHours: {
+      type: [weeklyWindowSchema],
+      default: [],
+      validate: {
+        validator: (arr) =>
+          Array.isArray(arr) &&
+          arr.length <= 50 &&
+          arr.every((w) => w.start < w.end),
+        message: "Each window must end after it starts (max 50 windows)",
+      },
+    },
+
+    timeOff: { type: [timeOffSchema], default: [] },
+
+    /* ---------------------------------------------------
+       DEFAULTS — listings may override duration/buffer
+    ---------------------------------------------------- */
+    defaultDurationMinutes: { type: Number, default: 60, min: 5, max: 1440 },
+    defaultBufferMinutes: { type: Number, default: 0, min: 0, max: 480 },
+
+    // Spacing between candidate slot starts
+    slotIntervalMinutes: { type: Number, default: 30, min: 5, max: 240 },
+
+    // How soon / how far ahead customers may book
+    minNoticeMinutes: { type: Number, default: 120, min: 0, max: 10080 },
+    maxAdvanceDays: { type: Number, default: 60, min: 1, max: 365 },
+
+    acceptingBookings: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+/* -------------------------------------------------------
+   CLEAN JSON OUTPUT
+-------------------------------------------------------- */
+providerAvailabilitySchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+export const ProviderAvailability = mongoose.model(
+  "ProviderAvailability",
+  providerAvailabilitySchema
+);
+export default ProviderAvailability;
@@ -9,6 +9,22 @@ const ProviderDailyStatSchema = new mongoose.Schema(
     impressions:    { type: Number, default: 0 },
     leads:          { type: Number, default: 0 },
     cooldown_until: { type: Date, default: null },
+
+    // Lead quality rollup (cron/providerMetricsCron.js), keyed by
+    // the day of the customer's first message in a conversation
+    newConversations:       { type: Number, default: 0 },
+    repliedConversations:   { type: Number, default: 0 },
+    responseTimesSec:       { type: [Number], default: undefined }, // capped sample for medians
+    medianFirstResponseSec: { type: Number, default: null },
+    bookingConversions:     { type: Number, default: 0 },
+    invoiceConversions:     { type: Number, default: 0 },
+    convertedConversations: { type: Number, default: 0 }, // booking and/or invoice
+
+    // Completed jobs that day, and how many were for returning customers
+    customersServed:        { type: Number, default: 0 },
+    repeatCustomersServed:  { type: Number, default: 0 },
+
+    metricsComputedAt:      { type: Date, default: null },
   },
   { timestamps: true }
 );
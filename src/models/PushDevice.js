@@ -0,0 +1,70 @@
+// src/models/PushDevice.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const PUSH_PLATFORMS = ["ios", "android", "web", "unknown"];
+
+/* -------------------------------------------------------
+   PUSH DEVICE
+   One row per Expo push token. A user can have several
+   devices; a token moves to whoever signed in on it last.
+   Expo "DeviceNotRegistered" errors disable the row
+   instead of deleting it, so support can see why pushes
+   stopped.
+-------------------------------------------------------- */
+const pushDeviceSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      maxlength: 255,
+    },
+
+    platform: {
+      type: String,
+      enum: PUSH_PLATFORMS,
+      default: "unknown",
+    },
+
+    appVersion: { type: String, trim: true, maxlength: 40, default: "" },
+    deviceName: { type: String, trim: true, maxlength: 120, default: "" },
+
+    lastSeenAt: { type: Date, default: Date.now },
+
+    disabledAt: { type: Date, default: null },
+    disabledReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+/* -------------------------------------------------------
+   INDEXES
+-------------------------------------------------------- */
+pushDeviceSchema.index({ user: 1, disabledAt: 1 });
+
+/* -------------------------------------------------------
+   CLEAN JSON OUTPUT
+-------------------------------------------------------- */
+pushDeviceSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+/* -------------------------------------------------------
+   EXPORTS
+-------------------------------------------------------- */
+export const PushDevice = mongoose.model("PushDevice", pushDeviceSchema);
+export default PushDevice;
@@ -0,0 +1,74 @@
+// src/models/PushMessage.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const PUSH_MESSAGE_STATUSES = ["queued", "sending", "sent", "delivered", "failed"];
+
+const RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+
+/* -------------------------------------------------------
+   PUSH MESSAGE (outbox)
+   One row per device per notification, worked by
+   services/notifications/notificationService.js:
+
+    queued → sending → sent (Expo ticket) → delivered (receipt)
+                 ↘ queued again (retry)  ↘ failed
+
+   sendAfter holds quiet-hour deferrals and retry backoff.
+   Rows expire after two weeks.
+-------------------------------------------------------- */
+const pushMessageSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    device: {
+      type: Schema.Types.ObjectId,
+      ref: "PushDevice",
+      required: true,
+    },
+    token: { type: String, required: true },
+
+    category: { type: String, default: "system" },
+    title: { type: String, default: "" },
+    body: { type: String, default: "" },
+    data: { type: Object, default: {} },
+
+    status: {
+      type: String,
+      enum: PUSH_MESSAGE_STATUSES,
+      default: "queued",
+    },
+
+    sendAfter: { type: Date, default: Date.now },
+    attempts: { type: Number, default: 0 },
+    claimedAt: { type: Date, default: null },
+
+    ticketId: { type: String, default: null },
+    receiptCheckAfter: { type: Date, default: null },
+
+    sentAt: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+    error: { type: String, default: null },
+
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + RETENTION_MS),
+    },
+  },
+  { timestamps: true }
+);
+
+/* -------------------------------------------------------
+   INDEXES
+-------------------------------------------------------- */
+pushMessageSchema.index({ status: 1, sendAfter: 1 });
+pushMessageSchema.index({ status: 1, receiptCheckAfter: 1 });
+pushMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const PushMessage = mongoose.model("PushMessage", pushMessageSchema);
+export default PushMessage;
@@ -0,0 +1,150 @@
+// src/models/RecurringInvoice.js
+import mongoose from "mongoose";
+import { invoiceItemSchema } from "./Invoice.js";
+
+const { Schema } = mongoose;
+
+export const RECURRING_INVOICE_STATUSES = ["active", "paused", "stopped"];
+
+// Same recurrence vocabulary as SubscriptionPlan (minus yearly,
+// which computeNextBillingDate in cron/billingCron.js doesn't do)
+export const RECURRING_FREQUENCIES = ["weekly", "biweekly", "monthly", "custom"];
+
+/* -------------------------------------------------------
+   RECURRING INVOICE TEMPLATE
+   For customers who pay each invoice by link rather than
+   being auto-charged (see Subscription for card on file).
+   cron/recurringInvoiceCron.js turns it into a real
+   Invoice every time nextRunAt comes round.
+
+   status flow:
+    active ⇄ paused
+    active/paused → stopped (manual, endDate or maxOccurrences)
+-------------------------------------------------------- */
+const recurringInvoiceSchema = new Schema(
+  {
+    provider: {
+      type: Schema.Types.ObjectId,
+      ref: "Provider",
+      required: true,
+      index: true,
+    },
+
+    customer: {
+      type: Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+      index: true,
+    },
+
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [120, "Name too long"],
+      default: "",
+    },
+
+    /* ---------------------------------------------------
+       Items + totals copied onto every invoice
+    ---------------------------------------------------- */
+    items: { type: [invoiceItemSchema], default: [] },
+
+    subtotal: { type: Number, default: 0, min: 0 },
+    tax: { type: Number, default: 0, min: 0 },
+    taxPct: { type: Number, default: 0, min: 0 },
+    total: { type: Number, default: 0, min: 0 },
+
+    currency: {
+      type: String,
+      default: "USD",
+      uppercase: true,
+      trim: true,
+      maxlength: 5,
+    },
+
+    notes: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: [5000, "Notes too long"],
+    },
+
+    /* ---------------------------------------------------
+       RECURRENCE (plan-shaped for computeNextBillingDate)
+    ---------------------------------------------------- */
+    billingFrequency: {
+      type: String,
+      enum: RECURRING_FREQUENCIES,
+      default: "monthly",
+    },
+
+    customInterval: {
+      every: { type: Number, min: 1 },
+      unit: {
+        type: String,
+        enum: ["days", "weeks", "months"],
+      },
+    },
+
+    // Payment terms: dueDate = issue date + dueInDays
+    dueInDays: { type: Number, default: 14, min: 0, max: 365 },
+
+    nextRunAt: { type: Date, default: null },
+    endDate: { type: Date, default: null },
+    maxOccurrences: { type: Number, default: null, min: 1 },
+
+    occurrences: { type: Number, default: 0, min: 0 },
+    lastRunAt: { type: Date, default: null },
+    lastInvoice: {
+      type: Schema.Types.ObjectId,
+      ref: "Invoice",
+      default: null,
+    },
+
+    /* ---------------------------------------------------
+       DELIVERY
+       (invoice numbers come from the provider's sequence,
+       see utils/invoiceNumbering.js)
+    ---------------------------------------------------- */
+    // Text the customer the pay link when each invoice is issued
+    sendSms: { type: Boolean, default: true },
+
+    status: {
+      type: String,
+      enum: RECURRING_INVOICE_STATUSES,
+      default: "active",
+      index: true,
+    },
+    pausedAt: { type: Date, default: null },
+    stoppedAt: { type: Date, default: null },
+    stopReason: {
+      type: String,
+      enum: ["manual", "end_date", "max_occurrences", "customer_deleted", null],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+/* -------------------------------------------------------
+   INDEXES
+-------------------------------------------------------- */
+recurringInvoiceSchema.index({ status: 1, nextRunAt: 1 });
+recurringInvoiceSchema.index({ provider: 1, createdAt: -1 });
+
+/* -------------------------------------------------------
+   CLEAN JSON OUTPUT
+-------------------------------------------------------- */
+recurringInvoiceSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+/* -------------------------------------------------------
+   EXPORTS
+-------------------------------------------------------- */
+export const RecurringInvoice = mongoose.model("RecurringInvoice", recurringInvoiceSchema);
+export default RecurringInvoice;
@@ -1,6 +1,23 @@
 // src/models/Review.js
 import mongoose from "mongoose";
 
+export const REVIEW_STATUSES = ["published", "held", "removed"];
+
+// See utils/reviewFraud.js
+export const REVIEW_FRAUD_SIGNALS = [
+  "new_account",
+  "provider_ip_match",
+  "shared_device",
+  "device_many_providers",
+  "five_star_burst",
+];
+
+// Admin queue outcomes (adminModerationController)
+export const REVIEW_DECISIONS = ["approve", "remove"];
+
+// What a verified review is anchored to (utils/verifiedJobs.js)
+export const VERIFIED_JOB_KINDS = ["invoice", "terminal_payment", "booking"];
+
 const ReviewSchema = new mongoose.Schema(
   {
     // Listing reviewed
@@ -24,12 +41,28 @@ const ReviewSchema = new mongoose.Schema(
       required: true,
     },
 
-    // 🔒 Verified interaction anchor
+    // 🔒 Interaction anchor — one review per conversation.
+    // Null for reviews left from a review request link.
     conversation: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Conversation",
-      required: true,
-      unique: true, // one review per conversation
+      default: null,
+    },
+
+    // ✅ Verified purchase — the paid invoice, captured terminal
+    // payment or completed booking behind the review
+    // (utils/verifiedJobs.js). Verified reviews weigh more in
+    // the rating aggregates.
+    verified: { type: Boolean, default: false },
+    verification: {
+      kind: { type: String, enum: [...VERIFIED_JOB_KINDS, null], default: null },
+      ref: { type: mongoose.Schema.Types.ObjectId, default: null },
+      at: { type: Date, default: null },
+    },
+    reviewRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReviewRequest",
+      default: null,
     },
 
     rating: {
@@ -50,16 +83,95 @@ const ReviewSchema = new mongoose.Schema(
       default: null,
     },
 
+    // "held" — hidden until an admin clears it (utils/reviewFraud.js)
     status: {
       type: String,
-      enum: ["published", "removed"],
+      enum: REVIEW_STATUSES,
       default: "published",
     },
+
+    // Where it was posted from — fraud checks only
+    ip: { type: String, default: "", select: false },
+    fingerprintId: { type: String, default: null, select: false },
+
+    // Admin moderation queue (user flags + fraud signals)
+    moderation: {
+      queued: { type: Boolean, default: false },
+      queuedAt: { type: Date, default: null },
+      flagCount: { type: Number, default: 0, min: 0 },
+      riskScore: { type: Number, default: 0 },
+      signals: {
+        type: [
+          new mongoose.Schema(
+            {
+              code: { type: String, enum: REVIEW_FRAUD_SIGNALS, required: true },
+              detail: { type: String, default: "" },
+              at: { type: Date, default: Date.now },
+            },
+            { _id: false }
+          ),
+        ],
+        default: undefined,
+      },
+      resolution: {
+        decision: { type: String, enum: [...REVIEW_DECISIONS, null], default: null },
+        note: { type: String, trim: true, maxlength: 2000, default: "" },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        at: { type: Date, default: null },
+      },
+    },
+
+    // Public reply from the reviewed provider (one per review)
+    providerReply: {
+      type: new mongoose.Schema(
+        {
+          text: { type: String, trim: true, maxlength: 1000, required: true },
+          createdAt: { type: Date, default: Date.now },
+          updatedAt: { type: Date, default: Date.now },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
+    // Author edits within the edit window; previous versions oldest first
+    editedAt: { type: Date, default: null },
+    editHistory: {
+      type: [
+        new mongoose.Schema(
+          {
+            rating: { type: Number, min: 1, max: 5 },
+            comment: { type: String, default: "" },
+            imageUrl: { type: String, default: null },
+            editedAt: { type: Date, required: true },
+          },
+          { _id: false }
+        ),
+      ],
+      default: undefined,
+    },
+
+    // ReviewVote rows — kept in step by review.controller
+    helpfulCount: { type: Number, default: 0, min: 0 },
   },
   { timestamps: true }
 );
 
 ReviewSchema.index({ service: 1, createdAt: -1 });
+ReviewSchema.index(
+  { conversation: 1 },
+  { unique: true, partialFilterExpression: { conversation: { $type: "objectId" } } }
+);
+// one review per verified job
+ReviewSchema.index(
+  { "verification.ref": 1 },
+  { unique: true, partialFilterExpression: { "verification.ref": { $type: "objectId" } } }
+);
+// provider-level aggregation + provider review list
+ReviewSchema.index({ provider: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ user: 1, createdAt: -1 });
+ReviewSchema.index({ "moderation.queued": 1, "moderation.riskScore": -1 });
+ReviewSchema.index({ fingerprintId: 1, createdAt: -1 });
 
 const Review = mongoose.model("Review", ReviewSchema);
 
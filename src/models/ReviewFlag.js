@@ -0,0 +1,37 @@
+// src/models/ReviewFlag.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const REVIEW_FLAG_REASONS = [
+  "fake",
+  "not_a_customer",
+  "conflict_of_interest",
+  "offensive",
+  "personal_info",
+  "spam",
+  "other",
+];
+
+/* -------------------------------------------------------
+   REVIEW FLAG
+   A user (or the reviewed provider) reporting a review.
+   One per user per review; Review.moderation.flagCount is
+   the running total and any new flag puts the review in
+   the admin queue.
+-------------------------------------------------------- */
+const reviewFlagSchema = new Schema(
+  {
+    review: { type: Schema.Types.ObjectId, ref: "Review", required: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    role: { type: String, enum: ["provider", "customer"], required: true },
+
+    reason: { type: String, enum: REVIEW_FLAG_REASONS, required: true },
+    details: { type: String, trim: true, maxlength: 2000, default: "" },
+  },
+  { timestamps: true }
+);
+
+reviewFlagSchema.index({ review: 1, user: 1 }, { unique: true });
+
+export default mongoose.model("ReviewFlag", reviewFlagSchema);
@@ -0,0 +1,43 @@
+// src/models/ReviewRequest.js
+import mongoose from "mongoose";
+import { VERIFIED_JOB_KINDS } from "./Review.js";
+
+const { Schema } = mongoose;
+
+/* -------------------------------------------------------
+   REVIEW REQUEST
+   A single-use link a provider sends after getting paid
+   (invoice / terminal payment) or finishing a booking.
+   The review left through it is verified against that job.
+-------------------------------------------------------- */
+const reviewRequestSchema = new Schema(
+  {
+    provider: { type: Schema.Types.ObjectId, ref: "Provider", required: true, index: true },
+    token: { type: String, required: true, unique: true },
+
+    kind: { type: String, enum: VERIFIED_JOB_KINDS, required: true },
+    ref: { type: Schema.Types.ObjectId, required: true },
+
+    // Listing the review lands on
+    listing: { type: Schema.Types.ObjectId, ref: "Listing", required: true },
+
+    // Bookings: the marketplace customer — only they can use it
+    customerUser: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    // Invoices / terminal payments: the provider's CRM record
+    customer: { type: Schema.Types.ObjectId, ref: "Customer", default: null },
+    // ...and its email — only that account can use the link
+    customerEmail: { type: String, trim: true, lowercase: true, default: null },
+    customerName: { type: String, trim: true, default: "" },
+
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    review: { type: Schema.Types.ObjectId, ref: "Review", default: null },
+  },
+  { timestamps: true }
+);
+
+// one live request per job
+reviewRequestSchema.index({ provider: 1, kind: 1, ref: 1 }, { unique: true });
+reviewRequestSchema.index({ provider: 1, createdAt: -1 });
+
+export default mongoose.model("ReviewRequest", reviewRequestSchema);
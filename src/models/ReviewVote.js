@@ -0,0 +1,30 @@
+// src/models/ReviewVote.js
+import mongoose from "mongoose";
+
+/* -------------------------------------------------------
+   REVIEW VOTE ("helpful")
+   One per user per review; Review.helpfulCount is the
+   running total.
+-------------------------------------------------------- */
+const ReviewVoteSchema = new mongoose.Schema(
+  {
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Review",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ReviewVoteSchema.index({ review: 1, user: 1 }, { unique: true });
+
+const ReviewVote = mongoose.model("ReviewVote", ReviewVoteSchema);
+
+export default ReviewVote;
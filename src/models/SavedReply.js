@@ -0,0 +1,58 @@
+// src/models/SavedReply.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const MAX_SAVED_REPLIES = 100;
+
+/* -------------------------------------------------------
+   SAVED REPLY (provider message template)
+   body may contain variables rendered per conversation by
+   utils/replyTemplates.js, e.g.
+     "Hi {customer_first_name|there}, {listing_title} starts at {price}."
+-------------------------------------------------------- */
+const savedReplySchema = new Schema(
+  {
+    provider: {
+      type: Schema.Types.ObjectId,
+      ref: "Provider",
+      required: true,
+      index: true,
+    },
+
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [80, "Title too long"],
+    },
+
+    // Optional "/quote"-style shortcut typed in the composer
+    shortcut: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, "Shortcut too long"],
+      match: [/^[a-z0-9_-]*$/, "Shortcut may only use letters, numbers, - and _"],
+      default: "",
+    },
+
+    body: {
+      type: String,
+      required: [true, "Reply text is required"],
+      trim: true,
+      maxlength: [2000, "Reply text too long"],
+    },
+
+    usageCount: { type: Number, default: 0, min: 0 },
+    lastUsedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+savedReplySchema.index(
+  { provider: 1, shortcut: 1 },
+  { unique: true, partialFilterExpression: { shortcut: { $gt: "" } } }
+);
+
+export default mongoose.model("SavedReply", savedReplySchema);
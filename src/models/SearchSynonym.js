@@ -0,0 +1,52 @@
+// src/models/SearchSynonym.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const shortTerms = (max) => ({
+  validator: (arr) =>
+    Array.isArray(arr) && arr.length <= max && arr.every((t) => typeof t === "string" && t.length <= 80),
+  message: `Up to ${max} terms of 80 characters`,
+});
+
+/* -------------------------------------------------------
+   SEARCH SYNONYM / INTENT (admin-managed dictionary)
+   When a query contains one of `triggers`, search also
+   matches `expand` and boosts `categoryBoost` (Category
+   slugs) — e.g. "ac repair" → hvac, "locked out" →
+   locksmith. Read by utils/searchDictionary.js.
+
+   Per-city overrides: an entry with a `city` replaces the
+   global entry with the same `key` for searches in that
+   city; an inactive city entry switches the intent off
+   there.
+-------------------------------------------------------- */
+const searchSynonymSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9_-]{2,60}$/, "key must be 2-60 of a-z, 0-9, _ or -"],
+    },
+    label: { type: String, trim: true, maxlength: 120, default: "" },
+
+    // null → everywhere; otherwise normalized city name
+    city: { type: String, trim: true, lowercase: true, maxlength: 100, default: null },
+
+    triggers: { type: [String], default: [], validate: shortTerms(100) },
+    expand: { type: [String], default: [], validate: shortTerms(100) },
+    categoryBoost: { type: [String], default: [], validate: shortTerms(20) },
+
+    isActive: { type: Boolean, default: true },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+searchSynonymSchema.index({ key: 1, city: 1 }, { unique: true });
+
+export default mongoose.model("SearchSynonym", searchSynonymSchema);
@@ -106,6 +106,27 @@ const SubscriptionChargeSchema = new Schema(
       trim: true,
       maxlength: [1000, "Failure reason is too long"],
     },
+
+    /* -----------------------------
+       OFFLINE PAYMENTS (cash / check / Zelle)
+    ------------------------------ */
+    reference: {
+      type: String,           // check #, Zelle confirmation, etc.
+      trim: true,
+      maxlength: [120, "Reference is too long"],
+    },
+
+    receivedAt: {
+      type: Date,
+      default: null,
+    },
+
+    photoUrl: {
+      type: String,           // e.g. photo of the check
+      trim: true,
+      maxlength: [500, "Photo URL is too long"],
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -4,6 +4,47 @@ import bcrypt from "bcryptjs";
 
 const { Schema } = mongoose;
 
+export const NOTIFICATION_CATEGORIES = [
+  "messages",
+  "bookings",
+  "invoices",
+  "payments",
+  "reviews",
+  "marketing",
+];
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/* ============================================================
+   NOTIFICATION PREFERENCES
+   Read by services/notifications/notificationService.js.
+   Quiet hours are local to `timezone` and may wrap past
+   midnight (22:00 → 07:00); pushes inside them are held
+   until they end.
+============================================================ */
+const notificationPreferencesSchema = new Schema(
+  {
+    push: { type: Boolean, default: true },
+
+    categories: {
+      messages: { type: Boolean, default: true },
+      bookings: { type: Boolean, default: true },
+      invoices: { type: Boolean, default: true },
+      payments: { type: Boolean, default: true },
+      reviews: { type: Boolean, default: true },
+      marketing: { type: Boolean, default: false },
+    },
+
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: "22:00", match: [HHMM, "Use HH:MM"] },
+      end: { type: String, default: "07:00", match: [HHMM, "Use HH:MM"] },
+      timezone: { type: String, default: "UTC", maxlength: 64 },
+    },
+  },
+  { _id: false }
+);
+
 /* ============================================================
    USER SCHEMA — B17 HARDENED
 ============================================================ */
@@ -57,6 +98,10 @@ const userSchema = new Schema(
       index: true,
     },
 
+    // Set from the moderation queue — can't send chat messages
+    // until then (utils/messageModeration.js)
+    messagingSuspendedUntil: { type: Date, default: null },
+
 avatar: {
   type: String,
   default: null,
@@ -67,6 +112,15 @@ avatar: {
       type: String,
       default: null,
     },
+
+    // Stripe Customer holding the card saved with a booking
+    // deposit (services/helpioPay/bookingDepositService.js)
+    stripeCustomerId: { type: String, default: null },
+
+    notificationPreferences: {
+      type: notificationPreferencesSchema,
+      default: () => ({}),
+    },
   },
   { timestamps: true }
 );
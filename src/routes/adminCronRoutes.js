@@ -6,6 +6,9 @@ import { protect, admin } from "../middleware/auth.js";
 import { startSubscriptionBillingCron } from "../cron/subscriptionBillingCron.js";
 import { nightlyBalanceRecalculation } from "../cron/recalculateBalancesCron.js";
 import { runAutoPayoutCron } from "../cron/autoPayoutCron.js";
+import { runInvoiceRemindersOnce } from "../cron/invoiceReminderCron.js";
+import { runProviderMetricsRollupOnce } from "../cron/providerMetricsCron.js";
+import { runRatingRecomputeOnce } from "../cron/ratingRecomputeCron.js";
 
 import {
   getCronHealth,
@@ -108,7 +111,70 @@ router.post("/run-auto-payouts", protect, requireAdmin, async (req, res) => {
   }
 });
 
-/** 4️⃣ FULL SYSTEM CHAIN (Billing → Balance → Payouts) */
+/** 4️⃣ Manual Invoice Reminders / Dunning Cron */
+router.post("/run-invoice-reminders", protect, requireAdmin, async (req, res) => {
+  try {
+    console.log("⚡ Admin Trigger: Invoice Reminders Cron");
+    const result = await runInvoiceRemindersOnce();
+
+    return res.json({
+      success: true,
+      message: "Invoice reminders cron executed",
+      result,
+    });
+  } catch (err) {
+    console.error("❌ Admin Cron Invoice Reminders Error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Invoice reminders cron failed",
+      error: err.message,
+    });
+  }
+});
+
+/** 🔢 Manual Provider Metrics Rollup */
+router.post("/run-provider-metrics", protect, requireAdmin, async (req, res) => {
+  try {
+    console.log("⚡ Admin Trigger: Provider Metrics Rollup");
+    const result = await runProviderMetricsRollupOnce();
+
+    return res.json({
+      success: true,
+      message: "Provider metrics rollup executed",
+      result,
+    });
+  } catch (err) {
+    console.error("❌ Admin Cron Provider Metrics Error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Provider metrics rollup failed",
+      error: err.message,
+    });
+  }
+});
+
+/** ⭐ Manual Rating Recompute */
+router.post("/run-rating-recompute", protect, requireAdmin, async (req, res) => {
+  try {
+    console.log("⚡ Admin Trigger: Rating Recompute");
+    const result = await runRatingRecomputeOnce();
+
+    return res.json({
+      success: true,
+      message: "Rating recompute executed",
+      result,
+    });
+  } catch (err) {
+    console.error("❌ Admin Cron Rating Recompute Error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Rating recompute failed",
+      error: err.message,
+    });
+  }
+});
+
+/** 5️⃣ FULL SYSTEM CHAIN (Billing → Balance → Payouts) */
 router.post("/run-all", protect, requireAdmin, async (req, res) => {
   try {
     console.log("⚡ Admin Trigger: FULL SYSTEM CRON");
@@ -0,0 +1,46 @@
+// src/routes/adminModerationRoutes.js
+import express from "express";
+import { protect, admin } from "../middleware/auth.js";
+import { validateObjectId } from "../middleware/validateObjectId.js";
+import {
+  listReports,
+  getReport,
+  resolveReport,
+  listReviewQueue,
+  getReviewCase,
+  resolveReview,
+  listFilterRules,
+  createFilterRule,
+  updateFilterRule,
+  deleteFilterRule,
+  testFilterRules,
+} from "../controllers/adminModerationController.js";
+
+const router = express.Router();
+
+router.use(protect, admin);
+
+/* -------------------------------------------------------
+   REPORTED CONVERSATIONS QUEUE
+------------------------------------------------------- */
+router.get("/reports", listReports);
+router.get("/reports/:id", validateObjectId("id"), getReport);
+router.patch("/reports/:id", validateObjectId("id"), resolveReport);
+
+/* -------------------------------------------------------
+   REVIEW QUEUE (flags + fraud signals)
+------------------------------------------------------- */
+router.get("/reviews", listReviewQueue);
+router.get("/reviews/:id", validateObjectId("id"), getReviewCase);
+router.patch("/reviews/:id", validateObjectId("id"), resolveReview);
+
+/* -------------------------------------------------------
+   MESSAGE FILTER RULES (keyword / regex blocklist)
+------------------------------------------------------- */
+router.get("/rules", listFilterRules);
+router.post("/rules", createFilterRule);
+router.post("/rules/test", testFilterRules);
+router.put("/rules/:id", validateObjectId("id"), updateFilterRule);
+router.delete("/rules/:id", validateObjectId("id"), deleteFilterRule);
+
+export default router;
@@ -0,0 +1,32 @@
+// src/routes/adminSearchRoutes.js
+import express from "express";
+import { protect, admin } from "../middleware/auth.js";
+import { validateObjectId } from "../middleware/validateObjectId.js";
+import {
+  listSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  testSearchQuery,
+  invalidateSearchCaches,
+} from "../controllers/adminSearchController.js";
+
+const router = express.Router();
+
+router.use(protect, admin);
+
+/* -------------------------------------------------------
+   SYNONYM / INTENT DICTIONARY
+------------------------------------------------------- */
+router.get("/synonyms", listSynonyms);
+router.post("/synonyms", createSynonym);
+router.put("/synonyms/:id", validateObjectId("id"), updateSynonym);
+router.delete("/synonyms/:id", validateObjectId("id"), deleteSynonym);
+
+/* -------------------------------------------------------
+   TOOLS
+------------------------------------------------------- */
+router.post("/test", testSearchQuery);
+router.post("/cache/invalidate", invalidateSearchCaches);
+
+export default router;
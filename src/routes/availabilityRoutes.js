@@ -0,0 +1,42 @@
+// src/routes/availabilityRoutes.js
+import express from "express";
+import { protect } from "../middleware/auth.js";
+import { validateObjectId } from "../middleware/validateObjectId.js";
+import {
+  getMyAvailability,
+  updateMyAvailability,
+  addTimeOff,
+  removeTimeOff,
+  getListingSlots,
+} from "../controllers/availabilityController.js";
+
+const router = express.Router();
+
+/* -------------------------------------------------------
+   PUBLIC — open bookable slots for a listing
+   GET /api/availability/listings/:listingId/slots
+------------------------------------------------------- */
+router.get(
+  "/listings/:listingId/slots",
+  validateObjectId("listingId"),
+  getListingSlots
+);
+
+/* -------------------------------------------------------
+   PROVIDER — weekly hours + settings
+------------------------------------------------------- */
+router.get("/me", protect, getMyAvailability);
+router.put("/me", protect, updateMyAvailability);
+
+/* -------------------------------------------------------
+   PROVIDER — time-off exceptions
+------------------------------------------------------- */
+router.post("/me/time-off", protect, addTimeOff);
+router.delete(
+  "/me/time-off/:timeOffId",
+  protect,
+  validateObjectId("timeOffId"),
+  removeTimeOff
+);
+
+export default router;
@@ -1,12 +1,77 @@
 // src/routes/booking.routes.js
-const router = require('express').Router();
-const ctl = require('../controllers/booking.controller');
-const { auth } = require('../middleware/auth');
+import express from "express";
+import { protect } from "../middleware/auth.js";
+import { validateObjectId } from "../middleware/validateObjectId.js";
+import {
+  createBooking,
+  listMine,
+  listForProvider,
+  getBookingById,
+  acceptBooking,
+  declineBooking,
+  rescheduleBooking,
+  startBooking,
+  completeBooking,
+  markNoShow,
+  cancelBooking,
+  authorizeDeposit,
+  confirmDeposit,
+  getMyBookingPolicy,
+  updateMyBookingPolicy,
+} from "../controllers/booking.controller.js";
 
-// POST /api/bookings      (user)
-router.post('/', auth(true), ctl.createBooking);
+const router = express.Router();
 
-// GET  /api/bookings/me   (user)
-router.get('/me', auth(true), ctl.listMine);
+/* -------------------------------------------------------
+   CUSTOMER — request a slot
+   POST /api/bookings
+------------------------------------------------------- */
+router.post("/", protect, createBooking);
 
-module.exports = router;
+/* -------------------------------------------------------
+   CUSTOMER — my bookings
+   GET /api/bookings/me
+------------------------------------------------------- */
+router.get("/me", protect, listMine);
+
+/* -------------------------------------------------------
+   PROVIDER — calendar of bookings
+   GET /api/bookings/provider/me
+------------------------------------------------------- */
+router.get("/provider/me", protect, listForProvider);
+
+/* -------------------------------------------------------
+   PROVIDER — deposit + cancellation policy
+   /api/bookings/policy/me
+------------------------------------------------------- */
+router.get("/policy/me", protect, getMyBookingPolicy);
+router.put("/policy/me", protect, updateMyBookingPolicy);
+
+/* -------------------------------------------------------
+   SINGLE BOOKING (either side)
+------------------------------------------------------- */
+router.get("/:id", protect, validateObjectId("id"), getBookingById);
+
+/* -------------------------------------------------------
+   LIFECYCLE TRANSITIONS
+------------------------------------------------------- */
+router.post("/:id/accept", protect, validateObjectId("id"), acceptBooking);
+router.post("/:id/decline", protect, validateObjectId("id"), declineBooking);
+router.post("/:id/reschedule", protect, validateObjectId("id"), rescheduleBooking);
+router.post("/:id/start", protect, validateObjectId("id"), startBooking);
+router.post("/:id/complete", protect, validateObjectId("id"), completeBooking);
+router.post("/:id/no-show", protect, validateObjectId("id"), markNoShow);
+router.post("/:id/cancel", protect, validateObjectId("id"), cancelBooking);
+
+/* -------------------------------------------------------
+   DEPOSIT (customer, Helpio Pay)
+------------------------------------------------------- */
+router.post("/:id/deposit", protect, validateObjectId("id"), authorizeDeposit);
+router.post(
+  "/:id/deposit/confirm",
+  protect,
+  validateObjectId("id"),
+  confirmDeposit
+);
+
+export default router;
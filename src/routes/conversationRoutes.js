@@ -6,7 +6,15 @@ import {
   listMyConversations,
   getConversationById,
   markConversationRead,
+  archiveConversation,
+  unarchiveConversation,
+  muteConversation,
+  unmuteConversation,
+  blockConversation,
+  unblockConversation,
+  reportConversation,
 } from "../controllers/conversationController.js";
+import { conversationStartLimiter } from "../middleware/messageRateLimiter.js";
 
 const router = express.Router();
 
@@ -17,6 +25,7 @@ const router = express.Router();
 router.post(
   "/with-service/:providerId",
   protect,
+  conversationStartLimiter,
   validateObjectId("providerId"),
   getOrCreateConversationWithCustomer
 );
@@ -28,6 +37,7 @@ router.post(
 router.post(
   "/with-customer/:customerId",
   protect,
+  conversationStartLimiter,
   validateObjectId("customerId"),
   getOrCreateConversationWithCustomer
 );
@@ -59,5 +69,60 @@ router.post(
   validateObjectId("conversationId"),
   markConversationRead
 );
+/**
+ * Archive / mute — per side, only affects the caller's view
+ */
+router.post(
+  "/:conversationId/archive",
+  protect,
+  validateObjectId("conversationId"),
+  archiveConversation
+);
+
+router.post(
+  "/:conversationId/unarchive",
+  protect,
+  validateObjectId("conversationId"),
+  unarchiveConversation
+);
+
+router.post(
+  "/:conversationId/mute",
+  protect,
+  validateObjectId("conversationId"),
+  muteConversation
+);
+
+router.post(
+  "/:conversationId/unmute",
+  protect,
+  validateObjectId("conversationId"),
+  unmuteConversation
+);
+
+/**
+ * Block / report the other party — blocks stop messages both
+ * ways; reports go to the admin moderation queue
+ */
+router.post(
+  "/:conversationId/block",
+  protect,
+  validateObjectId("conversationId"),
+  blockConversation
+);
+
+router.post(
+  "/:conversationId/unblock",
+  protect,
+  validateObjectId("conversationId"),
+  unblockConversation
+);
+
+router.post(
+  "/:conversationId/report",
+  protect,
+  validateObjectId("conversationId"),
+  reportConversation
+);
 
 export default router;
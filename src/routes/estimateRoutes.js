@@ -0,0 +1,68 @@
+// src/routes/estimateRoutes.js
+import express from "express";
+import { protect } from "../middleware/auth.js";
+import { validateObjectId } from "../middleware/validateObjectId.js";
+import { providerRateLimiter } from "../middleware/providerRateLimiter.js";
+import {
+  createEstimate,
+  getEstimatesForProvider,
+  getEstimateById,
+  updateEstimate,
+  deleteEstimate,
+  sendEstimate,
+  convertEstimateToInvoice,
+  getPublicEstimate,
+  acceptPublicEstimate,
+  declinePublicEstimate,
+} from "../controllers/estimateController.js";
+
+const router = express.Router();
+
+/* -------------------------------------------------------
+   PUBLIC — customer opens the shared link (no login)
+   /api/estimates/public/:token
+------------------------------------------------------- */
+router.get("/public/:token", getPublicEstimate);
+router.post("/public/:token/accept", acceptPublicEstimate);
+router.post("/public/:token/decline", declinePublicEstimate);
+
+/* -------------------------------------------------------
+   CREATE ESTIMATE
+------------------------------------------------------- */
+router.post(
+  "/",
+  protect,
+  providerRateLimiter({
+    windowMs: 60 * 1000,
+    max: 30,
+    name: "estimate:create"
+  }),
+  createEstimate
+);
+
+/* -------------------------------------------------------
+   GET ALL ESTIMATES FOR LOGGED-IN PROVIDER
+   /api/estimates/provider/me
+------------------------------------------------------- */
+router.get("/provider/me", protect, getEstimatesForProvider);
+
+/* -------------------------------------------------------
+   SEND / CONVERT
+------------------------------------------------------- */
+router.post("/:id/send", protect, validateObjectId("id"), sendEstimate);
+router.post(
+  "/:id/convert",
+  protect,
+  validateObjectId("id"),
+  convertEstimateToInvoice
+);
+
+/* -------------------------------------------------------
+   SINGLE ESTIMATE
+   /api/estimates/:id
+------------------------------------------------------- */
+router.get("/:id", protect, validateObjectId("id"), getEstimateById);
+router.put("/:id", protect, validateObjectId("id"), updateEstimate);
+router.delete("/:id", protect, validateObjectId("id"), deleteEstimate);
+
+export default router;
@@ -12,10 +12,34 @@ import {
   deleteInvoice,
   payInvoiceNow,
   refundInvoice,
+  getInvoicePayments,
+  setInvoiceInstallments,
+  recordManualInvoicePayment,
 } from "../controllers/invoiceController.js";
+import {
+  generateInvoicePdf,
+  shareInvoice,
+  getPublicInvoice,
+  getPublicInvoicePdf,
+} from "../controllers/invoiceDocumentController.js";
+import {
+  getMyInvoiceReminderPolicy,
+  updateMyInvoiceReminderPolicy,
+} from "../controllers/invoiceReminderController.js";
+import {
+  getMyInvoiceNumbering,
+  updateMyInvoiceNumbering,
+} from "../controllers/invoiceNumberingController.js";
 
 const router = express.Router();
 
+/* -------------------------------------------------------
+   PUBLIC — hosted invoice page + PDF (no login)
+   /api/invoices/public/:token
+------------------------------------------------------- */
+router.get("/public/:token", getPublicInvoice);
+router.get("/public/:token/pdf", getPublicInvoicePdf);
+
 /* -------------------------------------------------------
    CREATE INVOICE
 ------------------------------------------------------- */
@@ -45,6 +69,20 @@ router.get(
   getInvoicesForProvider
 );
 
+/* -------------------------------------------------------
+   PROVIDER — reminder schedule + late fee policy
+   /api/invoices/reminders/me
+------------------------------------------------------- */
+router.get("/reminders/me", protect, getMyInvoiceReminderPolicy);
+router.put("/reminders/me", protect, updateMyInvoiceReminderPolicy);
+
+/* -------------------------------------------------------
+   PROVIDER — invoice number prefix / format
+   /api/invoices/numbering/me
+------------------------------------------------------- */
+router.get("/numbering/me", protect, getMyInvoiceNumbering);
+router.put("/numbering/me", protect, updateMyInvoiceNumbering);
+
 /* -------------------------------------------------------
    GET ALL INVOICES FOR A SPECIFIC CUSTOMER
    /api/invoices/customer/:customerId
@@ -88,6 +126,50 @@ router.post(
   refundInvoice
 );
 
+/* -------------------------------------------------------
+   PAYMENTS + INSTALLMENT SCHEDULE
+   /api/invoices/:id/payments
+   /api/invoices/:id/manual-payments  (cash, check, Zelle)
+   /api/invoices/:id/installments
+------------------------------------------------------- */
+router.get("/:id/payments", protect, validateObjectId("id"), getInvoicePayments);
+router.post(
+  "/:id/manual-payments",
+  protect,
+  validateObjectId("id"),
+  providerRateLimiter({
+    windowMs: 60 * 1000,
+    max: 30,
+    name: "invoice:manual-payment"
+  }),
+  recordManualInvoicePayment
+);
+router.put(
+  "/:id/installments",
+  protect,
+  validateObjectId("id"),
+  setInvoiceInstallments
+);
+
+/* -------------------------------------------------------
+   PDF + SHAREABLE LINK
+   /api/invoices/:id/pdf
+   /api/invoices/:id/share
+------------------------------------------------------- */
+router.post(
+  "/:id/pdf",
+  protect,
+  validateObjectId("id"),
+  providerRateLimiter({
+    windowMs: 60 * 1000,
+    max: 20,
+    name: "invoice:pdf"
+  }),
+  generateInvoicePdf
+);
+
+router.post("/:id/share", protect, validateObjectId("id"), shareInvoice);
+
 /* -------------------------------------------------------
    GET INVOICE BY ID
    /api/invoices/:id
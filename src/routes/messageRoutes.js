@@ -1,10 +1,22 @@
 import express from "express";
 import { protect } from "../middleware/auth.js";
 import { validateObjectId } from "../middleware/validateObjectId.js";
+import { messageRateLimiter } from "../middleware/messageRateLimiter.js";
 import {
   listMessages,
   sendMessage,
+  editMessage,
+  deleteMessage,
+  searchMessages,
 } from "../controllers/messageController.js";
+import {
+  getMyAutoReply,
+  updateMyAutoReply,
+} from "../controllers/autoReplyController.js";
+import {
+  getMyMessageFilters,
+  updateMyMessageFilters,
+} from "../controllers/messageFilterController.js";
 
 // 👇 reuse the SAME logic
 import { markMessagesRead } from "../controllers/messageController.js";
@@ -12,6 +24,17 @@ import { markMessagesRead } from "../controllers/messageController.js";
 
 const router = express.Router();
 
+// Full-text search across my conversations — before /:conversationId
+router.get("/search", protect, searchMessages);
+
+// Provider after-hours / away auto-reply settings
+router.get("/auto-reply/me", protect, getMyAutoReply);
+router.put("/auto-reply/me", protect, updateMyAutoReply);
+
+// Provider link / phone-number filters for their conversations
+router.get("/filters/me", protect, getMyMessageFilters);
+router.put("/filters/me", protect, updateMyMessageFilters);
+
 router.get(
   "/:conversationId",
   protect,
@@ -22,6 +45,7 @@ router.get(
 router.post(
   "/:conversationId",
   protect,
+  messageRateLimiter,
   validateObjectId("conversationId"),
   sendMessage
 );
@@ -34,5 +58,22 @@ router.post(
   markMessagesRead
 );
 
+// Edit (time-limited) / delete for everyone — sender only
+router.patch(
+  "/:conversationId/:messageId",
+  protect,
+  messageRateLimiter,
+  validateObjectId("conversationId"),
+  validateObjectId("messageId"),
+  editMessage
+);
+
+router.delete(
+  "/:conversationId/:messageId",
+  protect,
+  validateObjectId("conversationId"),
+  validateObjectId("messageId"),
+  deleteMessage
+);
 
 export default router;
@@ -0,0 +1,46 @@
+// src/routes/notificationRoutes.js
+import express from "express";
+import { protect } from "../middleware/auth.js";
+import { validateObjectId } from "../middleware/validateObjectId.js";
+import {
+  listNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  registerDevice,
+  listMyDevices,
+  unregisterDevice,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from "../controllers/notificationController.js";
+
+const router = express.Router();
+
+/* -------------------------------------------------------
+   PUSH DEVICES (Expo tokens)
+   /api/notifications/devices
+------------------------------------------------------- */
+router.get("/devices", protect, listMyDevices);
+router.post("/devices", protect, registerDevice);
+router.post("/devices/unregister", protect, unregisterDevice);
+router.delete("/devices/:id", protect, validateObjectId("id"), unregisterDevice);
+
+/* -------------------------------------------------------
+   PREFERENCES + QUIET HOURS
+   /api/notifications/preferences
+------------------------------------------------------- */
+router.get("/preferences", protect, getNotificationPreferences);
+router.put("/preferences", protect, updateNotificationPreferences);
+
+/* -------------------------------------------------------
+   INBOX
+   /api/notifications
+------------------------------------------------------- */
+router.get("/", protect, listNotifications);
+router.get("/unread-count", protect, getUnreadNotificationCount);
+router.post("/read-all", protect, markAllNotificationsRead);
+router.post("/:id/read", protect, validateObjectId("id"), markNotificationRead);
+router.delete("/:id", protect, validateObjectId("id"), deleteNotification);
+
+export default router;
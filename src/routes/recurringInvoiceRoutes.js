@@ -0,0 +1,52 @@
+// src/routes/recurringInvoiceRoutes.js
+import express from "express";
+import { protect } from "../middleware/auth.js";
+import { validateObjectId } from "../middleware/validateObjectId.js";
+import { providerRateLimiter } from "../middleware/providerRateLimiter.js";
+import {
+  createRecurringInvoice,
+  getRecurringInvoicesForProvider,
+  getRecurringInvoiceById,
+  updateRecurringInvoice,
+  pauseRecurringInvoice,
+  resumeRecurringInvoice,
+  stopRecurringInvoice,
+} from "../controllers/recurringInvoiceController.js";
+
+const router = express.Router();
+
+/* -------------------------------------------------------
+   CREATE RECURRING INVOICE
+------------------------------------------------------- */
+router.post(
+  "/",
+  protect,
+  providerRateLimiter({
+    windowMs: 60 * 1000,
+    max: 30,
+    name: "recurring-invoice:create"
+  }),
+  createRecurringInvoice
+);
+
+/* -------------------------------------------------------
+   GET ALL FOR LOGGED-IN PROVIDER
+   /api/recurring-invoices/provider/me
+------------------------------------------------------- */
+router.get("/provider/me", protect, getRecurringInvoicesForProvider);
+
+/* -------------------------------------------------------
+   PAUSE / RESUME / STOP
+------------------------------------------------------- */
+router.post("/:id/pause", protect, validateObjectId("id"), pauseRecurringInvoice);
+router.post("/:id/resume", protect, validateObjectId("id"), resumeRecurringInvoice);
+router.post("/:id/stop", protect, validateObjectId("id"), stopRecurringInvoice);
+
+/* -------------------------------------------------------
+   SINGLE RECURRING INVOICE
+   /api/recurring-invoices/:id
+------------------------------------------------------- */
+router.get("/:id", protect, validateObjectId("id"), getRecurringInvoiceById);
+router.put("/:id", protect, validateObjectId("id"), updateRecurringInvoice);
+
+export default router;
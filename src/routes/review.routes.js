@@ -5,8 +5,28 @@ import { protect } from "../middleware/auth.js";
 const router = express.Router();
 
 router.post("/", protect, ctl.addReview);
+
+// Review request links (verified purchase)
+router.post("/requests", protect, ctl.createReviewRequest);
+router.get("/requests", protect, ctl.listMyReviewRequests);
+router.get("/requests/:token", ctl.getReviewRequest);
+router.post("/requests/:token", protect, ctl.submitRequestedReview);
+
 router.get("/eligible/:serviceId", protect, ctl.checkReviewEligibility);
+router.get("/provider/:providerId", ctl.listForProvider);
 router.get("/:serviceId", ctl.listForService);
+router.put("/:id", protect, ctl.editReview);
 router.delete("/:id", protect, ctl.removeReview);
 
+// Provider reply
+router.post("/:id/reply", protect, ctl.replyToReview);
+router.delete("/:id/reply", protect, ctl.deleteReviewReply);
+
+// Report a review to the moderation queue
+router.post("/:id/flag", protect, ctl.flagReview);
+
+// Helpful votes
+router.post("/:id/helpful", protect, ctl.markReviewHelpful);
+router.delete("/:id/helpful", protect, ctl.unmarkReviewHelpful);
+
 export default router;
\ No newline at end of file
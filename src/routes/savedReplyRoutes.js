@@ -0,0 +1,25 @@
+import express from "express";
+import { protect } from "../middleware/auth.js";
+import { validateObjectId } from "../middleware/validateObjectId.js";
+import {
+  listSavedReplies,
+  createSavedReply,
+  updateSavedReply,
+  deleteSavedReply,
+  renderSavedReply,
+} from "../controllers/savedReplyController.js";
+
+const router = express.Router();
+
+/* -------------------------------------------------------
+   PROVIDER — saved reply templates
+------------------------------------------------------- */
+router.get("/", protect, listSavedReplies);
+router.post("/", protect, createSavedReply);
+router.put("/:id", protect, validateObjectId("id"), updateSavedReply);
+router.delete("/:id", protect, validateObjectId("id"), deleteSavedReply);
+
+// Fill in variables for one conversation
+router.post("/:id/render", protect, validateObjectId("id"), renderSavedReply);
+
+export default router;
@@ -1,8 +1,9 @@
 import express from "express";
-import { suggestSearch } from "../controllers/searchController.js";
+import { search, suggestSearch } from "../controllers/searchController.js";
 
 const router = express.Router();
 
+router.get("/", search);
 router.get("/suggest", suggestSearch);
 
 export default router;
\ No newline at end of file
@@ -12,6 +12,7 @@ import {
   cancelSubscription,
   getSubscriptionCharges,
   chargeSubscriptionNow,
+  recordManualSubscriptionPayment,
 } from "../controllers/subscriptionController.js";
 
 import { auditLog } from "../utils/auditLogger.js";
@@ -72,6 +73,35 @@ router.post(
   }
 );
 
+// ⭐ Record a cash / check / Zelle payment
+router.post(
+  "/:id/manual-payments",
+  protect,
+  validateObjectId("id"),
+  async (req, res, next) => {
+    try {
+      const result = await recordManualSubscriptionPayment(req, res);
+
+      auditLog({
+        user: req.user._id,
+        provider: req.user.provider,
+        action: "subscription_manual_payment_recorded",
+        entity: "subscription",
+        entityId: req.params.id,
+        metadata: {
+          amount: req.body?.amount,
+          method: req.body?.method,
+          reference: req.body?.reference,
+        },
+      });
+
+      return result;
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 // ⭐ Pause subscription
 router.post(
   "/:id/pause",
@@ -1,10 +1,11 @@
 // src/routes/uploadRoutes.js
 import express from "express";
 import { protect } from "../middleware/auth.js";
-import { upload } from "../middleware/upload.js"; // 🔥 USE CLOUDINARY STORAGE
+import { upload, attachmentUpload } from "../middleware/upload.js"; // 🔥 USE CLOUDINARY STORAGE
 import {
   uploadImage,
   uploadImages,
+  uploadAttachment,
   deleteImage,
 } from "../controllers/uploadController.js";
 
@@ -58,6 +59,14 @@ router.post(
   uploadImages
 );
 
+// ⭐ Chat attachment — PDF / receipt / image (field: "file")
+router.post(
+  "/attachment",
+  protect,
+  attachmentUpload.single("file"),
+  uploadAttachment
+);
+
 // ⭐ SECURE DELETE IMAGE (Cloudinary + Listing Cleanup)
 router.delete(
   "/image",
@@ -26,8 +26,15 @@ import { logInfo } from "./utils/logger.js";
 import { startSubscriptionBillingCron } from "./cron/subscriptionBillingCron.js";
 import { nightlyBalanceRecalculation } from "./cron/recalculateBalancesCron.js";
 import { runMonthlyStatementsCron } from "./cron/monthlyStatementsCron.js";
+import { runInvoiceRemindersOnce } from "./cron/invoiceReminderCron.js";
+import { runRecurringInvoicesOnce } from "./cron/recurringInvoiceCron.js";
+import { runProviderMetricsRollupOnce } from "./cron/providerMetricsCron.js";
+import { runRatingRecomputeOnce } from "./cron/ratingRecomputeCron.js";
+import { runPushQueueOnce } from "./services/notifications/notificationService.js";
+import { wrapCronJob } from "./utils/cronHealth.js";
 import { helpioPayLimiter } from "./middleware/helpioPayLimiter.js";
 import { initSocket } from "./socket.js";
+import { createRedisSocketAdapter } from "./sockets/clusterAdapter.js";
 
 import balanceHistoryRoutes from "./routes/balanceHistoryRoutes.js";
 import balanceSummaryRoutes from "./routes/balanceSummaryRoutes.js";
@@ -36,9 +43,12 @@ import adminFraudRoutes from "./routes/adminFraudRoutes.js";
 import adminDashboardRoutes from "./routes/adminDashboardRoutes.js";
 import adminAuthSecurityRoutes from "./routes/adminAuthSecurityRoutes.js";
 import adminSuspiciousRoutes from "./routes/adminSuspiciousRoutes.js";
+import adminModerationRoutes from "./routes/adminModerationRoutes.js";
+import adminSearchRoutes from "./routes/adminSearchRoutes.js";
 import terminalPaymentSimRoutes from "./routes/terminalPaymentSimRoutes.js";
 import conversationRoutes from "./routes/conversationRoutes.js";
 import messageRoutes from "./routes/messageRoutes.js";
+import savedReplyRoutes from "./routes/savedReplyRoutes.js";
 import serviceRoutes from "./routes/service.routes.js";
 import searchRoutes from "./routes/searchRoutes.js";
 import reviewRoutes from "./routes/review.routes.js";
@@ -73,6 +83,11 @@ import stripeBalanceRoutes from "./routes/stripeBalanceRoutes.js";
 import stripePayoutRoutes from "./routes/stripePayoutRoutes.js";
 import analyticsRoutes from "./routes/analyticsRoutes.js";
 import activityRoutes from "./routes/activityRoutes.js";
+import bookingRoutes from "./routes/booking.routes.js";
+import availabilityRoutes from "./routes/availabilityRoutes.js";
+import estimateRoutes from "./routes/estimateRoutes.js";
+import recurringInvoiceRoutes from "./routes/recurringInvoiceRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
 import RedisStore from "rate-limit-redis";
 import { redisClient } from "./config/redis.js";
 
@@ -397,6 +412,8 @@ app.use("/api/admin/fraud", adminFraudRoutes);
 app.use("/api/admin/dashboard", adminDashboardRoutes);
 app.use("/api/admin/auth-security", adminAuthSecurityRoutes);
 app.use("/api/admin/suspicious", adminSuspiciousRoutes);
+app.use("/api/admin/moderation", adminModerationRoutes);
+app.use("/api/admin/search", adminSearchRoutes);
 app.use("/api/admin", adminProviderFinancialRoutes);
 app.use("/api/feed", feedRoutes);
 app.use("/api/search", searchRoutes);
@@ -408,10 +425,16 @@ app.use("/api/stripe", stripeIdentityRoutes);
 app.use("/api/payments", paymentRoutes);
 app.use("/api/conversations", conversationRoutes);
 app.use("/api/messages", messageRoutes);
+app.use("/api/saved-replies", savedReplyRoutes);
 app.use("/api/services", serviceRoutes);
 app.use("/api/analytics", analyticsRoutes);
 app.use("/api/activity", activityRoutes);
 app.use("/api/reviews", reviewRoutes);
+app.use("/api/bookings", bookingRoutes);
+app.use("/api/availability", availabilityRoutes);
+app.use("/api/estimates", estimateRoutes);
+app.use("/api/recurring-invoices", recurringInvoiceRoutes);
+app.use("/api/notifications", notificationRoutes);
 app.use("/api/balance", balanceHistoryRoutes);
 app.use("/api/balance", balanceSummaryRoutes);
 app.use("/api/test", testRoutes);
@@ -423,10 +446,12 @@ app.use(errorHandler);
 /* -------------------- Start Server -------------------- */
 const PORT = process.env.PORT || 10000;
 
-connectDB().then(() => {
+connectDB().then(async () => {
   const server = http.createServer(app);
 
-  initSocket(server);
+  // Redis adapter when available so emits reach every instance;
+  // null → single-node in-memory adapter
+  initSocket(server, { adapter: await createRedisSocketAdapter() });
 
   server.listen(PORT, "0.0.0.0", () =>
     logInfo("server.started", { port: PORT })
@@ -436,4 +461,64 @@ connectDB().then(() => {
   cron.schedule("0 3 * * *", nightlyBalanceRecalculation);
   cron.schedule("0 4 * * *", runAutoPayoutCron);
   cron.schedule("15 2 1 * *", runMonthlyStatementsCron);
+
+  const invoiceReminders = wrapCronJob(
+    "invoice_reminders",
+    "Invoice Reminders Cron",
+    "0 15 * * *",
+    () => runInvoiceRemindersOnce()
+  );
+  cron.schedule(
+    "0 15 * * *",
+    () => invoiceReminders().catch((err) => console.error("❌ Invoice reminders cron:", err)),
+    { timezone: "UTC" }
+  );
+
+  const recurringInvoices = wrapCronJob(
+    "recurring_invoices",
+    "Recurring Invoices Cron",
+    "30 * * * *",
+    () => runRecurringInvoicesOnce()
+  );
+  cron.schedule(
+    "30 * * * *",
+    () => recurringInvoices().catch((err) => console.error("❌ Recurring invoices cron:", err)),
+    { timezone: "UTC" }
+  );
+
+  const pushQueue = wrapCronJob(
+    "push_notifications",
+    "Push Notification Queue",
+    "* * * * *",
+    () => runPushQueueOnce()
+  );
+  cron.schedule(
+    "* * * * *",
+    () => pushQueue().catch((err) => console.error("❌ Push queue cron:", err)),
+    { timezone: "UTC" }
+  );
+
+  const providerMetrics = wrapCronJob(
+    "provider_metrics",
+    "Provider Metrics Rollup",
+    "30 5 * * *",
+    () => runProviderMetricsRollupOnce()
+  );
+  cron.schedule(
+    "30 5 * * *",
+    () => providerMetrics().catch((err) => console.error("❌ Provider metrics cron:", err)),
+    { timezone: "UTC" }
+  );
+
+  const ratingRecompute = wrapCronJob(
+    "rating_recompute",
+    "Rating Recompute",
+    "0 6 * * *",
+    () => runRatingRecomputeOnce()
+  );
+  cron.schedule(
+    "0 6 * * *",
+    () => ratingRecompute().catch((err) => console.error("❌ Rating recompute cron:", err)),
+    { timezone: "UTC" }
+  );
 });
\ No newline at end of file
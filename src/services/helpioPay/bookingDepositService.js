@@ -0,0 +1,431 @@
+// src/services/helpioPay/bookingDepositService.js
+import {
+  stripeClient,
+  isLiveStripe,
+  isSimulatedStripe,
+} from "../../config/stripe.js";
+
+import Booking from "../../models/Booking.js";
+import User from "../../models/User.js";
+import { recordBookingDepositLedger } from "../../utils/ledger.js";
+import { createBookingDepositIntent } from "./terminalIntentService.js";
+import {
+  createSimulatedIntent,
+  getSimulatedIntentById,
+  markSimulatedIntentCaptured,
+  markSimulatedIntentCanceled,
+  updateSimulatedIntentOnTap,
+} from "./terminalSimService.js";
+import { computeTerminalFeesForGrossCents } from "./terminalFeeService.js";
+import { buildBookingDepositMetadata } from "./terminalMetadata.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Stripe drops uncaptured card holds after 7 days; stop trusting one a little before
+const DEPOSIT_HOLD_MS = 7 * DAY - 12 * HOUR;
+
+const sendErrorLike = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const isLiveMode = () => isLiveStripe && stripeClient && !isSimulatedStripe;
+
+/* --------------------------------------------------
+   POLICY HELPERS
+-------------------------------------------------- */
+
+/**
+ * Deposit (cents) a provider's policy requires for a given price (dollars).
+ */
+export const computeDepositCents = (policy, price) => {
+  const priceCents = Math.max(0, Math.round(Number(price || 0) * 100));
+  const value = Number(policy?.depositValue || 0);
+
+  switch (policy?.depositType) {
+    case "fixed":
+      return Math.max(0, Math.round(value * 100));
+    case "percent":
+      return Math.round((priceCents * Math.min(100, Math.max(0, value))) / 100);
+    case "full":
+      return priceCents;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * True when a customer cancellation falls inside the policy window.
+ */
+export const isLateCancellation = (policy, booking, now = new Date()) => {
+  const windowHours = Number(policy?.cancellationWindowHours ?? 24);
+  return new Date(booking.scheduledStart).getTime() - now.getTime() < windowHours * HOUR;
+};
+
+/**
+ * True once an authorized deposit's card hold can no longer be captured.
+ */
+export const isDepositHoldExpired = (deposit, now = new Date()) =>
+  Boolean(deposit?.authorizedAt) &&
+  now.getTime() - new Date(deposit.authorizedAt).getTime() >= DEPOSIT_HOLD_MS;
+
+/**
+ * Stripe Customer for a marketplace user, created on first deposit.
+ */
+const ensureStripeCustomer = async (userId) => {
+  const user = await User.findById(userId).select("name email stripeCustomerId").lean();
+  if (!user) throw sendErrorLike("Customer not found.", 404);
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+
+  const customer = await stripeClient.customers.create(
+    {
+      name: user.name,
+      email: user.email,
+      metadata: { brand: "Helpio Pay", userId: String(user._id) },
+    },
+    { idempotencyKey: `helpio_user_customer_${user._id}` }
+  );
+
+  await User.updateOne(
+    { _id: user._id, stripeCustomerId: null },
+    { $set: { stripeCustomerId: customer.id } }
+  );
+  return customer.id;
+};
+
+/* --------------------------------------------------
+   AUTHORIZE (customer puts the card hold in place)
+   Live intents also save the card to the customer,
+   so a deposit whose hold lapsed before the booking
+   settles can still be charged (see captureDeposit).
+-------------------------------------------------- */
+export const authorizeBookingDeposit = async ({ booking, idempotencyKey }) => {
+  if (!booking.deposit?.required) {
+    throw sendErrorLike("This booking does not require a deposit.", 400);
+  }
+  if (booking.deposit.status !== "pending") {
+    throw sendErrorLike(`Deposit is already ${booking.deposit.status}.`, 409);
+  }
+  if (!["requested", "confirmed"].includes(booking.status)) {
+    throw sendErrorLike(`Cannot take a deposit on a ${booking.status} booking.`, 409);
+  }
+
+  const stripeCustomerId = isLiveMode() ? await ensureStripeCustomer(booking.customer) : null;
+
+  const result = await createBookingDepositIntent({
+    booking,
+    amountInCents: booking.deposit.amountCents,
+    currency: booking.deposit.currency,
+    idempotencyKey,
+    stripeCustomerId,
+  });
+
+  const paymentIntent = result.paymentIntent || null;
+  const piId = paymentIntent?.id || result.paymentIntentId || null;
+
+  booking.deposit.paymentIntentId = piId;
+  booking.deposit.stripeCustomerId = stripeCustomerId;
+  booking.deposit.mode = result.mode || booking.deposit.mode;
+
+  // Simulated intents are already on hold; live ones wait for the app to confirm
+  if (paymentIntent?.status === "requires_capture") {
+    booking.deposit.status = "authorized";
+    booking.deposit.authorizedAt = new Date();
+  }
+
+  await booking.save();
+
+  return { ...result, booking };
+};
+
+/* --------------------------------------------------
+   CONFIRM (live only — after the app confirms the
+   PaymentIntent with its client_secret)
+-------------------------------------------------- */
+export const confirmBookingDepositAuthorization = async ({ booking }) => {
+  if (booking.deposit?.status === "authorized") return { booking };
+
+  const piId = booking.deposit?.paymentIntentId;
+  if (!piId) throw sendErrorLike("No deposit payment started.", 400);
+
+  const pi = isLiveMode()
+    ? await stripeClient.paymentIntents.retrieve(piId)
+    : getSimulatedIntentById(piId);
+
+  if (!pi) throw sendErrorLike("PaymentIntent not found.", 404);
+
+  if (pi.status !== "requires_capture") {
+    throw sendErrorLike(`Deposit not authorized yet (status: ${pi.status}).`, 409);
+  }
+
+  booking.deposit.status = "authorized";
+  booking.deposit.authorizedAt = new Date();
+  booking.deposit.paymentMethodId =
+    (typeof pi.payment_method === "string" ? pi.payment_method : pi.payment_method?.id) ||
+    null;
+  await booking.save();
+
+  return { booking, paymentIntent: { id: pi.id, status: pi.status } };
+};
+
+/**
+ * Charge the card saved at authorization, off-session, once the
+ * hold itself has lapsed. Throws when there's no saved card or
+ * the charge doesn't go through.
+ * @returns {Promise<{ piId: string, chargeId: string|null }>}
+ */
+const chargeSavedCard = async ({ booking, grossCents }) => {
+  const { deposit } = booking;
+
+  if (!isLiveMode()) {
+    const intent = createSimulatedIntent({
+      prefix: "pi_helpio_deposit_sim",
+      amountInCents: grossCents,
+      currency: deposit.currency,
+      captureMethod: "manual",
+      description: "Helpio Pay • Booking Deposit (Simulated)",
+      extra: { bookingId: booking._id.toString() },
+    });
+    updateSimulatedIntentOnTap(intent.id);
+    markSimulatedIntentCaptured(intent.id, grossCents);
+    return { piId: intent.id, chargeId: null };
+  }
+
+  if (!deposit.stripeCustomerId || !deposit.paymentMethodId) {
+    throw new Error("Deposit hold expired and no card was saved to charge.");
+  }
+
+  const pi = await stripeClient.paymentIntents.create(
+    {
+      amount: grossCents,
+      currency: deposit.currency,
+      customer: deposit.stripeCustomerId,
+      payment_method: deposit.paymentMethodId,
+      payment_method_types: ["card"],
+      off_session: true,
+      confirm: true,
+      description: "Helpio Pay • Booking Deposit",
+      metadata: buildBookingDepositMetadata({
+        bookingId: booking._id,
+        providerId: booking.provider,
+        customerUserId: booking.customer,
+        listingId: booking.listing,
+      }),
+    },
+    { idempotencyKey: `booking_deposit_recharge_${booking._id}` }
+  );
+
+  if (pi.status !== "succeeded") {
+    throw new Error(`Deposit re-charge not completed (status: ${pi.status}).`);
+  }
+  return { piId: pi.id, chargeId: pi.latest_charge || null };
+};
+
+/**
+ * Capture the hold. Returns false (instead of throwing) when Stripe
+ * already cancelled it, so the caller can fall back to the saved card.
+ */
+const captureHold = async ({ booking, piId, grossCents }) => {
+  if (!isLiveMode()) {
+    if (!markSimulatedIntentCaptured(piId, grossCents)) {
+      throw new Error("Simulated PaymentIntent not found");
+    }
+    return { chargeId: null };
+  }
+
+  try {
+    const pi = await stripeClient.paymentIntents.capture(
+      piId,
+      { amount_to_capture: grossCents },
+      { idempotencyKey: `booking_deposit_capture_${booking._id}` }
+    );
+    return { chargeId: pi.latest_charge || null };
+  } catch (err) {
+    if (err.code !== "payment_intent_unexpected_state") throw err;
+    const pi = await stripeClient.paymentIntents.retrieve(piId);
+    if (pi.status !== "canceled") throw err;
+    return false;
+  }
+};
+
+/* --------------------------------------------------
+   CAPTURE — full deposit on completion, or the
+   policy share on late cancel / no-show.
+   A lapsed hold is replaced by an off-session charge
+   of the saved card; if that fails the deposit ends
+   up "expired" and nothing is recorded.
+-------------------------------------------------- */
+const captureDeposit = async ({ booking, amountCents, outcome, reason }) => {
+  let piId = booking.deposit.paymentIntentId;
+  const grossCents = Math.min(amountCents, booking.deposit.amountCents);
+
+  // Forfeiting 0% is just a release
+  if (grossCents <= 0) return releaseBookingDeposit({ booking });
+
+  try {
+    let chargeId = null;
+    const captured =
+      !isDepositHoldExpired(booking.deposit) &&
+      (await captureHold({ booking, piId, grossCents }));
+
+    if (captured) {
+      chargeId = captured.chargeId;
+    } else {
+      try {
+        const charge = await chargeSavedCard({ booking, grossCents });
+        piId = charge.piId;
+        chargeId = charge.chargeId;
+      } catch (chargeErr) {
+        console.error("❌ Booking deposit expired:", chargeErr.message);
+        booking.deposit.status = "expired";
+        booking.deposit.settledAt = new Date();
+        booking.deposit.lastError = chargeErr.message;
+        await Booking.updateOne({ _id: booking._id }, { $set: { deposit: booking.deposit } });
+        return { booking };
+      }
+
+      // Drop the old hold in case it hadn't quite lapsed yet
+      if (isLiveMode()) {
+        stripeClient.paymentIntents.cancel(booking.deposit.paymentIntentId).catch(() => {});
+      }
+      booking.deposit.paymentIntentId = piId;
+    }
+
+    const { stripeFeeCents, helpioFeeCents, totalFeeCents, netCents } =
+      computeTerminalFeesForGrossCents(grossCents);
+
+    let ledgerResult = null;
+    try {
+      ledgerResult = await recordBookingDepositLedger({
+        providerId: booking.provider,
+        customerUserId: booking.customer,
+        bookingId: booking._id,
+        stripePaymentIntentId: piId,
+        stripeChargeId: chargeId,
+        grossAmountCents: grossCents,
+        feeAmountCents: totalFeeCents,
+        netAmountCents: netCents,
+        settlementDays: 7,
+        trigger: outcome === "captured" ? "booking_completed" : `booking_${reason}`,
+        metadata: {
+          brand: "Helpio Pay",
+          mode: booking.deposit.mode,
+          outcome,
+          reason,
+          depositAmountCents: booking.deposit.amountCents,
+          stripeFeeCents,
+          helpioFeeCents,
+          totalFeeCents,
+          netCents,
+        },
+      });
+    } catch (ledgerErr) {
+      console.error("❌ Ledger error (booking deposit):", ledgerErr);
+    }
+
+    booking.deposit.status = outcome;
+    booking.deposit.capturedAmountCents = grossCents;
+    booking.deposit.ledgerEntry = ledgerResult?.entry?._id || null;
+    booking.deposit.settledAt = new Date();
+    booking.deposit.lastError = null;
+  } catch (err) {
+    console.error("❌ Booking deposit capture error:", err.message);
+    booking.deposit.status = "failed";
+    booking.deposit.lastError = err.message;
+  }
+
+  await Booking.updateOne({ _id: booking._id }, { $set: { deposit: booking.deposit } });
+  return { booking };
+};
+
+/* --------------------------------------------------
+   RELEASE — cancel the hold (or the unconfirmed
+   intent), customer pays nothing
+-------------------------------------------------- */
+export const releaseBookingDeposit = async ({ booking }) => {
+  const piId = booking.deposit.paymentIntentId;
+
+  try {
+    if (isLiveMode()) {
+      await stripeClient.paymentIntents.cancel(piId).catch(async (err) => {
+        // A lapsed hold is already cancelled on Stripe's side
+        const pi = await stripeClient.paymentIntents.retrieve(piId).catch(() => null);
+        if (pi?.status !== "canceled") throw err;
+      });
+    } else {
+      markSimulatedIntentCanceled(piId);
+    }
+
+    booking.deposit.status = "released";
+    booking.deposit.settledAt = new Date();
+    booking.deposit.lastError = null;
+  } catch (err) {
+    console.error("❌ Booking deposit release error:", err.message);
+    booking.deposit.status = "failed";
+    booking.deposit.lastError = err.message;
+  }
+
+  await Booking.updateOne({ _id: booking._id }, { $set: { deposit: booking.deposit } });
+  return { booking };
+};
+
+/* --------------------------------------------------
+   SETTLE — called after every terminal transition.
+   Pending deposits stop being pending; a started
+   PaymentIntent is cancelled so a late confirm
+   can't put a hold on the card.
+-------------------------------------------------- */
+export const settleBookingDeposit = async ({ booking, policy, actor }) => {
+  const deposit = booking.deposit;
+  if (!deposit?.required) return { booking };
+
+  if (deposit.status === "pending" && deposit.paymentIntentId) {
+    return releaseBookingDeposit({ booking });
+  }
+
+  if (deposit.status === "pending") {
+    booking.deposit.status = "released";
+    booking.deposit.settledAt = new Date();
+    await Booking.updateOne({ _id: booking._id }, { $set: { deposit: booking.deposit } });
+    return { booking };
+  }
+
+  if (deposit.status !== "authorized") return { booking };
+
+  if (booking.status === "completed") {
+    return captureDeposit({
+      booking,
+      amountCents: deposit.amountCents,
+      outcome: "captured",
+      reason: "completed",
+    });
+  }
+
+  if (booking.status === "no_show") {
+    const pct = Number(policy?.noShowForfeitPct ?? 100);
+    return captureDeposit({
+      booking,
+      amountCents: Math.round((deposit.amountCents * pct) / 100),
+      outcome: "forfeited",
+      reason: "no_show",
+    });
+  }
+
+  if (booking.status === "cancelled") {
+    const cancelledAt = booking.cancelledAt || new Date();
+    if (actor === "customer" && isLateCancellation(policy, booking, cancelledAt)) {
+      const pct = Number(policy?.lateCancelForfeitPct ?? 100);
+      return captureDeposit({
+        booking,
+        amountCents: Math.round((deposit.amountCents * pct) / 100),
+        outcome: "forfeited",
+        reason: "late_cancellation",
+      });
+    }
+    return releaseBookingDeposit({ booking });
+  }
+
+  return { booking };
+};
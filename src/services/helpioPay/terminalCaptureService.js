@@ -19,6 +19,10 @@ import {
   recordInvoicePaymentLedger,
   recordSubscriptionChargeLedger,
 } from "../../utils/ledger.js";
+import {
+  applyInvoicePayment,
+  linkInvoicePaymentLedgerEntry,
+} from "../../utils/invoicePayments.js";
 
 import {
   getSimulatedIntentById,
@@ -65,6 +69,31 @@ const computeNextBillingDate = (fromDate, unit = "monthly") => {
   return d;
 };
 
+/* --------------------------------------------------
+   INVOICE HELPER — a tap can pay all or part of an
+   invoice; the captured amount is what gets applied.
+-------------------------------------------------- */
+const applyTerminalInvoicePayment = async (invoiceId, grossCents, paymentIntentId) => {
+  try {
+    return await applyInvoicePayment({
+      invoiceId,
+      amount: grossCents / 100,
+      method: "terminal",
+      reference: paymentIntentId,
+      stripePaymentIntentId: paymentIntentId,
+      recordedBy: "system",
+      // money is already captured — always record it
+      allowOverpay: true,
+    });
+  } catch (e) {
+    console.error("❌ Invoice payment apply error (terminal):", e.message);
+    return {
+      invoice: await Invoice.findById(invoiceId).catch(() => null),
+      payment: null,
+    };
+  }
+};
+
 /* --------------------------------------------------
    CAPTURE TERMINAL PAYMENT
 -------------------------------------------------- */
@@ -155,6 +184,7 @@ export const captureTerminalPaymentService = async ({
       const subscriptionId = pi.metadata?.subscriptionId || null;
 
       let invoiceDoc = null;
+      let invoicePayment = null;
       let subscriptionDoc = null;
       let invoiceLedgerResult = null;
       let subscriptionLedgerResult = null;
@@ -162,11 +192,8 @@ export const captureTerminalPaymentService = async ({
 
       /* ---------- INVOICE FLOW ---------- */
       if (invoiceId) {
-        invoiceDoc = await Invoice.findById(invoiceId).catch(() => null);
-        if (invoiceDoc) {
-          invoiceDoc.status = "paid";
-          await invoiceDoc.save().catch(() => {});
-        }
+        ({ invoice: invoiceDoc, payment: invoicePayment } =
+          await applyTerminalInvoicePayment(invoiceId, grossCents, pi.id));
 
         const providerId =
           pi.metadata?.providerId || invoiceDoc?.provider || null;
@@ -206,6 +233,14 @@ export const captureTerminalPaymentService = async ({
             console.error("❌ Invoice ledger error (terminal):", e.message);
           }
         }
+
+        if (invoicePayment) {
+          await linkInvoicePaymentLedgerEntry(
+            invoiceId,
+            invoicePayment._id,
+            invoiceLedgerResult?.entry?._id
+          ).catch(() => {});
+        }
       }
 
       /* ---------- SUBSCRIPTION FLOW ---------- */
@@ -333,11 +368,11 @@ export const captureTerminalPaymentService = async ({
   let subscriptionDoc = null;
 
   if (intent.invoiceId) {
-    invoiceDoc = await Invoice.findById(intent.invoiceId).catch(() => null);
-    if (invoiceDoc) {
-      invoiceDoc.status = "paid";
-      await invoiceDoc.save().catch(() => {});
-    }
+    ({ invoice: invoiceDoc } = await applyTerminalInvoicePayment(
+      intent.invoiceId,
+      grossCents,
+      intent.id
+    ));
   }
 
   if (intent.subscriptionId) {
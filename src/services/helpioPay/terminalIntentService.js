@@ -29,6 +29,7 @@ import {
   buildGenericTerminalMetadata,
   buildInvoiceTerminalMetadata,
   buildSubscriptionTerminalMetadata,
+  buildBookingDepositMetadata,
 } from "./terminalMetadata.js";
 
 const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
@@ -650,6 +651,169 @@ export const createSubscriptionTerminalIntent = async ({
   };
 };
 
+/* --------------------------------------------------
+   BOOKING DEPOSIT INTENT
+   Card authorization only (capture_method manual) —
+   captured on completion or forfeited per the
+   provider's cancellation policy.
+-------------------------------------------------- */
+
+export const createBookingDepositIntent = async ({
+  booking,
+  amountInCents,
+  currency = "usd",
+  idempotencyKey,
+  stripeCustomerId = null,
+}) => {
+  if (!booking?._id) throw sendErrorLike("Booking is required.", 400);
+  if (!amountInCents || amountInCents <= 0)
+    throw sendErrorLike("Deposit amount is invalid.", 400);
+  if (!idempotencyKey)
+    throw sendErrorLike("idempotencyKey is required.", 400);
+
+  const finalCurrency = normalizeCurrency(currency);
+
+  let idem;
+  try {
+    idem = await reserveIdempotencyKey({
+      key: idempotencyKey,
+      type: "booking_deposit",
+      amount: amountInCents,
+      currency: finalCurrency,
+      providerId: booking.provider,
+      initiatedBy: "api",
+      payloadForHash: {
+        bookingId: booking._id.toString(),
+        providerId: booking.provider.toString(),
+        amountInCents,
+        currency: finalCurrency,
+      },
+      extraContext: { route: "authorizeBookingDeposit" },
+    });
+  } catch (err) {
+    throw sendErrorLike(err.message || "Idempotency error", 400);
+  }
+
+  if (idem.status === "existing_completed") {
+    const piId = idem.record.stripePaymentIntentId;
+
+    if (isLiveStripe && stripeClient && !isSimulatedStripe && piId) {
+      const existingPi =
+        (await stripeClient.paymentIntents.retrieve(piId).catch(() => null)) ||
+        null;
+
+      if (existingPi) {
+        return {
+          mode: "live",
+          idempotencyReplayed: true,
+          paymentIntent: {
+            id: existingPi.id,
+            client_secret: existingPi.client_secret,
+            status: existingPi.status,
+            amount: existingPi.amount,
+            currency: existingPi.currency,
+            metadata: existingPi.metadata,
+          },
+        };
+      }
+    }
+
+    if (piId && hasSimulatedIntent(piId)) {
+      return {
+        mode: "simulated",
+        idempotencyReplayed: true,
+        paymentIntent: getSimulatedIntentById(piId),
+      };
+    }
+
+    return {
+      idempotencyReplayed: true,
+      paymentIntentId: piId,
+    };
+  }
+
+  if (idem.status === "existing_in_progress") {
+    throw sendErrorLike(
+      "A Helpio Pay deposit authorization is already in progress.",
+      409
+    );
+  }
+
+  if (idem.status === "existing_failed") {
+    throw sendErrorLike(
+      "Previous Helpio Pay deposit attempt failed. Use a new key.",
+      409
+    );
+  }
+
+  const idemId = idem.record._id;
+
+  /* ---------- SIMULATED ---------- */
+  // Simulated cards authorize instantly (same as a tap on the sim reader)
+  if (isSimulatedStripe || !stripeClient || !isLiveStripe) {
+    const intent = createSimulatedIntent({
+      prefix: "pi_helpio_deposit_sim",
+      amountInCents,
+      currency: finalCurrency,
+      captureMethod: "manual",
+      description: "Helpio Pay • Booking Deposit (Simulated)",
+      extra: { bookingId: booking._id.toString() },
+    });
+    updateSimulatedIntentOnTap(intent.id);
+
+    await markIdempotencyKeyCompleted(idemId, {
+      stripePaymentIntentId: intent.id,
+      extraContext: { simulated: true },
+    });
+
+    return {
+      mode: "simulated",
+      paymentIntent: getSimulatedIntentById(intent.id),
+    };
+  }
+
+  /* ---------- LIVE ---------- */
+  const metadata = buildBookingDepositMetadata({
+    bookingId: booking._id,
+    providerId: booking.provider,
+    customerUserId: booking.customer,
+    listingId: booking.listing,
+  });
+
+  const paymentIntent = await stripeClient.paymentIntents.create(
+    {
+      amount: amountInCents,
+      currency: finalCurrency,
+      payment_method_types: ["card"],
+      capture_method: "manual",
+      // Saved so the deposit can be re-charged if the hold lapses
+      ...(stripeCustomerId && {
+        customer: stripeCustomerId,
+        setup_future_usage: "off_session",
+      }),
+      description: "Helpio Pay • Booking Deposit",
+      metadata,
+    },
+    { idempotencyKey }
+  );
+
+  await markIdempotencyKeyCompleted(idemId, {
+    stripePaymentIntentId: paymentIntent.id,
+  });
+
+  return {
+    mode: "live",
+    paymentIntent: {
+      id: paymentIntent.id,
+      client_secret: paymentIntent.client_secret,
+      status: paymentIntent.status,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      metadata: paymentIntent.metadata,
+    },
+  };
+};
+
 /* --------------------------------------------------
    PROCESS SIMULATED TAP-TO-PAY
 -------------------------------------------------- */
@@ -48,3 +48,20 @@ export const buildSubscriptionTerminalMetadata = ({
   customerId: customerId ? String(customerId) : "",
   planId: planId ? String(planId) : "",
 });
+
+/**
+ * Metadata for a booking deposit (card-not-present, manual capture)
+ */
+export const buildBookingDepositMetadata = ({
+  bookingId,
+  providerId,
+  customerUserId,
+  listingId,
+}) => ({
+  brand: "Helpio Pay",
+  type: "helpio_booking_deposit",
+  bookingId: String(bookingId),
+  providerId: providerId ? String(providerId) : "",
+  customerUserId: customerUserId ? String(customerUserId) : "",
+  listingId: listingId ? String(listingId) : "",
+});
@@ -87,17 +87,33 @@ export const updateSimulatedIntentOnTap = (paymentIntentId) => {
   return intent;
 };
 
-export const markSimulatedIntentCaptured = (paymentIntentId) => {
+export const markSimulatedIntentCaptured = (
+  paymentIntentId,
+  amountToCapture = null
+) => {
   const intent = simulatedIntents.get(paymentIntentId);
   if (!intent) return null;
 
   if (intent.capture_method === "manual") {
     intent.status = "succeeded";
+    intent.amount_received =
+      amountToCapture !== null
+        ? Math.min(amountToCapture, intent.amount)
+        : intent.amount;
     simulatedIntents.set(paymentIntentId, intent);
   }
   return intent;
 };
 
+export const markSimulatedIntentCanceled = (paymentIntentId) => {
+  const intent = simulatedIntents.get(paymentIntentId);
+  if (!intent) return null;
+
+  intent.status = "canceled";
+  simulatedIntents.set(paymentIntentId, intent);
+  return intent;
+};
+
 export const hasSimulatedIntent = (paymentIntentId) =>
   simulatedIntents.has(paymentIntentId);
 
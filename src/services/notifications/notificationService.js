@@ -0,0 +1,448 @@
+// src/services/notifications/notificationService.js
+import User from "../../models/User.js";
+import Provider from "../../models/Provider.js";
+import PushDevice from "../../models/PushDevice.js";
+import PushMessage from "../../models/PushMessage.js";
+import Notification from "../../models/Notification.js";
+import { getIO } from "../../socket.js";
+import {
+  EXPO_MAX_MESSAGES,
+  EXPO_MAX_RECEIPT_IDS,
+  getPushReceipts,
+  isExpoPushToken,
+  sendPushBatch,
+} from "../../utils/sendPushNotification.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const MAX_ATTEMPTS = 5;
+const BATCH_WINDOW_MS = 250; // collect pushes fired together into one request
+const STALE_CLAIM_MS = 10 * MINUTE;
+const RECEIPT_DELAY_MS = 15 * MINUTE; // Expo suggests waiting before polling
+const RECEIPT_GIVE_UP_MS = 24 * HOUR; // receipts are only kept for a day
+const MAX_BATCHES_PER_RUN = 50;
+
+const sendErrorLike = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const backoffMs = (attempts) => Math.min(2 ** attempts * 30 * 1000, HOUR);
+
+/* --------------------------------------------------
+   DEVICE REGISTRY
+-------------------------------------------------- */
+
+/**
+ * Register (or refresh) a device for a user. A token already
+ * registered to someone else moves to this user — it is the
+ * same phone, signed into a different account.
+ */
+export const registerPushDevice = async ({
+  userId,
+  token,
+  platform = "unknown",
+  appVersion = "",
+  deviceName = "",
+}) => {
+  if (!isExpoPushToken(token)) {
+    throw sendErrorLike("A valid Expo push token is required.");
+  }
+
+  const update = {
+    $set: {
+      user: userId,
+      platform,
+      appVersion,
+      deviceName,
+      lastSeenAt: new Date(),
+      disabledAt: null,
+      disabledReason: null,
+    },
+  };
+  const options = { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true };
+
+  try {
+    return await PushDevice.findOneAndUpdate({ token: token.trim() }, update, options);
+  } catch (err) {
+    // Two first registrations raced on the unique token
+    if (err?.code !== 11000) throw err;
+    return PushDevice.findOneAndUpdate({ token: token.trim() }, update, options);
+  }
+};
+
+export const unregisterPushDevice = ({ userId, token, deviceId }) =>
+  PushDevice.deleteOne({
+    user: userId,
+    ...(deviceId ? { _id: deviceId } : { token: String(token || "").trim() }),
+  });
+
+const disableDevice = async (deviceId, reason) => {
+  await PushDevice.updateOne(
+    { _id: deviceId, disabledAt: null },
+    { $set: { disabledAt: new Date(), disabledReason: reason } }
+  );
+  await PushMessage.updateMany(
+    { device: deviceId, status: "queued" },
+    { $set: { status: "failed", error: reason } }
+  );
+};
+
+/* --------------------------------------------------
+   PREFERENCES + QUIET HOURS
+-------------------------------------------------- */
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm || "0:0").split(":").map(Number);
+  return (h || 0) * 60 + (m || 0);
+};
+
+const localMinutes = (date, timeZone) => {
+  try {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+    return get("hour") * 60 + get("minute");
+  } catch {
+    // Unknown timezone — treat as UTC rather than dropping the push
+    return date.getUTCHours() * 60 + date.getUTCMinutes();
+  }
+};
+
+/**
+ * When the user's quiet hours end, or null if `now` is
+ * outside them.
+ */
+export const quietHoursEndAt = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled) return null;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return null;
+
+  const local = localMinutes(now, quietHours.timezone || "UTC");
+  const inside = start < end ? local >= start && local < end : local >= start || local < end;
+  if (!inside) return null;
+
+  const minutesLeft = (end - local + 24 * 60) % (24 * 60);
+  return new Date(now.getTime() + minutesLeft * MINUTE);
+};
+
+/**
+ * Why a push in this category would not be sent, or null.
+ * "system" pushes (security, account) ignore category toggles.
+ */
+export const pushBlockedReason = (preferences, category) => {
+  if (preferences?.push === false) return "push_disabled";
+  if (category !== "system" && preferences?.categories?.[category] === false) {
+    return "category_disabled";
+  }
+  return null;
+};
+
+/* --------------------------------------------------
+   INBOX + REAL-TIME
+-------------------------------------------------- */
+
+/**
+ * Emit to the user's room (joined via "joinUserRoom") plus
+ * any extra rooms, e.g. the Provider id provider apps join.
+ */
+const emitNotification = async (notification, rooms = []) => {
+  try {
+    const io = getIO();
+    const unreadCount = await Notification.countDocuments({
+      user: notification.user,
+      readAt: null,
+    });
+
+    const targets = [...new Set([String(notification.user), ...rooms.map(String)])];
+    io.to(targets).emit("notification", { notification, unreadCount });
+  } catch (err) {
+    console.log("Socket notification emit failed:", err.message);
+  }
+};
+
+/* --------------------------------------------------
+   NOTIFY
+-------------------------------------------------- */
+
+/**
+ * Record an inbox notification, emit it live, and queue a
+ * push for every active device of the user (subject to
+ * their preferences). Never throws for delivery problems —
+ * callers fire and forget.
+ *
+ * @param {Object} payload
+ * @param {string} payload.category  messages | bookings | invoices |
+ *        payments | reviews | marketing | system
+ * @param {string} [payload.type]    inbox type, e.g. "invoice_paid"
+ * @param {boolean} [payload.push]   false = inbox only
+ * @param {boolean} [payload.bypassQuietHours]
+ * @returns {Promise<{notification?:Object, queued:number,
+ *          skipped?:string, deferredUntil?:Date}>}
+ */
+export const notifyUser = async (
+  userId,
+  {
+    category = "system",
+    type,
+    title,
+    body,
+    data = {},
+    push = true,
+    bypassQuietHours = false,
+  },
+  { now = new Date(), rooms = [] } = {}
+) => {
+  if (!userId) return { queued: 0, skipped: "no_user" };
+
+  const user = await User.findById(userId).select("notificationPreferences").lean();
+  if (!user) return { queued: 0, skipped: "no_user" };
+
+  const notification = await Notification.create({
+    user: user._id,
+    category,
+    type: type || data.type || category,
+    title: String(title || "").slice(0, 200),
+    body: String(body || "").slice(0, 1000),
+    data,
+  });
+  await emitNotification(notification, rooms);
+
+  if (!push) return { notification, queued: 0, skipped: "inbox_only" };
+
+  const preferences = user.notificationPreferences || {};
+  const blocked = pushBlockedReason(preferences, category);
+  if (blocked) return { notification, queued: 0, skipped: blocked };
+
+  const devices = await PushDevice.find({ user: user._id, disabledAt: null })
+    .select("token")
+    .lean();
+  if (!devices.length) return { notification, queued: 0, skipped: "no_devices" };
+
+  const deferredUntil = bypassQuietHours ? null : quietHoursEndAt(preferences.quietHours, now);
+
+  await PushMessage.insertMany(
+    devices.map((device) => ({
+      user: user._id,
+      device: device._id,
+      token: device.token,
+      category,
+      title,
+      body,
+      data: { ...data, category, notificationId: String(notification._id) },
+      sendAfter: deferredUntil || now,
+    }))
+  );
+
+  if (!deferredUntil) scheduleFlush();
+
+  return { notification, queued: devices.length, ...(deferredUntil && { deferredUntil }) };
+};
+
+/**
+ * Providers are addressed by Provider id across the app;
+ * notifications go to the User that owns the profile.
+ */
+export const notifyProvider = async (providerId, payload, { now = new Date() } = {}) => {
+  if (!providerId) return { queued: 0, skipped: "no_user" };
+  const provider = await Provider.findById(providerId).select("user").lean();
+  if (!provider?.user) return { queued: 0, skipped: "no_user" };
+  return notifyUser(provider.user, payload, { now, rooms: [providerId] });
+};
+
+/* --------------------------------------------------
+   OUTBOX WORKER
+-------------------------------------------------- */
+let flushTimer = null;
+let isFlushing = false;
+
+const scheduleFlush = () => {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushPushQueue().catch((err) => console.error("❌ Push queue flush failed:", err));
+  }, BATCH_WINDOW_MS);
+  flushTimer.unref?.();
+};
+
+const retryOrFail = (message, error, now) =>
+  message.attempts >= MAX_ATTEMPTS
+    ? { status: "failed", error }
+    : { status: "queued", sendAfter: new Date(now.getTime() + backoffMs(message.attempts)), error };
+
+/**
+ * Map an Expo error (ticket or receipt) onto the message.
+ */
+const handleExpoError = async (message, code, text, now) => {
+  const error = code || text || "Unknown Expo error";
+
+  if (code === "DeviceNotRegistered") {
+    await disableDevice(message.device, code);
+    return { status: "failed", error };
+  }
+  if (code === "MessageRateExceeded") return retryOrFail(message, error, now);
+  return { status: "failed", error };
+};
+
+const sendClaimedBatch = async (batch, now, stats) => {
+  let tickets;
+  try {
+    tickets = await sendPushBatch(
+      batch.map((m) => ({ to: m.token, title: m.title, body: m.body, data: m.data }))
+    );
+  } catch (err) {
+    // Whole request failed (network / 5xx / 429) — everything retries
+    tickets = batch.map(() => ({ status: "error", transport: err.message }));
+  }
+
+  const ops = [];
+  for (let i = 0; i < batch.length; i += 1) {
+    const message = batch[i];
+    const ticket = tickets[i];
+    let $set;
+
+    if (ticket?.status === "ok") {
+      $set = {
+        status: "sent",
+        ticketId: ticket.id,
+        sentAt: now,
+        receiptCheckAfter: new Date(now.getTime() + RECEIPT_DELAY_MS),
+        error: null,
+      };
+    } else if (!ticket || ticket.transport) {
+      $set = retryOrFail(message, ticket?.transport || "No ticket returned", now);
+    } else {
+      $set = await handleExpoError(message, ticket.details?.error, ticket.message, now);
+    }
+
+    stats[$set.status === "sent" ? "sent" : $set.status === "queued" ? "retried" : "failed"] += 1;
+    ops.push({ updateOne: { filter: { _id: message._id }, update: { $set } } });
+  }
+
+  if (ops.length) await PushMessage.bulkWrite(ops, { ordered: false });
+};
+
+/**
+ * Send every due message, EXPO_MAX_MESSAGES per request.
+ * Rows are claimed (queued → sending) first so two
+ * instances never send the same row.
+ */
+export const flushPushQueue = async (now = new Date()) => {
+  const stats = { sent: 0, retried: 0, failed: 0 };
+  if (isFlushing) {
+    scheduleFlush();
+    return stats;
+  }
+
+  isFlushing = true;
+  try {
+    // Claims left behind by a crashed instance
+    await PushMessage.updateMany(
+      { status: "sending", claimedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } },
+      { $set: { status: "queued" } }
+    );
+
+    for (let i = 0; i < MAX_BATCHES_PER_RUN; i += 1) {
+      const due = await PushMessage.find({ status: "queued", sendAfter: { $lte: now } })
+        .sort({ sendAfter: 1 })
+        .limit(EXPO_MAX_MESSAGES)
+        .select("_id")
+        .lean();
+      if (!due.length) break;
+
+      const claimedAt = new Date();
+      const ids = due.map((m) => m._id);
+      await PushMessage.updateMany(
+        { _id: { $in: ids }, status: "queued" },
+        { $set: { status: "sending", claimedAt }, $inc: { attempts: 1 } }
+      );
+
+      const batch = await PushMessage.find({ _id: { $in: ids }, status: "sending", claimedAt }).lean();
+      if (batch.length) await sendClaimedBatch(batch, now, stats);
+    }
+
+    return stats;
+  } finally {
+    isFlushing = false;
+  }
+};
+
+/**
+ * Check Expo receipts for sent messages. DeviceNotRegistered
+ * here is how dead tokens are usually discovered.
+ */
+export const pollPushReceipts = async (now = new Date()) => {
+  const stats = { delivered: 0, failed: 0, pending: 0 };
+
+  for (let i = 0; i < MAX_BATCHES_PER_RUN; i += 1) {
+    const sent = await PushMessage.find({
+      status: "sent",
+      receiptCheckAfter: { $lte: now },
+      ticketId: { $ne: null },
+    })
+      .limit(EXPO_MAX_RECEIPT_IDS)
+      .lean();
+    if (!sent.length) break;
+
+    let receipts;
+    try {
+      receipts = await getPushReceipts(sent.map((m) => m.ticketId));
+    } catch (err) {
+      console.warn("⚠️ Push receipt check failed, will retry:", err.message);
+      break;
+    }
+
+    const ops = [];
+    for (const message of sent) {
+      const receipt = receipts[message.ticketId];
+      let $set;
+
+      if (!receipt) {
+        const givenUp = now - new Date(message.sentAt || now) > RECEIPT_GIVE_UP_MS;
+        $set = {
+          receiptCheckAfter: givenUp ? null : new Date(now.getTime() + RECEIPT_DELAY_MS),
+        };
+        stats.pending += 1;
+      } else if (receipt.status === "ok") {
+        $set = { status: "delivered", deliveredAt: now, receiptCheckAfter: null };
+        stats.delivered += 1;
+      } else {
+        $set = {
+          ...(await handleExpoError(message, receipt.details?.error, receipt.message, now)),
+          receiptCheckAfter: null,
+        };
+        if ($set.status === "failed") stats.failed += 1;
+      }
+
+      ops.push({ updateOne: { filter: { _id: message._id }, update: { $set } } });
+    }
+
+    await PushMessage.bulkWrite(ops, { ordered: false });
+    if (sent.length < EXPO_MAX_RECEIPT_IDS) break;
+  }
+
+  return stats;
+};
+
+/**
+ * Cron entry point: deferred / retried sends, then receipts.
+ */
+export const runPushQueueOnce = async (now = new Date()) => {
+  const sends = await flushPushQueue(now);
+  const receipts = await pollPushReceipts(now);
+
+  if (sends.sent || sends.failed || receipts.delivered || receipts.failed) {
+    console.log(
+      `✅ [PushQueue] sent=${sends.sent}, retried=${sends.retried}, failed=${sends.failed}, ` +
+        `delivered=${receipts.delivered}, receiptFailures=${receipts.failed}`
+    );
+  }
+  return { ...sends, receipts };
+};
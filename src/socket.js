@@ -1,44 +1,225 @@
 // src/socket.js
 import { Server } from "socket.io";
+import mongoose from "mongoose";
+import Conversation from "./models/Conversation.js";
+import { loadAuthUser, verifyAccessToken } from "./middleware/auth.js";
+import { registerChatEvents } from "./sockets/chatEvents.js";
 
 let io;
 
+// Per-socket event budget; a socket that keeps blowing it is dropped
+const SOCKET_RATE_WINDOW_MS = 10 * 1000;
+const SOCKET_RATE_MAX_EVENTS = 40;
+const SOCKET_RATE_MAX_STRIKES = 3;
+
+// setTimeout can't wait longer than this (~24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Access token from the handshake:
+ *   io(url, { auth: { token } })  — preferred
+ *   Authorization: Bearer <token> — non-browser clients
+ */
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) return String(auth.token).replace(/^Bearer\s+/i, "");
+  if (headers.authorization?.startsWith("Bearer ")) {
+    return headers.authorization.split(" ")[1];
+  }
+  return null;
+};
+
+/**
+ * Rooms a user may listen on: their User id, plus their
+ * Provider id for providers (messages and bookings address
+ * providers by Provider id).
+ */
+const ownRooms = (user) => [
+  String(user._id),
+  ...(user.providerId ? [String(user.providerId)] : []),
+];
+
+const isConversationMember = async (user, conversationId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) return false;
+
+  const convo = await Conversation.findById(conversationId)
+    .select("providerId customerId")
+    .lean();
+  if (!convo) return false;
+
+  return (
+    String(convo.customerId) === String(user._id) ||
+    (!!user.providerId && String(convo.providerId) === String(user.providerId))
+  );
+};
+
 /**
- * Initialize Socket.IO
+ * Fixed-window counter for one socket.
+ * @returns {"ok"|"limited"|"drop"|"disconnect"} — "limited" is
+ *          the first dropped event of a window, "drop" the rest
  */
-export const initSocket = (server) => {
-  io = new Server(server, {
+const createSocketRateLimiter = () => {
+  let windowStart = Date.now();
+  let count = 0;
+  let strikes = 0;
+
+  return () => {
+    const now = Date.now();
+    if (now - windowStart >= SOCKET_RATE_WINDOW_MS) {
+      windowStart = now;
+      count = 0;
+    }
+
+    count += 1;
+    if (count <= SOCKET_RATE_MAX_EVENTS) return "ok";
+    if (count > SOCKET_RATE_MAX_EVENTS + 1) return "drop";
+
+    strikes += 1;
+    return strikes >= SOCKET_RATE_MAX_STRIKES ? "disconnect" : "limited";
+  };
+};
+
+const reply = (ack, payload) => {
+  if (typeof ack === "function") ack(payload);
+};
+
+/**
+ * 🔒 Handshake auth — same access-token rules as `protect`.
+ * Sets socket.data.user / tokenExpiresAt or throws.
+ */
+const authenticateHandshake = async (socket) => {
+  const token = getHandshakeToken(socket);
+  if (!token) throw new Error("Not authorized – missing token");
+
+  let decoded;
+  let user;
+  try {
+    decoded = verifyAccessToken(token);
+    user = await loadAuthUser(decoded.id);
+  } catch (err) {
+    throw new Error(err.statusCode ? err.message : "Not authorized");
+  }
+  if (!user) throw new Error("User not found");
+
+  socket.data.user = user;
+  socket.data.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+};
+
+/**
+ * Build a Socket.IO server on top of an http server.
+ * @param options.adapter       cluster adapter (see sockets/clusterAdapter.js);
+ *                              omitted → default in-memory, single-node
+ * @param options.authenticate  handshake auth override (harness only)
+ */
+export const createSocketServer = (
+  server,
+  { adapter = null, authenticate = authenticateHandshake } = {}
+) => {
+  const io = new Server(server, {
     cors: {
       origin: "*", // safe for mobile apps
       methods: ["GET", "POST"],
     },
+    ...(adapter && { adapter }),
+  });
+
+  io.use(async (socket, next) => {
+    try {
+      await authenticate(socket);
+      next();
+    } catch (err) {
+      next(err);
+    }
   });
 
   io.on("connection", (socket) => {
-    console.log("🔌 Socket connected:", socket.id);
+    const user = socket.data.user;
+    console.log(`🔌 Socket connected: ${socket.id} (user ${user._id})`);
+
+    // Own rooms are joined automatically — no client call needed
+    socket.join(ownRooms(user));
+
+    // Drop the connection when the token expires; the client
+    // reconnects with a fresh one
+    let expiryTimer = null;
+    const msLeft = socket.data.tokenExpiresAt ? socket.data.tokenExpiresAt - Date.now() : null;
+    if (msLeft !== null && msLeft <= MAX_TIMER_MS) {
+      expiryTimer = setTimeout(() => socket.disconnect(true), Math.max(0, msLeft));
+      expiryTimer.unref?.();
+    }
 
     /**
-     * 🔥 NEW — Join a USER room (for Messages screen)
+     * ⏱ Per-socket rate limiting
      */
-    socket.on("joinUserRoom", (userId) => {
-      if (!userId) return;
-      socket.join(userId);
-      console.log(`👤 Socket ${socket.id} joined user room ${userId}`);
+    const hit = createSocketRateLimiter();
+    socket.use((packet, next) => {
+      const verdict = hit();
+      if (verdict === "ok") return next();
+
+      // Settle the event's ack (if any) so the client isn't left waiting
+      reply(packet[packet.length - 1], { ok: false, error: "Rate limited" });
+
+      if (verdict === "disconnect") {
+        console.warn(`🚫 Socket ${socket.id} disconnected for flooding (user ${user._id})`);
+        socket.emit("rateLimited", { disconnected: true });
+        socket.disconnect(true);
+        return;
+      }
+
+      // Drop the event; tell the client once per window
+      if (verdict === "limited") {
+        socket.emit("rateLimited", { retryAfterMs: SOCKET_RATE_WINDOW_MS });
+      }
     });
 
     /**
-     * Join a conversation room (for ChatDetail screen)
+     * Kept for older clients — only the caller's own rooms
+     * can be joined, and those are joined already.
      */
-    socket.on("joinConversation", (conversationId) => {
-      if (!conversationId) return;
-      socket.join(conversationId);
-      console.log(`💬 Socket ${socket.id} joined conversation ${conversationId}`);
+    socket.on("joinUserRoom", (userId, ack) => {
+      if (!userId || !ownRooms(user).includes(String(userId))) {
+        console.warn(`🚫 Socket ${socket.id} denied user room ${userId}`);
+        return reply(ack, { ok: false, error: "Forbidden" });
+      }
+      socket.join(String(userId));
+      reply(ack, { ok: true });
     });
 
+    /**
+     * Join a conversation room (for ChatDetail screen) —
+     * members only
+     */
+    socket.on("joinConversation", async (conversationId, ack) => {
+      try {
+        if (!conversationId || !(await isConversationMember(user, conversationId))) {
+          console.warn(`🚫 Socket ${socket.id} denied conversation ${conversationId}`);
+          return reply(ack, { ok: false, error: "Forbidden" });
+        }
+
+        socket.join(String(conversationId));
+        console.log(`💬 Socket ${socket.id} joined conversation ${conversationId}`);
+        reply(ack, { ok: true });
+      } catch (err) {
+        console.error("❌ joinConversation error:", err.message);
+        reply(ack, { ok: false, error: "Server error" });
+      }
+    });
+
+    socket.on("leaveConversation", (conversationId, ack) => {
+      if (conversationId) socket.leave(String(conversationId));
+      reply(ack, { ok: true });
+    });
+
+    /**
+     * Typing, presence, delivery receipts
+     */
+    registerChatEvents(io, socket);
+
     /**
      * Disconnect
      */
     socket.on("disconnect", () => {
+      if (expiryTimer) clearTimeout(expiryTimer);
       console.log("❌ Socket disconnected:", socket.id);
     });
   });
@@ -46,10 +227,19 @@ export const initSocket = (server) => {
   return io;
 };
 
+/**
+ * Initialize the app's Socket.IO server. Pass the Redis
+ * adapter so emits reach sockets on every instance.
+ */
+export const initSocket = (server, options = {}) => {
+  io = createSocketServer(server, options);
+  return io;
+};
+
 /**
  * Get active socket instance anywhere in backend
  */
 export const getIO = () => {
   if (!io) throw new Error("Socket.io not initialized");
   return io;
-};
\ No newline at end of file
+};
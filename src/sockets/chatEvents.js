@@ -0,0 +1,213 @@
+// src/sockets/chatEvents.js
+import mongoose from "mongoose";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import {
+  PRESENCE_HEARTBEAT_MS,
+  getPresence,
+  markSocketOffline,
+  markSocketOnline,
+  refreshSocketPresence,
+} from "../utils/presence.js";
+
+/* -------------------------------------------------------
+   CHAT SOCKET EVENTS — typing, presence, delivery
+   Registered per authenticated socket by socket.js.
+
+   Client → server
+     typing:start / typing:stop   { conversationId }
+     presence:get                 { ids: [...] }, ack (counterparts only)
+     message:delivered            { messageIds: [...] }, ack
+
+   Server → client
+     typing             { conversationId, senderId, isTyping }
+     presence           { id, online, lastSeenAt }
+     messagesDelivered  { conversationId, messageIds, deliveredAt }
+-------------------------------------------------------- */
+const TYPING_TIMEOUT_MS = 8 * 1000; // auto-stop if the client goes quiet
+const MAX_PRESENCE_IDS = 100;
+const MAX_DELIVERY_IDS = 100;
+const PRESENCE_FANOUT_LIMIT = 200;
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const reply = (ack, payload) => {
+  if (typeof ack === "function") ack(payload);
+};
+
+/**
+ * Who the user is in chat — mirrors getSenderContext in
+ * messageController (Provider id for providers).
+ */
+export const chatIdentity = (user) =>
+  user.providerId ? String(user.providerId) : String(user._id);
+
+const memberFilter = (user) =>
+  user.providerId ? { providerId: user.providerId } : { customerId: user._id };
+
+/**
+ * Rooms of everyone the user has a conversation with — the
+ * people who care when they come online or go offline.
+ */
+const counterpartRooms = async (user) => {
+  const convos = await Conversation.find(memberFilter(user))
+    .sort({ lastMessageAt: -1 })
+    .limit(PRESENCE_FANOUT_LIMIT)
+    .select("providerId customerId")
+    .lean();
+
+  return [
+    ...new Set(convos.map((c) => String(user.providerId ? c.customerId : c.providerId))),
+  ];
+};
+
+/**
+ * The subset of ids the user shares a conversation with — presence
+ * is only visible to counterparts, same as the broadcasts.
+ */
+const visibleCounterparts = async (user, ids) => {
+  if (!ids.length) return [];
+  const field = user.providerId ? "customerId" : "providerId";
+  const matched = await Conversation.distinct(field, {
+    ...memberFilter(user),
+    [field]: { $in: ids },
+  });
+  return matched.map(String);
+};
+
+const broadcastPresence = async (io, user, online, lastSeenAt = null) => {
+  const rooms = await counterpartRooms(user);
+  if (!rooms.length) return;
+  io.to(rooms).emit("presence", { id: chatIdentity(user), online, lastSeenAt });
+};
+
+const conversationIdOf = (payload) =>
+  String((typeof payload === "object" ? payload?.conversationId : payload) || "");
+
+export const registerChatEvents = (io, socket) => {
+  const user = socket.data.user;
+  const identity = chatIdentity(user);
+
+  /* ---------------- PRESENCE ---------------- */
+  markSocketOnline(identity, socket.id)
+    .then((cameOnline) => cameOnline && broadcastPresence(io, user, true))
+    .catch((err) => console.error("❌ Presence online error:", err.message));
+
+  const heartbeat = setInterval(() => {
+    refreshSocketPresence(identity, socket.id).catch((err) =>
+      console.error("❌ Presence heartbeat error:", err.message)
+    );
+  }, PRESENCE_HEARTBEAT_MS);
+  heartbeat.unref?.();
+
+  socket.on("presence:get", async (payload, ack) => {
+    try {
+      const ids = (Array.isArray(payload?.ids) ? payload.ids : [])
+        .filter(isValidId)
+        .slice(0, MAX_PRESENCE_IDS);
+      const visible = await visibleCounterparts(user, ids);
+      reply(ack, { ok: true, presence: await getPresence(visible) });
+    } catch (err) {
+      console.error("❌ presence:get error:", err.message);
+      reply(ack, { ok: false, error: "Server error" });
+    }
+  });
+
+  /* ---------------- TYPING ---------------- */
+  const typingTimers = new Map(); // conversationId → timeout
+
+  const emitTyping = (conversationId, isTyping) =>
+    socket.to(conversationId).emit("typing", { conversationId, senderId: identity, isTyping });
+
+  const stopTyping = (conversationId) => {
+    const timer = typingTimers.get(conversationId);
+    if (!timer) return;
+    clearTimeout(timer);
+    typingTimers.delete(conversationId);
+    emitTyping(conversationId, false);
+  };
+
+  socket.on("typing:start", (payload) => {
+    const conversationId = conversationIdOf(payload);
+    // Membership was checked when the room was joined
+    if (!conversationId || !socket.rooms.has(conversationId)) return;
+
+    const wasTyping = typingTimers.has(conversationId);
+    clearTimeout(typingTimers.get(conversationId));
+    typingTimers.set(
+      conversationId,
+      setTimeout(() => stopTyping(conversationId), TYPING_TIMEOUT_MS)
+    );
+    if (!wasTyping) emitTyping(conversationId, true);
+  });
+
+  socket.on("typing:stop", (payload) => {
+    stopTyping(conversationIdOf(payload));
+  });
+
+  /* ---------------- DELIVERY RECEIPTS ---------------- */
+  socket.on("message:delivered", async (payload, ack) => {
+    try {
+      const ids = (Array.isArray(payload?.messageIds) ? payload.messageIds : [payload?.messageId])
+        .filter(isValidId)
+        .slice(0, MAX_DELIVERY_IDS);
+      if (!ids.length) return reply(ack, { ok: false, error: "messageIds required" });
+
+      // Only messages sent *to* this user, in their conversations
+      const pending = await Message.find({
+        _id: { $in: ids },
+        ...memberFilter(user),
+        senderId: { $ne: identity },
+        deliveredAt: null,
+      })
+        .select("_id conversationId senderId")
+        .lean();
+      if (!pending.length) return reply(ack, { ok: true, delivered: 0 });
+
+      const deliveredAt = new Date();
+      await Message.updateMany(
+        { _id: { $in: pending.map((m) => m._id) }, deliveredAt: null },
+        { $set: { deliveredAt } }
+      );
+
+      const byConversation = new Map();
+      for (const m of pending) {
+        const key = String(m.conversationId);
+        const group = byConversation.get(key) || { senderIds: new Set(), messageIds: [] };
+        group.senderIds.add(String(m.senderId));
+        group.messageIds.push(String(m._id));
+        byConversation.set(key, group);
+      }
+
+      for (const [conversationId, group] of byConversation) {
+        io.to([conversationId, ...group.senderIds]).emit("messagesDelivered", {
+          conversationId,
+          messageIds: group.messageIds,
+          deliveredAt,
+        });
+      }
+
+      reply(ack, { ok: true, delivered: pending.length, deliveredAt });
+    } catch (err) {
+      console.error("❌ message:delivered error:", err.message);
+      reply(ack, { ok: false, error: "Server error" });
+    }
+  });
+
+  /* ---------------- CLEANUP ---------------- */
+  socket.on("leaveConversation", (payload) => {
+    stopTyping(conversationIdOf(payload));
+  });
+
+  socket.on("disconnect", async () => {
+    clearInterval(heartbeat);
+    [...typingTimers.keys()].forEach(stopTyping);
+
+    try {
+      const lastSeenAt = await markSocketOffline(identity, socket.id);
+      if (lastSeenAt) await broadcastPresence(io, user, false, lastSeenAt);
+    } catch (err) {
+      console.error("❌ Presence offline error:", err.message);
+    }
+  });
+};
@@ -0,0 +1,210 @@
+// src/sockets/clusterAdapter.js
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+import { redisClient } from "../config/redis.js";
+
+/* -------------------------------------------------------
+   SOCKET.IO CLUSTER ADAPTER
+   Lets `getIO().to(room).emit(...)` reach sockets on every
+   instance, not just the one that handled the request.
+
+   Each namespace publishes broadcasts, room joins and
+   fetchSockets/serverSideEmit requests on a shared bus:
+     <key>#<nsp>#                 cluster-wide messages
+     <key>-response#<nsp>#<uid>#  replies to one instance
+
+   The bus is Redis pub/sub in production and an in-process
+   emitter for the two-node harness (scripts/sim.socketCluster.js).
+
+   Local delivery never waits on the bus: if Redis goes away
+   the instance keeps serving its own sockets and other
+   instances simply stop hearing from it until it's back.
+-------------------------------------------------------- */
+const CHANNEL_KEY = "socket.io";
+const CONNECT_TIMEOUT_MS = 5 * 1000;
+const ERROR_LOG_INTERVAL_MS = 30 * 1000;
+
+// One line per interval instead of one per emit while Redis is down
+let lastErrorLogAt = 0;
+const logBusError = (label, err) => {
+  const now = Date.now();
+  if (now - lastErrorLogAt < ERROR_LOG_INTERVAL_MS) return;
+  lastErrorLogAt = now;
+  console.error(`❌ Socket cluster ${label}:`, err?.message || err);
+};
+
+class BusClusterAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, opts = {}) {
+    super(nsp, opts);
+    this.bus = bus;
+    this.key = opts.key || CHANNEL_KEY;
+    this.channel = `${this.key}#${nsp.name}#`;
+    this.responseChannel = this.responseChannelFor(this.uid);
+
+    this.handleMessage = (message) => this.onMessage(message);
+    this.handleResponse = (response) => this.onResponse(response);
+
+    Promise.all([
+      bus.subscribe(this.channel, this.handleMessage),
+      bus.subscribe(this.responseChannel, this.handleResponse),
+    ]).catch((err) => logBusError("subscribe error", err));
+  }
+
+  responseChannelFor(uid) {
+    return `${this.key}-response#${this.nsp.name}#${uid}#`;
+  }
+
+  /**
+   * Fire-and-forget: ClusterAdapter awaits this before the
+   * local broadcast, so a slow or dead bus must not block it.
+   * No offset is returned — connection state recovery is off.
+   */
+  doPublish(message) {
+    Promise.resolve()
+      .then(() => this.bus.publish(this.channel, message))
+      .catch((err) => logBusError("publish error", err));
+    return Promise.resolve("");
+  }
+
+  doPublishResponse(requesterUid, response) {
+    return this.bus.publish(this.responseChannelFor(requesterUid), response);
+  }
+
+  close() {
+    super.close();
+    this.bus.unsubscribe(this.channel, this.handleMessage);
+    this.bus.unsubscribe(this.responseChannel, this.handleResponse);
+  }
+}
+
+/**
+ * Adapter constructor for `new Server(httpServer, { adapter })`.
+ * @param bus  { publish(channel, message), subscribe(channel, fn), unsubscribe(channel, fn) }
+ * @param opts { key?, heartbeatInterval?, heartbeatTimeout? }
+ */
+export const createBusAdapter = (bus, opts = {}) =>
+  // Socket.IO calls this with `new`, so no arrow function
+  function BusAdapter(nsp) {
+    return new BusClusterAdapter(nsp, bus, opts);
+  };
+
+/**
+ * Shared channel → handlers bookkeeping for both buses.
+ * `onFirst` / `onLast` (un)subscribe the underlying transport.
+ */
+const createHandlerRegistry = ({ onFirst, onLast }) => {
+  const handlers = new Map(); // channel → Set(fn)
+
+  return {
+    handlers,
+    async add(channel, fn) {
+      const set = handlers.get(channel) || new Set();
+      const isFirst = set.size === 0;
+      set.add(fn);
+      handlers.set(channel, set);
+      if (isFirst) await onFirst(channel);
+    },
+    async remove(channel, fn) {
+      const set = handlers.get(channel);
+      if (!set?.delete(fn) || set.size) return;
+      handlers.delete(channel);
+      await onLast(channel);
+    },
+  };
+};
+
+/**
+ * Redis pub/sub bus. Needs two connections — a subscribed
+ * connection can't publish. Messages are JSON, which covers
+ * everything this app emits (no binary payloads).
+ */
+export const createRedisBus = (pub, sub) => {
+  const registry = createHandlerRegistry({
+    onFirst: (channel) => sub.subscribe(channel),
+    onLast: (channel) => sub.unsubscribe(channel),
+  });
+
+  sub.on("message", (channel, raw) => {
+    const set = registry.handlers.get(channel);
+    if (!set) return;
+
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    set.forEach((fn) => fn(message));
+  });
+
+  return {
+    publish: (channel, message) => pub.publish(channel, JSON.stringify(message)),
+    subscribe: (channel, fn) => registry.add(channel, fn),
+    unsubscribe: (channel, fn) =>
+      registry.remove(channel, fn).catch((err) => logBusError("unsubscribe error", err)),
+  };
+};
+
+/**
+ * In-process bus for running several nodes in one process.
+ * Messages go through JSON and are delivered asynchronously,
+ * like they would over Redis.
+ */
+export const createMemoryBus = () => {
+  const registry = createHandlerRegistry({ onFirst: () => {}, onLast: () => {} });
+
+  return {
+    publish: async (channel, message) => {
+      const raw = JSON.stringify(message);
+      setImmediate(() => {
+        registry.handlers.get(channel)?.forEach((fn) => fn(JSON.parse(raw)));
+      });
+    },
+    subscribe: (channel, fn) => registry.add(channel, fn),
+    unsubscribe: (channel, fn) => registry.remove(channel, fn),
+  };
+};
+
+/**
+ * Redis-backed adapter for the live server.
+ * @returns {Promise<Function|null>} null → stay single-node
+ *          (no REDIS_URL, or Redis unreachable at boot)
+ */
+export const createRedisSocketAdapter = async ({ timeoutMs = CONNECT_TIMEOUT_MS } = {}) => {
+  if (!process.env.REDIS_URL) {
+    console.log("⚠️ No REDIS_URL set — Socket.IO running single-node");
+    return null;
+  }
+
+  // Publisher fails fast while disconnected instead of queueing,
+  // so emits keep reaching local sockets during an outage
+  const pub = redisClient.duplicate({
+    lazyConnect: true,
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+  });
+  // Subscriber reconnects and re-subscribes on its own
+  const sub = redisClient.duplicate({ lazyConnect: true });
+
+  pub.on("error", (err) => logBusError("Redis publisher error", err));
+  sub.on("error", (err) => logBusError("Redis subscriber error", err));
+
+  let timer;
+  try {
+    await Promise.race([
+      Promise.all([pub.connect(), sub.connect()]),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("connect timeout")), timeoutMs);
+      }),
+    ]);
+  } catch (err) {
+    console.warn(`⚠️ Socket.IO Redis adapter unavailable (${err.message}) — running single-node`);
+    pub.disconnect();
+    sub.disconnect();
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  console.log("✅ Socket.IO Redis adapter connected");
+  return createBusAdapter(createRedisBus(pub, sub));
+};
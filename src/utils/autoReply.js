@@ -0,0 +1,102 @@
+// src/utils/autoReply.js
+import Message from "../models/Message.js";
+import Conversation from "../models/Conversation.js";
+import Provider from "../models/Provider.js";
+import ProviderAvailability from "../models/ProviderAvailability.js";
+import { isOnTimeOff, isWithinWeeklyHours } from "./availabilitySlots.js";
+import { loadReplyValues, renderReplyTemplate } from "./replyTemplates.js";
+import { getIO } from "../socket.js";
+
+/* -------------------------------------------------------
+   AUTO-RESPONDER FOR NEW LEADS
+   Settings: Provider.autoReply (PUT /api/messages/auto-reply/me)
+-------------------------------------------------------- */
+
+/**
+ * Why an auto-reply should go out right now, or null.
+ *   "away"        marked away, or on time off (when enabled)
+ *   "after_hours" outside weekly hours (when enabled)
+ */
+export const autoReplyReason = (autoReply, availability, now = new Date()) => {
+  if (autoReply?.away && (!autoReply.awayUntil || new Date(autoReply.awayUntil) > now)) {
+    return "away";
+  }
+  if (!autoReply?.enabled) return null;
+  if (isOnTimeOff(availability, now)) return "away";
+  if (isWithinWeeklyHours(availability, now) === false) return "after_hours";
+  return null;
+};
+
+/**
+ * Post the auto-reply into a customer-started conversation if
+ * the provider is away / after hours. Once per conversation,
+ * and never after the provider has replied themselves.
+ *
+ * Call after the conversation (and the customer's first
+ * message, if any) has been saved.
+ * @returns {Promise<Object|null>} the system message
+ */
+export const maybeSendAutoReply = async (convo, now = new Date()) => {
+  if (convo.autoReplySentAt) return null;
+
+  const [provider, availability] = await Promise.all([
+    Provider.findById(convo.providerId).select("businessName autoReply").lean(),
+    ProviderAvailability.findOne({ provider: convo.providerId })
+      .select("timezone weeklyHours timeOff")
+      .lean(),
+  ]);
+  if (!provider) return null;
+
+  const reason = autoReplyReason(provider.autoReply, availability, now);
+  if (!reason) return null;
+
+  if (await Message.exists({ conversationId: convo._id, senderRole: "provider" })) return null;
+
+  // Claim it — concurrent opens must not double-post
+  const claim = await Conversation.updateOne(
+    { _id: convo._id, autoReplySentAt: null },
+    { $set: { autoReplySentAt: now } }
+  );
+  if (!claim.modifiedCount) return null;
+  convo.autoReplySentAt = now;
+
+  const template =
+    reason === "away" ? provider.autoReply.awayMessage : provider.autoReply.afterHoursMessage;
+  const { text } = renderReplyTemplate(template, await loadReplyValues(convo, provider));
+  if (!text) return null;
+
+  const msg = await Message.create({
+    conversationId: convo._id,
+    providerId: convo.providerId,
+    customerId: convo.customerId,
+    senderId: convo.providerId,
+    senderRole: "system",
+    text,
+    deliveredAt: null,
+    readAt: null,
+  });
+
+  await Conversation.updateOne(
+    { _id: convo._id },
+    {
+      $set: {
+        lastMessageAt: msg.createdAt,
+        lastMessageText: text.slice(0, 200),
+        lastMessageType: "text",
+        lastMessageSenderRole: "system",
+        lastMessageSenderId: convo.providerId,
+        updatedAt: msg.createdAt,
+      },
+    }
+  );
+
+  try {
+    getIO()
+      .to([String(convo._id), String(convo.providerId), String(convo.customerId)])
+      .emit("newMessage", msg);
+  } catch (err) {
+    console.log("Socket auto-reply emit failed:", err.message);
+  }
+
+  return msg;
+};
@@ -0,0 +1,263 @@
+// src/utils/availabilitySlots.js
+//
+// Turns a provider's weekly hours (wall-clock, provider timezone)
+// into concrete UTC slots, minus time-off and existing bookings.
+// Pure functions — callers load the data.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export const MAX_SLOT_RANGE_DAYS = 31;
+
+export const isValidTimeZone = (tz) => {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Offset (ms) of `timeZone` from UTC at the given instant.
+ */
+const getTimeZoneOffsetMs = (date, timeZone) => {
+  const dtf = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+  const parts = {};
+  dtf.formatToParts(date).forEach((p) => {
+    parts[p.type] = p.value;
+  });
+
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Wall-clock time in `timeZone` → UTC Date.
+ * Second pass corrects for DST transitions between guess and result.
+ */
+export const zonedTimeToUtc = ({ year, month, day, minutes }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day) + minutes * MINUTE;
+  const offset = getTimeZoneOffsetMs(new Date(guess), timeZone);
+  let result = guess - offset;
+
+  const offsetAfter = getTimeZoneOffsetMs(new Date(result), timeZone);
+  if (offsetAfter !== offset) result = guess - offsetAfter;
+
+  return new Date(result);
+};
+
+/**
+ * "YYYY-MM-DD" for the instant as seen in `timeZone`.
+ */
+export const toLocalDateString = (date, timeZone) => {
+  const dtf = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  });
+  return dtf.format(date);
+};
+
+export const parseLocalDate = (value) => {
+  if (typeof value !== "string") return null;
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (!m) return null;
+  const year = Number(m[1]);
+  const month = Number(m[2]);
+  const day = Number(m[3]);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+  return { year, month, day };
+};
+
+const hhmmToMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+};
+
+const overlaps = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && aEnd > bStart;
+
+/**
+ * Duration/buffer for a listing, falling back to provider defaults.
+ */
+export const resolveSlotSettings = (availability, listing = {}) => ({
+  durationMinutes:
+    listing.durationMinutes || availability?.defaultDurationMinutes || 60,
+  bufferMinutes:
+    listing.bufferMinutes ?? availability?.defaultBufferMinutes ?? 0,
+});
+
+/**
+ * Compute open slots.
+ *
+ * @param {Object} params
+ * @param {Object} params.availability  ProviderAvailability (lean)
+ * @param {Object} params.listing       Listing (lean) — durationMinutes / bufferMinutes
+ * @param {Object} params.from          { year, month, day } first local date
+ * @param {Object} params.to            { year, month, day } last local date (inclusive)
+ * @param {Array}  params.busy          [{ scheduledStart, scheduledEnd }] existing bookings
+ * @param {Date}   [params.now]
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+export const computeOpenSlots = ({
+  availability,
+  listing,
+  from,
+  to,
+  busy = [],
+  now = new Date(),
+}) => {
+  if (!availability || availability.acceptingBookings === false) return [];
+
+  const timeZone = isValidTimeZone(availability.timezone)
+    ? availability.timezone
+    : "UTC";
+
+  const { durationMinutes, bufferMinutes } = resolveSlotSettings(
+    availability,
+    listing
+  );
+  const interval = availability.slotIntervalMinutes || 30;
+  const bufferMs = bufferMinutes * MINUTE;
+
+  const earliest = now.getTime() + (availability.minNoticeMinutes || 0) * MINUTE;
+  const latest = now.getTime() + (availability.maxAdvanceDays || 60) * DAY;
+
+  const blocked = [
+    ...(availability.timeOff || []).map((t) => ({
+      start: new Date(t.start).getTime(),
+      end: new Date(t.end).getTime(),
+      padded: false,
+    })),
+    ...busy.map((b) => ({
+      start: new Date(b.scheduledStart).getTime(),
+      end: new Date(b.scheduledEnd).getTime(),
+      padded: true,
+    })),
+  ];
+
+  const isBlocked = (start, end) =>
+    blocked.some((b) =>
+      b.padded
+        ? overlaps(start - bufferMs, end + bufferMs, b.start, b.end)
+        : overlaps(start, end, b.start, b.end)
+    );
+
+  const slots = [];
+  const firstDay = Date.UTC(from.year, from.month - 1, from.day);
+  const lastDay = Date.UTC(to.year, to.month - 1, to.day);
+
+  for (let dayMs = firstDay; dayMs <= lastDay; dayMs += DAY) {
+    const d = new Date(dayMs);
+    const local = {
+      year: d.getUTCFullYear(),
+      month: d.getUTCMonth() + 1,
+      day: d.getUTCDate(),
+    };
+    const dayOfWeek = d.getUTCDay();
+
+    const windows = (availability.weeklyHours || [])
+      .filter((w) => w.dayOfWeek === dayOfWeek)
+      .sort((a, b) => hhmmToMinutes(a.start) - hhmmToMinutes(b.start));
+
+    for (const w of windows) {
+      const windowStartMin = hhmmToMinutes(w.start);
+      const windowEndMin = hhmmToMinutes(w.end);
+
+      for (
+        let m = windowStartMin;
+        m + durationMinutes <= windowEndMin;
+        m += interval
+      ) {
+        const start = zonedTimeToUtc({ ...local, minutes: m }, timeZone).getTime();
+        const end = start + durationMinutes * MINUTE;
+
+        if (start < earliest || start > latest) continue;
+        if (isBlocked(start, end)) continue;
+
+        slots.push({ start: new Date(start), end: new Date(end) });
+      }
+    }
+  }
+
+  return slots;
+};
+
+/**
+ * True when [start, end) exactly matches an open slot.
+ */
+export const isSlotOpen = ({ availability, listing, start, end, busy, now }) => {
+  const timeZone = isValidTimeZone(availability?.timezone)
+    ? availability.timezone
+    : "UTC";
+  const day = parseLocalDate(toLocalDateString(start, timeZone));
+  if (!day) return false;
+
+  return computeOpenSlots({ availability, listing, from: day, to: day, busy, now }).some(
+    (s) => s.start.getTime() === start.getTime() && s.end.getTime() === end.getTime()
+  );
+};
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Is `now` inside the provider's weekly hours?
+ * @returns {boolean|null} null when no hours are set
+ */
+export const isWithinWeeklyHours = (availability, now = new Date()) => {
+  const windows = availability?.weeklyHours || [];
+  if (!windows.length) return null;
+
+  const timeZone = isValidTimeZone(availability.timezone) ? availability.timezone : "UTC";
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(now)
+    .forEach((p) => {
+      parts[p.type] = p.value;
+    });
+
+  const dayOfWeek = WEEKDAYS.indexOf(parts.weekday);
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+
+  return windows.some(
+    (w) =>
+      w.dayOfWeek === dayOfWeek &&
+      minutes >= hhmmToMinutes(w.start) &&
+      minutes < hhmmToMinutes(w.end)
+  );
+};
+
+/**
+ * Is `now` inside one of the provider's time-off entries?
+ */
+export const isOnTimeOff = (availability, now = new Date()) =>
+  (availability?.timeOff || []).some(
+    (t) => new Date(t.start) <= now && new Date(t.end) > now
+  );
@@ -0,0 +1,68 @@
+// src/utils/bookingStateMachine.js
+
+/* -------------------------------------------------------
+   BOOKING STATE MACHINE
+   Single source of truth for which status transitions are
+   legal and which side of the booking may perform them.
+-------------------------------------------------------- */
+export const BOOKING_STATUSES = [
+  "requested",
+  "confirmed",
+  "in_progress",
+  "completed",
+  "cancelled",
+  "no_show",
+];
+
+// Statuses that still occupy the provider's calendar
+export const ACTIVE_BOOKING_STATUSES = ["requested", "confirmed", "in_progress"];
+
+// Terminal statuses — nothing moves out of these
+export const FINAL_BOOKING_STATUSES = ["completed", "cancelled", "no_show"];
+
+/**
+ * from → to → actors allowed to perform the transition
+ */
+const TRANSITIONS = {
+  requested: {
+    confirmed: ["provider"],
+    cancelled: ["customer", "provider", "system"],
+  },
+  confirmed: {
+    in_progress: ["provider"],
+    cancelled: ["customer", "provider", "system"],
+    no_show: ["provider"],
+  },
+  in_progress: {
+    completed: ["provider"],
+  },
+  completed: {},
+  cancelled: {},
+  no_show: {},
+};
+
+export const canTransition = (from, to, actor) => {
+  const allowed = TRANSITIONS[from]?.[to];
+  if (!allowed) return false;
+  return actor ? allowed.includes(actor) : true;
+};
+
+export const getAllowedTransitions = (from, actor) =>
+  Object.entries(TRANSITIONS[from] || {})
+    .filter(([, actors]) => !actor || actors.includes(actor))
+    .map(([to]) => to);
+
+/**
+ * Throws a 409 error (statusCode attached) when the transition is illegal.
+ */
+export const assertTransition = (from, to, actor) => {
+  if (canTransition(from, to, actor)) return;
+
+  const err = new Error(
+    TRANSITIONS[from]?.[to]
+      ? `Only the ${TRANSITIONS[from][to].join(" or ")} can mark this booking ${to}.`
+      : `Cannot move booking from ${from} to ${to}.`
+  );
+  err.statusCode = TRANSITIONS[from]?.[to] ? 403 : 409;
+  throw err;
+};
@@ -30,6 +30,36 @@ export const CRON_JOBS = [
     schedule: "15 2 1 * *",
     description: "Generates monthly financial statements on the 1st at 2:15 AM UTC.",
   },
+  {
+    jobKey: "invoice_reminders",
+    jobName: "Invoice Reminders Cron",
+    schedule: "0 15 * * *",
+    description: "Marks invoices overdue, adds late fees and sends payment reminders at 3:00 PM UTC daily.",
+  },
+  {
+    jobKey: "recurring_invoices",
+    jobName: "Recurring Invoices Cron",
+    schedule: "30 * * * *",
+    description: "Issues invoices from recurring invoice templates at minute 30 of every hour.",
+  },
+  {
+    jobKey: "push_notifications",
+    jobName: "Push Notification Queue",
+    schedule: "* * * * *",
+    description: "Sends deferred and retried pushes and checks Expo receipts every minute.",
+  },
+  {
+    jobKey: "provider_metrics",
+    jobName: "Provider Metrics Rollup",
+    schedule: "30 5 * * *",
+    description: "Rolls up provider response time, reply rate, lead conversion and repeat customers at 5:30 AM UTC daily.",
+  },
+  {
+    jobKey: "rating_recompute",
+    jobName: "Rating Recompute",
+    schedule: "0 6 * * *",
+    description: "Rebuilds listing and provider rating aggregates from published reviews at 6 AM UTC daily.",
+  },
 ];
 
 /**
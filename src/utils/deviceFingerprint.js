@@ -3,7 +3,7 @@ import crypto from "crypto";
 import { DeviceFingerprint } from "../models/DeviceFingerprint.js";
 import { SuspiciousEvent } from "../models/SuspiciousEvent.js";
 
-const buildFingerprintFromRequest = (req) => {
+export const buildFingerprintFromRequest = (req) => {
   const userAgent = req.headers["user-agent"] || "";
   const acceptLanguage = req.headers["accept-language"] || "";
   const secChUa = req.headers["sec-ch-ua"] || "";
@@ -52,6 +52,7 @@ export const buildMonthlyPeriod = (year, month) => {
 export const computeStatementFromLedgerEntries = (ledgerEntries = []) => {
   const totals = {
     grossVolume: 0,
+    offlineVolume: 0,
     refundsTotal: 0,
     disputesTotal: 0,
     feesTotal: 0,
@@ -69,6 +70,12 @@ export const computeStatementFromLedgerEntries = (ledgerEntries = []) => {
   for (const entry of ledgerEntries) {
     const amt = Number(entry.amount || 0);
 
+    // Off-platform money (cash/check) is revenue, but never hits the balance
+    if (entry.type === "offline_payment") {
+      totals.offlineVolume += amt;
+      continue;
+    }
+
     // Total balance impact (credits positive, debits negative)
     // If your model uses "direction" / "isCredit" etc, adjust here.
     if (entry.direction === "credit") {
@@ -225,6 +232,7 @@ export const financialStatementToCsv = (statementDoc) => {
   // Totals
   lines.push("Section,Metric,Amount (in cents)");
   lines.push(`Totals,Gross Volume,${s.totals.grossVolume}`);
+  lines.push(`Totals,Offline Payments,${s.totals.offlineVolume || 0}`);
   lines.push(`Totals,Refunds Total,${s.totals.refundsTotal}`);
   lines.push(`Totals,Disputes Total,${s.totals.disputesTotal}`);
   lines.push(`Totals,Fees Total,${s.totals.feesTotal}`);
@@ -0,0 +1,239 @@
+// src/utils/invoiceNumbering.js
+import mongoose from "mongoose";
+import Invoice from "../models/Invoice.js";
+import InvoiceCounter from "../models/InvoiceCounter.js";
+import Provider from "../models/Provider.js";
+
+/* -------------------------------------------------------
+   SEQUENTIAL INVOICE NUMBERS (per provider)
+
+   The counter is bumped inside the same transaction that
+   writes the number, and only once the invoice has left
+   DRAFT, so a failed create or a lost race never burns a
+   number. The unique (provider, invoiceNumber) index is
+   the final guard.
+-------------------------------------------------------- */
+const MAX_ATTEMPTS = 5;
+
+export const DEFAULT_NUMBERING = {
+  prefix: "INV",
+  format: "{PREFIX}-{SEQ}",
+  padding: 4,
+  resetYearly: false,
+};
+
+const settingsOf = (numbering) => ({ ...DEFAULT_NUMBERING, ...(numbering || {}) });
+
+// With no prefix, "{PREFIX}-{SEQ}" should read "0042", not "-0042"
+const effectiveFormat = (s) =>
+  s.prefix ? s.format : s.format.replace(/\{PREFIX\}/g, "").replace(/^[-_/.]+/, "");
+
+export const numberingPeriod = (numbering, date = new Date()) =>
+  settingsOf(numbering).resetYearly ? new Date(date).getUTCFullYear() : 0;
+
+export const formatInvoiceNumber = (numbering, seq, date = new Date()) => {
+  const s = settingsOf(numbering);
+  const year = String(new Date(date).getUTCFullYear());
+
+  return effectiveFormat(s)
+    .replace(/\{PREFIX\}/g, s.prefix)
+    .replace(/\{YYYY\}/g, year)
+    .replace(/\{YY\}/g, year.slice(-2))
+    .replace(/\{SEQ\}/g, String(seq).padStart(s.padding, "0"));
+};
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Read { seq, year } back out of a number in the provider's
+ * current format, or null if it doesn't match (legacy text).
+ */
+export const parseInvoiceNumber = (numbering, value) => {
+  if (!value) return null;
+  const s = settingsOf(numbering);
+
+  const groups = [];
+  const pattern = effectiveFormat(s)
+    .split(/(\{PREFIX\}|\{YYYY\}|\{YY\}|\{SEQ\})/)
+    .map((part) => {
+      if (part === "{PREFIX}") return escapeRegex(s.prefix);
+      if (part === "{YYYY}") return groups.push("year") && "(\\d{4})";
+      if (part === "{YY}") return groups.push("yy") && "(\\d{2})";
+      if (part === "{SEQ}") return groups.push("seq") && "(\\d+)";
+      return escapeRegex(part);
+    })
+    .join("");
+
+  const match = new RegExp(`^${pattern}$`).exec(String(value).trim());
+  if (!match) return null;
+
+  const out = { seq: null, year: null };
+  groups.forEach((name, i) => {
+    const n = parseInt(match[i + 1], 10);
+    if (name === "seq") out.seq = n;
+    if (name === "year") out.year = n;
+    if (name === "yy" && out.year === null) out.year = 2000 + n;
+  });
+  return out.seq ? out : null;
+};
+
+/**
+ * Atomically take the next number in a period. Pass a
+ * session to draw inside a transaction (the counter must
+ * exist — see ensureInvoiceCounter).
+ */
+export const nextInvoiceSequence = async (providerId, period, session = null) => {
+  if (session) {
+    const counter = await InvoiceCounter.findOneAndUpdate(
+      { provider: providerId, period },
+      { $inc: { seq: 1 } },
+      { new: true, session }
+    );
+    return counter?.seq ?? null;
+  }
+
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      const counter = await InvoiceCounter.findOneAndUpdate(
+        { provider: providerId, period },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+      );
+      return counter.seq;
+    } catch (err) {
+      // Two first-ever upserts raced; the loser just retries the $inc
+      if (err?.code !== 11000 || attempt > 0) throw err;
+    }
+  }
+  return null;
+};
+
+/**
+ * Create the period's counter if missing (outside any
+ * transaction — a duplicate-key race would abort it).
+ */
+const ensureInvoiceCounter = async (providerId, period) => {
+  try {
+    await InvoiceCounter.updateOne(
+      { provider: providerId, period },
+      { $setOnInsert: { seq: 0 } },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+  }
+};
+
+/**
+ * Never move a counter backwards — used by the backfill so new
+ * numbers start after the highest one already issued.
+ */
+export const seedInvoiceCounter = (providerId, period, seq) =>
+  InvoiceCounter.updateOne(
+    { provider: providerId, period },
+    { $max: { seq } },
+    { upsert: true }
+  );
+
+/**
+ * Preview of the number the next issued invoice will get.
+ */
+export const peekNextInvoiceNumber = async (providerId, numbering, date = new Date()) => {
+  const period = numberingPeriod(numbering, date);
+  const counter = await InvoiceCounter.findOne({ provider: providerId, period }).lean();
+  return formatInvoiceNumber(numbering, (counter?.seq || 0) + 1, date);
+};
+
+/**
+ * Give an invoice its sequential number if it is issued (not
+ * DRAFT) and doesn't have one yet. Safe to call repeatedly;
+ * legacy free-text numbers are left as they are.
+ *
+ * Pass an unsaved Invoice document to insert it together with
+ * its number (DRAFTs are just inserted).
+ *
+ * The number is drawn and written in one transaction: if
+ * anything fails — or another request numbered the invoice
+ * first — the counter rolls back, so no number goes missing.
+ * A legacy number can occupy a value the counter reaches;
+ * it's already in the books, so the next one is taken.
+ *
+ * @returns {Promise<string|null>} the invoice's number
+ */
+export const assignInvoiceNumber = async (invoice, { date = new Date() } = {}) => {
+  if (!invoice) return null;
+
+  const numbered = Boolean(invoice.sequenceNumber || invoice.invoiceNumber);
+  if (invoice.status === "DRAFT" || numbered) {
+    if (invoice.isNew) await invoice.save();
+    return invoice.invoiceNumber || null;
+  }
+
+  const provider = await Provider.findById(invoice.provider).select("invoiceNumbering").lean();
+  const numbering = provider?.invoiceNumbering;
+  const period = numberingPeriod(numbering, date);
+
+  await ensureInvoiceCounter(invoice.provider, period);
+
+  const inserting = Boolean(invoice.isNew);
+  const session = await mongoose.startSession();
+  try {
+    let assigned = null;
+
+    // withTransaction may run this more than once
+    await session.withTransaction(async () => {
+      assigned = null;
+
+      if (!inserting) {
+        const current = await Invoice.findById(invoice._id)
+          .select("invoiceNumber sequenceNumber sequencePeriod")
+          .session(session)
+          .lean();
+        if (current?.sequenceNumber || current?.invoiceNumber) {
+          // Numbered concurrently by another request
+          assigned = current;
+          return;
+        }
+      }
+
+      let seq = null;
+      let invoiceNumber = null;
+      for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+        seq = await nextInvoiceSequence(invoice.provider, period, session);
+        invoiceNumber = formatInvoiceNumber(numbering, seq, date);
+
+        const taken = await Invoice.exists({ provider: invoice.provider, invoiceNumber }).session(session);
+        if (!taken) break;
+        console.warn(`⚠️ Invoice number ${invoiceNumber} already taken, skipping.`);
+        invoiceNumber = null;
+      }
+      if (!invoiceNumber) throw new Error("Could not assign a unique invoice number.");
+
+      const fields = { invoiceNumber, sequenceNumber: seq, sequencePeriod: period };
+
+      if (inserting) {
+        invoice.set(fields);
+        invoice.isNew = true;
+        await invoice.save({ session });
+      } else {
+        const res = await Invoice.updateOne(
+          { _id: invoice._id, sequenceNumber: null, invoiceNumber: { $in: [null, ""] } },
+          { $set: fields },
+          { session }
+        );
+        if (!res.matchedCount) throw new Error("Invoice was numbered concurrently.");
+      }
+
+      assigned = fields;
+    });
+
+    Object.assign(invoice, {
+      invoiceNumber: assigned?.invoiceNumber ?? invoice.invoiceNumber,
+      sequenceNumber: assigned?.sequenceNumber ?? invoice.sequenceNumber,
+      sequencePeriod: assigned?.sequencePeriod ?? invoice.sequencePeriod,
+    });
+    return invoice.invoiceNumber || null;
+  } finally {
+    await session.endSession();
+  }
+};
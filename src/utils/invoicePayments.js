@@ -0,0 +1,320 @@
+// src/utils/invoicePayments.js
+import Invoice from "../models/Invoice.js";
+import { notifyProvider } from "../services/notifications/notificationService.js";
+import { emitMessageCardUpdate } from "./messageContent.js";
+
+/* -------------------------------------------------------
+   INVOICE PAYMENTS + INSTALLMENTS
+   Invoice amounts are dollars (2dp), unlike the ledger
+   which stores cents.
+-------------------------------------------------------- */
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sendErrorLike = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+export const INVOICE_PAYMENT_METHODS = [
+  "card_on_file",
+  "terminal",
+  "cash",
+  "check",
+  "zelle",
+  "other",
+];
+
+// Installments with no due date ("on completion") sort last
+const byDueDate = (a, b) => {
+  if (!a.dueDate && !b.dueDate) return 0;
+  if (!a.dueDate) return 1;
+  if (!b.dueDate) return -1;
+  return new Date(a.dueDate) - new Date(b.dueDate);
+};
+
+/**
+ * Build an installment schedule for an invoice total.
+ * Each row gives either `percent` or `amount`; the last row
+ * absorbs rounding so the schedule always sums to the total.
+ */
+export const buildInstallmentSchedule = (total, rows) => {
+  const invoiceTotal = round2(total);
+
+  if (!Array.isArray(rows) || rows.length === 0) return [];
+  if (rows.length > 24) throw sendErrorLike("At most 24 installments allowed.");
+  if (invoiceTotal <= 0) {
+    throw sendErrorLike("Invoice total must be positive to schedule installments.");
+  }
+
+  const schedule = rows.map((row, i) => {
+    const percent =
+      row?.percent !== undefined && row?.percent !== null ? Number(row.percent) : null;
+    const amount =
+      percent !== null ? round2((invoiceTotal * percent) / 100) : round2(row?.amount);
+
+    if (percent !== null && !(percent > 0 && percent <= 100)) {
+      throw sendErrorLike(`Installment ${i + 1}: percent must be between 0 and 100.`);
+    }
+    if (!(amount > 0)) {
+      throw sendErrorLike(`Installment ${i + 1}: amount must be positive.`);
+    }
+
+    let dueDate = null;
+    if (row?.dueDate) {
+      dueDate = new Date(row.dueDate);
+      if (Number.isNaN(dueDate.getTime())) {
+        throw sendErrorLike(`Installment ${i + 1}: invalid dueDate.`);
+      }
+    }
+
+    return {
+      label: String(row?.label || `Payment ${i + 1}`).trim().slice(0, 120),
+      percent,
+      amount,
+      dueDate,
+    };
+  });
+
+  const sum = round2(schedule.reduce((s, r) => s + r.amount, 0));
+  const diff = round2(invoiceTotal - sum);
+
+  if (Math.abs(diff) > 0.01 * schedule.length) {
+    throw sendErrorLike(
+      `Installments add up to ${sum.toFixed(2)} but the invoice total is ${invoiceTotal.toFixed(2)}.`
+    );
+  }
+
+  schedule[schedule.length - 1].amount = round2(schedule[schedule.length - 1].amount + diff);
+  return schedule;
+};
+
+/**
+ * Rescale an existing schedule after the invoice total changed,
+ * keeping each row's share of the total.
+ */
+export const rescaleInstallments = (invoice, previousTotal) => {
+  if (!invoice.installments?.length) return;
+
+  const oldTotal = round2(previousTotal);
+  const rows = invoice.installments.map((inst) => ({
+    label: inst.label,
+    dueDate: inst.dueDate,
+    percent:
+      inst.percent ?? (oldTotal > 0 ? (Number(inst.amount) / oldTotal) * 100 : null),
+  }));
+
+  const schedule = buildInstallmentSchedule(invoice.total, rows);
+  invoice.installments.forEach((inst, i) => {
+    inst.amount = schedule[i].amount;
+  });
+};
+
+/**
+ * Waterfall the invoice's paid amount across installments in
+ * due-date order. Stateless, so it stays right after edits
+ * and refunds.
+ */
+export const allocateInstallments = (invoice, now = new Date()) => {
+  if (!invoice.installments?.length) return;
+
+  let remaining = round2(invoice.paid);
+
+  [...invoice.installments].sort(byDueDate).forEach((inst) => {
+    const applied = round2(Math.min(Number(inst.amount || 0), Math.max(0, remaining)));
+    remaining = round2(remaining - applied);
+
+    inst.paidAmount = applied;
+    if (applied >= round2(inst.amount)) {
+      if (inst.status !== "paid") inst.paidAt = now;
+      inst.status = "paid";
+    } else {
+      inst.status = applied > 0 ? "partial" : "pending";
+      inst.paidAt = null;
+    }
+  });
+};
+
+/**
+ * Next installment still owed, if the invoice has a schedule.
+ */
+export const getNextInstallment = (invoice) =>
+  [...(invoice.installments || [])]
+    .sort(byDueDate)
+    .find((inst) => inst.status !== "paid") || null;
+
+/**
+ * Invoice.dueDate is stored as a string (usually YYYY-MM-DD,
+ * read as UTC midnight). Returns null when missing or unparseable.
+ */
+export const parseInvoiceDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+  const str = String(value).trim();
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(str) ? new Date(`${str}T00:00:00Z`) : new Date(str);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+/**
+ * The date the customer is currently being chased for: the next
+ * unpaid installment when there is a schedule, otherwise the
+ * invoice due date. "On completion" installments have none.
+ */
+export const getInvoiceDueDate = (invoice) => {
+  if (invoice.installments?.length) {
+    return getNextInstallment(invoice)?.dueDate || null;
+  }
+  return parseInvoiceDate(invoice.dueDate);
+};
+
+/**
+ * Whole UTC days from the due date to `now` — negative before
+ * it, 0 on the day, positive once late.
+ */
+export const daysPastDue = (dueDate, now = new Date()) => {
+  const startOfDay = (d) => Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  return Math.round((startOfDay(now) - startOfDay(new Date(dueDate))) / DAY_MS);
+};
+
+export const isInvoicePastDue = (invoice, now = new Date()) => {
+  if (!(Number(invoice.balance || 0) > 0)) return false;
+  const due = getInvoiceDueDate(invoice);
+  return !!due && daysPastDue(due, now) >= 1;
+};
+
+/**
+ * Recompute balance, status and installment allocation from
+ * `total` and `paid`. An unpaid balance past its due date
+ * (see getInvoiceDueDate) is OVERDUE.
+ */
+export const refreshInvoicePaymentState = (invoice, now = new Date()) => {
+  invoice.balance = Math.max(0, round2(Number(invoice.total || 0) - Number(invoice.paid || 0)));
+
+  allocateInstallments(invoice, now);
+
+  if (!["VOID", "DRAFT"].includes(invoice.status)) {
+    if (invoice.balance <= 0) invoice.status = "PAID";
+    else if (isInvoicePastDue(invoice, now)) invoice.status = "OVERDUE";
+    else if (Number(invoice.paid || 0) > 0) invoice.status = "PARTIAL";
+    else invoice.status = "DUE";
+  }
+
+  return invoice;
+};
+
+/**
+ * Apply one payment to an invoice.
+ *
+ * The $inc on paid/balance is atomic and guarded on the
+ * remaining balance, so concurrent payments can't overpay.
+ * Money that was already collected (e.g. a captured terminal
+ * charge) passes allowOverpay so it is always recorded.
+ *
+ * @returns {{ invoice, payment }}
+ */
+export const applyInvoicePayment = async ({
+  invoiceId,
+  amount,
+  method,
+  reference = "",
+  receivedAt = new Date(),
+  photoUrl = null,
+  stripePaymentIntentId = null,
+  terminalPayment = null,
+  note = "",
+  recordedBy = "provider",
+  allowOverpay = false,
+}) => {
+  const amt = round2(amount);
+  if (!(amt > 0)) throw sendErrorLike("Payment amount must be positive.");
+  if (!INVOICE_PAYMENT_METHODS.includes(method)) {
+    throw sendErrorLike("Invalid payment method.");
+  }
+
+  const filter = { _id: invoiceId, status: { $nin: ["VOID", "DRAFT"] } };
+  if (!allowOverpay) filter.balance = { $gte: round2(amt - 0.005) };
+
+  const invoice = await Invoice.findOneAndUpdate(
+    filter,
+    {
+      $push: {
+        payments: {
+          amount: amt,
+          method,
+          reference: String(reference || "").slice(0, 120),
+          receivedAt,
+          photoUrl,
+          stripePaymentIntentId,
+          terminalPayment,
+          note: String(note || "").slice(0, 500),
+          recordedBy,
+        },
+      },
+      $inc: { paid: amt, balance: -amt },
+    },
+    { new: true }
+  );
+
+  if (!invoice) {
+    const existing = await Invoice.findById(invoiceId).select("status balance").lean();
+    if (!existing) throw sendErrorLike("Invoice not found", 404);
+    if (["VOID", "DRAFT"].includes(existing.status)) {
+      throw sendErrorLike(`Cannot take payments on a ${existing.status} invoice.`, 409);
+    }
+    throw sendErrorLike(
+      `Payment exceeds the remaining balance (${round2(existing.balance).toFixed(2)}).`,
+      409
+    );
+  }
+
+  // Guarded on `paid` — if another payment landed meanwhile,
+  // its own refresh (which saw the later total) wins.
+  refreshInvoicePaymentState(invoice);
+  await Invoice.updateOne(
+    { _id: invoice._id, paid: invoice.paid },
+    {
+      $set: {
+        balance: invoice.balance,
+        status: invoice.status,
+        installments: invoice.installments,
+      },
+    }
+  );
+
+  try {
+    const label = invoice.invoiceNumber ? `#${invoice.invoiceNumber}` : String(invoice._id).slice(-6);
+    const fullyPaid = invoice.status === "PAID";
+
+    await notifyProvider(invoice.provider, {
+      category: "payments",
+      type: fullyPaid ? "invoice_paid" : "invoice_payment",
+      title: fullyPaid ? `Invoice ${label} paid` : `Payment on invoice ${label}`,
+      body:
+        `${invoice.customerSnapshot?.name || "Customer"} paid $${amt.toFixed(2)}` +
+        (fullyPaid ? "" : ` — $${round2(invoice.balance).toFixed(2)} remaining`),
+      data: { invoiceId: String(invoice._id) },
+      // No push for payments the provider just entered themselves
+      push: recordedBy !== "provider",
+    });
+  } catch (err) {
+    console.warn("⚠️ Invoice payment notification skipped:", err.message);
+  }
+  await emitMessageCardUpdate("invoice", invoice._id);
+
+  return { invoice, payment: invoice.payments[invoice.payments.length - 1] };
+};
+
+/**
+ * Point a recorded payment at its ledger entry once the
+ * ledger write succeeds.
+ */
+export const linkInvoicePaymentLedgerEntry = async (invoiceId, paymentId, ledgerEntryId) => {
+  if (!ledgerEntryId) return;
+  await Invoice.updateOne(
+    { _id: invoiceId, "payments._id": paymentId },
+    { $set: { "payments.$.ledgerEntry": ledgerEntryId } }
+  );
+};
@@ -0,0 +1,288 @@
+// src/utils/invoicePdf.js
+import { createPdf, readJpegInfo } from "./simplePdf.js";
+
+/* -------------------------------------------------------
+   INVOICE PDF LAYOUT (US Letter)
+-------------------------------------------------------- */
+const MARGIN = 48;
+const PAGE_BOTTOM = 792 - 72;
+const GRAY = [0.42, 0.45, 0.5];
+const BRAND = [0.1, 0.36, 0.85];
+
+const COL = {
+  desc: MARGIN + 8,
+  qty: 380,
+  rate: 470,
+  amount: 612 - MARGIN - 8,
+};
+
+const formatMoney = (value, currency = "USD") => {
+  const n = Number(value || 0);
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(n);
+  } catch {
+    return `$${n.toFixed(2)}`;
+  }
+};
+
+const STATUS_LABELS = {
+  DUE: "Due",
+  PAID: "Paid",
+  PARTIAL: "Partially paid",
+  OVERDUE: "Overdue",
+  VOID: "Void",
+  DRAFT: "Draft",
+};
+
+/* -------------------------------------------------------
+   LOGO — fetched as JPEG from Cloudinary (where uploads
+   land), which transcodes and shrinks it on the fly. Other
+   hosts are skipped: the URL is provider-controlled and
+   the public PDF link is unauthenticated.
+-------------------------------------------------------- */
+const LOGO_HOST = "res.cloudinary.com";
+const MAX_LOGO_BYTES = 1024 * 1024;
+
+const toJpegUrl = (url) =>
+  /\/upload\//.test(url.pathname)
+    ? `${url.origin}${url.pathname.replace("/upload/", "/upload/f_jpg,w_240,c_limit/")}`
+    : null;
+
+// Stops reading (and cancels the download) past `limit` bytes
+const readCapped = async (res, limit) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > limit) {
+      await res.body.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks.map((c) => Buffer.from(c)));
+};
+
+export const fetchLogoJpeg = async (logoUrl, timeoutMs = 5000) => {
+  let url;
+  try {
+    url = new URL(logoUrl);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "https:" || url.hostname !== LOGO_HOST) return null;
+
+  const jpegUrl = toJpegUrl(url);
+  if (!jpegUrl) return null;
+
+  try {
+    const res = await fetch(jpegUrl, {
+      redirect: "error",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok || !res.body) return null;
+    if (Number(res.headers.get("content-length") || 0) > MAX_LOGO_BYTES) {
+      await res.body.cancel().catch(() => {});
+      return null;
+    }
+
+    const buffer = await readCapped(res, MAX_LOGO_BYTES);
+    return buffer ? readJpegInfo(buffer) : null;
+  } catch (err) {
+    console.warn("⚠️ Invoice logo fetch skipped:", err.message);
+    return null;
+  }
+};
+
+/**
+ * Render an invoice to a PDF Buffer.
+ *
+ * @param {object} params
+ * @param {object} params.invoice  Invoice document (lean or hydrated)
+ * @param {object} params.provider Provider (businessName, contact, address)
+ * @param {object|null} params.logo  Result of fetchLogoJpeg()
+ * @param {string|null} params.payUrl Hosted invoice link printed on the PDF
+ */
+export const renderInvoicePdf = ({ invoice, provider = {}, logo = null, payUrl = null }) => {
+  const doc = createPdf();
+  const currency = invoice.currency || "USD";
+  const money = (v) => formatMoney(v, currency);
+  const right = 612 - MARGIN;
+
+  /* ---------------------------------------------------
+     HEADER — logo + business on the left, title right
+  ---------------------------------------------------- */
+  let y = MARGIN;
+  let textX = MARGIN;
+
+  if (logo) {
+    const scale = Math.min(56 / logo.width, 56 / logo.height);
+    const w = logo.width * scale;
+    const h = logo.height * scale;
+    doc.image(logo, MARGIN, y, w, h);
+    textX = MARGIN + w + 12;
+  }
+
+  doc.text(provider.businessName || "", textX, y + 16, { size: 16, bold: true });
+
+  const providerLines = [
+    provider.address,
+    [provider.city, provider.state, provider.zip].filter(Boolean).join(", "),
+    provider.phone,
+    provider.email,
+  ].filter(Boolean);
+
+  providerLines.forEach((l, i) => {
+    doc.text(l, textX, y + 32 + i * 12, { size: 9, color: GRAY });
+  });
+
+  doc.text("INVOICE", right, y + 18, { size: 22, bold: true, align: "right" });
+
+  const meta = [
+    ["Invoice #", invoice.invoiceNumber || String(invoice._id).slice(-8).toUpperCase()],
+    ["Issued", invoice.issueDate || ""],
+    ["Due", invoice.dueDate || ""],
+    ["Status", STATUS_LABELS[invoice.status] || invoice.status || ""],
+  ].filter(([, v]) => v);
+
+  meta.forEach(([label, value], i) => {
+    const rowY = y + 38 + i * 13;
+    doc.text(label, right - 110, rowY, { size: 9, color: GRAY });
+    doc.text(value, right, rowY, { size: 9, bold: true, align: "right" });
+  });
+
+  y = Math.max(y + 32 + providerLines.length * 12, y + 38 + meta.length * 13) + 24;
+
+  /* ---------------------------------------------------
+     BILL TO
+  ---------------------------------------------------- */
+  const snap = invoice.customerSnapshot || {};
+  doc.text("BILL TO", MARGIN, y, { size: 8, bold: true, color: GRAY });
+  y += 14;
+
+  [snap.name, snap.company, snap.address, snap.email, snap.phone]
+    .filter(Boolean)
+    .forEach((l, i) => {
+      doc.text(l, MARGIN, y, { size: i === 0 ? 11 : 9, bold: i === 0 });
+      y += i === 0 ? 14 : 12;
+    });
+
+  y += 16;
+
+  /* ---------------------------------------------------
+     LINE ITEMS
+  ---------------------------------------------------- */
+  const drawTableHeader = () => {
+    doc.rect(MARGIN, y, 612 - MARGIN * 2, 20);
+    doc.text("DESCRIPTION", COL.desc, y + 13, { size: 8, bold: true, color: GRAY });
+    doc.text("QTY", COL.qty, y + 13, { size: 8, bold: true, color: GRAY, align: "right" });
+    doc.text("RATE", COL.rate, y + 13, { size: 8, bold: true, color: GRAY, align: "right" });
+    doc.text("AMOUNT", COL.amount, y + 13, {
+      size: 8,
+      bold: true,
+      color: GRAY,
+      align: "right",
+    });
+    y += 28;
+  };
+
+  const ensureRoom = (needed, withHeader = false) => {
+    if (y + needed <= PAGE_BOTTOM) return;
+    doc.addPage();
+    y = MARGIN;
+    if (withHeader) drawTableHeader();
+  };
+
+  drawTableHeader();
+
+  const descWidth = COL.qty - COL.desc - 50;
+
+  (invoice.items || []).forEach((item) => {
+    const titleLines = doc.wrapText(item.title || "Item", descWidth, 10, true);
+    const descLines = item.description
+      ? doc.wrapText(item.description, descWidth, 8.5)
+      : [];
+    const rowHeight = titleLines.length * 13 + descLines.length * 11 + 8;
+
+    ensureRoom(rowHeight, true);
+
+    doc.text(String(item.qty ?? 1), COL.qty, y, { size: 10, align: "right" });
+    doc.text(money(item.rate), COL.rate, y, { size: 10, align: "right" });
+    doc.text(money(item.amount), COL.amount, y, { size: 10, align: "right" });
+
+    titleLines.forEach((l) => {
+      doc.text(l, COL.desc, y, { size: 10, bold: true });
+      y += 13;
+    });
+    descLines.forEach((l) => {
+      doc.text(l, COL.desc, y - 2, { size: 8.5, color: GRAY });
+      y += 11;
+    });
+
+    y += 4;
+    doc.line(MARGIN, y - 6, right, y - 6);
+    y += 4;
+  });
+
+  /* ---------------------------------------------------
+     TOTALS
+  ---------------------------------------------------- */
+  const totals = [
+    ["Subtotal", money(invoice.subtotal)],
+    [invoice.taxPct ? `Tax (${invoice.taxPct}%)` : "Tax", money(invoice.tax)],
+    ["Total", money(invoice.total)],
+    ["Paid", money(invoice.paid)],
+  ];
+
+  ensureRoom(totals.length * 16 + 40);
+  y += 6;
+
+  totals.forEach(([label, value]) => {
+    doc.text(label, COL.rate - 60, y, { size: 10, color: GRAY });
+    doc.text(value, COL.amount, y, { size: 10, align: "right" });
+    y += 16;
+  });
+
+  doc.line(COL.rate - 60, y - 8, right, y - 8, { color: [0.2, 0.2, 0.2] });
+  y += 6;
+  doc.text("Balance due", COL.rate - 60, y, { size: 12, bold: true });
+  doc.text(money(invoice.balance), COL.amount, y, { size: 12, bold: true, align: "right" });
+  y += 30;
+
+  /* ---------------------------------------------------
+     PAY LINK
+  ---------------------------------------------------- */
+  if (payUrl) {
+    ensureRoom(40);
+    const label =
+      Number(invoice.balance || 0) > 0 ? "View and pay this invoice online:" : "View online:";
+    doc.text(label, MARGIN, y, { size: 10, bold: true });
+    y += 14;
+    doc.text(payUrl, MARGIN, y, { size: 9, color: BRAND });
+    doc.link(payUrl, MARGIN, y - 10, doc.measureText(payUrl, 9), 13);
+    y += 24;
+  }
+
+  /* ---------------------------------------------------
+     NOTES
+  ---------------------------------------------------- */
+  if (invoice.notes) {
+    const noteLines = doc.wrapText(invoice.notes, 612 - MARGIN * 2, 9);
+    ensureRoom(20);
+    doc.text("NOTES", MARGIN, y, { size: 8, bold: true, color: GRAY });
+    y += 14;
+    noteLines.forEach((l) => {
+      ensureRoom(12);
+      doc.text(l, MARGIN, y, { size: 9 });
+      y += 12;
+    });
+  }
+
+  doc.text("Powered by Helpio Pay", 306, 792 - 32, {
+    size: 8,
+    color: GRAY,
+    align: "center",
+  });
+
+  return doc.toBuffer();
+};
@@ -0,0 +1,94 @@
+// src/utils/invoiceReminders.js
+import twilioClient from "./twilio.js";
+import { daysPastDue } from "./invoicePayments.js";
+
+/* -------------------------------------------------------
+   INVOICE REMINDERS (dunning) — pure helpers + SMS.
+   Driven by cron/invoiceReminderCron.js using the
+   provider's `invoiceReminders` policy.
+-------------------------------------------------------- */
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const isoDay = (d) => new Date(d).toISOString().slice(0, 10);
+
+/**
+ * Latest schedule step that has come due for this due date.
+ * Steps scheduled before the invoice existed are skipped, so a
+ * new invoice doesn't get a "due in 3 days" text on day one.
+ *
+ * @returns {{ offsetDays: number, key: string } | null}
+ */
+export const pickReminderStep = ({ scheduleDays = [], dueDate, createdAt, now = new Date() }) => {
+  if (!dueDate) return null;
+
+  const today = daysPastDue(dueDate, now);
+  const createdDay = createdAt ? daysPastDue(dueDate, createdAt) : -Infinity;
+
+  const eligible = [...new Set(scheduleDays)]
+    .filter((offset) => offset <= today && offset >= createdDay)
+    .sort((a, b) => b - a);
+
+  if (!eligible.length) return null;
+
+  const offsetDays = eligible[0];
+  return { offsetDays, key: `${isoDay(dueDate)}:${offsetDays}` };
+};
+
+/** "due in 3 days", "due today", "5 days overdue" */
+export const describeDue = (daysLate) => {
+  if (daysLate < -1) return `due in ${-daysLate} days`;
+  if (daysLate === -1) return "due tomorrow";
+  if (daysLate === 0) return "due today";
+  return daysLate === 1 ? "1 day overdue" : `${daysLate} days overdue`;
+};
+
+export const buildReminderSms = ({ businessName, invoice, daysLate, payUrl }) => {
+  const label = invoice.invoiceNumber ? `invoice #${invoice.invoiceNumber}` : "your invoice";
+  const amount = `$${Number(invoice.balance || 0).toFixed(2)}`;
+
+  return (
+    `${businessName || "Helpio"}: Reminder — ${label} for ${amount} is ${describeDue(daysLate)}.` +
+    (payUrl ? ` View and pay: ${payUrl}` : "")
+  );
+};
+
+/**
+ * Late fee in dollars for an open balance, or 0 when the
+ * policy has none.
+ */
+export const computeLateFee = (policy = {}, balance = 0) => {
+  const value = Number(policy.lateFeeValue || 0);
+  if (!(value > 0)) return 0;
+
+  if (policy.lateFeeType === "fixed") return round2(value);
+  if (policy.lateFeeType === "percent") return round2((Number(balance || 0) * Math.min(value, 100)) / 100);
+  return 0;
+};
+
+export const lateFeeDue = (policy = {}, daysLate = 0) =>
+  policy.lateFeeType && policy.lateFeeType !== "none" && daysLate >= (policy.lateFeeAfterDays || 1);
+
+/**
+ * US-centric E.164 normalization, same rules as phone login.
+ */
+export const toE164 = (phone) => {
+  if (!phone) return null;
+  const raw = String(phone).trim();
+  const digits = raw.replace(/\D/g, "");
+  if (digits.length < 10) return null;
+
+  if (raw.startsWith("+")) return `+${digits}`;
+  return digits.length === 11 && digits.startsWith("1") ? `+${digits}` : `+1${digits}`;
+};
+
+export const sendInvoiceSms = async ({ to, body }) => {
+  if (!process.env.TWILIO_PHONE_NUMBER) {
+    throw new Error("TWILIO_PHONE_NUMBER is not configured");
+  }
+
+  return twilioClient.messages.create({
+    body,
+    from: process.env.TWILIO_PHONE_NUMBER,
+    to,
+  });
+};
@@ -159,6 +159,7 @@ export const recordChargeLedger = async ({
   invoiceId = null,
   subscriptionId = null,
   subscriptionChargeId = null,
+  bookingId = null,
   externalPaymentId = null,
   stripeChargeId = null,
   stripeBalanceTransactionId = null,
@@ -206,6 +207,7 @@ export const recordChargeLedger = async ({
     subscriptionCharge: subscriptionChargeId
       ? new Types.ObjectId(subscriptionChargeId)
       : undefined,
+    booking: bookingId ? new Types.ObjectId(bookingId) : undefined,
 
     stripePaymentIntentId:
       stripePaymentIntentId || externalPaymentId || undefined,
@@ -284,6 +286,99 @@ export const recordInvoicePaymentLedger = async (params) => {
   });
 };
 
+/* ---------------------------------------------
+ * BOOKING DEPOSIT WRAPPER
+ *
+ * Captured deposits (completion) and forfeited
+ * deposits (late cancel / no-show) both land here.
+ * Booking customers are Users, not CRM Customers,
+ * so the user id travels in metadata.
+---------------------------------------------- */
+export const recordBookingDepositLedger = async (params) => {
+  return recordChargeLedger({
+    ...params,
+    customerId: null,
+    sourceType: "booking",
+    metadata: {
+      ...params.metadata,
+      trigger: params.trigger || "booking_deposit",
+      customerUserId: params.customerUserId
+        ? String(params.customerUserId)
+        : null,
+      chargeContext: "booking_deposit",
+    },
+  });
+};
+
+/* ---------------------------------------------
+ * OFFLINE PAYMENT (cash, check, Zelle...)
+ *
+ * Money the provider collected off-platform. It is
+ * recorded for statements and reporting only — it
+ * never touches ProviderBalance (nothing to settle
+ * or pay out), so the entry is born settled and
+ * carries no availableAt/pendingUntil.
+---------------------------------------------- */
+export const recordOfflinePaymentLedger = async ({
+  providerId,
+  customerId = null,
+  currency = "usd",
+  amountCents,
+  method,
+  reference = "",
+  receivedAt = new Date(),
+  sourceType = "invoice",
+  invoiceId = null,
+  subscriptionId = null,
+  subscriptionChargeId = null,
+  metadata = {},
+}) => {
+  if (!providerId) {
+    throw new Error("providerId is required for recordOfflinePaymentLedger");
+  }
+
+  const amount = normalizeAmountCents(amountCents);
+  const effectiveAt = receivedAt ? new Date(receivedAt) : new Date();
+
+  const entry = await LedgerEntry.create({
+    provider: new Types.ObjectId(providerId),
+    customer: customerId ? new Types.ObjectId(customerId) : undefined,
+
+    type: "offline_payment",
+    direction: "credit",
+    amount,
+    currency: normalizeCurrency(currency),
+    sourceType,
+
+    invoice: invoiceId ? new Types.ObjectId(invoiceId) : undefined,
+    subscription: subscriptionId
+      ? new Types.ObjectId(subscriptionId)
+      : undefined,
+    subscriptionCharge: subscriptionChargeId
+      ? new Types.ObjectId(subscriptionChargeId)
+      : undefined,
+
+    effectiveAt,
+    status: "posted",
+    isSettled: true,
+    settledAt: effectiveAt,
+    notes: reference ? `${method} ref ${reference}` : method,
+    createdBy: "provider",
+
+    metadata: {
+      ...metadata,
+      offline: true,
+      method,
+      reference: reference || null,
+      grossAmountCents: amount,
+      feeAmountCents: 0,
+      netAmountCents: amount,
+    },
+  });
+
+  return { entry };
+};
+
 /* ---------------------------------------------
  * TERMINAL PAYMENT WRAPPER (B22-aligned)
  *
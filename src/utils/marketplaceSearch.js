@@ -0,0 +1,556 @@
+// src/utils/marketplaceSearch.js
+import Category from "../models/Category.js";
+import Listing from "../models/Listing.js";
+import Provider from "../models/Provider.js";
+import { providerBadges } from "./providerMetrics.js";
+import { buildCategoryRules, expandSearchQuery, normalize } from "./searchExpand.js";
+import { dictionaryRulesFor, dictionaryVocabulary, loadSearchDictionary } from "./searchDictionary.js";
+
+/* -------------------------------------------------------
+   MARKETPLACE SEARCH (GET /api/search)
+   Plain MongoDB — no $text / Atlas Search:
+     1. expand the query (utils/searchExpand.js): typo
+        fixes, admin dictionary intents (per city) +
+        Category keyword synonyms
+     2. fetch candidates through the indexed `searchTerms`
+        word arrays (anchored word-prefix regexes per
+        expanded term), inside the geo radius ($geoNear) and
+        rating floor — at most MAX_CANDIDATES, nearest (or
+        best rated) first
+     3. score in JS: text match by field, rating (smoothed
+        toward PRIOR_RATING), distance, category boost,
+        verified provider
+     4. facets over the candidates; each facet ignores its
+        own filter so the counts show what picking it would
+        return
+   Facets and totals are exact up to MAX_CANDIDATES.
+-------------------------------------------------------- */
+const MAX_CANDIDATES = 1000;
+const MAX_PROVIDER_CANDIDATES = 300;
+const DEFAULT_RADIUS_MILES = 60;
+const MAX_RADIUS_MILES = 250;
+
+// Category terms + listing words; rebuilt after this long
+const INDEX_TTL_MS = 5 * 60 * 1000;
+const VOCABULARY_LISTING_SAMPLE = 20000;
+
+const PRIOR_RATING = 4;
+const PRIOR_WEIGHT = 5;
+
+export const SEARCH_SORTS = ["relevance", "distance", "rating", "price_asc", "price_desc", "newest"];
+export const SEARCH_TYPES = ["all", "listings", "providers"];
+
+export const PRICE_BUCKETS = [
+  { key: "under_50", label: "Under $50", min: 0, max: 50 },
+  { key: "50_100", label: "$50 – $100", min: 50, max: 100 },
+  { key: "100_250", label: "$100 – $250", min: 100, max: 250 },
+  { key: "250_500", label: "$250 – $500", min: 250, max: 500 },
+  { key: "500_plus", label: "$500+", min: 500, max: null },
+];
+
+const sendErrorLike = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const escapeRegex = (text = "") => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const termPattern = (term) => escapeRegex(term).replace(/ /g, "\\s+");
+
+/* -------------------------------------------------------
+   SEARCH INDEX (categories + vocabulary), cached
+-------------------------------------------------------- */
+let searchIndex = { data: null, loadedAt: 0, loading: null };
+
+export const invalidateSearchIndex = () => {
+  searchIndex = { data: null, loadedAt: 0, loading: null };
+};
+
+const addWords = (vocabulary, text) => {
+  for (const word of normalize(text).split(" ")) {
+    if (word.length >= 3 && !/^\d+$/.test(word)) vocabulary.add(word);
+  }
+};
+
+const buildSearchIndex = async () => {
+  const [categories, listings] = await Promise.all([
+    Category.find({ isActive: true }).select("name slug keywords").lean(),
+    Listing.find({ isActive: true })
+      .select("title category")
+      .sort({ createdAt: -1 })
+      .limit(VOCABULARY_LISTING_SAMPLE)
+      .lean(),
+  ]);
+
+  const vocabulary = new Set();
+  // normalized slug / name → Category, for facets + filters
+  const categoryByKey = new Map();
+
+  for (const cat of categories) {
+    [cat.name, cat.slug, ...(cat.keywords || [])].forEach((t) => addWords(vocabulary, t));
+    categoryByKey.set(normalize(cat.slug), cat);
+    categoryByKey.set(normalize(cat.name), cat);
+  }
+  for (const listing of listings) {
+    addWords(vocabulary, listing.title);
+    addWords(vocabulary, listing.category);
+  }
+
+  return { rules: buildCategoryRules(categories), vocabulary, categoryByKey };
+};
+
+export const loadSearchIndex = async (now = Date.now()) => {
+  if (searchIndex.data && now - searchIndex.loadedAt < INDEX_TTL_MS) return searchIndex.data;
+
+  // Concurrent requests share one rebuild
+  if (!searchIndex.loading) {
+    searchIndex.loading = buildSearchIndex()
+      .then((data) => {
+        searchIndex = { data, loadedAt: Date.now(), loading: null };
+        return data;
+      })
+      .catch((err) => {
+        searchIndex.loading = null;
+        throw err;
+      });
+  }
+  return searchIndex.loading;
+};
+
+/* -------------------------------------------------------
+   PARAMS
+-------------------------------------------------------- */
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : NaN;
+};
+
+/**
+ * Validate query-string params. Throws (statusCode 400).
+ */
+export const parseSearchParams = (query = {}) => {
+  const q = String(query.q || "").trim().slice(0, 200);
+  const type = query.type || "all";
+  const sort = query.sort || "relevance";
+
+  if (!SEARCH_TYPES.includes(type)) throw sendErrorLike(`type must be one of: ${SEARCH_TYPES.join(", ")}.`);
+  if (!SEARCH_SORTS.includes(sort)) throw sendErrorLike(`sort must be one of: ${SEARCH_SORTS.join(", ")}.`);
+
+  const lat = toNumber(query.lat);
+  const lng = toNumber(query.lng);
+  if ((lat === null) !== (lng === null)) throw sendErrorLike("lat and lng go together.");
+  if (Number.isNaN(lat) || Number.isNaN(lng) || (lat !== null && (Math.abs(lat) > 90 || Math.abs(lng) > 180))) {
+    throw sendErrorLike("Invalid lat / lng.");
+  }
+
+  const radius = toNumber(query.radius);
+  if (Number.isNaN(radius) || (radius !== null && radius <= 0)) throw sendErrorLike("Invalid radius.");
+
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  const minRating = toNumber(query.minRating);
+  if ([minPrice, maxPrice, minRating].some(Number.isNaN)) throw sendErrorLike("Invalid number filter.");
+  if (minRating !== null && (minRating < 0 || minRating > 5)) throw sendErrorLike("minRating must be 0-5.");
+
+  const priceBucket = query.price || null;
+  if (priceBucket && !PRICE_BUCKETS.some((b) => b.key === priceBucket)) {
+    throw sendErrorLike(`price must be one of: ${PRICE_BUCKETS.map((b) => b.key).join(", ")}.`);
+  }
+
+  if (sort === "distance" && lat === null) throw sendErrorLike("sort=distance needs lat / lng.");
+
+  return {
+    q,
+    type,
+    sort,
+    geo: lat === null ? null : { lat, lng, radiusMiles: Math.min(radius || DEFAULT_RADIUS_MILES, MAX_RADIUS_MILES) },
+    category: query.category ? String(query.category).trim().slice(0, 100) : null,
+    // picks per-city dictionary overrides
+    city: query.city ? String(query.city).trim().slice(0, 100) : null,
+    minPrice,
+    maxPrice,
+    priceBucket,
+    minRating,
+    verified: query.verified === "true" ? true : query.verified === "false" ? false : null,
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 50),
+  };
+};
+
+/* -------------------------------------------------------
+   SCORING
+-------------------------------------------------------- */
+
+/**
+ * Per-term matchers, compiled once per search.
+ */
+const compileTerms = (terms) =>
+  terms.map(({ term, weight }) => ({
+    weight,
+    exact: new RegExp(`\\b${termPattern(term)}\\b`, "i"),
+    prefix: new RegExp(`\\b${termPattern(term)}`, "i"),
+  }));
+
+/**
+ * Best field match per term, summed.
+ * @param fields [{ text, weight }]
+ */
+const textScore = (fields, matchers, phrase) => {
+  let score = 0;
+  for (const m of matchers) {
+    let best = 0;
+    for (const field of fields) {
+      if (!field.text) continue;
+      if (m.exact.test(field.text)) best = Math.max(best, field.weight);
+      else if (m.prefix.test(field.text)) best = Math.max(best, field.weight * 0.7);
+    }
+    score += best * m.weight;
+  }
+  if (phrase && fields[0]?.text && normalize(fields[0].text).includes(phrase)) score += 2;
+  return score;
+};
+
+// 0..1, smoothed so 1 review at 5★ doesn't beat 80 at 4.8★
+const ratingScore = (rating = 0, count = 0) => {
+  const smoothed = (rating * count + PRIOR_RATING * PRIOR_WEIGHT) / (count + PRIOR_WEIGHT);
+  return Math.min(Math.max((smoothed - 3) / 2, 0), 1);
+};
+
+// 1 on the spot, 0.5 at 15 miles
+const distanceScore = (miles) => (miles === null || miles === undefined ? 0 : 1 / (1 + miles / 15));
+
+const RELEVANCE_WEIGHTS = { rating: 2, distance: 2, categoryBoost: 2, verified: 0.5 };
+
+/* -------------------------------------------------------
+   CANDIDATES
+-------------------------------------------------------- */
+/**
+ * Documents with every word of some term (word prefixes, so
+ * "detail" finds "detailing"). Anchored regexes on the
+ * searchTerms index — no collection scan.
+ */
+const textFilter = (terms) => {
+  const clauses = new Map();
+  for (const { term } of terms) {
+    const words = normalize(term).split(" ").filter(Boolean);
+    if (!words.length) continue;
+    const prefixes = words.map((w) => new RegExp(`^${escapeRegex(w)}`));
+    clauses.set(
+      words.join(" "),
+      prefixes.length === 1 ? { searchTerms: prefixes[0] } : { searchTerms: { $all: prefixes } }
+    );
+  }
+  return clauses.size ? { $or: [...clauses.values()] } : null;
+};
+
+const geoStage = (geo, key, query) => ({
+  $geoNear: {
+    near: { type: "Point", coordinates: [geo.lng, geo.lat] },
+    key,
+    distanceField: "distanceMeters",
+    spherical: true,
+    maxDistance: geo.radiusMiles * 1609.344,
+    query,
+  },
+});
+
+const loadListingCandidates = (params, expansion) => {
+  const match = { isActive: true };
+  if (params.minRating !== null) match.rating = { $gte: params.minRating };
+  Object.assign(match, textFilter(expansion.terms));
+
+  return Listing.aggregate([
+    ...(params.geo
+      ? [geoStage(params.geo, "location.coordinates", match)]
+      : [{ $match: match }, { $sort: { rating: -1, ratingCount: -1, createdAt: -1 } }]),
+    { $limit: MAX_CANDIDATES },
+    {
+      $lookup: {
+        from: Provider.collection.name,
+        localField: "provider",
+        foreignField: "_id",
+        pipeline: [{ $project: { businessName: 1, logoUrl: 1, isVerified: 1, isSuspended: 1, isPublic: 1 } }],
+        as: "provider",
+      },
+    },
+    { $unwind: "$provider" },
+    { $match: { "provider.isSuspended": { $ne: true }, "provider.isPublic": { $ne: false } } },
+    {
+      $project: {
+        title: 1,
+        description: { $substrCP: [{ $ifNull: ["$description", ""] }, 0, 300] },
+        price: 1,
+        category: 1,
+        images: { $slice: ["$images", 3] },
+        location: { city: "$location.city", state: "$location.state" },
+        businessName: 1,
+        rating: 1,
+        ratingCount: 1,
+        verifiedRatingCount: 1,
+        createdAt: 1,
+        distanceMiles: { $divide: ["$distanceMeters", 1609.344] },
+        provider: {
+          _id: "$provider._id",
+          businessName: "$provider.businessName",
+          logoUrl: "$provider.logoUrl",
+          isVerified: "$provider.isVerified",
+        },
+      },
+    },
+  ]);
+};
+
+const loadProviderCandidates = (params, expansion) => {
+  const match = { isPublic: { $ne: false }, isSuspended: { $ne: true } };
+  if (params.minRating !== null) match.rating = { $gte: params.minRating };
+  if (params.verified !== null) match.isVerified = params.verified;
+  Object.assign(match, textFilter(expansion.terms));
+
+  return Provider.aggregate([
+    ...(params.geo
+      ? [geoStage(params.geo, "geoLocation", match)]
+      : [{ $match: match }, { $sort: { rating: -1, ratingCount: -1 } }]),
+    { $limit: MAX_PROVIDER_CANDIDATES },
+    {
+      $project: {
+        businessName: 1,
+        logoUrl: 1,
+        city: 1,
+        state: 1,
+        category: 1,
+        categories: 1,
+        services: { $slice: [{ $ifNull: ["$services", []] }, 10] },
+        description: { $substrCP: [{ $ifNull: ["$description", ""] }, 0, 300] },
+        rating: 1,
+        ratingCount: 1,
+        verifiedRatingCount: 1,
+        isVerified: 1,
+        performance: 1,
+        distanceMiles: { $divide: ["$distanceMeters", 1609.344] },
+      },
+    },
+  ]);
+};
+
+/* -------------------------------------------------------
+   FILTERS + FACETS
+-------------------------------------------------------- */
+
+/**
+ * Normalized keys a category filter / boost matches.
+ */
+const categoryKeys = (values, categoryByKey) => {
+  const keys = new Set();
+  for (const value of values) {
+    const key = normalize(value);
+    if (!key) continue;
+    keys.add(key);
+    const cat = categoryByKey.get(key);
+    if (cat) {
+      keys.add(normalize(cat.slug));
+      keys.add(normalize(cat.name));
+    }
+  }
+  return keys;
+};
+
+const priceBucketOf = (price) =>
+  PRICE_BUCKETS.find((b) => price >= b.min && (b.max === null || price < b.max))?.key || null;
+
+const listingFilters = (params, categoryFilterKeys) => ({
+  category: (l) => !categoryFilterKeys || categoryFilterKeys.has(normalize(l.category)),
+  price: (l) => {
+    if (params.minPrice !== null && l.price < params.minPrice) return false;
+    if (params.maxPrice !== null && l.price > params.maxPrice) return false;
+    if (params.priceBucket && priceBucketOf(l.price) !== params.priceBucket) return false;
+    return true;
+  },
+  verified: (l) => params.verified === null || Boolean(l.provider?.isVerified) === params.verified,
+});
+
+/**
+ * Passes every filter except `skip`.
+ */
+const passesExcept = (filters, listing, skip) =>
+  Object.entries(filters).every(([name, test]) => name === skip || test(listing));
+
+const buildFacets = (listings, filters, categoryByKey) => {
+  const categories = new Map();
+  const prices = new Map(PRICE_BUCKETS.map((b) => [b.key, 0]));
+  const verified = { true: 0, false: 0 };
+
+  for (const l of listings) {
+    if (passesExcept(filters, l, "category")) {
+      const key = normalize(l.category);
+      const cat = categoryByKey.get(key);
+      const value = cat?.slug || l.category;
+      const row = categories.get(value) || { value, label: cat?.name || l.category, count: 0 };
+      row.count += 1;
+      categories.set(value, row);
+    }
+    if (passesExcept(filters, l, "price")) {
+      const bucket = priceBucketOf(l.price);
+      if (bucket) prices.set(bucket, prices.get(bucket) + 1);
+    }
+    if (passesExcept(filters, l, "verified")) {
+      verified[Boolean(l.provider?.isVerified)] += 1;
+    }
+  }
+
+  return {
+    categories: [...categories.values()].sort((a, b) => b.count - a.count).slice(0, 20),
+    price: PRICE_BUCKETS.map((b) => ({ ...b, count: prices.get(b.key) })),
+    verified,
+  };
+};
+
+const SORTERS = {
+  relevance: (a, b) => b.score - a.score,
+  distance: (a, b) => (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity),
+  rating: (a, b) => ratingScore(b.rating, b.ratingCount) - ratingScore(a.rating, a.ratingCount),
+  price_asc: (a, b) => (a.price ?? Infinity) - (b.price ?? Infinity),
+  price_desc: (a, b) => (b.price ?? -Infinity) - (a.price ?? -Infinity),
+  newest: (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0),
+};
+
+const roundScore = (n) => Math.round(n * 1000) / 1000;
+
+/* -------------------------------------------------------
+   SEARCH
+-------------------------------------------------------- */
+const searchListings = async (params, expansion, index) => {
+  const matchers = compileTerms(expansion.terms);
+  const phrase = expansion.tokens.length > 1 ? expansion.tokens.join(" ") : null;
+  const boostKeys = categoryKeys(expansion.boostedCategories, index.categoryByKey);
+  const categoryFilterKeys = params.category ? categoryKeys([params.category], index.categoryByKey) : null;
+
+  const candidates = await loadListingCandidates(params, expansion);
+  const filters = listingFilters(params, categoryFilterKeys);
+
+  for (const l of candidates) {
+    const boosted = boostKeys.has(normalize(l.category));
+    l.score = roundScore(
+      textScore(
+        [
+          { text: l.title, weight: 3 },
+          { text: l.category, weight: 2.5 },
+          { text: l.businessName, weight: 2 },
+          { text: l.description, weight: 1 },
+        ],
+        matchers,
+        phrase
+      ) +
+        RELEVANCE_WEIGHTS.rating * ratingScore(l.rating, l.ratingCount) +
+        RELEVANCE_WEIGHTS.distance * distanceScore(l.distanceMiles) +
+        (boosted ? RELEVANCE_WEIGHTS.categoryBoost : 0) +
+        (l.provider?.isVerified ? RELEVANCE_WEIGHTS.verified : 0)
+    );
+    if (l.distanceMiles != null) l.distanceMiles = Math.round(l.distanceMiles * 10) / 10;
+  }
+
+  const matched = candidates.filter((l) => passesExcept(filters, l, null));
+  matched.sort((a, b) => SORTERS[params.sort](a, b) || b.score - a.score);
+
+  const start = (params.page - 1) * params.limit;
+  return {
+    results: matched.slice(start, start + params.limit),
+    total: matched.length,
+    truncated: candidates.length >= MAX_CANDIDATES,
+    facets: buildFacets(candidates, filters, index.categoryByKey),
+  };
+};
+
+const searchProviders = async (params, expansion, index) => {
+  const matchers = compileTerms(expansion.terms);
+  const phrase = expansion.tokens.length > 1 ? expansion.tokens.join(" ") : null;
+  const boostKeys = categoryKeys(expansion.boostedCategories, index.categoryByKey);
+  const categoryFilterKeys = params.category ? categoryKeys([params.category], index.categoryByKey) : null;
+
+  const candidates = await loadProviderCandidates(params, expansion);
+
+  const matched = [];
+  for (const p of candidates) {
+    const providerCategories = [p.category, ...(p.categories || [])].filter(Boolean).map(normalize);
+    if (categoryFilterKeys && !providerCategories.some((c) => categoryFilterKeys.has(c))) continue;
+
+    const boosted = providerCategories.some((c) => boostKeys.has(c));
+    const { performance, ...provider } = p;
+
+    matched.push({
+      ...provider,
+      badges: providerBadges(performance),
+      distanceMiles: p.distanceMiles == null ? null : Math.round(p.distanceMiles * 10) / 10,
+      score: roundScore(
+        textScore(
+          [
+            { text: p.businessName, weight: 3 },
+            { text: providerCategories.join(" "), weight: 2.5 },
+            { text: (p.services || []).join(" "), weight: 2 },
+            { text: p.description, weight: 1 },
+          ],
+          matchers,
+          phrase
+        ) +
+          RELEVANCE_WEIGHTS.rating * ratingScore(p.rating, p.ratingCount) +
+          RELEVANCE_WEIGHTS.distance * distanceScore(p.distanceMiles) +
+          (boosted ? RELEVANCE_WEIGHTS.categoryBoost : 0) +
+          (p.isVerified ? RELEVANCE_WEIGHTS.verified : 0)
+      ),
+    });
+  }
+
+  // Price sorts don't apply to providers
+  const sort = params.sort.startsWith("price") || params.sort === "newest" ? "relevance" : params.sort;
+  matched.sort((a, b) => SORTERS[sort](a, b) || b.score - a.score);
+
+  const start = (params.page - 1) * params.limit;
+  return {
+    results: matched.slice(start, start + params.limit),
+    total: matched.length,
+    truncated: candidates.length >= MAX_PROVIDER_CANDIDATES,
+  };
+};
+
+/**
+ * Expand a query the way search will.
+ * @param extraRules unsaved rules tried first (admin test endpoint)
+ */
+export const expandMarketplaceQuery = async (q, { city = null, extraRules = [] } = {}) => {
+  const [index, dictionary] = await Promise.all([loadSearchIndex(), loadSearchDictionary()]);
+  const dictionaryRules = [...extraRules, ...dictionaryRulesFor(dictionary, city)];
+
+  const expansion = expandSearchQuery(q, {
+    rules: [...dictionaryRules, ...index.rules],
+    vocabulary: [index.vocabulary, dictionaryVocabulary(dictionaryRules)],
+  });
+  return { index, expansion };
+};
+
+/**
+ * Run a search.
+ * @param params parseSearchParams() output
+ */
+export const searchMarketplace = async (params) => {
+  const { index, expansion } = await expandMarketplaceQuery(params.q, { city: params.city });
+
+  // No query (or only stopwords like "near me") → browse by rating / distance
+  const [listings, providers] = await Promise.all([
+    params.type === "providers" ? null : searchListings(params, expansion, index),
+    params.type === "listings" ? null : searchProviders(params, expansion, index),
+  ]);
+
+  return {
+    query: {
+      q: params.q,
+      tokens: expansion.tokens,
+      corrections: expansion.corrections,
+      expandedTerms: expansion.expanded,
+      boostedCategories: expansion.boostedCategories,
+      matchedRules: expansion.matchedRules,
+    },
+    listings,
+    providers,
+  };
+};
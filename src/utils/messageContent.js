@@ -0,0 +1,450 @@
+// src/utils/messageContent.js
+import mongoose from "mongoose";
+import Message, { MESSAGE_TYPES, MESSAGE_CARD_KINDS } from "../models/Message.js";
+import Invoice from "../models/Invoice.js";
+import Estimate from "../models/Estimate.js";
+import Booking from "../models/Booking.js";
+import {
+  ensureInvoicePublicToken,
+  publicInvoiceUrl,
+} from "../controllers/invoiceDocumentController.js";
+import { publicEstimateUrl } from "./publicLinks.js";
+import { getIO } from "../socket.js";
+
+/* -------------------------------------------------------
+   RICH MESSAGE CONTENT
+   text      plain text
+   image     imageUrls[] (+ optional caption)
+   file      attachments[] from POST /api/uploads/attachment
+   location  { lat, lng, label, address }
+   card      invoice / estimate / booking embedded in the chat
+
+   Cards store a snapshot at send time; status and the
+   pay/accept actions are filled in live whenever messages
+   are listed, and pushed as "messageCardUpdated" when the
+   underlying record changes.
+-------------------------------------------------------- */
+const MAX_TEXT = 4000;
+const MAX_IMAGES = 12;
+const MAX_ATTACHMENTS = 10;
+const PREVIEW_LENGTH = 200;
+
+const OPEN_INVOICE_STATUSES = ["DUE", "PARTIAL", "OVERDUE"];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const sendErrorLike = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const isHttpsUrl = (value) => typeof value === "string" && /^https:\/\/\S+$/i.test(value);
+
+const money = (amount, currency = "USD") =>
+  `${currency === "USD" ? "$" : `${currency} `}${Number(amount || 0).toFixed(2)}`;
+
+/* --------------------------------------------------
+   VALIDATION
+-------------------------------------------------- */
+const parseAttachments = (attachments) => {
+  if (!Array.isArray(attachments) || !attachments.length) {
+    throw sendErrorLike("attachments are required for file messages.");
+  }
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw sendErrorLike(`At most ${MAX_ATTACHMENTS} attachments per message.`);
+  }
+
+  return attachments.map((a) => {
+    if (!a || !isHttpsUrl(a.url)) throw sendErrorLike("Each attachment needs an https url.");
+    return {
+      url: a.url,
+      name: String(a.name || "Attachment").trim().slice(0, 200),
+      mimeType: String(a.mimeType || "application/octet-stream").slice(0, 100),
+      size: Math.max(0, parseInt(a.size, 10) || 0),
+    };
+  });
+};
+
+const parseLocation = (location) => {
+  const lat = Number(location?.lat);
+  const lng = Number(location?.lng);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    throw sendErrorLike("location.lat must be between -90 and 90.");
+  }
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw sendErrorLike("location.lng must be between -180 and 180.");
+  }
+  return {
+    lat,
+    lng,
+    label: String(location.label || "").trim().slice(0, 120),
+    address: String(location.address || "").trim().slice(0, 300),
+  };
+};
+
+/**
+ * Snapshot of the record a card embeds. Only records that
+ * belong to this conversation's provider can be shared.
+ */
+const buildCardSnapshot = async ({ card, convo, sender }) => {
+  const kind = card?.kind;
+  const refId = card?.id || card?.refId;
+
+  if (!MESSAGE_CARD_KINDS.includes(kind)) {
+    throw sendErrorLike(`card.kind must be one of ${MESSAGE_CARD_KINDS.join(", ")}`);
+  }
+  if (!isValidId(refId)) throw sendErrorLike("card.id must be a valid id.");
+
+  const isProvider = sender.role === "provider";
+
+  if (kind === "invoice") {
+    if (!isProvider) throw sendErrorLike("Only the provider can share invoices.", 403);
+    const invoice = await Invoice.findOne({ _id: refId, provider: convo.providerId });
+    if (!invoice) throw sendErrorLike("Invoice not found", 404);
+    if (["DRAFT", "VOID"].includes(invoice.status)) {
+      throw sendErrorLike(`A ${invoice.status} invoice can't be shared.`, 409);
+    }
+    await ensureInvoicePublicToken(invoice);
+
+    return {
+      kind,
+      refId: invoice._id,
+      title: invoice.invoiceNumber ? `Invoice #${invoice.invoiceNumber}` : "Invoice",
+      amount: invoice.total,
+      currency: invoice.currency,
+      status: invoice.status,
+    };
+  }
+
+  if (kind === "estimate") {
+    if (!isProvider) throw sendErrorLike("Only the provider can share estimates.", 403);
+    const estimate = await Estimate.findOne({ _id: refId, provider: convo.providerId }).lean();
+    if (!estimate) throw sendErrorLike("Estimate not found", 404);
+    if (estimate.status === "DRAFT") {
+      throw sendErrorLike("Send the estimate before sharing it in chat.", 409);
+    }
+
+    return {
+      kind,
+      refId: estimate._id,
+      title: estimate.estimateNumber ? `Estimate #${estimate.estimateNumber}` : "Estimate",
+      amount: estimate.total,
+      currency: estimate.currency,
+      status: estimate.status,
+    };
+  }
+
+  // booking — either side, but it must be between these two
+  const booking = await Booking.findOne({
+    _id: refId,
+    provider: convo.providerId,
+    customer: convo.customerId,
+  }).lean();
+  if (!booking) throw sendErrorLike("Booking not found", 404);
+
+  // Remember where the job was negotiated
+  if (!booking.conversation) {
+    await Booking.updateOne(
+      { _id: booking._id, conversation: null },
+      { $set: { conversation: convo._id } }
+    );
+  }
+
+  return {
+    kind,
+    refId: booking._id,
+    title: booking.listingSnapshot?.title || "Booking",
+    amount: booking.priceAtBooking,
+    currency: booking.currency,
+    status: booking.status,
+    scheduledStart: booking.scheduledStart,
+  };
+};
+
+/**
+ * Validate a send-message body and return the Message fields.
+ * `type` may be omitted — imageUrls implies image, otherwise text.
+ *
+ * @throws {Error & { statusCode }}
+ */
+export const buildMessageContent = async ({ body = {}, convo, sender }) => {
+  const hasImages = Array.isArray(body.imageUrls) && body.imageUrls.length > 0;
+  const type = body.type || (hasImages ? "image" : "text");
+
+  if (!MESSAGE_TYPES.includes(type)) {
+    throw sendErrorLike(`type must be one of ${MESSAGE_TYPES.join(", ")}`);
+  }
+
+  const text = typeof body.text === "string" ? body.text.trim() : "";
+  if (text.length > MAX_TEXT) throw sendErrorLike(`Message text is limited to ${MAX_TEXT} characters.`);
+
+  const content = { type, text };
+
+  switch (type) {
+    case "text":
+      if (!text) throw sendErrorLike("Message text or images are required.");
+      break;
+
+    case "image":
+      if (!hasImages) throw sendErrorLike("imageUrls are required for image messages.");
+      content.imageUrls = body.imageUrls.filter((u) => typeof u === "string").slice(0, MAX_IMAGES);
+      break;
+
+    case "file":
+      content.attachments = parseAttachments(body.attachments);
+      break;
+
+    case "location":
+      content.location = parseLocation(body.location);
+      break;
+
+    case "card":
+      content.card = await buildCardSnapshot({ card: body.card, convo, sender });
+      break;
+  }
+
+  return content;
+};
+
+/* --------------------------------------------------
+   PREVIEW (conversation list + push body)
+-------------------------------------------------- */
+const CARD_ICONS = { invoice: "🧾", estimate: "📝", booking: "📅" };
+
+/**
+ * One-line summary of a message. Works on partial input
+ * ({ type } alone) for conversations saved before a preview
+ * was stored.
+ */
+export const messagePreviewText = (message = {}) => {
+  if (message.deletedAt) return "🚫 Message deleted";
+
+  const text = String(message.text || "").trim();
+
+  switch (message.type) {
+    case "image": {
+      const count = message.imageUrls?.length || 1;
+      return `📷 Photo${count > 1 ? "s" : ""}`;
+    }
+
+    case "file": {
+      const files = message.attachments || [];
+      if (files.length > 1) return `📎 ${files.length} files`;
+      return `📎 ${files[0]?.name || "File"}`;
+    }
+
+    case "location": {
+      const { label, address } = message.location || {};
+      return `📍 ${label || address || "Location"}`;
+    }
+
+    case "card": {
+      const card = message.card || {};
+      const label = `${CARD_ICONS[card.kind] || "🗂"} ${card.title || "Card"}`;
+      return card.amount ? `${label} · ${money(card.amount, card.currency)}` : label;
+    }
+
+    default:
+      return text.slice(0, PREVIEW_LENGTH);
+  }
+};
+
+/* --------------------------------------------------
+   SEARCH SNIPPETS
+   Mongo's $text stems words ("plumbers" finds "plumbing"),
+   so terms are highlighted by shared stem prefix. Offsets
+   are returned instead of markup so the app styles them.
+-------------------------------------------------- */
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+const stemOf = (term) => term.replace(/(ing|ers|er|es|ed|s)$/, "").slice(0, 12) || term;
+
+export const searchTerms = (query) =>
+  [...new Set(String(query || "").toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [])].slice(0, 10);
+
+/**
+ * @returns {{ snippet, highlights: Array<{ start, length }> }}
+ */
+export const buildSearchSnippet = (source, terms) => {
+  const text = String(source || "").replace(/\s+/g, " ").trim();
+  const stems = terms.map(stemOf).filter((t) => t.length >= 2);
+  if (!text || !stems.length) return { snippet: text.slice(0, SNIPPET_LENGTH), highlights: [] };
+
+  // Words starting with any stem
+  const escaped = stems.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const wordRe = new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join("|")})[\\p{L}\\p{N}]*`, "giu");
+  const matches = [...text.matchAll(wordRe)];
+
+  const first = matches[0]?.index ?? 0;
+  let start = Math.max(0, first - SNIPPET_LEAD);
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? "…" : "";
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+
+  const highlights = matches
+    .filter((m) => m.index >= start && m.index + m[0].length <= end)
+    .map((m) => ({ start: m.index - start + prefix.length, length: m[0].length }));
+
+  return { snippet, highlights };
+};
+
+/* --------------------------------------------------
+   LIVE CARDS
+   Actions name the side that may use them; the app shows
+   the button only to that side.
+-------------------------------------------------- */
+const invoiceCardState = (invoice) => {
+  const balance = Number(invoice.balance || 0);
+  const payable = OPEN_INVOICE_STATUSES.includes(invoice.status) && balance > 0;
+
+  return {
+    status: invoice.status,
+    amount: invoice.total,
+    balance,
+    currency: invoice.currency,
+    actions: payable && invoice.publicToken
+      ? [{
+          kind: "pay",
+          role: "customer",
+          label: `Pay ${money(balance, invoice.currency)}`,
+          url: publicInvoiceUrl(invoice),
+        }]
+      : [],
+  };
+};
+
+const estimateCardState = (estimate, now) => {
+  const expired = estimate.expiresAt && new Date(estimate.expiresAt) <= now;
+  const status = estimate.status === "SENT" && expired ? "EXPIRED" : estimate.status;
+
+  return {
+    status,
+    amount: estimate.total,
+    currency: estimate.currency,
+    expiresAt: estimate.expiresAt || null,
+    actions: status === "SENT"
+      ? [{
+          kind: "accept",
+          role: "customer",
+          label: "Review & accept",
+          url: publicEstimateUrl(estimate),
+        }]
+      : [],
+  };
+};
+
+const bookingCardState = (booking) => {
+  const id = String(booking._id);
+  const actions = [];
+
+  if (booking.status === "requested") {
+    actions.push(
+      { kind: "accept", role: "provider", label: "Accept", method: "POST", endpoint: `/api/bookings/${id}/accept` },
+      { kind: "decline", role: "provider", label: "Decline", method: "POST", endpoint: `/api/bookings/${id}/decline` }
+    );
+  }
+  if (["requested", "confirmed"].includes(booking.status) && booking.deposit?.status === "pending") {
+    actions.push({
+      kind: "pay_deposit",
+      role: "customer",
+      label: `Pay ${money((booking.deposit.amountCents || 0) / 100, booking.currency)} deposit`,
+      method: "POST",
+      endpoint: `/api/bookings/${id}/deposit`,
+    });
+  }
+
+  return {
+    status: booking.status,
+    amount: booking.priceAtBooking,
+    currency: booking.currency,
+    scheduledStart: booking.scheduledStart,
+    scheduledEnd: booking.scheduledEnd,
+    actions,
+  };
+};
+
+const CARD_SOURCES = {
+  invoice: {
+    model: Invoice,
+    select: "status total balance currency publicToken",
+    state: invoiceCardState,
+  },
+  estimate: {
+    model: Estimate,
+    select: "status total currency expiresAt publicToken",
+    state: estimateCardState,
+  },
+  booking: {
+    model: Booking,
+    select: "status priceAtBooking currency scheduledStart scheduledEnd deposit",
+    state: bookingCardState,
+  },
+};
+
+const liveCard = (card, record, now) => {
+  if (!record) return { ...card, status: "unavailable", actions: [] };
+  return { ...card, ...CARD_SOURCES[card.kind].state(record, now) };
+};
+
+/**
+ * Fill in live status + actions on card messages.
+ * @param messages plain objects (lean or toObject())
+ */
+export const hydrateMessageCards = async (messages, now = new Date()) => {
+  const idsByKind = {};
+  for (const m of messages) {
+    if (m.type !== "card" || !m.card?.kind) continue;
+    (idsByKind[m.card.kind] ||= new Set()).add(String(m.card.refId));
+  }
+
+  const kinds = Object.keys(idsByKind);
+  if (!kinds.length) return messages;
+
+  const records = new Map(); // "kind:id" → record
+  await Promise.all(
+    kinds.map(async (kind) => {
+      const { model, select } = CARD_SOURCES[kind];
+      const rows = await model.find({ _id: { $in: [...idsByKind[kind]] } }).select(select).lean();
+      rows.forEach((r) => records.set(`${kind}:${r._id}`, r));
+    })
+  );
+
+  return messages.map((m) =>
+    m.type === "card" && m.card?.kind
+      ? { ...m, card: liveCard(m.card, records.get(`${m.card.kind}:${m.card.refId}`), now) }
+      : m
+  );
+};
+
+/**
+ * Push the new state of every chat card embedding this
+ * record. Call after the invoice/estimate/booking changes.
+ * Never throws — a failed emit must not fail the caller.
+ */
+export const emitMessageCardUpdate = async (kind, refId) => {
+  try {
+    const messages = await Message.find({ type: "card", "card.kind": kind, "card.refId": refId })
+      .select("conversationId providerId customerId type card")
+      .lean();
+    if (!messages.length) return;
+
+    const hydrated = await hydrateMessageCards(messages);
+    const io = getIO();
+
+    for (const m of hydrated) {
+      io.to([String(m.conversationId), String(m.providerId), String(m.customerId)]).emit(
+        "messageCardUpdated",
+        { conversationId: m.conversationId, messageId: m._id, card: m.card }
+      );
+    }
+  } catch (err) {
+    console.warn("⚠️ Message card update skipped:", err.message);
+  }
+};
@@ -0,0 +1,299 @@
+// src/utils/messageModeration.js
+import User from "../models/User.js";
+import Provider from "../models/Provider.js";
+import ChatBlock from "../models/ChatBlock.js";
+import ConversationReport from "../models/ConversationReport.js";
+import MessageFilterRule from "../models/MessageFilterRule.js";
+
+/* -------------------------------------------------------
+   MESSAGE MODERATION
+   Every outgoing chat message goes through
+   moderateOutgoingMessage() before it's stored:
+     1. sender's messaging suspension (moderation queue)
+     2. blocks between the two parties (ChatBlock)
+     3. filter rules — built-in scam patterns + the admin
+        blocklist (MessageFilterRule); "block" rejects,
+        "flag" delivers with a warning and files an
+        automatic report
+     4. links / phone numbers per the provider's
+        messageFilters (allow / mask / block)
+   3 and 4 cover every free-text field a sender controls:
+   the text, a shared location's label / address and
+   attachment names.
+   Rate limits live in middleware/messageRateLimiter.js.
+-------------------------------------------------------- */
+const sendErrorLike = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const MASK = "[hidden]";
+
+// Admin rule changes reach other instances within this long
+const RULE_CACHE_TTL_MS = 60 * 1000;
+
+/* -------------------------------------------------------
+   CONTACT DETAILS
+-------------------------------------------------------- */
+const EMAIL_RE = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+const URL_RE =
+  /\b(?:https?:\/\/|www\.)[^\s<>"]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|me|info|biz|us|app|ly|gl|link|site|online|xyz|page|to)\b(?:\/[^\s<>"]*)?/gi;
+// 10–15 digits with the usual separators, incl. "3 0 5 ..." spacing
+const PHONE_RE = /\+?\(?\d(?:[\s.\-()]{0,3}\d){9,14}/g;
+
+const findAll = (re, text) => [...String(text || "").matchAll(re)].map((m) => m[0]);
+
+/**
+ * @returns {{ links: string[], phoneNumbers: string[] }}
+ */
+export const detectContactInfo = (text) => {
+  const emails = findAll(EMAIL_RE, text);
+  const withoutEmails = String(text || "").replace(EMAIL_RE, " ");
+
+  return {
+    links: [...emails, ...findAll(URL_RE, withoutEmails)],
+    phoneNumbers: findAll(PHONE_RE, text),
+  };
+};
+
+const maskContactInfo = (text, kinds) => {
+  let out = text;
+  if (kinds.includes("links")) out = out.replace(EMAIL_RE, MASK).replace(URL_RE, MASK);
+  if (kinds.includes("phoneNumbers")) out = out.replace(PHONE_RE, MASK);
+  return out;
+};
+
+const CONTACT_LABELS = { links: "links and email addresses", phoneNumbers: "phone numbers" };
+
+/* -------------------------------------------------------
+   FILTER RULES
+-------------------------------------------------------- */
+const SCAM_WARNING =
+  "This message looks like a known overpayment scam. Never refund \"extra\" money " +
+  "or pay outside Helpio.";
+
+const BUILT_IN_RULES = [
+  {
+    id: "builtin:overpayment",
+    re: /\b(over ?pa(?:y|id|yment)|paid (?:you )?too much|(?:send|refund|return) (?:me |back )?the (?:difference|excess|extra|balance))\b/i,
+    action: "flag",
+    label: SCAM_WARNING,
+  },
+  {
+    id: "builtin:check_payment",
+    re: /\b(cashier'?s? che(?:ck|que)|certified che(?:ck|que)|money order)\b/i,
+    action: "flag",
+    label: SCAM_WARNING,
+  },
+  {
+    id: "builtin:untraceable_payment",
+    re: /\b(gift ?cards?|western union|moneygram|wire (?:the |me )?(?:money|funds))\b/i,
+    action: "flag",
+    label: SCAM_WARNING,
+  },
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Compile a rule's pattern; throws on an invalid regex.
+ */
+export const compileFilterRule = ({ kind, pattern }) =>
+  kind === "regex"
+    ? new RegExp(pattern, "i")
+    : new RegExp(`(?<![\\w])${escapeRegex(pattern.trim())}(?![\\w])`, "i");
+
+let ruleCache = { rules: null, loadedAt: 0 };
+
+export const invalidateFilterRuleCache = () => {
+  ruleCache = { rules: null, loadedAt: 0 };
+};
+
+const loadFilterRules = async (now = Date.now()) => {
+  if (ruleCache.rules && now - ruleCache.loadedAt < RULE_CACHE_TTL_MS) return ruleCache.rules;
+
+  const docs = await MessageFilterRule.find({ isActive: true })
+    .select("kind pattern action label")
+    .lean();
+
+  const rules = [...BUILT_IN_RULES];
+  for (const doc of docs) {
+    try {
+      rules.push({
+        id: `rule:${doc._id}`,
+        ruleId: doc._id,
+        re: compileFilterRule(doc),
+        action: doc.action,
+        label: doc.label,
+      });
+    } catch (err) {
+      console.error(`❌ Message filter rule ${doc._id} invalid:`, err.message);
+    }
+  }
+
+  ruleCache = { rules, loadedAt: now };
+  return rules;
+};
+
+/**
+ * Rules matching `text`. Includes built-ins; `rules` lets
+ * the admin test endpoint try unsaved patterns.
+ */
+export const matchFilterRules = async (text, rules = null) => {
+  const list = rules || (await loadFilterRules());
+  return list.filter((rule) => rule.re.test(String(text || "")));
+};
+
+const recordRuleHits = (hits, now) => {
+  const ids = hits.map((h) => h.ruleId).filter(Boolean);
+  if (!ids.length) return;
+  MessageFilterRule.updateMany(
+    { _id: { $in: ids } },
+    { $inc: { hitCount: 1 }, $set: { lastHitAt: now } }
+  ).catch((err) => console.error("❌ Filter rule hit count failed:", err.message));
+};
+
+/* -------------------------------------------------------
+   BLOCKS
+-------------------------------------------------------- */
+
+/**
+ * The block between the sender and the other party, if any.
+ * @param sender { role, senderId } — as in messageController
+ */
+export const findChatBlock = (convo, sender) => {
+  const otherId = sender.role === "provider" ? convo.customerId : convo.providerId;
+  return ChatBlock.findOne({
+    $or: [
+      { blockerId: sender.senderId, blockedId: otherId },
+      { blockerId: otherId, blockedId: sender.senderId },
+    ],
+  }).lean();
+};
+
+/* -------------------------------------------------------
+   PIPELINE
+-------------------------------------------------------- */
+
+/**
+ * Check + clean an outgoing message. Throws (statusCode set)
+ * when it can't be sent.
+ * @param sender { role, senderId }
+ * @param userId the sending User (for suspensions)
+ * @param location / attachments rich content (messageContent.js)
+ * @returns {{ text, location, attachments, moderation }}
+ *   cleaned content; moderation → Message.moderation
+ */
+export const moderateOutgoingMessage = async ({
+  convo,
+  sender,
+  userId,
+  text = "",
+  location = null,
+  attachments = null,
+  now = new Date(),
+}) => {
+  const user = userId
+    ? await User.findById(userId).select("messagingSuspendedUntil").lean()
+    : null;
+  if (user?.messagingSuspendedUntil && user.messagingSuspendedUntil > now) {
+    throw sendErrorLike(
+      `Messaging is suspended on your account until ${user.messagingSuspendedUntil.toISOString()}.`,
+      403
+    );
+  }
+
+  const block = await findChatBlock(convo, sender);
+  if (block) {
+    throw sendErrorLike(
+      String(block.blockerId) === String(sender.senderId)
+        ? "You blocked this user. Unblock them to send messages."
+        : "You can't send messages in this conversation.",
+      403
+    );
+  }
+
+  const fieldText = [
+    text,
+    location?.label,
+    location?.address,
+    ...(attachments || []).map((a) => a.name),
+  ]
+    .filter(Boolean)
+    .join("\n");
+  const unchanged = { text, location, attachments, moderation: undefined };
+  if (!fieldText) return unchanged;
+
+  const hits = await matchFilterRules(fieldText);
+  recordRuleHits(hits, now);
+  if (hits.some((h) => h.action === "block")) {
+    throw sendErrorLike("This message can't be sent because it breaks our messaging rules.", 422);
+  }
+
+  const provider = await Provider.findById(convo.providerId).select("messageFilters").lean();
+  const filters = { links: "mask", phoneNumbers: "mask", ...provider?.messageFilters };
+  const found = detectContactInfo(fieldText);
+
+  const masked = [];
+  for (const kind of ["links", "phoneNumbers"]) {
+    if (!found[kind].length || filters[kind] === "allow") continue;
+    if (filters[kind] === "block") {
+      throw sendErrorLike(
+        `Sharing ${CONTACT_LABELS[kind]} isn't allowed in this conversation — keep the chat on Helpio.`,
+        422
+      );
+    }
+    masked.push(kind);
+  }
+
+  const flags = hits.filter((h) => h.action === "flag");
+  if (!masked.length && !flags.length) return unchanged;
+
+  const clean = (value) => (masked.length && value ? maskContactInfo(value, masked) : value);
+
+  return {
+    text: clean(text),
+    location: location && {
+      ...location,
+      label: clean(location.label),
+      address: clean(location.address),
+    },
+    attachments: attachments && attachments.map((a) => ({ ...a, name: clean(a.name) })),
+    moderation: {
+      masked: masked.length ? masked : undefined,
+      flagged: flags.length > 0,
+      reasons: flags.length ? flags.map((f) => f.id) : undefined,
+      warning: flags.find((f) => f.label)?.label || "",
+    },
+  };
+};
+
+/**
+ * File (or extend) the conversation's open automatic report
+ * for a flagged message. Never throws.
+ */
+export const reportFlaggedMessage = async (convo, message) => {
+  if (!message?.moderation?.flagged) return;
+
+  try {
+    const reasons = message.moderation.reasons || [];
+    await ConversationReport.findOneAndUpdate(
+      { conversationId: convo._id, source: "auto", status: "open" },
+      {
+        $addToSet: { messageIds: message._id },
+        $setOnInsert: {
+          providerId: convo.providerId,
+          customerId: convo.customerId,
+          reportedId: message.senderId,
+          reportedRole: message.senderRole,
+          reason: reasons.some((r) => r.startsWith("builtin:")) ? "scam" : "spam",
+          details: `Matched ${reasons.join(", ")}`,
+        },
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (err) {
+    console.error("❌ Auto moderation report failed:", err.message);
+  }
+};
@@ -0,0 +1,64 @@
+// src/utils/offlinePayments.js
+
+/* -------------------------------------------------------
+   OFFLINE (OFF-PLATFORM) PAYMENTS
+   Cash, checks, Zelle... money the provider collected
+   themselves. Shared by invoices and subscriptions.
+-------------------------------------------------------- */
+export const OFFLINE_PAYMENT_METHODS = ["cash", "check", "zelle", "other"];
+
+const sendErrorLike = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * Validate + normalize a "record manual payment" request body.
+ * Amount is in dollars; receivedAt defaults to now and may not
+ * be in the future.
+ */
+export const parseOfflinePaymentInput = (body = {}) => {
+  const amount = Math.round(Number(body.amount) * 100) / 100;
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw sendErrorLike("A positive amount is required.");
+  }
+
+  const method = String(body.method || "").toLowerCase();
+  if (!OFFLINE_PAYMENT_METHODS.includes(method)) {
+    throw sendErrorLike(`method must be one of: ${OFFLINE_PAYMENT_METHODS.join(", ")}`);
+  }
+
+  let receivedAt = new Date();
+  if (body.receivedAt) {
+    receivedAt = new Date(body.receivedAt);
+    if (Number.isNaN(receivedAt.getTime())) {
+      throw sendErrorLike("Invalid receivedAt date.");
+    }
+    // allow a little clock skew from the device
+    if (receivedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+      throw sendErrorLike("receivedAt cannot be in the future.");
+    }
+  }
+
+  const photoUrl = body.photoUrl ? String(body.photoUrl).trim() : null;
+  if (photoUrl && !/^https:\/\//i.test(photoUrl)) {
+    throw sendErrorLike("photoUrl must be an https URL (upload it first).");
+  }
+
+  return {
+    amount,
+    method,
+    reference: String(body.reference || "").trim().slice(0, 120),
+    receivedAt,
+    photoUrl: photoUrl ? photoUrl.slice(0, 500) : null,
+    note: String(body.note || "").trim().slice(0, 500),
+  };
+};
+
+export const describeOfflinePayment = ({ method, reference }) => {
+  const label = { cash: "Cash", check: "Check", zelle: "Zelle", other: "Manual payment" }[
+    method
+  ];
+  return reference ? `${label} (ref ${reference})` : label;
+};
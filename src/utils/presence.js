@@ -0,0 +1,126 @@
+// src/utils/presence.js
+import { redisClient } from "../config/redis.js";
+
+/* -------------------------------------------------------
+   CHAT PRESENCE (online / last seen)
+   Keyed by chat identity — the Provider id for providers,
+   the User id for customers — the same ids Message.senderId
+   and the socket rooms use.
+
+   With REDIS_URL each identity has a sorted set of live
+   sockets scored by heartbeat expiry, so any instance can
+   answer "is X online?" and a crashed instance's sockets
+   simply age out. Without Redis an in-memory map covers
+   the single-instance case.
+-------------------------------------------------------- */
+export const PRESENCE_HEARTBEAT_MS = 30 * 1000;
+const SOCKET_TTL_MS = 3 * PRESENCE_HEARTBEAT_MS;
+const LAST_SEEN_TTL_S = 30 * 24 * 60 * 60;
+
+const useRedis = Boolean(process.env.REDIS_URL);
+
+const socketsKey = (id) => `presence:sockets:${id}`;
+const lastSeenKey = (id) => `presence:lastSeen:${id}`;
+
+// In-memory fallback
+const localSockets = new Map(); // id → Set(socketId)
+const localLastSeen = new Map(); // id → Date
+
+const liveSocketCount = async (id, now = Date.now()) => {
+  if (!useRedis) return localSockets.get(id)?.size || 0;
+  return Number(await redisClient.zcount(socketsKey(id), now, "+inf"));
+};
+
+/**
+ * Register a connected socket.
+ * @returns {Promise<boolean>} true if the identity just came online
+ */
+export const markSocketOnline = async (id, socketId, now = Date.now()) => {
+  if (!useRedis) {
+    const sockets = localSockets.get(id) || new Set();
+    const wasOnline = sockets.size > 0;
+    sockets.add(socketId);
+    localSockets.set(id, sockets);
+    return !wasOnline;
+  }
+
+  const wasOnline = (await liveSocketCount(id, now)) > 0;
+  await redisClient
+    .multi()
+    .zremrangebyscore(socketsKey(id), "-inf", now) // sockets of dead instances
+    .zadd(socketsKey(id), now + SOCKET_TTL_MS, socketId)
+    .pexpire(socketsKey(id), SOCKET_TTL_MS)
+    .exec();
+  return !wasOnline;
+};
+
+/**
+ * Keep a socket alive; called every PRESENCE_HEARTBEAT_MS.
+ */
+export const refreshSocketPresence = async (id, socketId, now = Date.now()) => {
+  if (!useRedis) return;
+  await redisClient
+    .multi()
+    .zadd(socketsKey(id), now + SOCKET_TTL_MS, socketId)
+    .pexpire(socketsKey(id), SOCKET_TTL_MS)
+    .exec();
+};
+
+/**
+ * Remove a disconnected socket.
+ * @returns {Promise<Date|null>} last-seen time if that was the
+ *          identity's last socket, otherwise null
+ */
+export const markSocketOffline = async (id, socketId, now = Date.now()) => {
+  if (!useRedis) {
+    const sockets = localSockets.get(id);
+    sockets?.delete(socketId);
+    if (sockets?.size) return null;
+
+    localSockets.delete(id);
+    const lastSeen = new Date(now);
+    localLastSeen.set(id, lastSeen);
+    return lastSeen;
+  }
+
+  await redisClient.zrem(socketsKey(id), socketId);
+  if ((await liveSocketCount(id, now)) > 0) return null;
+
+  const lastSeen = new Date(now);
+  await redisClient.set(lastSeenKey(id), lastSeen.toISOString(), "EX", LAST_SEEN_TTL_S);
+  return lastSeen;
+};
+
+/**
+ * @returns {Promise<Array<{ id, online, lastSeenAt }>>}
+ */
+export const getPresence = async (ids, now = Date.now()) => {
+  const unique = [...new Set(ids.map(String))];
+
+  if (!useRedis) {
+    return unique.map((id) => ({
+      id,
+      online: (localSockets.get(id)?.size || 0) > 0,
+      lastSeenAt: localLastSeen.get(id) || null,
+    }));
+  }
+
+  if (!unique.length) return [];
+
+  const pipeline = redisClient.pipeline();
+  unique.forEach((id) => {
+    pipeline.zcount(socketsKey(id), now, "+inf");
+    pipeline.get(lastSeenKey(id));
+  });
+  const results = await pipeline.exec();
+
+  return unique.map((id, i) => {
+    const [, count] = results[i * 2];
+    const [, lastSeen] = results[i * 2 + 1];
+    return {
+      id,
+      online: Number(count) > 0,
+      lastSeenAt: lastSeen ? new Date(lastSeen) : null,
+    };
+  });
+};
@@ -0,0 +1,372 @@
+// src/utils/providerMetrics.js
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import Booking from "../models/Booking.js";
+import ProviderDailyStat from "../models/ProviderDailyStat.js";
+
+/* -------------------------------------------------------
+   PROVIDER LEAD METRICS
+   A lead is a conversation whose first customer message
+   lands on a given day. For each lead:
+     • first response — first provider message after it
+       (auto-replies are "system" and don't count)
+     • conversion     — a booking between the two (linked to
+       the chat, or made after it started) or an invoice
+       card sent in the chat
+   Repeat customers come from completed bookings.
+
+   Days are server-local YYYY-MM-DD, like the rest of
+   ProviderDailyStat (feed impressions / leads).
+-------------------------------------------------------- */
+export const METRICS_WINDOW_DAYS = 30;
+
+// Below this many leads in the window, no responsiveness badge
+export const MIN_BADGE_SAMPLE = 5;
+
+// Stored per day so the window median stays exact
+const MAX_DAY_SAMPLES = 500;
+
+const RESPONSE_BADGES = [
+  { maxSec: 15 * 60, label: "Usually responds within 15 minutes" },
+  { maxSec: 60 * 60, label: "Usually responds within 1 hour" },
+  { maxSec: 4 * 60 * 60, label: "Usually responds within a few hours" },
+  { maxSec: 24 * 60 * 60, label: "Usually responds within a day" },
+];
+
+const REPEAT_BADGE_RATE = 0.3;
+
+export const dayKey = (date = new Date()) => {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+};
+
+/**
+ * @returns {{ start: Date, end: Date }} local midnight → next midnight
+ */
+export const dayBounds = (day) => {
+  const [y, m, d] = day.split("-").map(Number);
+  return { start: new Date(y, m - 1, d), end: new Date(y, m - 1, d + 1) };
+};
+
+export const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+};
+
+const ratio = (num, den) => (den > 0 ? Math.round((num / den) * 1000) / 1000 : null);
+
+/**
+ * Leads that started in [start, end), with first reply time
+ * and whether an invoice card was sent in the chat.
+ */
+const loadLeads = (start, end) => {
+  const messages = Message.collection.name;
+
+  return Message.aggregate([
+    { $match: { senderRole: "customer", createdAt: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: "$conversationId",
+        providerId: { $first: "$providerId" },
+        customerId: { $first: "$customerId" },
+        firstAt: { $min: "$createdAt" },
+      },
+    },
+    // Started before this day → not a new lead
+    {
+      $lookup: {
+        from: messages,
+        let: { c: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$conversationId", "$$c"] },
+                  { $eq: ["$senderRole", "customer"] },
+                  { $lt: ["$createdAt", start] },
+                ],
+              },
+            },
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: "earlier",
+      },
+    },
+    { $match: { earlier: { $size: 0 } } },
+    {
+      $lookup: {
+        from: messages,
+        let: { c: "$_id", t: "$firstAt" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$conversationId", "$$c"] },
+                  { $eq: ["$senderRole", "provider"] },
+                  { $gte: ["$createdAt", "$$t"] },
+                ],
+              },
+            },
+          },
+          { $sort: { createdAt: 1 } },
+          { $limit: 1 },
+          { $project: { createdAt: 1 } },
+        ],
+        as: "reply",
+      },
+    },
+    {
+      $lookup: {
+        from: messages,
+        let: { c: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$conversationId", "$$c"] },
+                  { $eq: ["$card.kind", "invoice"] },
+                ],
+              },
+            },
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: "invoiceCard",
+      },
+    },
+    {
+      $project: {
+        providerId: 1,
+        customerId: 1,
+        firstAt: 1,
+        replyAt: { $first: "$reply.createdAt" },
+        hasInvoice: { $gt: [{ $size: "$invoiceCard" }, 0] },
+      },
+    },
+  ]);
+};
+
+/**
+ * Conversation ids (of `leads`) that led to a booking.
+ */
+const bookedLeadIds = async (leads) => {
+  if (!leads.length) return new Set();
+
+  const bookings = await Booking.find({
+    status: { $ne: "cancelled" },
+    $or: [
+      { conversation: { $in: leads.map((l) => l._id) } },
+      {
+        provider: { $in: [...new Set(leads.map((l) => String(l.providerId)))] },
+        customer: { $in: [...new Set(leads.map((l) => String(l.customerId)))] },
+        createdAt: { $gte: leads.reduce((min, l) => (l.firstAt < min ? l.firstAt : min), leads[0].firstAt) },
+      },
+    ],
+  })
+    .select("provider customer conversation createdAt")
+    .lean();
+
+  const booked = new Set();
+  for (const lead of leads) {
+    const hit = bookings.some(
+      (b) =>
+        (b.conversation && String(b.conversation) === String(lead._id)) ||
+        (String(b.provider) === String(lead.providerId) &&
+          String(b.customer) === String(lead.customerId) &&
+          b.createdAt >= lead.firstAt)
+    );
+    if (hit) booked.add(String(lead._id));
+  }
+  return booked;
+};
+
+/**
+ * Completed jobs in [start, end) per provider, and how many
+ * were for a customer with an earlier completed job.
+ */
+const loadServedCustomers = async (start, end) => {
+  const completed = await Booking.find({
+    status: "completed",
+    completedAt: { $gte: start, $lt: end },
+  })
+    .select("provider customer completedAt")
+    .lean();
+
+  const byProvider = new Map();
+  const seen = new Set();
+
+  for (const b of completed) {
+    const pairKey = `${b.provider}:${b.customer}`;
+    if (seen.has(pairKey)) continue;
+    seen.add(pairKey);
+
+    const returning = await Booking.exists({
+      provider: b.provider,
+      customer: b.customer,
+      status: "completed",
+      completedAt: { $lt: start },
+    });
+
+    const row = byProvider.get(String(b.provider)) || { served: 0, repeat: 0 };
+    row.served += 1;
+    if (returning) row.repeat += 1;
+    byProvider.set(String(b.provider), row);
+  }
+
+  return byProvider;
+};
+
+/**
+ * Compute one day's metrics for every provider with activity.
+ * @returns {Promise<Map<string, Object>>} providerId → ProviderDailyStat fields
+ */
+export const computeDailyProviderMetrics = async (day) => {
+  const { start, end } = dayBounds(day);
+
+  const [leads, served] = await Promise.all([loadLeads(start, end), loadServedCustomers(start, end)]);
+  const booked = await bookedLeadIds(leads);
+
+  const rows = new Map();
+  const rowFor = (providerId) => {
+    const key = String(providerId);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        newConversations: 0,
+        repliedConversations: 0,
+        responseTimesSec: [],
+        bookingConversions: 0,
+        invoiceConversions: 0,
+        convertedConversations: 0,
+        customersServed: 0,
+        repeatCustomersServed: 0,
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const lead of leads) {
+    const row = rowFor(lead.providerId);
+    row.newConversations += 1;
+
+    if (lead.replyAt) {
+      row.repliedConversations += 1;
+      if (row.responseTimesSec.length < MAX_DAY_SAMPLES) {
+        row.responseTimesSec.push(Math.max(0, Math.round((lead.replyAt - lead.firstAt) / 1000)));
+      }
+    }
+
+    const isBooked = booked.has(String(lead._id));
+    if (isBooked) row.bookingConversions += 1;
+    if (lead.hasInvoice) row.invoiceConversions += 1;
+    if (isBooked || lead.hasInvoice) row.convertedConversations += 1;
+  }
+
+  for (const [providerId, { served: count, repeat }] of served) {
+    const row = rowFor(providerId);
+    row.customersServed = count;
+    row.repeatCustomersServed = repeat;
+  }
+
+  for (const row of rows.values()) {
+    row.medianFirstResponseSec = median(row.responseTimesSec);
+  }
+
+  return rows;
+};
+
+/**
+ * Roll daily rows up into window metrics.
+ * @param rows ProviderDailyStat docs for one provider
+ */
+export const summarizeProviderMetrics = (rows, windowDays = METRICS_WINDOW_DAYS) => {
+  const totals = {
+    newConversations: 0,
+    repliedConversations: 0,
+    convertedConversations: 0,
+    customersServed: 0,
+    repeatCustomersServed: 0,
+  };
+  const samples = [];
+
+  for (const row of rows) {
+    for (const key of Object.keys(totals)) totals[key] += row[key] || 0;
+    samples.push(...(row.responseTimesSec || []));
+  }
+
+  return {
+    windowDays,
+    newConversations: totals.newConversations,
+    medianFirstResponseSec: median(samples),
+    replyRate: ratio(totals.repliedConversations, totals.newConversations),
+    conversionRate: ratio(totals.convertedConversations, totals.newConversations),
+    customersServed: totals.customersServed,
+    repeatCustomerRate: ratio(totals.repeatCustomersServed, totals.customersServed),
+  };
+};
+
+/**
+ * Window metrics + daily series for one provider, straight
+ * from the rollups (the provider analytics screen).
+ */
+export const getProviderMetrics = async (providerId, { days = METRICS_WINDOW_DAYS, now = new Date() } = {}) => {
+  const from = new Date(now);
+  from.setDate(from.getDate() - (days - 1));
+
+  const rows = await ProviderDailyStat.find({
+    provider_id: new mongoose.Types.ObjectId(String(providerId)),
+    day: { $gte: dayKey(from), $lte: dayKey(now) },
+    metricsComputedAt: { $ne: null },
+  })
+    .select("-_id day newConversations repliedConversations responseTimesSec medianFirstResponseSec convertedConversations customersServed repeatCustomersServed")
+    .sort({ day: 1 })
+    .lean();
+
+  const summary = summarizeProviderMetrics(rows, days);
+
+  return {
+    ...summary,
+    badges: providerBadges(summary),
+    daily: rows.map(({ responseTimesSec, ...row }) => row),
+  };
+};
+
+/**
+ * Public badges for a provider's window metrics
+ * (Provider.performance or summarizeProviderMetrics output).
+ * @returns {{ key, label }[]}
+ */
+export const providerBadges = (performance) => {
+  if (!performance) return [];
+  const badges = [];
+
+  const enoughLeads = (performance.newConversations || 0) >= MIN_BADGE_SAMPLE;
+  const medianSec = performance.medianFirstResponseSec;
+
+  if (enoughLeads && medianSec !== null && medianSec !== undefined) {
+    const tier = RESPONSE_BADGES.find((b) => medianSec <= b.maxSec);
+    if (tier) badges.push({ key: "response_time", label: tier.label });
+  }
+
+  if (enoughLeads && performance.replyRate >= 0.9) {
+    badges.push({ key: "reply_rate", label: "Replies to almost every message" });
+  }
+
+  if (
+    (performance.customersServed || 0) >= MIN_BADGE_SAMPLE &&
+    performance.repeatCustomerRate >= REPEAT_BADGE_RATE
+  ) {
+    badges.push({ key: "repeat_customers", label: "Popular with repeat customers" });
+  }
+
+  return badges;
+};
@@ -0,0 +1,22 @@
+// src/utils/publicLinks.js
+import crypto from "crypto";
+
+/* -------------------------------------------------------
+   PUBLIC (NO-ACCOUNT) LINKS
+   Tokenized URLs customers open without a Helpio login —
+   estimates, hosted invoices, etc.
+-------------------------------------------------------- */
+const PUBLIC_BASE_URL =
+  process.env.PUBLIC_API_URL || "https://helpio-backend.onrender.com";
+
+// 24 random bytes (48 hex chars) — unguessable, URL-safe
+export const generatePublicToken = () => crypto.randomBytes(24).toString("hex");
+
+export const isWellFormedPublicToken = (token) =>
+  typeof token === "string" && /^[a-f0-9]{48}$/.test(token);
+
+export const buildPublicUrl = (path) =>
+  `${PUBLIC_BASE_URL.replace(/\/+$/, "")}/${String(path).replace(/^\/+/, "")}`;
+
+export const publicEstimateUrl = (estimate) =>
+  buildPublicUrl(`api/estimates/public/${estimate.publicToken}`);
@@ -0,0 +1,185 @@
+// src/utils/recurringInvoices.js
+import Invoice from "../models/Invoice.js";
+import RecurringInvoice from "../models/RecurringInvoice.js";
+import Customer from "../models/Customer.js";
+import Provider from "../models/Provider.js";
+import { computeNextBillingDate } from "../cron/billingCron.js";
+import { assignInvoiceNumber } from "./invoiceNumbering.js";
+import { logCustomerTimelineEvent } from "./timelineLogger.js";
+import { sendInvoiceSms, toE164 } from "./invoiceReminders.js";
+import {
+  ensureInvoicePublicToken,
+  publicInvoiceUrl,
+} from "../controllers/invoiceDocumentController.js";
+
+/* -------------------------------------------------------
+   RECURRING INVOICES — template → Invoice
+-------------------------------------------------------- */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDay = (d) => new Date(d).toISOString().slice(0, 10);
+
+/**
+ * First run date strictly after `now`, stepping from `from`
+ * on the template's schedule. Used on resume so paused
+ * periods are skipped rather than billed in a burst.
+ */
+export const nextRunAfter = (template, from, now = new Date()) => {
+  let d = new Date(from);
+  for (let i = 0; d <= now && i < 1000; i += 1) {
+    d = computeNextBillingDate(d, template);
+  }
+  return d;
+};
+
+const stopTemplate = (templateId, reason, now) =>
+  RecurringInvoice.updateOne(
+    { _id: templateId, status: { $ne: "stopped" } },
+    { $set: { status: "stopped", stoppedAt: now, stopReason: reason, nextRunAt: null } }
+  );
+
+/**
+ * Issue the invoice for the template's current period.
+ *
+ * The period is claimed by moving nextRunAt forward atomically,
+ * so overlapping cron runs can't issue it twice; the unique
+ * (recurringInvoice, recurringPeriod) index backs that up.
+ *
+ * @returns {Promise<object|null>} the new Invoice, or null when
+ *          there was nothing to issue
+ */
+export const materializeRecurringInvoice = async (template, now = new Date()) => {
+  const runAt = template.nextRunAt;
+  if (template.status !== "active" || !runAt || runAt > now) return null;
+
+  if (template.endDate && runAt > template.endDate) {
+    await stopTemplate(template._id, "end_date", now);
+    return null;
+  }
+
+  const customer = await Customer.findOne({
+    _id: template.customer,
+    provider: template.provider,
+  }).lean();
+
+  if (!customer) {
+    await stopTemplate(template._id, "customer_deleted", now);
+    return null;
+  }
+
+  const next = computeNextBillingDate(runAt, template);
+  const occurrences = (template.occurrences || 0) + 1;
+
+  let stopReason = null;
+  if (template.maxOccurrences && occurrences >= template.maxOccurrences) {
+    stopReason = "max_occurrences";
+  } else if (template.endDate && next > template.endDate) {
+    stopReason = "end_date";
+  }
+
+  const claimed = await RecurringInvoice.findOneAndUpdate(
+    { _id: template._id, status: "active", nextRunAt: runAt },
+    {
+      $set: {
+        nextRunAt: stopReason ? null : next,
+        lastRunAt: now,
+        ...(stopReason && { status: "stopped", stoppedAt: now, stopReason }),
+      },
+      $inc: { occurrences: 1 },
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let invoice;
+  try {
+    invoice = await Invoice.create({
+      provider: claimed.provider,
+      customer: customer._id,
+      customerSnapshot: {
+        name: customer.name,
+        email: customer.email,
+        phone: customer.phone,
+        address: customer.address || "",
+      },
+      items: claimed.items,
+      subtotal: claimed.subtotal,
+      tax: claimed.tax,
+      taxPct: claimed.taxPct,
+      total: claimed.total,
+      paid: 0,
+      balance: claimed.total,
+      currency: claimed.currency,
+      issueDate: formatDay(runAt),
+      dueDate: formatDay(new Date(runAt.getTime() + (claimed.dueInDays || 0) * DAY_MS)),
+      status: "DUE",
+      notes: claimed.notes || "",
+      recurringInvoice: claimed._id,
+      recurringPeriod: runAt,
+    });
+  } catch (err) {
+    // Another run already issued this period — keep the claim
+    if (err?.code === 11000) return null;
+
+    await RecurringInvoice.updateOne(
+      { _id: claimed._id, occurrences: claimed.occurrences },
+      {
+        $set: { nextRunAt: runAt, status: "active", stoppedAt: null, stopReason: null },
+        $inc: { occurrences: -1 },
+      }
+    );
+    throw err;
+  }
+
+  await RecurringInvoice.updateOne(
+    { _id: claimed._id },
+    { $set: { lastInvoice: invoice._id } }
+  );
+
+  // Numbered in the provider's sequence, in the period it was issued for
+  await assignInvoiceNumber(invoice, { date: runAt });
+
+  await deliverRecurringInvoice(invoice, claimed, customer);
+
+  try {
+    await logCustomerTimelineEvent({
+      providerId: invoice.provider,
+      customerId: invoice.customer,
+      type: "invoice",
+      title: `Invoice ${invoice.invoiceNumber} created`,
+      description: `Recurring invoice${claimed.name ? ` "${claimed.name}"` : ""} for $${Number(
+        invoice.total
+      ).toFixed(2)}, due ${invoice.dueDate}`,
+      amount: invoice.total,
+      invoice: invoice._id,
+    });
+  } catch {}
+
+  return invoice;
+};
+
+/**
+ * Text the customer their pay link. Failures are logged, never
+ * thrown — the invoice exists either way.
+ */
+const deliverRecurringInvoice = async (invoice, template, customer) => {
+  if (!template.sendSms) return;
+
+  const to = toE164(customer.phone);
+  if (!to) return;
+
+  try {
+    const provider = await Provider.findById(invoice.provider).select("businessName").lean();
+    await ensureInvoicePublicToken(invoice);
+
+    await sendInvoiceSms({
+      to,
+      body:
+        `${provider?.businessName || "Helpio"}: Invoice #${invoice.invoiceNumber} for ` +
+        `$${Number(invoice.total).toFixed(2)} is ready, due ${invoice.dueDate}. ` +
+        `View and pay: ${publicInvoiceUrl(invoice)}`,
+    });
+  } catch (err) {
+    console.warn(`⚠️ Recurring invoice SMS skipped (${invoice._id}):`, err.message);
+  }
+};
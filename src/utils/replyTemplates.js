@@ -0,0 +1,76 @@
+// src/utils/replyTemplates.js
+import User from "../models/User.js";
+import Listing from "../models/Listing.js";
+import Provider from "../models/Provider.js";
+
+/* -------------------------------------------------------
+   REPLY TEMPLATES
+   Shared by saved replies and the auto-responder.
+
+   {variable}            replaced, or "" when unknown for
+                         this conversation
+   {variable|fallback}   fallback text when there's no value
+-------------------------------------------------------- */
+export const REPLY_VARIABLES = {
+  customer_name: "Customer's full name",
+  customer_first_name: "Customer's first name",
+  listing_title: "Title of the listing the chat started from",
+  price: "Listing price, e.g. $120",
+  business_name: "Your business name",
+};
+
+const VARIABLE_RE = /\{([a-z_]+)(?:\|([^{}]*))?\}/g;
+
+/**
+ * @returns {string[]} unknown variable names used in `template`
+ */
+export const unknownReplyVariables = (template) =>
+  [...new Set([...String(template || "").matchAll(VARIABLE_RE)].map((m) => m[1]))].filter(
+    (name) => !(name in REPLY_VARIABLES)
+  );
+
+/**
+ * @returns {{ text, missing: string[] }} missing = variables with
+ *          no value and no fallback
+ */
+export const renderReplyTemplate = (template, values = {}) => {
+  const missing = new Set();
+
+  const text = String(template || "").replace(VARIABLE_RE, (match, name, fallback) => {
+    if (!(name in REPLY_VARIABLES)) return match;
+
+    const value = values[name];
+    if (value !== undefined && value !== null && value !== "") return String(value);
+    if (fallback !== undefined) return fallback;
+
+    missing.add(name);
+    return "";
+  });
+
+  return { text: text.replace(/ {2,}/g, " ").trim(), missing: [...missing] };
+};
+
+/**
+ * Variable values for one conversation.
+ * @param provider optional lean Provider with businessName
+ */
+export const loadReplyValues = async (convo, provider = null) => {
+  const [customer, listing, business] = await Promise.all([
+    convo.customerId ? User.findById(convo.customerId).select("name").lean() : null,
+    convo.serviceId ? Listing.findById(convo.serviceId).select("title price").lean() : null,
+    provider || Provider.findById(convo.providerId).select("businessName").lean(),
+  ]);
+
+  const name = String(customer?.name || "").trim();
+  const price = Number(listing?.price);
+
+  return {
+    customer_name: name,
+    customer_first_name: name.split(/\s+/)[0] || "",
+    listing_title: listing?.title || "",
+    price: Number.isFinite(price) && price > 0
+      ? `$${price % 1 ? price.toFixed(2) : price}`
+      : "",
+    business_name: business?.businessName || "",
+  };
+};
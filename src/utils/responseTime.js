@@ -0,0 +1,67 @@
+// src/utils/responseTime.js
+import Conversation from "../models/Conversation.js";
+import Provider from "../models/Provider.js";
+
+/* -------------------------------------------------------
+   FIRST-RESPONSE TIME
+   Clock starts at the customer's first message and stops at
+   the provider's first real reply (auto-replies are
+   "system" and don't count). Each conversation is measured
+   once; the provider keeps an exponentially weighted
+   average so ranking reflects how they respond lately.
+-------------------------------------------------------- */
+const EWMA_ALPHA = 0.2;
+
+/**
+ * Call after a chat message is stored.
+ * @param role "customer" | "provider" | "system"
+ */
+export const recordConversationMessage = async (convo, { role, at = new Date() }) => {
+  if (role === "customer") {
+    if (convo.firstCustomerMessageAt) return;
+    await Conversation.updateOne(
+      { _id: convo._id, firstCustomerMessageAt: null },
+      { $set: { firstCustomerMessageAt: at } }
+    );
+    convo.firstCustomerMessageAt = at;
+    return;
+  }
+
+  if (role !== "provider") return;
+  if (!convo.firstCustomerMessageAt || convo.firstResponseAt) return;
+
+  const sec = Math.max(
+    0,
+    Math.round((at.getTime() - new Date(convo.firstCustomerMessageAt).getTime()) / 1000)
+  );
+
+  const result = await Conversation.updateOne(
+    { _id: convo._id, firstResponseAt: null, firstCustomerMessageAt: { $ne: null } },
+    { $set: { firstResponseAt: at, firstResponseSec: sec } }
+  );
+  convo.firstResponseAt = at;
+  convo.firstResponseSec = sec;
+  if (!result.modifiedCount) return;
+
+  const count = { $ifNull: ["$responseStats.sampleCount", 0] };
+  await Provider.updateOne({ _id: convo.providerId }, [
+    {
+      $set: {
+        "responseStats.avgFirstResponseSec": {
+          $cond: [
+            { $gt: [count, 0] },
+            {
+              $add: [
+                { $multiply: [{ $ifNull: ["$responseStats.avgFirstResponseSec", sec] }, 1 - EWMA_ALPHA] },
+                sec * EWMA_ALPHA,
+              ],
+            },
+            sec,
+          ],
+        },
+        "responseStats.sampleCount": { $add: [count, 1] },
+        "responseStats.lastFirstResponseAt": at,
+      },
+    },
+  ]);
+};
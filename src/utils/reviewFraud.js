@@ -0,0 +1,234 @@
+// src/utils/reviewFraud.js
+import Review from "../models/Review.js";
+import User from "../models/User.js";
+import Provider from "../models/Provider.js";
+import { DeviceFingerprint } from "../models/DeviceFingerprint.js";
+
+/* -------------------------------------------------------
+   REVIEW FRAUD DETECTION
+   Runs on every new review (review.controller addReview).
+   Each signal adds to a risk score:
+     new_account           reviewer signed up minutes ago
+     provider_ip_match     reviewer's IP was seen on the
+                           provider owner's devices
+     shared_device         another account on the same
+                           device already reviewed this
+                           provider
+     device_many_providers the device reviewed lots of
+                           different providers lately
+     five_star_burst       a run of 5-stars on one provider
+   QUEUE_SCORE and up → admin queue, still published.
+   HOLD_SCORE and up  → held (hidden, not counted in
+   ratings) until an admin approves it.
+
+   "Device" = fingerprint (UA + language + client hints,
+   shared by everyone on the same app build / OS / locale)
+   AND the same IP, seen within DEVICE_WINDOW_DAYS. That's
+   still fuzzy, so device signals together count at most
+   DEVICE_SCORE_CAP — enough to queue, never to hold alone.
+-------------------------------------------------------- */
+export const QUEUE_SCORE = 30;
+export const HOLD_SCORE = 60;
+
+const SIGNAL_WEIGHTS = {
+  new_account: 30,
+  provider_ip_match: 60,
+  shared_device: 40,
+  device_many_providers: 40,
+  five_star_burst: 30,
+};
+
+const DEVICE_SIGNALS = ["shared_device", "device_many_providers"];
+const DEVICE_SCORE_CAP = 40;
+
+const NEW_ACCOUNT_MINUTES = 30;
+const DEVICE_WINDOW_DAYS = 30;
+// More accounts than this behind one fingerprint + IP is a
+// shared network (office, campus, carrier NAT), not a device
+const DEVICE_MAX_USERS = 20;
+const DEVICE_MAX_PROVIDERS = 5;
+const BURST_WINDOW_HOURS = 24;
+const BURST_MIN_REVIEWS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* -------------------------------------------------------
+   SIGNALS — each returns a detail string or null
+-------------------------------------------------------- */
+const checkNewAccount = async (review, now) => {
+  const user = await User.findById(review.user).select("createdAt").lean();
+  if (!user?.createdAt) return null;
+
+  const minutes = (now - user.createdAt) / 60000;
+  return minutes < NEW_ACCOUNT_MINUTES
+    ? `Account created ${Math.max(0, Math.round(minutes))} min before the review`
+    : null;
+};
+
+const checkProviderIp = async (review, ip) => {
+  if (!ip) return null;
+
+  const provider = await Provider.findById(review.provider).select("user").lean();
+  if (!provider?.user || String(provider.user) === String(review.user)) return null;
+
+  const seen = await DeviceFingerprint.exists({
+    user: provider.user,
+    $or: [{ ipSamples: ip }, { ipFirst: ip }],
+  });
+  return seen ? `Reviewer IP ${ip} was used by the provider's account` : null;
+};
+
+/**
+ * Accounts on this device lately: DeviceFingerprint logins
+ * plus earlier reviews posted from it, up to
+ * DEVICE_MAX_USERS + 1.
+ */
+const deviceUsers = async (fingerprintId, ip, since) => {
+  const [loggedIn, reviewed] = await Promise.all([
+    DeviceFingerprint.find({
+      fingerprintId,
+      lastSeenAt: { $gte: since },
+      $or: [{ ipLast: ip }, { ipSamples: ip }, { ipFirst: ip }],
+    })
+      .select("user")
+      .limit(DEVICE_MAX_USERS + 1)
+      .lean(),
+    Review.find({ fingerprintId, ip, createdAt: { $gte: since } })
+      .select("user")
+      .limit(DEVICE_MAX_USERS + 1)
+      .lean(),
+  ]);
+  const ids = [...loggedIn, ...reviewed].map((doc) => doc.user);
+  return [...new Map(ids.map((id) => [String(id), id])).values()];
+};
+
+const checkDevice = async (review, { ip, fingerprintId }, now) => {
+  const found = {};
+  if (!fingerprintId || !ip) return found;
+
+  const since = new Date(now.getTime() - DEVICE_WINDOW_DAYS * DAY_MS);
+  const users = await deviceUsers(fingerprintId, ip, since);
+  if (users.length > DEVICE_MAX_USERS) return found;
+
+  const others = users.filter((id) => String(id) !== String(review.user));
+
+  if (others.length) {
+    const sameProvider = await Review.countDocuments({
+      _id: { $ne: review._id },
+      provider: review.provider,
+      user: { $in: others },
+      status: { $ne: "removed" },
+    });
+    if (sameProvider) {
+      found.shared_device = `${sameProvider} other account(s) on this device reviewed the provider`;
+    }
+  }
+
+  const providers = await Review.distinct("provider", {
+    user: { $in: users.length ? users : [review.user] },
+    createdAt: { $gte: since },
+    status: { $ne: "removed" },
+  });
+  if (providers.length >= DEVICE_MAX_PROVIDERS) {
+    found.device_many_providers =
+      `Device reviewed ${providers.length} providers in ${DEVICE_WINDOW_DAYS} days`;
+  }
+
+  return found;
+};
+
+/**
+ * Recent 5-star reviews on the provider (incl. this one)
+ * when they add up to a burst.
+ */
+const findFiveStarBurst = async (review, now) => {
+  if (review.rating !== 5) return [];
+
+  const recent = await Review.find({
+    provider: review.provider,
+    rating: 5,
+    status: { $ne: "removed" },
+    createdAt: { $gte: new Date(now.getTime() - BURST_WINDOW_HOURS * 60 * 60 * 1000) },
+  })
+    .select("_id")
+    .lean();
+
+  return recent.length >= BURST_MIN_REVIEWS ? recent.map((r) => r._id) : [];
+};
+
+const scoreSignals = (signals) => {
+  let score = 0;
+  let deviceScore = 0;
+  for (const { code } of signals) {
+    if (DEVICE_SIGNALS.includes(code)) deviceScore += SIGNAL_WEIGHTS[code];
+    else score += SIGNAL_WEIGHTS[code];
+  }
+  return score + Math.min(deviceScore, DEVICE_SCORE_CAP);
+};
+
+/**
+ * Score a review and apply the outcome (queue / hold).
+ * Never throws — a failed check just leaves the review
+ * published.
+ * @param review saved Review doc
+ * @param ip / fingerprintId from the posting request
+ * @returns {{ riskScore, signals, held }}
+ */
+export const screenNewReview = async (review, { ip = "", fingerprintId = null, now = new Date() } = {}) => {
+  try {
+    const [newAccount, providerIp, device, burst] = await Promise.all([
+      checkNewAccount(review, now),
+      checkProviderIp(review, ip),
+      checkDevice(review, { ip, fingerprintId }, now),
+      findFiveStarBurst(review, now),
+    ]);
+
+    const found = {
+      new_account: newAccount,
+      provider_ip_match: providerIp,
+      ...device,
+      five_star_burst: burst.length
+        ? `${burst.length} five-star reviews in ${BURST_WINDOW_HOURS}h`
+        : null,
+    };
+
+    const signals = Object.entries(found)
+      .filter(([, detail]) => detail)
+      .map(([code, detail]) => ({ code, detail, at: now }));
+    const riskScore = scoreSignals(signals);
+
+    if (riskScore >= QUEUE_SCORE) {
+      const held = riskScore >= HOLD_SCORE;
+      await Review.updateOne(
+        { _id: review._id },
+        {
+          $set: {
+            ...(held ? { status: "held" } : {}),
+            "moderation.queued": true,
+            "moderation.queuedAt": now,
+            "moderation.riskScore": riskScore,
+            "moderation.signals": signals,
+          },
+        }
+      );
+    }
+
+    // The rest of the burst goes in the queue too
+    const others = burst.filter((id) => String(id) !== String(review._id));
+    if (others.length) {
+      await Review.updateMany(
+        { _id: { $in: others }, "moderation.signals.code": { $ne: "five_star_burst" } },
+        {
+          $set: { "moderation.queued": true, "moderation.queuedAt": now },
+          $inc: { "moderation.riskScore": SIGNAL_WEIGHTS.five_star_burst },
+          $push: { "moderation.signals": { code: "five_star_burst", detail: found.five_star_burst, at: now } },
+        }
+      );
+    }
+
+    return { riskScore, signals, held: riskScore >= HOLD_SCORE };
+  } catch (err) {
+    console.error("❌ Review fraud screening failed:", err.message);
+    return { riskScore: 0, signals: [], held: false };
+  }
+};
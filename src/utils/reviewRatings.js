@@ -0,0 +1,126 @@
+// src/utils/reviewRatings.js
+import mongoose from "mongoose";
+import Review from "../models/Review.js";
+import Listing from "../models/Listing.js";
+import Provider from "../models/Provider.js";
+
+/* -------------------------------------------------------
+   RATING AGGREGATES
+   Listing and Provider both carry rating / ratingCount /
+   ratingSum / ratingBreakdown (one..five). They're always
+   rebuilt from published reviews rather than incremented,
+   so create / edit / remove can't drift them apart.
+   `rating` is a weighted average — verified-purchase
+   reviews count VERIFIED_WEIGHT times — while ratingSum
+   and ratingBreakdown stay plain counts.
+-------------------------------------------------------- */
+export const RATING_KEYS = ["one", "two", "three", "four", "five"];
+
+export const VERIFIED_WEIGHT = 2;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const EMPTY_AGGREGATE = {
+  rating: 0,
+  ratingCount: 0,
+  ratingSum: 0,
+  verifiedRatingCount: 0,
+  ratingBreakdown: { one: 0, two: 0, three: 0, four: 0, five: 0 },
+};
+
+/**
+ * $group output → aggregate fields
+ * @param row { count, sum, weight, weightedSum, verified, r1..r5 }
+ */
+const toAggregate = (row) => {
+  if (!row?.count) return EMPTY_AGGREGATE;
+  return {
+    rating: Math.round((row.weightedSum / row.weight) * 10) / 10,
+    ratingCount: row.count,
+    ratingSum: row.sum,
+    verifiedRatingCount: row.verified,
+    ratingBreakdown: Object.fromEntries(RATING_KEYS.map((key, i) => [key, row[`r${i + 1}`] || 0])),
+  };
+};
+
+const weightExpr = { $cond: ["$verified", VERIFIED_WEIGHT, 1] };
+
+const groupStage = (field) => ({
+  $group: {
+    _id: `$${field}`,
+    count: { $sum: 1 },
+    sum: { $sum: "$rating" },
+    weight: { $sum: weightExpr },
+    weightedSum: { $sum: { $multiply: ["$rating", weightExpr] } },
+    verified: { $sum: { $cond: ["$verified", 1, 0] } },
+    ...Object.fromEntries(
+      [1, 2, 3, 4, 5].map((n) => [`r${n}`, { $sum: { $cond: [{ $eq: ["$rating", n] }, 1, 0] } }])
+    ),
+  },
+});
+
+const aggregateFor = async (field, id) => {
+  const [row] = await Review.aggregate([
+    { $match: { [field]: toObjectId(id), status: "published" } },
+    groupStage(field),
+  ]);
+  return toAggregate(row);
+};
+
+/**
+ * Rebuild one listing's and/or one provider's aggregates.
+ * Call after any review is created, edited or removed.
+ */
+export const refreshRatingAggregates = async ({ listingId = null, providerId = null }) => {
+  const jobs = [];
+
+  if (listingId) {
+    jobs.push(
+      aggregateFor("service", listingId).then((agg) =>
+        Listing.updateOne({ _id: listingId }, { $set: agg })
+      )
+    );
+  }
+  if (providerId) {
+    jobs.push(
+      aggregateFor("provider", providerId).then((agg) =>
+        Provider.updateOne({ _id: providerId }, { $set: agg })
+      )
+    );
+  }
+
+  await Promise.all(jobs);
+};
+
+/**
+ * Rebuild every listing's and provider's aggregates from the
+ * Review collection (cron/ratingRecomputeCron.js). Rows with
+ * stale ratings and no published reviews are reset to zero.
+ * @returns {{ listings, providers, reset }}
+ */
+export const rebuildAllRatingAggregates = async () => {
+  const stats = { listings: 0, providers: 0, reset: 0 };
+
+  for (const [field, Model, key] of [
+    ["service", Listing, "listings"],
+    ["provider", Provider, "providers"],
+  ]) {
+    const rows = await Review.aggregate([{ $match: { status: "published" } }, groupStage(field)]);
+
+    const bulk = rows
+      .filter((row) => row._id)
+      .map((row) => ({
+        updateOne: { filter: { _id: row._id }, update: { $set: toAggregate(row) } },
+      }));
+    if (bulk.length) await Model.bulkWrite(bulk, { ordered: false });
+    stats[key] = bulk.length;
+
+    const reset = await Model.updateMany(
+      { _id: { $nin: rows.map((row) => row._id) }, ratingCount: { $ne: 0 } },
+      { $set: EMPTY_AGGREGATE }
+    );
+    stats.reset += reset.modifiedCount;
+  }
+
+  return stats;
+};
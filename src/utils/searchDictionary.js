@@ -0,0 +1,118 @@
+// src/utils/searchDictionary.js
+import SearchSynonym from "../models/SearchSynonym.js";
+import { redisClient } from "../config/redis.js";
+import { normalize } from "./searchExpand.js";
+
+/* -------------------------------------------------------
+   SEARCH DICTIONARY CACHE
+   Each instance keeps the SearchSynonym collection in
+   memory. Admin changes bump a version number in Redis;
+   instances compare it at most every VERSION_CHECK_MS and
+   reload when it moved, so edits go live everywhere within
+   seconds. Without REDIS_URL only the local copy is
+   dropped (single instance). DICTIONARY_TTL_MS is the
+   safety net either way.
+-------------------------------------------------------- */
+const DICTIONARY_TTL_MS = 10 * 60 * 1000;
+const VERSION_CHECK_MS = 10 * 1000;
+const VERSION_KEY = "search:dictionary:version";
+
+const useRedis = Boolean(process.env.REDIS_URL);
+
+let cache = { entries: null, loadedAt: 0, version: null, checkedAt: 0, loading: null };
+
+const readRemoteVersion = async () => {
+  if (!useRedis) return null;
+  try {
+    return await redisClient.get(VERSION_KEY);
+  } catch (err) {
+    console.error("❌ Search dictionary version check failed:", err.message);
+    return cache.version;
+  }
+};
+
+/**
+ * Drop the cached dictionary here and on every instance.
+ */
+export const invalidateSearchDictionary = async () => {
+  cache = { entries: null, loadedAt: 0, version: null, checkedAt: 0, loading: null };
+  if (!useRedis) return;
+  try {
+    await redisClient.incr(VERSION_KEY);
+  } catch (err) {
+    console.error("❌ Search dictionary invalidation failed:", err.message);
+  }
+};
+
+const isStale = async (now) => {
+  if (!cache.entries || now - cache.loadedAt >= DICTIONARY_TTL_MS) return true;
+  if (!useRedis || now - cache.checkedAt < VERSION_CHECK_MS) return false;
+
+  cache.checkedAt = now;
+  return (await readRemoteVersion()) !== cache.version;
+};
+
+/**
+ * All dictionary entries (active and inactive — inactive city
+ * entries switch a global intent off).
+ */
+export const loadSearchDictionary = async (now = Date.now()) => {
+  if (!(await isStale(now))) return cache.entries;
+
+  if (!cache.loading) {
+    cache.loading = Promise.all([
+      readRemoteVersion(),
+      SearchSynonym.find().select("key city triggers expand categoryBoost isActive").lean(),
+    ])
+      .then(([version, entries]) => {
+        cache = { entries, loadedAt: Date.now(), version, checkedAt: Date.now(), loading: null };
+        return entries;
+      })
+      .catch((err) => {
+        cache.loading = null;
+        throw err;
+      });
+  }
+  return cache.loading;
+};
+
+/**
+ * Expansion rules for a search, city overrides applied.
+ * @param city search city (any case) or null
+ * @returns [{ key, triggers, expand, categoryBoost }]
+ */
+export const dictionaryRulesFor = (entries, city = null) => {
+  const cityKey = city ? normalize(city) : null;
+  const byKey = new Map();
+
+  for (const entry of entries) {
+    if (entry.city && entry.city !== cityKey) continue;
+    // City entry wins over the global one
+    if (byKey.has(entry.key) && !entry.city) continue;
+    byKey.set(entry.key, entry);
+  }
+
+  return [...byKey.values()]
+    .filter((entry) => entry.isActive)
+    .map((entry) => ({
+      key: `dictionary:${entry.key}`,
+      triggers: entry.triggers,
+      expand: entry.expand,
+      categoryBoost: entry.categoryBoost,
+    }));
+};
+
+/**
+ * Words from the dictionary, for typo correction.
+ */
+export const dictionaryVocabulary = (rules) => {
+  const vocabulary = new Set();
+  for (const rule of rules) {
+    for (const term of [...rule.triggers, ...rule.expand]) {
+      for (const word of normalize(term).split(" ")) {
+        if (word.length >= 3) vocabulary.add(word);
+      }
+    }
+  }
+  return vocabulary;
+};
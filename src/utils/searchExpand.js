@@ -1,76 +1,208 @@
 // src/utils/searchExpand.js
-const normalize = (s = "") =>
-  s
+
+/* -------------------------------------------------------
+   QUERY EXPANSION
+   Turns a raw search into weighted terms for
+   utils/marketplaceSearch.js:
+     • original words          weight 1
+     • typo corrections        weight 0.8 (against the
+                               vocabulary of category terms
+                               + listing titles)
+     • synonyms                weight 0.5 — every Category's
+                               name / slug / keywords form
+                               one synonym group; the admin
+                               dictionary (SearchSynonym,
+                               utils/searchDictionary.js)
+                               adds intents on top
+   A matched group also boosts its categories.
+-------------------------------------------------------- */
+export const normalize = (s = "") =>
+  String(s)
     .toLowerCase()
     .trim()
     .replace(/[^\w\s]/g, " ")
-    .replace(/\s+/g, " ");
-
-const PHRASE_MAP = [
-  {
-    // car wash / detailing intent
-    triggers: [
-      "car wash",
-      "carwashing",
-      "auto wash",
-      "vehicle wash",
-      "wash car",
-      "wash my car",
-      "car cleaning",
-      "auto cleaning",
-      "detail",
-      "detailing",
-      "car detail",
-      "interior detail",
-      "exterior detail",
-      "ceramic",
-      "ceramic coating",
-      "wax",
-      "waxing",
-      "polish",
-      "buff",
-      "shampoo seats",
-      "seat shampoo",
-      "interior cleaning",
-      "exterior cleaning"
-    ],
-    expand: [
-      "detailing",
-      "car detailing",
-      "auto detailing",
-      "mobile detailing",
-      "car wash",
-      "auto wash",
-      "vehicle wash",
-      "interior",
-      "exterior",
-      "ceramic coating",
-      "waxing",
-      "polishing"
-    ],
-    // optionally boost these categories if you have them:
-    categoryBoost: ["detailing", "car_detailing", "carwash", "auto_detailing"]
+    .replace(/_/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "for", "to", "of", "in", "on", "at", "by",
+  "with", "my", "me", "near", "nearby", "around", "best", "cheap", "good",
+  "service", "services", "someone", "need", "i",
+]);
+
+/**
+ * Meaningful words of a normalized query.
+ */
+export const tokenize = (q) => normalize(q).split(" ").filter((t) => t && !STOPWORDS.has(t));
+
+const MAX_KEYWORDS = 400;
+
+/**
+ * Distinct normalized words of a document's searchable text,
+ * stored as Listing / Provider `searchTerms` so search can
+ * find candidates through an index (word-prefix regexes
+ * anchored with ^) instead of scanning every document.
+ */
+export const searchKeywords = (...texts) => {
+  const words = new Set();
+  for (const text of texts.flat()) {
+    for (const word of normalize(text).split(" ")) {
+      if (word && !STOPWORDS.has(word)) words.add(word);
+      if (words.size >= MAX_KEYWORDS) return [...words];
+    }
+  }
+  return [...words];
+};
+
+/**
+ * One synonym group per active Category.
+ * @param categories [{ name, slug, keywords }]
+ */
+export const buildCategoryRules = (categories = []) =>
+  categories.map((cat) => {
+    const terms = [cat.name, cat.slug, ...(cat.keywords || [])].map(normalize).filter(Boolean);
+    return {
+      key: `category:${cat.slug}`,
+      triggers: [...new Set(terms)],
+      expand: [...new Set(terms)],
+      categoryBoost: [cat.slug, cat.name].filter(Boolean),
+    };
+  });
+
+/* -------------------------------------------------------
+   TYPO TOLERANCE
+-------------------------------------------------------- */
+
+/**
+ * Edit distance with adjacent swaps (optimal string
+ * alignment). Gives up past `max`.
+ */
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
   }
-];
 
-export function expandSearchQuery(raw) {
+  return prev[b.length];
+};
+
+// Short words only get one typo; very short ones none
+const maxEditsFor = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+/**
+ * Closest vocabulary word for an unknown token, or null.
+ * @param vocabulary Set<string>, or an array of them
+ */
+export const correctToken = (token, vocabulary) => {
+  const sets = (Array.isArray(vocabulary) ? vocabulary : [vocabulary]).filter((v) => v?.size);
+  if (!sets.length || sets.some((v) => v.has(token))) return null;
+  const max = maxEditsFor(token);
+  if (!max) return null;
+
+  let best = null;
+  let bestDistance = max + 1;
+  for (const set of sets) {
+    for (const word of set) {
+      if (Math.abs(word.length - token.length) > max) continue;
+      const d = editDistance(token, word, max);
+      // ties → same first letter wins (typos are rarely there)
+      if (d < bestDistance || (d === bestDistance && best && best[0] !== token[0] && word[0] === token[0])) {
+        best = word;
+        bestDistance = d;
+      }
+    }
+  }
+  return best;
+};
+
+/* -------------------------------------------------------
+   EXPAND
+-------------------------------------------------------- */
+const containsPhrase = (q, phrase) => ` ${q} `.includes(` ${phrase} `);
+
+/**
+ * @param raw user query
+ * @param rules synonym groups [{ key, triggers, expand, categoryBoost }]
+ *   — buildCategoryRules() + dictionaryRulesFor()
+ * @param vocabulary Set(s) of known words for typo correction
+ * @returns {{ q, tokens, corrections, terms: [{ term, weight }],
+ *   expanded: string[], boostedCategories: string[], matchedRules: string[] }}
+ */
+export function expandSearchQuery(raw, { rules = [], vocabulary = null } = {}) {
   const q = normalize(raw);
-  if (!q) return { expanded: [], boostedCategories: [] };
+  const empty = {
+    q,
+    tokens: [],
+    corrections: {},
+    terms: [],
+    expanded: [],
+    boostedCategories: [],
+    matchedRules: [],
+  };
+  if (!q) return empty;
 
-  const tokens = new Set(q.split(" ").filter(Boolean));
-  const phrases = new Set([q]);
+  const tokens = tokenize(q);
+  if (!tokens.length) return empty;
 
-  let boostedCategories = [];
+  const terms = new Map();
+  const addTerm = (term, weight) => {
+    const t = normalize(term);
+    if (t && (terms.get(t) || 0) < weight) terms.set(t, weight);
+  };
+
+  tokens.forEach((t) => addTerm(t, 1));
+  if (tokens.length > 1) addTerm(tokens.join(" "), 1);
 
-  for (const rule of PHRASE_MAP) {
-    const hit = rule.triggers.some((t) => q.includes(normalize(t)));
-    if (hit) {
-      rule.expand.forEach((x) => phrases.add(normalize(x)));
-      boostedCategories = [...new Set([...boostedCategories, ...rule.categoryBoost])];
+  const corrections = {};
+  for (const token of tokens) {
+    const fixed = correctToken(token, vocabulary);
+    if (fixed) {
+      corrections[token] = fixed;
+      addTerm(fixed, 0.8);
     }
   }
+  const correctedQ = tokens.map((t) => corrections[t] || t).join(" ");
+
+  let boostedCategories = [];
+  const matchedRules = [];
+  for (const rule of rules) {
+    const hit = rule.triggers.some((trigger) => {
+      const t = normalize(trigger);
+      return t && (containsPhrase(q, t) || containsPhrase(correctedQ, t));
+    });
+    if (!hit) continue;
+
+    matchedRules.push(rule.key);
+    rule.expand.forEach((x) => addTerm(x, 0.5));
+    boostedCategories = [...new Set([...boostedCategories, ...rule.categoryBoost])];
+  }
 
-  // expanded list = original + expansions
-  const expanded = Array.from(phrases).filter(Boolean);
-  return { expanded, boostedCategories };
-}
\ No newline at end of file
+  return {
+    q,
+    tokens,
+    corrections,
+    terms: [...terms].map(([term, weight]) => ({ term, weight })),
+    // original + expansions, as before
+    expanded: [...terms.keys()],
+    boostedCategories,
+    matchedRules,
+  };
+}
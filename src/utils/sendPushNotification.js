@@ -36,4 +36,76 @@ export async function sendPushNotification({
   } catch (error) {
     console.error("❌ Push notification error:", error);
   }
-}
\ No newline at end of file
+}
+
+/* -------------------------------------------------------
+   BATCH + RECEIPTS (used by the notification service)
+   Unlike sendPushNotification these throw on transport /
+   HTTP errors so the caller can retry.
+-------------------------------------------------------- */
+const EXPO_SEND_URL = "https://exp.host/--/api/v2/push/send";
+const EXPO_RECEIPTS_URL = "https://exp.host/--/api/v2/push/getReceipts";
+
+// Expo's documented request limits
+export const EXPO_MAX_MESSAGES = 100;
+export const EXPO_MAX_RECEIPT_IDS = 1000;
+
+export const isExpoPushToken = (token) =>
+  typeof token === "string" && /^Expo(nent)?PushToken\[[^\]]+\]$/.test(token.trim());
+
+async function expoRequest(url, payload) {
+  const headers = {
+    Accept: "application/json",
+    "Accept-Encoding": "gzip, deflate",
+    "Content-Type": "application/json",
+  };
+  if (process.env.EXPO_ACCESS_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+  }
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(payload),
+  });
+
+  const result = await response.json().catch(() => null);
+
+  if (!response.ok || !result) {
+    const err = new Error(
+      result?.errors?.[0]?.message || `Expo push API responded ${response.status}`
+    );
+    err.status = response.status;
+    throw err;
+  }
+
+  return result;
+}
+
+/**
+ * Send up to EXPO_MAX_MESSAGES messages in one request.
+ * @returns {Promise<Array>} one ticket per message, same order
+ */
+export async function sendPushBatch(messages) {
+  const result = await expoRequest(
+    EXPO_SEND_URL,
+    messages.map(({ to, title, body, data = {} }) => ({
+      to,
+      sound: "default",
+      title,
+      body,
+      data,
+      priority: "high",
+      channelId: "default",
+    }))
+  );
+  return Array.isArray(result.data) ? result.data : [];
+}
+
+/**
+ * @returns {Promise<Object>} receipts keyed by ticket id
+ */
+export async function getPushReceipts(ids) {
+  const result = await expoRequest(EXPO_RECEIPTS_URL, { ids });
+  return result.data || {};
+}
@@ -0,0 +1,312 @@
+// src/utils/simplePdf.js
+import zlib from "zlib";
+
+/* -------------------------------------------------------
+   MINIMAL PDF WRITER (no dependencies)
+
+   Enough for business documents: Helvetica / Helvetica-Bold
+   text, lines, filled rects, JPEG images and link areas.
+   Coordinates are in points (1/72") measured from the TOP
+   left of the page; text y is the baseline.
+-------------------------------------------------------- */
+
+// Glyph widths (1/1000 em) for chars 32..126 — from the Adobe AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const DEFAULT_WIDTH = 556;
+
+// Standard fonts use WinAnsi; anything outside Latin-1 becomes "?"
+const toWinAnsi = (str) =>
+  String(str ?? "")
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/[\r\n\t]+/g, " ")
+    .replace(/[^\x20-\xFF]/g, "?");
+
+const escapeText = (str) => str.replace(/([\\()])/g, "\\$1");
+
+const fmt = (n) => Number(n.toFixed(2)).toString();
+
+const colorOps = (color, op) => `${color.map(fmt).join(" ")} ${op}`;
+
+export const measureText = (str, size = 10, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const ch of toWinAnsi(str)) {
+    const code = ch.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+  }
+  return (total * size) / 1000;
+};
+
+/**
+ * Greedy word wrap to a max width. Words longer than a line
+ * are hard-broken.
+ */
+export const wrapText = (str, maxWidth, size = 10, bold = false) => {
+  const lines = [];
+
+  String(str ?? "")
+    .split(/\r?\n/)
+    .forEach((paragraph) => {
+      let line = "";
+      paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (measureText(candidate, size, bold) <= maxWidth) {
+          line = candidate;
+          return;
+        }
+        if (line) lines.push(line);
+
+        let rest = word;
+        while (measureText(rest, size, bold) > maxWidth && rest.length > 1) {
+          let cut = rest.length - 1;
+          while (cut > 1 && measureText(rest.slice(0, cut), size, bold) > maxWidth) cut--;
+          lines.push(rest.slice(0, cut));
+          rest = rest.slice(cut);
+        }
+        line = rest;
+      });
+      lines.push(line);
+    });
+
+  return lines;
+};
+
+/* -------------------------------------------------------
+   JPEG INSPECTION — PDFs embed JPEGs as-is (DCTDecode),
+   we only need dimensions + colour components.
+-------------------------------------------------------- */
+export const readJpegInfo = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+  if (buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    const isSof =
+      marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+    if (isSof) {
+      const components = buffer[offset + 9];
+      // CMYK JPEGs need inverted decode arrays — not worth it for logos
+      if (![1, 3].includes(components)) return null;
+      return {
+        data: buffer,
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+        components,
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+/* -------------------------------------------------------
+   DOCUMENT
+-------------------------------------------------------- */
+export const createPdf = ({ width = 612, height = 792 } = {}) => {
+  const pages = [];
+  const images = [];
+  let page = null;
+
+  const addPage = () => {
+    page = { ops: [], links: [] };
+    pages.push(page);
+    return page;
+  };
+
+  addPage();
+
+  const flipY = (y) => height - y;
+
+  const text = (str, x, y, opts = {}) => {
+    const { size = 10, bold = false, color = [0, 0, 0], align = "left" } = opts;
+    const clean = toWinAnsi(str);
+    if (!clean) return;
+
+    let drawX = x;
+    if (align !== "left") {
+      const w = measureText(clean, size, bold);
+      drawX = align === "right" ? x - w : x - w / 2;
+    }
+
+    page.ops.push(
+      `BT ${colorOps(color, "rg")} /${bold ? "F2" : "F1"} ${fmt(size)} Tf ` +
+        `${fmt(drawX)} ${fmt(flipY(y))} Td (${escapeText(clean)}) Tj ET`
+    );
+  };
+
+  const line = (x1, y1, x2, y2, { lineWidth = 0.5, color = [0.8, 0.8, 0.8] } = {}) => {
+    page.ops.push(
+      `${colorOps(color, "RG")} ${fmt(lineWidth)} w ` +
+        `${fmt(x1)} ${fmt(flipY(y1))} m ${fmt(x2)} ${fmt(flipY(y2))} l S`
+    );
+  };
+
+  const rect = (x, y, w, h, { fill = [0.95, 0.95, 0.95] } = {}) => {
+    page.ops.push(
+      `${colorOps(fill, "rg")} ${fmt(x)} ${fmt(flipY(y + h))} ${fmt(w)} ${fmt(h)} re f`
+    );
+  };
+
+  const image = (jpeg, x, y, w, h) => {
+    if (!jpeg) return;
+    let index = images.indexOf(jpeg);
+    if (index === -1) index = images.push(jpeg) - 1;
+
+    page.ops.push(
+      `q ${fmt(w)} 0 0 ${fmt(h)} ${fmt(x)} ${fmt(flipY(y + h))} cm /Im${index} Do Q`
+    );
+  };
+
+  const link = (url, x, y, w, h) => {
+    page.links.push({ url: toWinAnsi(url), rect: [x, flipY(y + h), x + w, flipY(y)] });
+  };
+
+  /* ---------------------------------------------------
+     SERIALIZE
+  ---------------------------------------------------- */
+  const toBuffer = () => {
+    const objects = [];
+    const alloc = () => objects.push(null);
+    const set = (id, body) => {
+      objects[id - 1] = body;
+    };
+
+    const catalogId = alloc();
+    const pagesId = alloc();
+    const fontId = alloc();
+    const boldFontId = alloc();
+
+    set(fontId, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+    set(
+      boldFontId,
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+    );
+
+    const imageIds = images.map((img) => {
+      const id = alloc();
+      set(id, {
+        dict:
+          `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} ` +
+          `/ColorSpace /${img.components === 1 ? "DeviceGray" : "DeviceRGB"} ` +
+          `/BitsPerComponent 8 /Filter /DCTDecode /Length ${img.data.length} >>`,
+        stream: img.data,
+      });
+      return id;
+    });
+
+    const xObjects = imageIds.length
+      ? `/XObject << ${imageIds.map((id, i) => `/Im${i} ${id} 0 R`).join(" ")} >>`
+      : "";
+
+    const pageIds = pages.map((p) => {
+      const pageId = alloc();
+      const contentId = alloc();
+
+      const content = zlib.deflateSync(Buffer.from(p.ops.join("\n"), "latin1"));
+      set(contentId, {
+        dict: `<< /Filter /FlateDecode /Length ${content.length} >>`,
+        stream: content,
+      });
+
+      const annotIds = p.links.map((l) => {
+        const id = alloc();
+        set(
+          id,
+          `<< /Type /Annot /Subtype /Link /Rect [${l.rect.map(fmt).join(" ")}] ` +
+            `/Border [0 0 0] /A << /S /URI /URI (${escapeText(l.url)}) >> >>`
+        );
+        return id;
+      });
+
+      set(
+        pageId,
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+          `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> ${xObjects} >> ` +
+          `/Contents ${contentId} 0 R` +
+          (annotIds.length ? ` /Annots [${annotIds.map((id) => `${id} 0 R`).join(" ")}]` : "") +
+          " >>"
+      );
+      return pageId;
+    });
+
+    set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    set(
+      pagesId,
+      `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`
+    );
+
+    const chunks = [Buffer.from("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n", "latin1")];
+    let length = chunks[0].length;
+    const offsets = [];
+
+    const push = (buf) => {
+      chunks.push(buf);
+      length += buf.length;
+    };
+
+    objects.forEach((body, i) => {
+      offsets.push(length);
+      if (typeof body === "string") {
+        push(Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, "latin1"));
+      } else {
+        push(Buffer.from(`${i + 1} 0 obj\n${body.dict}\nstream\n`, "latin1"));
+        push(body.stream);
+        push(Buffer.from("\nendstream\nendobj\n", "latin1"));
+      }
+    });
+
+    const xrefOffset = length;
+    const xref = [
+      "xref",
+      `0 ${objects.length + 1}`,
+      "0000000000 65535 f ",
+      ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+      "trailer",
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>`,
+      "startxref",
+      String(xrefOffset),
+      "%%EOF",
+    ].join("\n");
+    push(Buffer.from(xref, "latin1"));
+
+    return Buffer.concat(chunks);
+  };
+
+  return {
+    width,
+    height,
+    addPage,
+    text,
+    line,
+    rect,
+    image,
+    link,
+    measureText,
+    wrapText,
+    toBuffer,
+  };
+};
@@ -0,0 +1,178 @@
+// src/utils/verifiedJobs.js
+import mongoose from "mongoose";
+import Review, { VERIFIED_JOB_KINDS } from "../models/Review.js";
+import Booking from "../models/Booking.js";
+import Invoice from "../models/Invoice.js";
+import TerminalPayment from "../models/TerminalPayment.js";
+import Customer from "../models/Customer.js";
+import { LedgerEntry } from "../models/LedgerEntry.js";
+
+/* -------------------------------------------------------
+   VERIFIED JOBS
+   A review is "verified" when it's backed by a job the
+   reviewer actually paid for / had done:
+     invoice          — Invoice status PAID, with money
+                        that moved through Stripe (a payment
+                        row with a PaymentIntent, or a posted
+                        Stripe charge in the ledger). Status,
+                        offline payments and empty invoices
+                        are just the provider's word.
+     terminal_payment — TerminalPayment status succeeded
+     booking          — Booking status completed
+   Invoices and terminal payments point at the provider's
+   CRM Customer, matched to the reviewer by email; bookings
+   point straight at the User. Each job backs one review.
+-------------------------------------------------------- */
+export { VERIFIED_JOB_KINDS };
+
+const sendErrorLike = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const JOB_MODELS = {
+  invoice: { Model: Invoice, done: { status: "PAID" } },
+  terminal_payment: { Model: TerminalPayment, done: { status: "succeeded" } },
+  booking: { Model: Booking, done: { status: "completed" } },
+};
+
+/**
+ * Ids (as strings) of the invoices Stripe money went into.
+ * @param invoices [{ _id, payments }]
+ */
+const stripePaidInvoiceIds = async (invoices) => {
+  const paid = new Set();
+  const unproven = [];
+  for (const invoice of invoices) {
+    if ((invoice.payments || []).some((p) => p.stripePaymentIntentId)) paid.add(String(invoice._id));
+    else unproven.push(invoice._id);
+  }
+
+  // Invoices paid before payment rows existed only have the ledger charge
+  if (unproven.length) {
+    const charged = await LedgerEntry.distinct("invoice", {
+      invoice: { $in: unproven },
+      type: "charge",
+      status: "posted",
+      stripePaymentIntentId: { $nin: [null, ""] },
+    });
+    charged.forEach((id) => paid.add(String(id)));
+  }
+  return paid;
+};
+
+const usedJobRefs = async (refs) => {
+  if (!refs.length) return new Set();
+  const used = await Review.distinct("verification.ref", { "verification.ref": { $in: refs } });
+  return new Set(used.map(String));
+};
+
+/**
+ * The reviewer's oldest unreviewed job with the provider.
+ * @returns {Promise<{ kind, ref } | null>}
+ */
+export const findVerifiedJob = async ({ providerId, userId, email }) => {
+  const customerIds = email
+    ? await Customer.find({ provider: providerId, email: String(email).trim().toLowerCase() }).distinct("_id")
+    : [];
+
+  const [bookings, invoices, payments] = await Promise.all([
+    Booking.find({ provider: providerId, customer: userId, ...JOB_MODELS.booking.done })
+      .select("_id")
+      .sort({ completedAt: 1 })
+      .lean(),
+    customerIds.length
+      ? Invoice.find({ provider: providerId, customer: { $in: customerIds }, ...JOB_MODELS.invoice.done })
+          .select("_id payments.stripePaymentIntentId")
+          .sort({ createdAt: 1 })
+          .lean()
+      : [],
+    customerIds.length
+      ? TerminalPayment.find({
+          provider: providerId,
+          customer: { $in: customerIds },
+          ...JOB_MODELS.terminal_payment.done,
+        })
+          .select("_id")
+          .sort({ createdAt: 1 })
+          .lean()
+      : [],
+  ]);
+
+  const stripePaid = await stripePaidInvoiceIds(invoices);
+
+  const candidates = [
+    ...bookings.map((b) => ({ kind: "booking", ref: b._id })),
+    ...invoices.filter((i) => stripePaid.has(String(i._id))).map((i) => ({ kind: "invoice", ref: i._id })),
+    ...payments.map((p) => ({ kind: "terminal_payment", ref: p._id })),
+  ];
+
+  const used = await usedJobRefs(candidates.map((c) => c.ref));
+  return candidates.find((c) => !used.has(String(c.ref))) || null;
+};
+
+/**
+ * Load a provider's finished job for a review request.
+ * Throws (statusCode set) when it doesn't qualify.
+ * @returns {{ kind, ref, listing, customerUser, customer, customerEmail, customerName }}
+ */
+export const loadJobForReviewRequest = async (providerId, { kind, id }) => {
+  if (!VERIFIED_JOB_KINDS.includes(kind)) {
+    throw sendErrorLike(`kind must be one of: ${VERIFIED_JOB_KINDS.join(", ")}.`);
+  }
+  if (!mongoose.Types.ObjectId.isValid(id)) throw sendErrorLike("Invalid job id.");
+
+  const { Model, done } = JOB_MODELS[kind];
+  const job = await Model.findOne({ _id: id, provider: providerId }).lean();
+  if (!job) throw sendErrorLike("Job not found.", 404);
+
+  if (job.status !== done.status) {
+    throw sendErrorLike(
+      kind === "booking"
+        ? "Reviews can only be requested for completed bookings."
+        : "Reviews can only be requested once the payment has gone through.",
+      409
+    );
+  }
+  if (kind === "invoice" && !(await stripePaidInvoiceIds([job])).has(String(job._id))) {
+    throw sendErrorLike(
+      "Only invoices paid through Helpio (card or terminal) can back a verified review.",
+      409
+    );
+  }
+
+  if (await Review.exists({ "verification.ref": job._id })) {
+    throw sendErrorLike("This job has already been reviewed.", 409);
+  }
+
+  if (kind === "booking") {
+    return {
+      kind,
+      ref: job._id,
+      listing: job.listing,
+      customerUser: job.customer,
+      customer: null,
+      customerEmail: null,
+      customerName: "",
+    };
+  }
+
+  // Only the account with the customer's email can use the link
+  const customer = job.customer
+    ? await Customer.findById(job.customer).select("name email").lean()
+    : null;
+  if (!customer?.email) {
+    throw sendErrorLike("Add an email to this customer before requesting a review.", 409);
+  }
+
+  return {
+    kind,
+    ref: job._id,
+    listing: null,
+    customerUser: null,
+    customer: customer._id,
+    customerEmail: customer.email,
+    customerName: job.customerSnapshot?.name || customer.name || "",
+  };
+};